@@ -7,29 +7,63 @@ import cors from 'cors';
 import morgan from 'morgan';
 
 import webhooksRouter from './routes/webhooks.js';
-import { ensureStream } from './services/webhookPublisher.js';
+import { ensureStream } from './nats/ensureStream.js';
+import { onNatsStatus } from './nats/natsClient.js';
+import { createAppHealthRouter } from './routes/health.js';
+import { captureRawBody, initWebhookAuth } from './middleware/webhookAuth.js';
+import { loadWebhookConfigs, loadIntegrations } from './services/integrationManager.js';
+import { isLocalQueue, getLocalQueue } from './services/localQueue.js';
+import { startWebhookConsumers } from './services/webhookConsumer.js';
+import { initMessageStore } from './utils/messageCache.js';
+import { getIngestSpool } from './services/ingestSpool.js';
+import { initMetrics, metricsHandler } from './utils/metrics.js';
+import { createLogger } from './utils/logger.js';
+import { initTracing, tracingMiddleware } from './utils/tracing.js';
+import { onShutdown, installShutdownHandlers, closeHttpServer } from './utils/shutdown.js';
+
+const logger = createLogger('app');
+
+// Tracing OpenTelemetry (TRACING_ENABLED=true): precisa estar ativo antes das primeiras requisições
+initTracing('app');
 
 const app = express();
 
 // Configuração do body-parser com limite aumentado para suportar payloads grandes
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', verify: captureRawBody }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// Depois do body-parser: o contexto do span precisa continuar ativo nas rotas
+app.use(tracingMiddleware);
 app.use(cors());
-app.use(morgan('combined'));
+// Log de acesso no mesmo formato JSON dos demais logs
+app.use(morgan('combined', { stream: { write: (line) => logger.info(line.trim()) } }));
 
-app.get('/health', (req, res) => {
-	res.json({ status: 'ok' });
-});
+// /health (resumo), /health/live e /health/ready (NATS, stream e round-trip de publicação)
+app.use('/health', createAppHealthRouter());
+
+// Métricas Prometheus (webhooks recebidos/enfileirados, chamadas de API, processo Node.js)
+initMetrics('app');
+app.get('/metrics', metricsHandler);
 
 app.get('/webhook-url', (req, res) => {
 	const baseUrl = process.env.WEBHOOK_BASE_URL;
 	const webhookPath = process.env.WEBHOOK_NAME || 'wootrico';	
 
+	// URLs por integração (o token, quando configurado, deve ser adicionado como ?token=)
+	const integrations = loadWebhookConfigs().map((config) => ({
+		id: config.id,
+		provider: config.provider,
+		webhook_url: `${baseUrl}/${webhookPath}/in/${config.id}`,
+		callback_url: `${baseUrl}/${webhookPath}/callback/${config.id}`,
+		token_required: !!config.providerToken,
+		signature_required: !!config.chatwootSecret
+	}));
+
 	res.json({
 		webhook_url: `${baseUrl}/${webhookPath}`,
 		callback_url: `${baseUrl}/${webhookPath}/callback`,
 		base_url: baseUrl,
-		path: webhookPath
+		path: webhookPath,
+		integrations
 	});
 });
 
@@ -41,7 +75,7 @@ const port = Number(process.env.PORT || 3000);
 // Executa bootstrap apenas no start do container
 (async () => {
 
-	app.listen(port, () => {
+	const server = app.listen(port, () => {
 		// eslint-disable-next-line no-console
 		console.log('');
 		console.clear();
@@ -56,17 +90,55 @@ const port = Number(process.env.PORT || 3000);
 		console.log('   Canal YouTube: Tutoriais completos sobre Wootrico        ');
 		console.log('   Site: https://ericorenato.com.br                         ');
 		console.log('');	
-
+		logger.info(`App iniciado na porta ${port} (fila: ${isLocalQueue() ? 'local' : 'nats'})`);
 	});
+
+	// Avisa já no start sobre integrações sem WEBHOOK_TOKEN/CHATWOOT_WEBHOOK_SECRET
+	initWebhookAuth();
+
+	// SIGTERM/SIGINT: para de receber webhooks, conclui os que estão em andamento (e, na fila local,
+	// as mensagens em processamento), grava spool/journals e só então encerra as conexões
+	onShutdown('intake', 'servidor HTTP', () => closeHttpServer(server));
+	installShutdownHandlers();
+	
+	// Modo sem NATS (QUEUE_BACKEND=local): a fila e os consumers rodam neste mesmo processo
+	if (isLocalQueue()) {
+		try {
+			logger.info('[LocalQueue] QUEUE_BACKEND=local: processando webhooks neste processo (sem NATS)');
+			await getLocalQueue();
+			const integrations = await loadIntegrations();
+			if (!integrations || integrations.length === 0) {
+				throw new Error('Nenhuma integração foi carregada. Verifique as configurações das variáveis de ambiente.');
+			}
+			await initMessageStore();
+			startWebhookConsumers(integrations).catch((err) => {
+				logger.error('Erro nos consumers da fila local:', err?.message || err);
+				process.exit(1);
+			});
+		} catch (err) {
+			logger.error('Falha ao iniciar a fila local:', err?.message || err);
+			process.exit(1);
+		}
+		return;
+	}
 	
 	try {
 		//checkAPIConfiguration();
 		//await ensureInboxBootstrap();		
-		await ensureStream().catch(console.error);//garante que o stream do nats vai executar
+		await ensureStream().catch((error) => logger.error('[NATS] Falha ao garantir o stream:', error));//garante que o stream do nats vai executar
+
+		// Publica as mensagens que ficaram no spool de ingestão (NATS indisponível antes do restart)
+		await getIngestSpool();
+
+		// Após uma reconexão (ex.: NATS reiniciado sem volume) o stream pode ter sido perdido
+		onNatsStatus((status, details) => {
+			if (status === 'connected' && details.reconnects > 0) {
+				ensureStream().catch((error) => logger.error('[NATS] Falha ao revalidar o stream após reconexão:', error?.message || error));
+			}
+		});
 		
 	} catch (err) {
-		// eslint-disable-next-line no-console
-		console.error('Falha no bootstrap da Inbox do Chatwoot:', err?.response?.data || err?.message || err);
+		logger.error('Falha no bootstrap da Inbox do Chatwoot:', err?.response?.data || err?.message || err);
 	}
 
 	
@@ -1,8 +1,28 @@
 'use strict';
 
 import 'dotenv/config';
-import { startWebhookPrincipalConsumer, startWebhookCallbackConsumer } from './services/webhookConsumer.js';
+import express from 'express';
+import { startWebhookConsumers } from './services/webhookConsumer.js';
 import { loadIntegrations } from './services/integrationManager.js';
+import { initMessageStore } from './utils/messageCache.js';
+import { parseBoolean } from './utils/env.js';
+import { ensureStream } from './nats/ensureStream.js';
+import { onNatsStatus } from './nats/natsClient.js';
+import { isLocalQueue } from './services/localQueue.js';
+import { createConsumerHealthRouter } from './routes/health.js';
+import { initMetrics, metricsHandler } from './utils/metrics.js';
+import { createLogger } from './utils/logger.js';
+import { initTracing } from './utils/tracing.js';
+import { onShutdown, isShuttingDown, installShutdownHandlers, closeHttpServer } from './utils/shutdown.js';
+
+const logger = createLogger('consumer');
+
+// Subconjunto de integrações atendidas por este processo (ex.: CONSUMER_INTEGRATIONS=1,3)
+const onlyIntegrations = (process.env.CONSUMER_INTEGRATIONS || '').split(',').map((id) => id.trim()).filter(Boolean);
+
+// Consumers dos subjects compartilhados (mensagens sem integração identificada).
+// Por padrão só rodam quando o processo atende todas as integrações
+const consumeSharedSubjects = parseBoolean(process.env.CONSUMER_SHARED_SUBJECTS, onlyIntegrations.length === 0);
 
 console.log('============================================================');
 console.log('                    🚀 WOOTRICO CONSUMER 🚀                ');
@@ -16,50 +36,77 @@ console.log('   Canal YouTube: Tutoriais completos sobre Wootrico        ');
 console.log('   Site: https://ericorenato.com.br                         ');
 console.log('');
 
+// Integrações atendidas (preenchido após o carregamento, usado pelo health check)
+let loadedIntegrations = [];
+
+initMetrics('consumer');
+initTracing('consumer');
+
+// Servidor HTTP de health e métricas do consumer (CONSUMER_HEALTH_PORT=0 desativa)
+const healthPort = Number(process.env.CONSUMER_HEALTH_PORT ?? 3001);
+if (healthPort > 0) {
+	const healthApp = express();
+	healthApp.use(createConsumerHealthRouter(() => loadedIntegrations));
+	healthApp.get('/metrics', metricsHandler);
+	const healthServer = healthApp.listen(healthPort, () => {
+		logger.info(`Health check do consumer disponível na porta ${healthPort} (/health/live, /health/ready, /metrics)`);
+	});
+	// Fica no ar até o fim do drain (readiness responde 503 enquanto encerra)
+	onShutdown('close', 'servidor de health', () => closeHttpServer(healthServer));
+}
+
 // Inicia os consumers em paralelo
 (async () => {
 	try {
-		console.log('============================================================');
-		console.log('        Carregando e Inicializando Integrações              ');
-		console.log('============================================================\n');
+		logger.info('Carregando e inicializando integrações...');
 		
-		const integrations = await loadIntegrations();
+		// A fila local vive dentro do app.js: não há o que consumir em um processo separado
+		if (isLocalQueue()) {
+			throw new Error('QUEUE_BACKEND=local: as mensagens são processadas pelo próprio app.js. Não inicie o consumer separado.');
+		}
+		
+		if (onlyIntegrations.length > 0) {
+			logger.info(`Atendendo apenas as integrações: ${onlyIntegrations.join(', ')}`);
+		}
+		
+		const integrations = await loadIntegrations(onlyIntegrations);
 		
 		if (!integrations || integrations.length === 0) {
 			throw new Error('Nenhuma integração foi carregada. Verifique as configurações das variáveis de ambiente.');
 		}
+		loadedIntegrations = integrations;
+		
+		// Garante os subjects por integração antes de criar os consumers
+		await ensureStream();
+		
+		// Os pull consumers retomam sozinhos após a reconexão. Se a conexão for encerrada de vez
+		// (ex.: NATS_MAX_RECONNECT_ATTEMPTS esgotado), o processo sai para ser reiniciado pelo orquestrador
+		onNatsStatus((status, details) => {
+			if (status === 'disconnected' || status === 'reconnecting') {
+				logger.warn(`[Consumer] NATS ${status}: processamento pausado até a reconexão`);
+			} else if (status === 'connected' && details.reconnects > 0) {
+				logger.info(`[Consumer] NATS reconectado (${details.server}), retomando processamento`);
+				ensureStream().catch((error) => logger.error('[NATS] Falha ao revalidar o stream após reconexão:', error?.message || error));
+			} else if (status === 'closed' && !isShuttingDown()) {
+				logger.error('[Consumer] Conexão com o NATS encerrada, finalizando o processo');
+				process.exit(1);
+			}
+		});
 		
-		console.log('\n============================================================');
-		console.log('        Iniciando Consumers NATS JetStream                  ');
-		console.log('============================================================\n');
+		// Carrega os mapeamentos de IDs persistidos antes de processar mensagens
+		await initMessageStore();
 		
-		// Inicia ambos os consumers em paralelo
-		await Promise.all([
-			startWebhookPrincipalConsumer(integrations),
-			startWebhookCallbackConsumer(integrations)
-		]);
+		logger.info('Iniciando consumers NATS JetStream...');
+		
+		// Um consumer durável por integração em cada subject, todos em paralelo
+		await startWebhookConsumers(integrations, { includeShared: consumeSharedSubjects });
 		
 	} catch (err) {
-		console.error('\n============================================================');
-		console.error('              ERRO FATAL AO INICIAR                        ');
-		console.error('============================================================');
-		console.error(`Erro: ${err?.message || err}`);
-		if (err?.stack) {
-			console.error('\nStack trace:');
-			console.error(err.stack);
-		}
-		console.error('============================================================\n');
+		logger.error('Erro fatal ao iniciar o consumer:', err);
 		process.exit(1);
 	}
 })();
 
-// Tratamento de sinais para graceful shutdown
-process.on('SIGINT', () => {
-	console.log('Recebido SIGINT, encerrando consumers...');
-	process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-	console.log('Recebido SIGTERM, encerrando consumers...');
-	process.exit(0);
-});
+// Graceful shutdown: para o pull, aguarda o ack das mensagens em processamento (até SHUTDOWN_GRACE_MS),
+// grava os journals e drena a conexão com o NATS
+installShutdownHandlers();
@@ -0,0 +1,33 @@
+'use strict';
+
+import { safeEqual } from './webhookAuth.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('adminAuth');
+
+/**
+ * Protege as rotas administrativas com o token ADMIN_TOKEN
+ * (Authorization: Bearer <token> ou header X-Admin-Token)
+ */
+function verifyAdminToken(req, res, next) {
+	const adminToken = (process.env.ADMIN_TOKEN || '').trim();
+	if (!adminToken) {
+		logger.warn('[ADMIN] Rotas administrativas desabilitadas: configure ADMIN_TOKEN');
+		return res.status(503).json({ error: 'admin_not_configured' });
+	}
+
+	const authorization = req.get('authorization') || '';
+	const token = req.get('x-admin-token')
+		|| (authorization.toLowerCase().startsWith('bearer ') ? authorization.slice(7).trim() : null);
+
+	if (!token || !safeEqual(token, adminToken)) {
+		logger.warn(`[ADMIN] Acesso negado a ${req.originalUrl} - IP: ${req.ip}`);
+		return res.status(401).json({ error: 'unauthorized' });
+	}
+
+	return next();
+}
+
+export {
+	verifyAdminToken
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+import { runWithLogContext, generateCorrelationId } from '../utils/logger.js';
+
+// Header aceito do cliente (ex.: proxy que já gera ids) e devolvido na resposta
+const CORRELATION_HEADER = 'X-Correlation-Id';
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gera o id de correlação da requisição e executa as rotas seguintes dentro do contexto de log.
+ * O id é publicado com a mensagem no NATS e aparece nos logs do consumer
+ */
+function correlationId(req, res, next) {
+	const received = req.get(CORRELATION_HEADER);
+	const id = received && VALID_CORRELATION_ID.test(received) ? received : generateCorrelationId();
+	req.correlationId = id;
+	res.set(CORRELATION_HEADER, id);
+	runWithLogContext({ correlationId: id }, next);
+}
+
+export {
+	CORRELATION_HEADER,
+	correlationId
+};
@@ -0,0 +1,306 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import { loadWebhookConfigs } from '../services/integrationManager.js';
+import { getProvider } from '../providers/index.js';
+import { parseBoolean } from '../utils/env.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('webhookAuth');
+
+// Estatísticas de requisições rejeitadas
+// Estrutura: { total, byReason: { reason: count }, byRoute: { route: count } }
+const rejectionStats = {
+	total: 0,
+	byReason: {},
+	byRoute: {}
+};
+
+let authConfigs = null;
+
+// Credenciais aceitas no webhook principal: assinatura do provedor (ex.: app secret da Cloud API) ou WEBHOOK_TOKEN
+const PROVIDER_CREDENTIALS = ['providerSignature', 'providerToken'];
+
+function isAuthRequired() {
+	return parseBoolean(process.env.WEBHOOK_AUTH_REQUIRED);
+}
+
+function hasCredential(config, fields) {
+	return [].concat(fields).some((field) => config[field]);
+}
+
+/**
+ * Requisição sem credencial a validar só passa quando nenhuma integração configurou a credencial
+ * (instalação sem autenticação) e WEBHOOK_AUTH_REQUIRED não está ativo
+ */
+function isUnauthenticatedAllowed(fields) {
+	return !isAuthRequired() && !getAuthConfigs().some((config) => hasCredential(config, fields));
+}
+
+function warnMissingCredential(configs, fields, name) {
+	const failClosed = isAuthRequired() || configs.some((config) => hasCredential(config, fields));
+	for (const config of configs.filter((item) => !hasCredential(item, fields))) {
+		const effect = failClosed ? 'requisições sem credencial válida serão rejeitadas' : 'webhooks aceitos SEM autenticação';
+		logger.warn(`[WEBHOOK AUTH] Integração ${config.id} sem ${name} configurado: ${effect}`);
+	}
+}
+
+/**
+ * Valida a assinatura do POST pelo adaptador do provedor (null quando o provedor não assina ou não há segredo)
+ */
+function verifyProviderSignature(config, request) {
+	return getProvider(config.provider)?.verifySignature(request, config.whatsapp) ?? null;
+}
+
+/**
+ * Carrega (uma única vez) as credenciais de verificação de todas as integrações
+ */
+function getAuthConfigs() {
+	if (!authConfigs) {
+		// null independe da requisição (provedor não assina ou segredo ausente): identifica as integrações assinadas
+		const emptyRequest = { rawBody: null, getHeader: () => undefined };
+		authConfigs = loadWebhookConfigs().map((config) => ({
+			...config,
+			providerSignature: verifyProviderSignature(config, emptyRequest) !== null
+		}));
+		warnMissingCredential(authConfigs, PROVIDER_CREDENTIALS, 'WEBHOOK_TOKEN');
+		warnMissingCredential(authConfigs, 'chatwootSecret', 'CHATWOOT_WEBHOOK_SECRET');
+	}
+	return authConfigs;
+}
+
+/**
+ * Carrega as credenciais no bootstrap para que os avisos de integração sem autenticação saiam na inicialização
+ */
+function initWebhookAuth() {
+	getAuthConfigs();
+}
+
+/**
+ * Compara duas strings em tempo constante
+ */
+function safeEqual(a, b) {
+	const bufferA = Buffer.from(String(a));
+	const bufferB = Buffer.from(String(b));
+	if (bufferA.length !== bufferB.length) {
+		return false;
+	}
+	return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function countRejection(route, reason) {
+	rejectionStats.total++;
+	rejectionStats.byReason[reason] = (rejectionStats.byReason[reason] || 0) + 1;
+	rejectionStats.byRoute[route] = (rejectionStats.byRoute[route] || 0) + 1;
+}
+
+function reject(req, res, route, reason) {
+	countRejection(route, reason);
+	logger.warn(`[WEBHOOK AUTH] Requisição rejeitada em ${route} (${reason}) - IP: ${req.ip}`);
+	return res.status(401).json({ error: 'unauthorized', reason });
+}
+
+/**
+ * Extrai o token enviado pelo provedor (query ?token=, header X-Webhook-Token ou Authorization: Bearer)
+ */
+function extractProviderToken(req) {
+	const queryToken = req.query?.token;
+	if (queryToken) {
+		return String(queryToken);
+	}
+
+	const headerToken = req.get('x-webhook-token');
+	if (headerToken) {
+		return headerToken;
+	}
+
+	const authorization = req.get('authorization') || '';
+	if (authorization.toLowerCase().startsWith('bearer ')) {
+		return authorization.slice(7).trim();
+	}
+
+	return null;
+}
+
+/**
+ * Calcula a assinatura HMAC enviada pelo Chatwoot: sha256=HMAC(secret, "<timestamp>.<corpo bruto>")
+ */
+function computeChatwootSignature(secret, timestamp, rawBody) {
+	const hmac = crypto.createHmac('sha256', secret);
+	hmac.update(`${timestamp}.`);
+	hmac.update(rawBody);
+	return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Guarda o corpo bruto da requisição para validação de assinatura (usado no verify do express.json)
+ */
+function captureRawBody(req, res, buf) {
+	if (buf && buf.length) {
+		req.rawBody = buf;
+	}
+}
+
+/**
+ * Seleciona as credenciais a validar: da integração indicada na URL ou de todas (URL compartilhada)
+ * @param {string|Array<string>} fields - Credenciais aceitas (basta uma configurada)
+ * @returns {{configs: Array, notFound: boolean}}
+ */
+function selectConfigs(req, fields) {
+	const allConfigs = getAuthConfigs();
+	const integrationId = req.params?.integrationId;
+
+	if (integrationId) {
+		const config = allConfigs.find((item) => item.id === String(integrationId));
+		if (!config) {
+			return { configs: [], notFound: true };
+		}
+		req.webhookIntegrationId = config.id;
+		return { configs: hasCredential(config, fields) ? [config] : [], notFound: false };
+	}
+
+	return { configs: allConfigs.filter((config) => hasCredential(config, fields)), notFound: false };
+}
+
+/**
+ * Registra a integração autenticada somente quando a credencial identifica uma única integração
+ */
+function setMatchedIntegration(req, matches) {
+	if (matches.length === 1) {
+		req.webhookIntegrationId = matches[0].id;
+	}
+}
+
+function rejectUnknownIntegration(req, res, route) {
+	countRejection(route, 'integration_not_found');
+	logger.warn(`[WEBHOOK AUTH] Integração ${req.params?.integrationId} não configurada (${route}) - IP: ${req.ip}`);
+	return res.status(404).json({ error: 'integration_not_found' });
+}
+
+/**
+ * Valida os webhooks dos provedores WhatsApp: assinatura do provedor, quando a integração tem o segredo
+ * configurado (ex.: X-Hub-Signature-256 da Cloud API), ou o token compartilhado nas demais
+ */
+function verifyProviderWebhook(req, res, next) {
+	const { configs, notFound } = selectConfigs(req, PROVIDER_CREDENTIALS);
+	if (notFound) {
+		return rejectUnknownIntegration(req, res, 'principal');
+	}
+
+	if (configs.length === 0) {
+		if (!isUnauthenticatedAllowed(PROVIDER_CREDENTIALS)) {
+			return reject(req, res, 'principal', 'auth_not_configured');
+		}
+		return next();
+	}
+
+	const request = {
+		rawBody: req.rawBody || Buffer.from(JSON.stringify(req.body || {})),
+		getHeader: (name) => req.get(name)
+	};
+	const signed = configs.filter((config) => config.providerSignature && verifyProviderSignature(config, request));
+	if (signed.length > 0) {
+		setMatchedIntegration(req, signed);
+		return next();
+	}
+
+	// Integrações assinadas não aceitam o token: sem assinatura válida restam as demais
+	const tokenConfigs = configs.filter((config) => !config.providerSignature);
+	if (tokenConfigs.length === 0) {
+		return reject(req, res, 'principal', 'invalid_signature');
+	}
+
+	const token = extractProviderToken(req);
+	if (!token) {
+		return reject(req, res, 'principal', 'missing_token');
+	}
+
+	const matches = tokenConfigs.filter((config) => safeEqual(token, config.providerToken));
+	if (matches.length === 0) {
+		return reject(req, res, 'principal', 'invalid_token');
+	}
+
+	setMatchedIntegration(req, matches);
+	return next();
+}
+
+/**
+ * Responde ao handshake GET de cadastro do webhook dos provedores que o exigem (ex.: Cloud API).
+ * O token de verificação é o do provedor (verifyWebhook do adaptador), não o WEBHOOK_TOKEN
+ */
+function verifyProviderChallenge(req, res) {
+	const { configs, notFound } = selectConfigs(req, 'whatsapp');
+	if (notFound) {
+		return rejectUnknownIntegration(req, res, 'verification');
+	}
+
+	for (const config of configs) {
+		const challenge = getProvider(config.provider)?.verifyWebhook(req.query, config.whatsapp);
+		if (challenge) {
+			logger.info(`[WEBHOOK AUTH] Webhook ${config.provider} verificado para integração ${config.id}`);
+			return res.status(200).type('text/plain').send(String(challenge));
+		}
+	}
+
+	return reject(req, res, 'verification', 'invalid_verify_token');
+}
+
+/**
+ * Valida a assinatura HMAC (X-Chatwoot-Signature) do callback do Chatwoot
+ */
+function verifyChatwootWebhook(req, res, next) {
+	const { configs, notFound } = selectConfigs(req, 'chatwootSecret');
+	if (notFound) {
+		return rejectUnknownIntegration(req, res, 'callback');
+	}
+
+	if (configs.length === 0) {
+		if (!isUnauthenticatedAllowed('chatwootSecret')) {
+			return reject(req, res, 'callback', 'auth_not_configured');
+		}
+		return next();
+	}
+
+	const signature = req.get('x-chatwoot-signature');
+	const timestamp = req.get('x-chatwoot-timestamp');
+	if (!signature || !timestamp) {
+		return reject(req, res, 'callback', 'missing_signature');
+	}
+
+	const toleranceSeconds = Number(process.env.CHATWOOT_WEBHOOK_TOLERANCE_SECONDS || 300);
+	const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+	if (!Number.isFinite(ageSeconds) || (toleranceSeconds > 0 && ageSeconds > toleranceSeconds)) {
+		return reject(req, res, 'callback', 'expired_signature');
+	}
+
+	const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+	const matches = configs.filter((config) => safeEqual(signature, computeChatwootSignature(config.chatwootSecret, timestamp, rawBody)));
+	if (matches.length === 0) {
+		return reject(req, res, 'callback', 'invalid_signature');
+	}
+
+	setMatchedIntegration(req, matches);
+	return next();
+}
+
+/**
+ * Obtém estatísticas das requisições rejeitadas
+ * @returns {object} - Estatísticas de autenticação dos webhooks
+ */
+function getWebhookAuthStats() {
+	return {
+		rejected: rejectionStats.total,
+		byReason: { ...rejectionStats.byReason },
+		byRoute: { ...rejectionStats.byRoute }
+	};
+}
+
+export {
+	safeEqual,
+	captureRawBody,
+	initWebhookAuth,
+	verifyProviderWebhook,
+	verifyProviderChallenge,
+	verifyChatwootWebhook,
+	getWebhookAuthStats
+};
@@ -0,0 +1,78 @@
+// src/nats/ensureConsumer.js
+import { AckPolicy, DeliverPolicy, nanos } from 'nats';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ensureConsumer');
+
+/**
+ * Lê a configuração dos pull consumers. maxProcessingMs limita o tempo de uma mensagem em processamento
+ * (com heartbeat ativo): ao esgotar, as requisições HTTP são canceladas e a mensagem volta para a fila
+ * quando o processamento termina; 0 desativa o limite
+ * @returns {{batchSize: number, maxAckPending: number, ackWaitMs: number, expiresMs: number, maxProcessingMs: number}}
+ */
+export function getPullConsumerConfig() {
+	return {
+		batchSize: Math.max(1, parseInt(process.env.NATS_PULL_BATCH_SIZE || '10', 10) || 1),
+		maxAckPending: Math.max(1, parseInt(process.env.NATS_MAX_ACK_PENDING || '100', 10) || 1),
+		ackWaitMs: Math.max(1000, parseInt(process.env.NATS_ACK_WAIT_MS || '60000', 10) || 60000),
+		expiresMs: Math.max(1000, parseInt(process.env.NATS_PULL_EXPIRES_MS || '30000', 10) || 30000),
+		maxProcessingMs: Math.max(0, parseInt(process.env.CONSUMER_MAX_PROCESSING_MS || '900000', 10) || 0)
+	};
+}
+
+/**
+ * Garante um pull consumer durável no stream com a configuração atual.
+ * Durables push antigos (deliverTo) são recriados como pull a partir da primeira mensagem sem ack,
+ * sem perder nem reprocessar mensagens já confirmadas
+ * @param {object} jsm - JetStreamManager
+ * @param {string} streamName - Stream do consumer (STREAM_NAME)
+ * @param {string} durableName - Nome do consumer durável
+ * @param {string} filterSubject - Subject consumido
+ */
+export async function ensurePullConsumer(jsm, streamName, durableName, filterSubject) {
+	const { maxAckPending, ackWaitMs } = getPullConsumerConfig();
+	const desired = {
+		durable_name: durableName,
+		filter_subject: filterSubject,
+		ack_policy: AckPolicy.Explicit,
+		ack_wait: nanos(ackWaitMs),
+		max_ack_pending: maxAckPending
+	};
+
+	let info = null;
+	try {
+		info = await jsm.consumers.info(streamName, durableName);
+	} catch {
+		info = null;
+	}
+
+	if (!info) {
+		await jsm.consumers.add(streamName, { ...desired, deliver_policy: DeliverPolicy.All });
+		logger.info(`[NATS] Pull consumer ${durableName} criado em ${filterSubject}`);
+		return;
+	}
+
+	if (info.config.deliver_subject) {
+		// Push consumer legado: não pode virar pull por update. Recria a partir do ack floor
+		const startSeq = (info.ack_floor?.stream_seq || 0) + 1;
+		logger.info(`[NATS] Migrando consumer push ${durableName} para pull (continuando da sequência ${startSeq})...`);
+		await jsm.consumers.delete(streamName, durableName);
+		await jsm.consumers.add(streamName, {
+			...desired,
+			deliver_policy: DeliverPolicy.StartSequence,
+			opt_start_seq: startSeq
+		});
+		logger.info(`[NATS] Consumer ${durableName} migrado para pull`);
+		return;
+	}
+
+	const changed = ['filter_subject', 'ack_wait', 'max_ack_pending'].filter((field) => info.config[field] !== desired[field]);
+	if (changed.length > 0) {
+		logger.info(`[NATS] Atualizando pull consumer ${durableName}:`, changed.map((field) => `${field}: ${info.config[field]} -> ${desired[field]}`).join('; '));
+		await jsm.consumers.update(streamName, durableName, {
+			filter_subject: desired.filter_subject,
+			ack_wait: desired.ack_wait,
+			max_ack_pending: desired.max_ack_pending
+		});
+	}
+}
@@ -1,35 +1,155 @@
 // src/nats/ensureStream.js
-import { getNats } from './natsClient.js';
+import { nanos } from 'nats';
+import { getNatsConnection } from './natsClient.js';
+import { PRINCIPAL_SUBJECT, CALLBACK_SUBJECT } from '../services/webhookPublisher.js';
+import { DLQ_SUBJECT } from '../services/deadLetter.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ensureStream');
+
+export const STREAM_NAME = 'wootrico';
+
+const STREAM_SUBJECTS = [
+	PRINCIPAL_SUBJECT,
+	`${PRINCIPAL_SUBJECT}.*`,
+	CALLBACK_SUBJECT,
+	`${CALLBACK_SUBJECT}.*`,
+	DLQ_SUBJECT
+];
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Converte durações como "72h", "7d", "30m" ou "3600" (segundos) em milissegundos
+ */
+function parseDurationMs(value) {
+	const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+	if (!match) {
+		throw new Error(`Duração inválida: ${value}`);
+	}
+	return Math.round(Number(match[1]) * DURATION_UNITS_MS[match[2] || 's']);
+}
+
+/**
+ * Converte tamanhos como "1GB", "512MB" ou "1048576" (bytes) em bytes. -1 = sem limite
+ */
+function parseSize(value) {
+	const match = String(value).trim().toLowerCase().match(/^(-1|\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+	if (!match) {
+		throw new Error(`Tamanho inválido: ${value}`);
+	}
+	return match[1] === '-1' ? -1 : Math.round(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Monta a configuração desejada do stream a partir das variáveis de ambiente.
+ * Limites não configurados não são alterados no stream existente
+ */
+function getDesiredStreamConfig() {
+	const config = { subjects: STREAM_SUBJECTS };
+	const env = process.env;
+
+	if (env.NATS_STREAM_MAX_AGE) {
+		config.max_age = env.NATS_STREAM_MAX_AGE === '0' ? 0 : nanos(parseDurationMs(env.NATS_STREAM_MAX_AGE));
+	}
+	if (env.NATS_STREAM_MAX_BYTES) {
+		config.max_bytes = parseSize(env.NATS_STREAM_MAX_BYTES);
+	}
+	if (env.NATS_STREAM_DUPLICATE_WINDOW) {
+		// Janela em que reenvios com o mesmo Nats-Msg-Id são descartados pelo stream
+		config.duplicate_window = nanos(parseDurationMs(env.NATS_STREAM_DUPLICATE_WINDOW));
+	}
+	if (env.NATS_STREAM_MAX_MSG_SIZE) {
+		config.max_msg_size = parseSize(env.NATS_STREAM_MAX_MSG_SIZE);
+	}
+	if (env.NATS_STREAM_STORAGE) {
+		const storage = env.NATS_STREAM_STORAGE.trim().toLowerCase();
+		if (!['file', 'memory'].includes(storage)) {
+			throw new Error(`NATS_STREAM_STORAGE inválido: ${env.NATS_STREAM_STORAGE} (use file ou memory)`);
+		}
+		config.storage = storage;
+	}
+	if (env.NATS_STREAM_REPLICAS) {
+		config.num_replicas = Math.max(1, parseInt(env.NATS_STREAM_REPLICAS, 10) || 1);
+	}
+
+	return config;
+}
 
 /**
- * Garante a existência do stream "wootrico" com subjects:
- * - webhook.principal
- * - webhook.callback 
+ * Compara a configuração atual com a desejada e retorna as alterações aplicáveis
+ * @returns {{changes: object, diff: Array<string>, warnings: Array<string>}}
+ */
+function diffStreamConfig(current, desired) {
+	const changes = {};
+	const diff = [];
+	const warnings = [];
+
+	// Subjects só são adicionados: remover um subject deixaria mensagens armazenadas sem consumidor
+	const missingSubjects = desired.subjects.filter((subject) => !current.subjects.includes(subject));
+	if (missingSubjects.length > 0) {
+		changes.subjects = [...current.subjects, ...missingSubjects];
+		diff.push(`subjects: +${missingSubjects.join(', +')}`);
+	}
+
+	for (const field of ['max_age', 'max_bytes', 'max_msg_size', 'duplicate_window', 'num_replicas']) {
+		if (desired[field] !== undefined && desired[field] !== current[field]) {
+			changes[field] = desired[field];
+			diff.push(`${field}: ${current[field]} -> ${desired[field]}`);
+		}
+	}
+
+	// O JetStream não permite alterar o tipo de armazenamento de um stream existente
+	if (desired.storage && desired.storage !== current.storage) {
+		warnings.push(`storage: ${current.storage} -> ${desired.storage} exige recriar o stream (backup, remoção e criação). Mantendo ${current.storage}.`);
+	}
+
+	return { changes, diff, warnings };
+}
+
+/**
+ * Garante a existência do stream "wootrico" e reconcilia sua configuração com a desejada:
+ * - subjects: webhook.principal[.<integração>], webhook.callback[.<integração>] e webhook.dlq
+ * - limites (NATS_STREAM_MAX_AGE, NATS_STREAM_MAX_BYTES, NATS_STREAM_MAX_MSG_SIZE),
+ *   janela de duplicatas (NATS_STREAM_DUPLICATE_WINDOW, ex.: 2m),
+ *   armazenamento (NATS_STREAM_STORAGE) e réplicas (NATS_STREAM_REPLICAS)
  */
 export async function ensureStream() {
 	try {
-		const { jsm } = await getNats();
-		const name = 'wootrico';
-		
+		const { nc } = await getNatsConnection();
+		const jsm = await nc.jetstreamManager();
+		const desired = getDesiredStreamConfig();
+
+		let streamInfo = null;
 		try {
-			const streamInfo = await jsm.streams.info(name);
-			console.log(`[NATS] stream ${name} já existe - subjects:`, streamInfo.config.subjects);
-		} catch (error) {
-			console.log(`[NATS] criando stream ${name}...`);
-			const streamConfig = {
-				name,
-				subjects: ['webhook.principal', 'webhook.callback']
-			};
-			
-			await jsm.streams.add(streamConfig);
-			console.log(`[NATS] stream ${name} criado com sucesso`);
-			
-			// Verifica se foi criado corretamente
-			const createdStream = await jsm.streams.info(name);
-			console.log('[NATS] stream criado - subjects:', createdStream.config.subjects);
+			streamInfo = await jsm.streams.info(STREAM_NAME);
+		} catch {
+			streamInfo = null;
 		}
+
+		if (!streamInfo) {
+			logger.info(`[NATS] Criando stream ${STREAM_NAME}...`);
+			await jsm.streams.add({ name: STREAM_NAME, ...desired });
+			logger.info(`[NATS] Stream ${STREAM_NAME} criado com sucesso - subjects:`, desired.subjects);
+			return;
+		}
+
+		logger.info(`[NATS] Stream ${STREAM_NAME} já existe - subjects:`, streamInfo.config.subjects);
+		const { changes, diff, warnings } = diffStreamConfig(streamInfo.config, desired);
+		warnings.forEach((warning) => logger.warn(`[NATS] Stream ${STREAM_NAME}: ${warning}`));
+
+		if (diff.length === 0) {
+			logger.info(`[NATS] Configuração do stream ${STREAM_NAME} já está atualizada`);
+			return;
+		}
+
+		logger.info(`[NATS] Atualizando stream ${STREAM_NAME}:`, diff.join('; '));
+		await jsm.streams.update(STREAM_NAME, { ...streamInfo.config, ...changes });
+		logger.info(`[NATS] Stream ${STREAM_NAME} atualizado com sucesso`);
 	} catch (error) {
-		console.error('[NATS] Erro ao garantir stream:', error);
+		logger.error('[NATS] Erro ao garantir stream:', error);
+		logger.error('[NATS] Verifique se o NATS está rodando...');
 		throw error;
 	}
 }
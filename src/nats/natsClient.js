@@ -1,46 +1,215 @@
-import { connect, Empty, StringCodec } from 'nats';
+// src/nats/natsClient.js
+import fs from 'node:fs';
+import { connect, StringCodec, Events, DebugEvents, credsAuthenticator, nkeyAuthenticator } from 'nats';
+import { createLogger } from '../utils/logger.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+const logger = createLogger('natsClient');
+
+// Conexão única com o NATS compartilhada pelo app HTTP, consumers, DLQ e estado compartilhado.
+// A reconexão é ilimitada (com jitter): enquanto o servidor estiver fora, o status fica
+// 'disconnected'/'reconnecting' e quem depende do NATS pode reagir via onNatsStatus()
 
-let nc = null;
-let js = null;
-let jsm = null;
 const sc = StringCodec();
 
-export async function getNats() {
-	if (!nc) {
+let connectionPromise = null;
+// Definido no desligamento: impede que uma nova conexão seja aberta depois do drain
+let closing = false;
+const listeners = new Set();
+const state = {
+	status: 'idle',
+	server: null,
+	since: Date.now(),
+	reconnects: 0,
+	lastError: null
+};
+
+function readIntEnv(name, defaultValue) {
+	const value = parseInt(process.env[name] || '', 10);
+	return Number.isFinite(value) ? value : defaultValue;
+}
+
+/**
+ * Monta as opções de conexão a partir das variáveis de ambiente:
+ * - NATS_URL (vários servidores separados por vírgula), NATS_CONNECTION_NAME
+ * - NATS_USER/NATS_PASSWORD, NATS_TOKEN, NATS_CREDS_FILE ou NATS_NKEY_SEED
+ * - NATS_TLS_CA_FILE, NATS_TLS_CERT_FILE, NATS_TLS_KEY_FILE (NATS_TLS=true para TLS sem arquivos)
+ * - NATS_RECONNECT_WAIT_MS, NATS_RECONNECT_JITTER_MS, NATS_MAX_RECONNECT_ATTEMPTS (-1 = ilimitado)
+ */
+function getConnectionOptions() {
+	const env = process.env;
+	const servers = (env.NATS_URL || 'nats://nats:4222').split(',').map((server) => server.trim()).filter(Boolean);
+
+	const options = {
+		servers,
+		name: env.NATS_CONNECTION_NAME || `wootrico-${process.pid}`,
+		timeout: readIntEnv('NATS_CONNECT_TIMEOUT_MS', 10000),
+		reconnect: true,
+		maxReconnectAttempts: readIntEnv('NATS_MAX_RECONNECT_ATTEMPTS', -1),
+		reconnectTimeWait: readIntEnv('NATS_RECONNECT_WAIT_MS', 2000),
+		reconnectJitter: readIntEnv('NATS_RECONNECT_JITTER_MS', 1000),
+		reconnectJitterTLS: readIntEnv('NATS_RECONNECT_JITTER_MS', 1000)
+	};
+
+	if (env.NATS_USER) {
+		options.user = env.NATS_USER;
+		options.pass = env.NATS_PASSWORD || '';
+	}
+	if (env.NATS_TOKEN) {
+		options.token = env.NATS_TOKEN;
+	}
+	if (env.NATS_CREDS_FILE) {
+		options.authenticator = credsAuthenticator(fs.readFileSync(env.NATS_CREDS_FILE));
+	} else if (env.NATS_NKEY_SEED) {
+		options.authenticator = nkeyAuthenticator(new TextEncoder().encode(env.NATS_NKEY_SEED.trim()));
+	}
+
+	if (env.NATS_TLS_CA_FILE || env.NATS_TLS_CERT_FILE || env.NATS_TLS_KEY_FILE || env.NATS_TLS === 'true') {
+		options.tls = {};
+		if (env.NATS_TLS_CA_FILE) options.tls.caFile = env.NATS_TLS_CA_FILE;
+		if (env.NATS_TLS_CERT_FILE) options.tls.certFile = env.NATS_TLS_CERT_FILE;
+		if (env.NATS_TLS_KEY_FILE) options.tls.keyFile = env.NATS_TLS_KEY_FILE;
+	}
+
+	return options;
+}
+
+function setStatus(status, details = {}) {
+	const changed = state.status !== status;
+	Object.assign(state, details, { status });
+	if (!changed) return;
+
+	state.since = Date.now();
+	for (const listener of listeners) {
 		try {
-			const servers = process.env.NATS_URL || 'nats://nats:4222';
-			console.log('[NATS] Conectando a:', servers);
-			
-			nc = await connect({ 
-				servers,
-				timeout: 10000,
-				reconnect: true,
-				maxReconnectAttempts: 5
-			});
-			
-			js = nc.jetstream();
-			jsm = await nc.jetstreamManager();
-			
-			console.log('[NATS] Conectado com sucesso a', servers);			
-			
-			
+			listener(status, getNatsStatus());
 		} catch (error) {
-			console.error('[NATS] Erro ao conectar:', error);
-			throw error;
+			logger.error('[NATS] Erro em listener de status:', error?.message || error);
 		}
 	}
-	return { nc, js, jsm, sc };
 }
 
-export async function publish(subject, obj) {
+/**
+ * Acompanha os eventos da conexão (desconexão, reconexão, erros) e atualiza o status
+ */
+async function watchStatus(nc) {
+	for await (const event of nc.status()) {
+		switch (event.type) {
+		case Events.Disconnect:
+			logger.warn(`[NATS] Desconectado de ${event.data}`);
+			setStatus('disconnected');
+			break;
+		case DebugEvents.Reconnecting:
+			if (state.status !== 'reconnecting') {
+				logger.warn('[NATS] Tentando reconectar...');
+			}
+			setStatus('reconnecting');
+			break;
+		case Events.Reconnect:
+			logger.info(`[NATS] Reconectado a ${event.data}`);
+			setStatus('connected', { server: String(event.data), reconnects: state.reconnects + 1 });
+			break;
+		case Events.LDM:
+			logger.warn(`[NATS] Servidor ${event.data} entrando em lame duck mode, a conexão será migrada`);
+			break;
+		case Events.Error:
+			logger.error('[NATS] Erro assíncrono do servidor:', event.data);
+			state.lastError = String(event.data);
+			break;
+		default:
+			break;
+		}
+	}
+}
+
+async function openConnection() {
+	const options = getConnectionOptions();
+	logger.info('[NATS] Conectando a:', options.servers.join(', '));
+	setStatus('connecting');
+
 	try {
-		const { js, sc } = await getNats();
-		const data = sc.encode(typeof obj === 'string' ? obj : JSON.stringify(obj));
-		const ack = await js.publish(subject, Empty, data);
-		console.log(`[NATS] Mensagem publicada em ${subject} - seq: ${ack.seq}`);
-		return ack;
+		const nc = await connect(options);
+		const js = nc.jetstream();
+
+		logger.info('[NATS] Conectado com sucesso a', nc.getServer());
+		setStatus('connected', { server: nc.getServer(), lastError: null });
+
+		watchStatus(nc).catch((error) => logger.error('[NATS] Erro ao acompanhar status da conexão:', error?.message || error));
+		nc.closed().then((error) => {
+			// Conexão encerrada de vez (close() ou reconexões esgotadas): a próxima chamada abre outra
+			if (error) {
+				logger.error('[NATS] Conexão encerrada com erro:', error?.message || error);
+			} else {
+				logger.info('[NATS] Conexão encerrada');
+			}
+			connectionPromise = null;
+			setStatus('closed', { lastError: error ? String(error?.message || error) : state.lastError });
+		});
+
+		return { nc, js, sc };
 	} catch (error) {
-		console.error(`[NATS] Erro ao publicar em ${subject}:`, error);
+		logger.error('[NATS] Erro ao conectar:', error?.message || error);
+		// Permite nova tentativa na próxima chamada
+		connectionPromise = null;
+		setStatus('disconnected', { lastError: String(error?.message || error) });
 		throw error;
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Retorna a conexão compartilhada com o NATS (aberta uma única vez)
+ * @returns {Promise<{nc: object, js: object, sc: object}>}
+ */
+export function getNatsConnection() {
+	if (closing) {
+		return Promise.reject(new Error('Conexão com o NATS encerrada (desligamento em andamento)'));
+	}
+	if (!connectionPromise) {
+		connectionPromise = openConnection();
+	}
+	return connectionPromise;
+}
+
+/**
+ * Status atual da conexão: idle, connecting, connected, disconnected, reconnecting ou closed
+ * @returns {{status: string, server: string|null, since: number, reconnects: number, lastError: string|null}}
+ */
+export function getNatsStatus() {
+	return { ...state };
+}
+
+export function isNatsConnected() {
+	return state.status === 'connected';
+}
+
+/**
+ * Registra um listener chamado a cada mudança de status da conexão
+ * @param {Function} listener - (status, details) => void
+ * @returns {Function} - Remove o listener
+ */
+export function onNatsStatus(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * Drena a conexão (subscriptions e publicações pendentes) e a encerra. Usado no desligamento
+ */
+export async function closeNatsConnection() {
+	const pending = connectionPromise;
+	closing = true;
+	if (!pending) return;
+
+	let nc;
+	try {
+		({ nc } = await pending);
+	} catch {
+		return; // Nunca conectou
+	}
+	if (nc.isClosed()) return;
+
+	logger.info('[NATS] Drenando e encerrando a conexão...');
+	await nc.drain();
+}
+
+onShutdown('close', 'conexão NATS', closeNatsConnection);
@@ -0,0 +1,374 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import FormData from 'form-data';
+import { defineProvider, WhatsAppProviderClient } from './whatsappProvider.js';
+import { normalizeToE164 } from '../utils/phone.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('cloudapi');
+
+// WhatsApp Cloud API (oficial da Meta): webhook 'whatsapp_business_account' com entradas 'messages' e 'statuses'.
+// A Meta agrupa vários eventos no mesmo POST: splitPayload publica um payload por mensagem/status.
+// As mídias chegam apenas com o id e são baixadas pelo endpoint de mídia da Graph API.
+// O cadastro do webhook na Meta faz um GET de verificação (hub.verify_token / hub.challenge).
+// Os POSTs são assinados com o app secret (X-Hub-Signature-256), validado quando CLOUDAPI_APP_SECRET está configurado.
+
+const DEFAULT_BASE_URL = 'https://graph.facebook.com/v21.0';
+
+// Tipos de mensagem tratados; os demais (contatos, pedidos, sistema...) são ignorados
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'video', 'document', 'sticker', 'button', 'interactive', 'location'];
+
+// Mimetype usado no upload de mídias enviadas em base64 (sem URL pública)
+const UPLOAD_MIME_TYPES = {
+	image: 'image/jpeg',
+	audio: 'audio/ogg',
+	video: 'video/mp4',
+	document: 'application/octet-stream'
+};
+
+function isCloudApiPayload(body) {
+	return body?.object === 'whatsapp_business_account' && Array.isArray(body?.entry);
+}
+
+/**
+ * Conteúdo da primeira alteração do payload (após o splitPayload há uma única)
+ */
+function getChangeValue(body) {
+	return body?.entry?.[0]?.changes?.[0]?.value || null;
+}
+
+/**
+ * Um payload por mensagem ou status, mantendo metadata e o contato correspondente
+ */
+function splitCloudApiPayload(body) {
+	const payloads = [];
+	for (const entry of body?.entry || []) {
+		for (const change of entry?.changes || []) {
+			const { messages = [], statuses = [], contacts = [], ...value } = change?.value || {};
+			const wrap = (item) => ({
+				object: body.object,
+				entry: [{ id: entry.id, changes: [{ field: change.field, value: item }] }]
+			});
+			for (const message of messages) {
+				const contact = contacts.find((item) => item?.wa_id === message?.from) || contacts[0];
+				payloads.push(wrap({ ...value, contacts: contact ? [contact] : [], messages: [message] }));
+			}
+			for (const status of statuses) {
+				payloads.push(wrap({ ...value, statuses: [status] }));
+			}
+		}
+	}
+	return payloads.length > 0 ? payloads : [body];
+}
+
+/**
+ * Classifica o webhook: mensagem ou evento ignorado (status de entrega, reação, tipo não suportado)
+ */
+function parseCloudApiEvent(body) {
+	const value = getChangeValue(body);
+	const message = value?.messages?.[0];
+	if (message) {
+		if (message.type === 'reaction') {
+			return { type: 'ignore', reason: 'cloudapi_reaction_ignored' };
+		}
+		if (!MESSAGE_TYPES.includes(message.type)) {
+			return { type: 'ignore', reason: 'cloudapi_message_type_ignored', messageType: message.type };
+		}
+		return { type: 'message' };
+	}
+
+	const status = value?.statuses?.[0];
+	if (status) {
+		if (status.status === 'failed') {
+			logger.warn(`Falha na entrega da mensagem Cloud API ${status.id} para ${status.recipient_id}:`, status.errors);
+		}
+		return { type: 'ignore', reason: 'cloudapi_status', status: status.status, messageId: status.id || null, errors: status.errors || null };
+	}
+
+	return { type: 'ignore', reason: 'cloudapi_event_ignored', field: body?.entry?.[0]?.changes?.[0]?.field || null };
+}
+
+/**
+ * Texto das mensagens sem mídia (texto, botões, listas e localização)
+ */
+function getMessageText(message) {
+	switch (message?.type) {
+	case 'text':
+		return message.text?.body || '';
+	case 'button':
+		return message.button?.text || '';
+	case 'interactive':
+		return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || '';
+	case 'location': {
+		const { latitude, longitude, name, address } = message.location || {};
+		const label = [name, address].filter(Boolean).join(' - ');
+		return `${label ? `${label}\n` : ''}https://maps.google.com/?q=${latitude},${longitude}`;
+	}
+	default:
+		return message?.[message?.type]?.caption || '';
+	}
+}
+
+/**
+ * Extrai dados do payload Cloud API (uma mensagem, após o splitPayload)
+ */
+function parseCloudApiMessage(body, { defaultCountry = 'BR' } = {}) {
+	const value = getChangeValue(body);
+	const message = value?.messages?.[0];
+	if (!message?.from) {
+		logger.warn('Payload Cloud API sem mensagem');
+		return null;
+	}
+
+	const contact = value.contacts?.[0];
+	const phone = normalizeToE164(message.from, defaultCountry);
+	const name = contact?.profile?.name || message.from;
+	const text = getMessageText(message);
+	const replyId = message.context?.id || null;
+
+	// Sem URL: o Chatwoot baixa pelo mediaId (GET /<media-id> na Graph API)
+	const media = message[message.type] || {};
+	const image = message.type === 'image' || message.type === 'sticker' ? {
+		imageUrl: '',
+		base64: '',
+		mediaId: media.id,
+		thumbnailUrl: '',
+		caption: media.caption || '',
+		mimeType: media.mime_type || 'image/jpeg',
+		width: 0,
+		height: 0
+	} : null;
+
+	const audio = message.type === 'audio' ? {
+		audioUrl: '',
+		base64: '',
+		mediaId: media.id,
+		mimeType: media.mime_type || 'audio/ogg',
+		ptt: media.voice || false,
+		seconds: 0,
+		viewOnce: false
+	} : null;
+
+	const document = message.type === 'document' ? {
+		documentUrl: '',
+		base64: '',
+		mediaId: media.id,
+		mimeType: media.mime_type || 'application/octet-stream',
+		caption: media.caption || '',
+		title: media.filename || '',
+		fileName: media.filename || 'Documento',
+		pageCount: 0
+	} : null;
+
+	const video = message.type === 'video' ? {
+		videoUrl: '',
+		base64: '',
+		mediaId: media.id,
+		caption: media.caption || '',
+		mimeType: media.mime_type || 'video/mp4',
+		width: 0,
+		height: 0,
+		seconds: 0,
+		viewOnce: false,
+		isGif: false
+	} : null;
+
+	// A Cloud API não notifica as mensagens enviadas pelo próprio número nem mensagens de grupo
+	return { phone, lid: null, jid: null, text, name, senderPhoto: null, image, audio, document, video, isGroup: false, fromMe: false, status: null, fromApi: false, messageId: message.id || null, replyId, origin: 'cloudapi', groupName: null, senderName: null };
+}
+
+/**
+ * Compara o token da verificação (ou a assinatura) em tempo constante
+ */
+function tokensMatch(received, expected) {
+	const bufferA = Buffer.from(String(received));
+	const bufferB = Buffer.from(String(expected));
+	return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+class CloudApiClient extends WhatsAppProviderClient {
+	constructor(config) {
+		super(config);
+		this.baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/$/, '');
+		this.phoneNumberId = config.phoneNumberId;
+		this.token = config.token;
+	}
+
+	getHttpClient(timeout = 30000) {
+		return this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'Authorization': `Bearer ${this.token}`,
+				'Content-Type': 'application/json'
+			},
+			timeout
+		});
+	}
+
+	/**
+	 * Envia à Graph API uma mídia recebida em base64 e retorna o id para uso no envio
+	 */
+	async uploadMedia(messageType, attachment) {
+		const mimeType = attachment.mimeType || UPLOAD_MIME_TYPES[messageType];
+		const formData = new FormData();
+		formData.append('messaging_product', 'whatsapp');
+		formData.append('type', mimeType);
+		formData.append('file', Buffer.from(attachment.base64, 'base64'), {
+			filename: attachment.fileName || `${messageType}.${mimeType.split('/')[1]}`,
+			contentType: mimeType
+		});
+
+		const client = this.getHttpClient(60000);
+		const { data } = await client.post(`/${this.phoneNumberId}/media`, formData, { headers: formData.getHeaders() });
+		if (!data?.id) {
+			throw new Error('Upload de mídia Cloud API sem id na resposta');
+		}
+		return data.id;
+	}
+
+	async send(phone, content, messageType = 'text', attachment = null, { jid = null, replyToMessageId = null } = {}) {
+		const client = this.getHttpClient();
+
+		// A Cloud API identifica o destinatário pelo número (wa_id), sem LID
+		const to = String(phone || jid || '').replace('@s.whatsapp.net', '').replace(/\D/g, '');
+		if (!to) {
+			throw new Error('Nenhum destinatário válido fornecido (phone ou jid)');
+		}
+
+		const payload = {
+			messaging_product: 'whatsapp',
+			recipient_type: 'individual',
+			to
+		};
+
+		switch (messageType) {
+		case 'audio':
+		case 'image':
+		case 'video':
+		case 'document': {
+			if (!attachment || (!attachment.url && !attachment.base64)) {
+				throw new Error(`Nenhum arquivo fornecido para ${messageType} (base64 ou url)`);
+			}
+			const media = attachment.url
+				? { link: attachment.url }
+				: { id: await this.uploadMedia(messageType, attachment) };
+			// Áudio não aceita legenda
+			if (messageType !== 'audio' && content && content.trim() !== '') {
+				media.caption = content;
+			}
+			if (messageType === 'document') {
+				media.filename = attachment.fileName || attachment.title || 'Documento';
+			}
+			payload.type = messageType;
+			payload[messageType] = media;
+			break;
+		}
+		default: // text
+			payload.type = 'text';
+			payload.text = { body: content, preview_url: false };
+			break;
+		}
+
+		if (replyToMessageId) {
+			payload.context = { message_id: replyToMessageId };
+		}
+
+		logger.debug(`Enviando via Cloud API (${messageType}) - Payload:`, payload);
+
+		const { data } = await client.post(`/${this.phoneNumberId}/messages`, payload);
+		return { api: 'cloudapi', result: data };
+	}
+
+	/**
+	 * Baixa uma mídia recebida: a Graph API devolve uma URL temporária que também exige o token
+	 */
+	async downloadMedia(mediaId, timeoutMs = 60000) {
+		const client = this.getHttpClient(timeoutMs);
+
+		logger.info(`Baixando mídia Cloud API para mediaId: ${mediaId}`);
+		const { data } = await client.get(`/${encodeURIComponent(mediaId)}`);
+		if (!data?.url) {
+			throw new Error(`URL da mídia ${mediaId} não retornada pela Cloud API`);
+		}
+
+		const response = await this.createClient({
+			headers: { 'Authorization': `Bearer ${this.token}` },
+			responseType: 'arraybuffer',
+			timeout: timeoutMs
+		}).get(data.url);
+		const base64 = Buffer.from(response.data).toString('base64');
+		logger.info(`Mídia Cloud API baixada com sucesso (${base64.length} caracteres)`);
+		return base64;
+	}
+
+	getStatusRequest() {
+		return { url: `/${this.phoneNumberId}`, headers: { 'Authorization': `Bearer ${this.token}` } };
+	}
+}
+
+export default defineProvider({
+	name: 'cloudapi',
+	label: 'Cloud API',
+	capabilities: { reply: true, mediaDownload: true },
+	envKeys: ['CLOUDAPI_PHONE_NUMBER_ID', 'CLOUDAPI_TOKEN', 'CLOUDAPI_VERIFY_TOKEN', 'CLOUDAPI_APP_SECRET', 'CLOUDAPI_BASE_URL'],
+
+	readConfig(getEnv) {
+		const phoneNumberId = getEnv('CLOUDAPI_PHONE_NUMBER_ID');
+		const token = getEnv('CLOUDAPI_TOKEN');
+		if (!phoneNumberId || !token) return null;
+		return {
+			phoneNumberId: String(phoneNumberId).trim(),
+			token,
+			verifyToken: getEnv('CLOUDAPI_VERIFY_TOKEN') || null,
+			appSecret: getEnv('CLOUDAPI_APP_SECRET') || null,
+			baseURL: getEnv('CLOUDAPI_BASE_URL') || DEFAULT_BASE_URL
+		};
+	},
+
+	detect: isCloudApiPayload,
+
+	splitPayload: splitCloudApiPayload,
+
+	parseEvent: parseCloudApiEvent,
+
+	parseMessage: parseCloudApiMessage,
+
+	// Apenas mensagens novas; status de entrega são ignorados
+	getDedupId(body) {
+		const message = isCloudApiPayload(body) ? getChangeValue(body)?.messages?.[0] : null;
+		return message?.id ? `cloudapi:message:${message.id}` : null;
+	},
+
+	getChatId(body) {
+		const value = isCloudApiPayload(body) ? getChangeValue(body) : null;
+		return value?.messages?.[0]?.from || value?.statuses?.[0]?.recipient_id || null;
+	},
+
+	getInstanceIdentifiers: (body) => [getChangeValue(body)?.metadata?.phone_number_id].filter(Boolean),
+
+	matchesInstance: (config, identifier) => String(config.phoneNumberId || '') === String(identifier),
+
+	// Handshake do cadastro do webhook: GET ?hub.mode=subscribe&hub.verify_token=...&hub.challenge=...
+	verifyWebhook(query, config) {
+		if (query?.['hub.mode'] !== 'subscribe' || !config?.verifyToken || !query?.['hub.verify_token']) {
+			return null;
+		}
+		return tokensMatch(query['hub.verify_token'], config.verifyToken) ? query['hub.challenge'] || null : null;
+	},
+
+	// Assinatura dos POSTs: X-Hub-Signature-256 = sha256=HMAC-SHA256(app secret, corpo bruto)
+	verifySignature(request, config) {
+		if (!config?.appSecret) {
+			return null;
+		}
+		const signature = request?.getHeader('x-hub-signature-256');
+		if (!signature || !request.rawBody) {
+			return false;
+		}
+		const expected = `sha256=${crypto.createHmac('sha256', config.appSecret).update(request.rawBody).digest('hex')}`;
+		return tokensMatch(signature, expected);
+	},
+
+	createClient: (config) => new CloudApiClient(config)
+});
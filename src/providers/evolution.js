@@ -0,0 +1,379 @@
+'use strict';
+
+import { defineProvider, normalizeBase64, WhatsAppProviderClient } from './whatsappProvider.js';
+import { normalizeToE164 } from '../utils/phone.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('evolution');
+
+// Evolution API (v2): eventos 'messages.upsert' (mensagens), 'messages.update' (estado e exclusões) e
+// 'messages.delete'. O nome do evento chega como 'messages.upsert' ou 'MESSAGES_UPSERT', conforme a configuração.
+// Com "Webhook Base64" ativo a mídia vem em data.message.base64; sem ele é baixada pela API
+
+function getEventName(body) {
+	return String(body?.event || '').toLowerCase().replace(/_/g, '.');
+}
+
+/**
+ * Tipo da mensagem (conversation, imageMessage...) e o conteúdo correspondente
+ */
+function getMessageContent(data) {
+	const message = data?.message || {};
+	const messageType = data?.messageType || Object.keys(message).find((key) => key !== 'messageContextInfo' && key !== 'base64') || null;
+	// Documento com legenda chega embrulhado em documentWithCaptionMessage
+	if (messageType === 'documentWithCaptionMessage') {
+		return { messageType: 'documentMessage', content: message.documentWithCaptionMessage?.message?.documentMessage || {} };
+	}
+	return { messageType, content: messageType ? message[messageType] : null };
+}
+
+function getProtocolMessage(data) {
+	return data?.message?.protocolMessage || null;
+}
+
+// O protocolMessage chega com o tipo em texto (REVOKE) ou numérico (0), conforme a versão
+function isRevoke(protocolMessage) {
+	return protocolMessage?.type === 'REVOKE' || protocolMessage?.type === 0;
+}
+
+function isEdit(protocolMessage) {
+	return !!protocolMessage?.editedMessage && (protocolMessage.type === 'MESSAGE_EDIT' || protocolMessage.type === 14);
+}
+
+/**
+ * Texto de uma mensagem (ou da nova versão de uma mensagem editada)
+ */
+function getText(message, content) {
+	return message?.conversation
+		|| message?.extendedTextMessage?.text
+		|| content?.caption
+		|| '';
+}
+
+/**
+ * Extrai dados do payload Evolution API (messages.upsert)
+ */
+function parseEvolutionMessage(body, { desconsiderarGrupo = true, defaultCountry = 'BR' } = {}) {
+	const data = body?.data;
+	const key = data?.key;
+	if (!key?.remoteJid) {
+		logger.warn('Payload Evolution API sem key.remoteJid');
+		return null;
+	}
+
+	const remoteJid = key.remoteJid;
+	const fromMe = key.fromMe || false;
+	const isGroup = remoteJid.endsWith('@g.us');
+	const messageId = key.id || null;
+	const status = data?.status || null;
+
+	// Mensagem editada: o texto novo vem no protocolMessage e referencia a mensagem original
+	const protocolMessage = getProtocolMessage(data);
+	const edited = isEdit(protocolMessage);
+	const message = edited ? protocolMessage.editedMessage : data?.message;
+	const { messageType, content } = edited ? getMessageContent({ message }) : getMessageContent(data);
+	const text = getText(message, content);
+	const editedMessageId = edited ? protocolMessage.key?.id || null : null;
+	const replyId = data?.contextInfo?.stanzaId || content?.contextInfo?.stanzaId || null;
+
+	let phone, lid, jid;
+	if (remoteJid.endsWith('@lid')) {
+		// Contato com LID: o número real vem em senderPn/remoteJidAlt (quando o WhatsApp informa)
+		lid = remoteJid;
+		const alternative = key.senderPn || key.remoteJidAlt || '';
+		phone = alternative ? normalizeToE164(alternative.replace('@s.whatsapp.net', ''), defaultCountry) : null;
+		jid = null;
+	} else if (isGroup) {
+		// Para grupos, usa o JID do grupo como identificador (ex: "120363378985956346@g.us")
+		phone = remoteJid;
+		lid = null;
+		jid = null;
+	} else {
+		jid = remoteJid;
+		phone = normalizeToE164(remoteJid.replace('@s.whatsapp.net', ''), defaultCountry);
+		lid = null;
+	}
+
+	// pushName é o nome de quem enviou: nas mensagens do agente é o nome do próprio número conectado
+	let name;
+	if (!fromMe) {
+		name = data?.pushName || remoteJid.replace('@s.whatsapp.net', '') || null;
+	} else {
+		name = remoteJid.replace('@s.whatsapp.net', '') || null;
+	}
+
+	let groupName = null;
+	if (isGroup) {
+		// O webhook não traz o assunto do grupo
+		groupName = remoteJid.replace('@g.us', '');
+
+		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
+		if (desconsiderarGrupo) {
+			logger.info(`Dados de Grupo Evolution API ${groupName}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
+			return { ignored: true, reason: 'group_disconsidered', origin: 'evolution', groupName };
+		}
+
+		logger.info(`Processando mensagem de grupo Evolution API: ${groupName}`);
+		name = !fromMe ? data?.pushName || groupName : groupName;
+	}
+
+	// Sem base64 no payload a URL (criptografada) força o download pela API (/chat/getBase64FromMediaMessage)
+	const base64 = normalizeBase64(data?.message?.base64 || '');
+
+	const image = messageType === 'imageMessage' ? {
+		imageUrl: base64 ? '' : content?.url || '',
+		base64,
+		thumbnailUrl: '',
+		caption: content?.caption || '',
+		mimeType: content?.mimetype || 'image/jpeg',
+		width: content?.width || 0,
+		height: content?.height || 0
+	} : null;
+
+	const audio = messageType === 'audioMessage' ? {
+		audioUrl: base64 ? '' : content?.url || '',
+		base64,
+		mimeType: content?.mimetype || 'audio/ogg',
+		ptt: content?.ptt || false,
+		seconds: content?.seconds || 0,
+		viewOnce: content?.viewOnce || false
+	} : null;
+
+	const document = messageType === 'documentMessage' ? {
+		documentUrl: base64 ? '' : content?.url || '',
+		base64,
+		mimeType: content?.mimetype || 'application/octet-stream',
+		caption: content?.caption || '',
+		title: content?.title || '',
+		fileName: content?.fileName || 'Documento',
+		pageCount: content?.pageCount || 0
+	} : null;
+
+	const video = messageType === 'videoMessage' ? {
+		videoUrl: base64 ? '' : content?.url || '',
+		base64,
+		caption: content?.caption || '',
+		mimeType: content?.mimetype || 'video/mp4',
+		width: content?.width || 0,
+		height: content?.height || 0,
+		seconds: content?.seconds || 0,
+		viewOnce: content?.viewOnce || false,
+		isGif: content?.gifPlayback || false
+	} : null;
+
+	// Para grupos, extrai o senderName para exibir na mensagem
+	const senderName = (isGroup && !fromMe) ? (data?.pushName || key.participant?.replace('@s.whatsapp.net', '') || null) : null;
+	return { phone, lid, jid, text, name, senderPhoto: null, image, audio, document, video, isGroup, fromMe, status, fromApi: false, messageId, replyId, origin: 'evolution', groupName, senderName, editedMessageId };
+}
+
+/**
+ * Classifica o webhook: mensagem, exclusão ou evento ignorado
+ */
+function parseEvolutionEvent(body) {
+	const event = getEventName(body);
+	const data = body?.data || {};
+
+	switch (event) {
+	case 'messages.upsert': {
+		const protocolMessage = getProtocolMessage(data);
+		if (isRevoke(protocolMessage)) {
+			return { type: 'delete', messageIds: [protocolMessage.key?.id].filter(Boolean) };
+		}
+		if (protocolMessage && !isEdit(protocolMessage)) {
+			return { type: 'ignore', reason: 'evolution_protocol_message_ignored' };
+		}
+		if (data.message?.reactionMessage) {
+			return { type: 'ignore', reason: 'evolution_reaction_ignored' };
+		}
+		return { type: 'message' };
+	}
+	case 'messages.update':
+		// data.messageId é o id interno da Evolution; o id do WhatsApp é o keyId
+		if (data.status === 'DELETED') {
+			return { type: 'delete', messageIds: [data.keyId || data.key?.id].filter(Boolean) };
+		}
+		return { type: 'ignore', reason: 'evolution_messages_update_non_deleted', status: data.status || null };
+	case 'messages.delete':
+		return { type: 'delete', messageIds: [data.key?.id || data.keyId || data.id].filter(Boolean) };
+	default:
+		return { type: 'ignore', reason: 'evolution_event_ignored', event: body?.event };
+	}
+}
+
+/**
+ * Destinatário no formato aceito pela Evolution API: JIDs (contato, grupo ou LID) como estão,
+ * telefones apenas com os dígitos
+ */
+function toEvolutionNumber(recipient) {
+	const value = String(recipient || '').trim();
+	return value.includes('@') ? value : value.replace(/\D/g, '');
+}
+
+class EvolutionClient extends WhatsAppProviderClient {
+	constructor(config) {
+		super(config);
+		this.baseURL = (config.baseURL || '').replace(/\/$/, '');
+		this.apiKey = config.apiKey;
+		this.instance = config.instance;
+		this.instancePath = encodeURIComponent(config.instance || '');
+	}
+
+	getHttpClient(timeout = 30000) {
+		return this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'apikey': this.apiKey,
+				'Content-Type': 'application/json'
+			},
+			timeout
+		});
+	}
+
+	async send(phone, content, messageType = 'text', attachment = null, { lid = null, jid = null, replyToMessageId = null } = {}) {
+		const client = this.getHttpClient();
+
+		const number = toEvolutionNumber(phone || jid || lid);
+		if (!number) {
+			throw new Error('Nenhum destinatário válido fornecido (phone, lid ou jid)');
+		}
+
+		let payload;
+		let endpoint;
+
+		switch (messageType) {
+		case 'audio':
+		case 'image':
+		case 'video':
+		case 'document': {
+			if (attachment) {
+				const media = attachment.url || attachment.base64 || '';
+				if (!media) {
+					throw new Error(`Nenhum arquivo fornecido para ${messageType} (base64 ou url)`);
+				}
+				if (messageType === 'audio') {
+					// Áudio vai como mensagem de voz (PTT)
+					payload = { number, audio: media };
+					endpoint = `/message/sendWhatsAppAudio/${this.instancePath}`;
+				} else {
+					payload = { number, mediatype: messageType, media };
+					if (content && content.trim() !== '') {
+						payload.caption = content;
+					}
+					if (messageType === 'document') {
+						payload.fileName = attachment.fileName || attachment.title || 'Documento';
+					}
+					endpoint = `/message/sendMedia/${this.instancePath}`;
+				}
+			}
+			break;
+		}
+		default: // text
+			payload = { number, text: content };
+			endpoint = `/message/sendText/${this.instancePath}`;
+			break;
+		}
+
+		if (!payload) {
+			throw new Error(`Nenhum anexo fornecido para ${messageType}`);
+		}
+		if (replyToMessageId) {
+			payload.quoted = { key: { id: replyToMessageId } };
+		}
+
+		logger.debug(`Enviando via Evolution API (${messageType}) - Payload:`, payload);
+
+		const { data } = await client.post(endpoint, payload);
+		return { api: 'evolution', result: data };
+	}
+
+	async deleteMessage(messageId, options = {}) {
+		const client = this.getHttpClient();
+
+		try {
+			const recipient = options?.recipient || '';
+			if (!recipient) {
+				throw new Error('Recipient (phone ou id do grupo) é obrigatório para deletar mensagem via Evolution API');
+			}
+
+			// Contatos precisam do JID completo; grupos e LIDs já chegam como JID
+			const number = toEvolutionNumber(recipient);
+			const remoteJid = number.includes('@') ? number : `${number}@s.whatsapp.net`;
+			const payload = {
+				id: messageId,
+				remoteJid,
+				fromMe: options?.owner !== false
+			};
+
+			logger.info(`Deletando mensagem Evolution API com messageId: ${messageId}, remoteJid: ${remoteJid}`);
+
+			const { data } = await client.delete(`/chat/deleteMessageForEveryone/${this.instancePath}`, { data: payload });
+
+			logger.debug('Mensagem deletada via Evolution API:', data);
+			return { api: 'evolution', result: data };
+		} catch (error) {
+			logger.error(`Erro ao deletar mensagem Evolution API com messageId ${messageId}:`, error?.response?.data || error?.message);
+			throw new Error(`Falha ao deletar mensagem Evolution API: ${error?.message}`);
+		}
+	}
+
+	/**
+	 * Baixa a mídia de uma mensagem recebida (webhook sem base64 traz apenas a URL criptografada do WhatsApp)
+	 */
+	async downloadMedia(messageId, timeoutMs = 60000) {
+		const client = this.getHttpClient(timeoutMs);
+
+		logger.info(`Baixando mídia Evolution API para messageId: ${messageId}`);
+		const { data } = await client.post(`/chat/getBase64FromMediaMessage/${this.instancePath}`, {
+			message: { key: { id: messageId } },
+			convertToMp4: false
+		});
+
+		const base64 = normalizeBase64(data?.base64 || '');
+		if (!base64) {
+			throw new Error('Mídia não disponível (base64 vazio)');
+		}
+		logger.info(`Mídia Evolution API baixada com sucesso (${base64.length} caracteres)`);
+		return base64;
+	}
+
+	getStatusRequest() {
+		return { url: `/instance/connectionState/${this.instancePath}`, headers: { 'apikey': this.apiKey } };
+	}
+}
+
+export default defineProvider({
+	name: 'evolution',
+	label: 'Evolution API',
+	capabilities: { reply: true, delete: true, mediaDownload: true, groups: true },
+	envKeys: ['EVOLUTION_BASE_URL', 'EVOLUTION_API_KEY', 'EVOLUTION_INSTANCE'],
+
+	readConfig(getEnv) {
+		const baseURL = getEnv('EVOLUTION_BASE_URL');
+		const apiKey = getEnv('EVOLUTION_API_KEY');
+		const instance = getEnv('EVOLUTION_INSTANCE');
+		return baseURL && apiKey && instance ? { baseURL, apiKey, instance } : null;
+	},
+
+	// Evolution API envia { event, instance, data } com o nome do evento em texto
+	detect: (body) => typeof body?.event === 'string' && typeof body?.instance === 'string' && !!body?.data,
+
+	parseEvent: parseEvolutionEvent,
+
+	parseMessage: parseEvolutionMessage,
+
+	// Apenas mensagens novas; atualizações e exclusões são idempotentes
+	getDedupId(body) {
+		if (getEventName(body) === 'messages.upsert' && body?.data?.key?.id) {
+			return `evolution:message:${body.data.key.id}`;
+		}
+		return null;
+	},
+
+	getChatId: (body) => body?.data?.key?.remoteJid || body?.data?.remoteJid || null,
+
+	getInstanceIdentifiers: (body) => [body?.instance].filter(Boolean),
+
+	matchesInstance: (config, identifier) => String(config.instance || '') === String(identifier),
+
+	createClient: (config) => new EvolutionClient(config)
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { defineProvider } from './whatsappProvider.js';
+import uazapi from './uazapi.js';
+import zapi from './zapi.js';
+import wuzapi from './wuzapi.js';
+import evolution from './evolution.js';
+import cloudapi from './cloudapi.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('providers');
+
+// Registro dos provedores WhatsApp. A ordem de registro define a precedência quando uma integração
+// tem variáveis de mais de um provedor (sem WHATSAPP_PROVIDER explícito) e a ordem de detecção dos payloads.
+// Adaptadores de terceiros: WHATSAPP_PROVIDER_MODULES=/caminho/adaptador.js,pacote-npm (export default do adaptador)
+
+const providers = new Map();
+
+/**
+ * Registra (ou substitui) um adaptador de provedor
+ * @param {object} adapter - Ver contrato em whatsappProvider.js
+ * @returns {object} Adaptador validado
+ */
+function registerProvider(adapter) {
+	const provider = defineProvider(adapter);
+	if (providers.has(provider.name)) {
+		logger.warn(`[Providers] Adaptador ${provider.name} substituído`);
+	}
+	providers.set(provider.name, provider);
+	return provider;
+}
+
+function getProvider(name) {
+	return providers.get(String(name || '').trim().toLowerCase()) || null;
+}
+
+function listProviders() {
+	return Array.from(providers.values());
+}
+
+/**
+ * Adaptador do provedor que enviou o payload (null quando nenhum reconhece)
+ */
+function detectProvider(body) {
+	return listProviders().find((provider) => provider.detect(body)) || null;
+}
+
+/**
+ * Detecta a origem do payload baseado na estrutura
+ * @returns {string} Nome do provedor ou 'unknown'
+ */
+function detectPayloadOrigin(body) {
+	return detectProvider(body)?.name || 'unknown';
+}
+
+/**
+ * Variáveis de ambiente (sem o sufixo _<id>) que identificam uma integração
+ */
+function getProviderEnvKeys() {
+	return listProviders().flatMap((provider) => provider.envKeys);
+}
+
+async function loadProviderModules(specifiers) {
+	for (const specifier of specifiers) {
+		const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+		const module = await import(isPath ? pathToFileURL(path.resolve(specifier)).href : specifier);
+		const adapters = [].concat(module.default || module.provider || []);
+		if (adapters.length === 0) {
+			throw new Error(`Módulo de provedor ${specifier} não exporta um adaptador (export default)`);
+		}
+		for (const adapter of adapters) {
+			const provider = registerProvider(adapter);
+			logger.info(`[Providers] Adaptador ${provider.name} carregado de ${specifier}`);
+		}
+	}
+}
+
+[uazapi, zapi, wuzapi, evolution, cloudapi].forEach(registerProvider);
+
+// Carregados antes de qualquer importador usar o registro (falha aqui impede o start)
+await loadProviderModules((process.env.WHATSAPP_PROVIDER_MODULES || '').split(',').map((value) => value.trim()).filter(Boolean));
+
+export {
+	registerProvider,
+	getProvider,
+	listProviders,
+	detectProvider,
+	detectPayloadOrigin,
+	getProviderEnvKeys
+};
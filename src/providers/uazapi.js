@@ -0,0 +1,410 @@
+'use strict';
+
+import { defineProvider, WhatsAppProviderClient } from './whatsappProvider.js';
+import { normalizeToE164 } from '../utils/phone.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('uazapi');
+
+// UAZAPI: eventos 'messages' (mensagens) e 'messages_update' (exclusões e atualizações de estado)
+
+function isDeletedEvent(body) {
+	return (body?.type === 'DeletedMessage' || body?.Type === 'DeletedMessage') &&
+		(body?.event?.Type === 'Deleted' || body?.state === 'Deleted');
+}
+
+function isMessagesUpdateEvent(body) {
+	return body?.EventType === 'messages_update' || body?.type === 'DeletedMessage' || body?.Type === 'DeletedMessage';
+}
+
+/**
+ * Extrai dados do payload UAZAPI
+ */
+function parseUazapiMessage(body, { desconsiderarGrupo = true, defaultCountry = 'BR' } = {}) {
+	const message = body?.message;
+	const chatData = body?.chat || {};
+
+	if (!message) {
+		logger.warn('Payload UAZAPI sem dados de mensagem');
+		return null;
+	}
+	// Extrai texto da mensagem
+	let text = '';
+	if (message?.content?.text) {
+		text = message.content.text;
+	} else if (message?.text) {
+		text = message.text;
+	}
+	const fromMe = message?.fromMe || false;
+	let rawPhone = message?.sender?.replace('@s.whatsapp.net', '') || message?.chatid?.replace('@s.whatsapp.net', '');
+	const chatContactName = chatData?.name 
+		|| chatData?.wa_name 
+		|| chatData?.wa_contactName 
+		|| body?.name 
+		|| null;
+	let name = '';
+	if(!fromMe){
+		name = message?.senderName || chatContactName || null;
+	}else{
+		rawPhone = message?.chatid?.replace('@s.whatsapp.net', '');
+		name = chatContactName || rawPhone || message?.senderName || null;
+	}
+	const isGroup = message?.isGroup || false;
+	const groupName = message?.groupName || body?.chat?.name || '';
+	const messageId = message?.messageid || message?.id || null;
+	const status = message?.status || null;
+	const fromApi = message?.wasSentByApi || false;
+	const replyId = body?.message?.content?.contextInfo?.stanzaID || null;
+	const editedMessageId = message?.edited || message?.editMessageId || null;
+	
+	// Verifica se é grupo
+	if (isGroup) {
+		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
+		if(desconsiderarGrupo){
+			logger.info(`Dados de Grupo UAZAPI ${groupName || 'Unknown'}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
+			return { ignored: true, reason: 'group_disconsidered', origin: 'uazapi', groupName };
+		}
+		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo usando wa_chatid como identificador
+		// Para grupos, usa wa_chatid do objeto chat como identificador (ex: "120363378985956346@g.us")
+		const waChatId = body?.chat?.wa_chatid || message?.chatid || null;
+		if (!waChatId) {
+			logger.warn(`Grupo UAZAPI sem wa_chatid: ${groupName}`);
+			return { phone: null, text, name: groupName || 'Grupo sem nome', senderPhoto: null, image: null, audio: null, document: null, video: null, isGroup, fromMe, status, fromApi, messageId, origin: 'uazapi', groupName, senderName: null };
+		}
+		logger.info(`Processando mensagem de grupo UAZAPI: ${groupName} (wa_chatid: ${waChatId})`);
+		// Para grupos, usa o wa_chatid como identificador ao invés do phone
+		rawPhone = waChatId;
+		// Atualiza o name para o nome do grupo (usado apenas para exibição no Chatwoot)
+		if(!fromMe){
+			name = message?.senderName || groupName || 'Grupo sem nome';
+		}else{
+			name = groupName || 'Grupo sem nome';
+		}
+	}
+	
+	// Para grupos, não normaliza o phone (usa o wa_chatid diretamente)
+	// Para contatos normais, normaliza o phone
+	const phone = isGroup ? rawPhone : normalizeToE164(rawPhone, defaultCountry);
+	
+	// Para grupos, extrai o senderName para exibir na mensagem
+	// Quando fromMe=false e é grupo, senderName é quem enviou a mensagem no grupo
+	const senderName = (isGroup && !fromMe) ? message?.senderName : null;
+
+	// Foto do contato (avatar)
+	const senderPhoto = chatData?.imagePreview 
+		|| chatData?.image 
+		|| chatData?.thumbnail
+		|| body?.imagePreview
+		|| body?.image
+		|| message?.senderProfilePic 
+		|| null;
+
+	// Extrai dados de imagem se presente
+	const image = message?.mediaType === 'image' || message?.messageType === 'ImageMessage' ? {
+		imageUrl: message?.content?.URL || '',
+		base64: '', // Será baixado via endpoint /message/download
+		thumbnailUrl: message?.content?.JPEGThumbnail || '',
+		caption: text || '',
+		mimeType: message?.content?.mimetype || 'image/jpeg',
+		width: message?.content?.width || 0,
+		height: message?.content?.height || 0
+	} : null;
+
+	// Extrai dados de áudio se presente
+	const audio = message?.mediaType === 'ptt' || message?.messageType === 'AudioMessage' ? {
+		audioUrl: message?.content?.URL || '',
+		base64: '', // Será baixado via endpoint /message/download
+		mimeType: message?.content?.mimetype || 'audio/ogg',
+		ptt: message?.content?.PTT || false,
+		seconds: message?.content?.seconds || 0,
+		viewOnce: false
+	} : null;
+	// Extrai dados de documento se presente
+	const document = message?.mediaType === 'document' || message?.messageType === 'DocumentMessage' ? {
+		documentUrl: message?.content?.URL || '',
+		base64: '', // Será baixado via endpoint /message/download
+		mimeType: message?.content?.mimetype || 'application/octet-stream',
+		caption: text || '',
+		title: message?.content?.title || '',
+		fileName: message?.content?.fileName || 'Documento',
+		pageCount: message?.content?.pageCount || 0
+	} : null;
+
+	// Extrai dados de vídeo se presente
+	const video = message?.mediaType === 'video' || message?.messageType === 'VideoMessage' ? {
+		videoUrl: message?.content?.URL || '',
+		base64: '', // Será baixado via endpoint /message/download
+		caption: text || '',
+		mimeType: message?.content?.mimetype || 'video/mp4',
+		width: message?.content?.width || 0,
+		height: message?.content?.height || 0,
+		seconds: message?.content?.seconds || 0,
+		viewOnce: message?.content?.viewOnce || false,
+		isGif: false
+	} : null;
+
+	return { phone, text, name, senderPhoto, image, audio, document, video, isGroup, fromMe, status, fromApi, messageId, replyId, origin: 'uazapi', groupName, senderName, editedMessageId };
+}
+
+class UazapiClient extends WhatsAppProviderClient {
+	constructor(config) {
+		super(config);
+		this.baseURL = (config.baseURL || '').replace(/\/$/, '');
+		this.token = config.token;
+		this.whatsappNumber = String(config.whatsappNumber || '').replace(/[^0-9]/g, '');
+	}
+
+	/**
+	 * Baixa a mídia de uma mensagem recebida (o webhook traz apenas a URL criptografada do WhatsApp)
+	 */
+	async downloadMedia(messageId, timeoutMs = 60000) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'token': this.token,
+				'Content-Type': 'application/json'
+			},
+			timeout: timeoutMs
+		});
+
+		const maxRetries = 5;
+		const retryDelay = 2000;
+		
+		for (let attempt = 1; attempt <= maxRetries; attempt++) {
+			try {
+				logger.info(`Tentativa ${attempt}/${maxRetries} - Baixando mídia UAZAPI para messageId: ${messageId}`);
+				const payload = {
+					id: messageId,
+					return_base64: true,
+					return_link: false
+				};
+
+				const { data } = await client.post('/message/download', payload);
+				const base64Data = data.base64Data || '';
+				
+				if (base64Data) {
+					logger.info(`Mídia UAZAPI baixada com sucesso (${base64Data.length} caracteres)`);
+					return base64Data;
+				} else {
+					throw new Error('Mídia ainda não disponível (base64Data vazio)');
+				}
+			} catch (error) {
+				const is404 = error?.response?.status === 404;
+				const is503 = error?.response?.status === 503;
+				const is502 = error?.response?.status === 502;
+				const isTimeout = error?.code === 'ECONNABORTED' || error?.message?.includes('timeout');
+				const isEmptyData = error?.message?.includes('não disponível') || error?.message?.includes('vazio');
+				const isLastAttempt = attempt === maxRetries;
+				
+				// Retry em caso de 404, 502, 503, timeout ou dados vazios
+				const shouldRetry = (is404 || is503 || is502 || isTimeout || isEmptyData) && !isLastAttempt;
+				
+				if (shouldRetry) {
+					logger.info(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Mídia ainda não processada. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
+					await new Promise(resolve => setTimeout(resolve, retryDelay));
+					continue;
+				}
+				
+				logger.error(`Erro ao baixar mídia UAZAPI para messageId ${messageId} (tentativa ${attempt}/${maxRetries}):`, error?.response?.data || error?.message);
+				
+				if (isLastAttempt) {
+					throw new Error(`Falha ao baixar mídia UAZAPI após ${maxRetries} tentativas: ${error?.message}`);
+				}
+			}
+		}
+	}
+
+	async send(phone, content, messageType = 'text', attachment = null, { replyToMessageId = null } = {}) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'token': this.token,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		let payload;
+		let endpoint;
+
+		switch (messageType) {
+		case 'audio': {
+			if (attachment) {
+				const audioData = attachment.url || attachment.base64 || '';
+				payload = {
+					number: phone,
+					type: 'ptt',
+					file: audioData
+				};
+				if (content && content.trim() !== '') {
+					payload.text = content;
+				}
+				if (replyToMessageId) {
+					payload.replyid = replyToMessageId;
+				}
+				endpoint = '/send/media';
+			}
+			break;
+		}
+		case 'image': {
+			if (attachment) {
+				const imageData = attachment.url || attachment.base64 || '';
+				payload = {
+					number: phone,
+					type: 'image',
+					file: imageData
+				};
+				if (content && content.trim() !== '') {
+					payload.text = content;
+				}
+				if (replyToMessageId) {
+					payload.replyid = replyToMessageId;
+				}
+				endpoint = '/send/media';
+			}
+			break;
+		}
+		case 'video': {
+			if (attachment) {
+				const videoData = attachment.url || attachment.base64 || '';
+				payload = {
+					number: phone,
+					type: 'video',
+					file: videoData
+				};
+				if (content && content.trim() !== '') {
+					payload.text = content;
+				}
+				if (replyToMessageId) {
+					payload.replyid = replyToMessageId;
+				}
+				endpoint = '/send/media';
+			}
+			break;
+		}
+		case 'document': {
+			if (attachment) {
+				const documentData = attachment.url || attachment.base64 || '';
+				payload = {
+					number: phone,
+					type: 'document',
+					file: documentData,
+					docName: attachment.fileName
+				};
+				if (content && content.trim() !== '') {
+					payload.text = content;
+				}
+				if (replyToMessageId) {
+					payload.replyid = replyToMessageId;
+				}
+				endpoint = '/send/media';
+			}
+			break;
+		}
+		default: // text
+			payload = {
+				number: phone,
+				text: content
+			};
+			if (replyToMessageId) {
+				payload.replyid = replyToMessageId;
+			}
+			endpoint = '/send/text';
+			break;
+		}
+
+		logger.debug(`Enviando via UAZAPI (${messageType}) - Payload:`, payload);
+
+		const { data } = await client.post(endpoint, payload);
+		
+		logger.debug('Resposta UAZAPI:', data);
+		return { api: 'uazapi', result: data };
+	}
+
+	async deleteMessage(messageId) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'token': this.token,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		try {
+			logger.info(`Deletando mensagem UAZAPI com messageId: ${messageId}`);
+			const payload = {
+				id: messageId
+			};
+
+			const { data } = await client.post('/message/delete', payload);
+			
+			logger.debug('Mensagem deletada via UAZAPI:', data);
+			return { api: 'uazapi', result: data };
+		} catch (error) {
+			logger.error(`Erro ao deletar mensagem UAZAPI com messageId ${messageId}:`, error?.response?.data || error?.message);
+			throw new Error(`Falha ao deletar mensagem UAZAPI: ${error?.message}`);
+		}
+	}
+
+	getStatusRequest() {
+		return { url: '/instance/status', headers: { 'token': this.token } };
+	}
+}
+
+export default defineProvider({
+	name: 'uazapi',
+	label: 'UAZAPI',
+	capabilities: { reply: true, delete: true, mediaDownload: true, groups: true },
+	envKeys: ['UAZAPI_BASE_URL', 'UAZAPI_TOKEN', 'UAZAPI_WHATSAPP'],
+
+	readConfig(getEnv) {
+		const baseURL = getEnv('UAZAPI_BASE_URL');
+		const token = getEnv('UAZAPI_TOKEN');
+		const whatsappNumber = getEnv('UAZAPI_WHATSAPP');
+		return baseURL && token && whatsappNumber
+			? { baseURL, token, whatsappNumber: String(whatsappNumber).replace(/[^0-9]/g, '') }
+			: null;
+	},
+
+	// UAZAPI tem estrutura diferente com 'message.content', 'message.sender'
+	detect: (body) => !!(body?.message?.content && body?.message?.sender) || isMessagesUpdateEvent(body),
+
+	parseEvent(body) {
+		if (isDeletedEvent(body)) {
+			const messageIds = body?.event?.MessageIDs;
+			return { type: 'delete', messageIds: Array.isArray(messageIds) ? messageIds.filter(Boolean) : [] };
+		}
+		if (isMessagesUpdateEvent(body)) {
+			return { type: 'ignore', reason: 'uazapi_messages_update_non_deleted', state: body?.state || null };
+		}
+		return { type: 'message' };
+	},
+
+	parseMessage: parseUazapiMessage,
+
+	// Apenas mensagens novas; atualizações e exclusões são idempotentes
+	getDedupId(body) {
+		if (body?.message?.messageid && (!body.EventType || body.EventType === 'messages')) {
+			return `uazapi:message:${body.message.messageid}`;
+		}
+		return null;
+	},
+
+	getChatId: (body) => body?.chat?.wa_chatid || body?.message?.chatid || null,
+
+	// Número conectado à instância (owner) ou, na falta dele, o chatid
+	getInstanceIdentifiers(body) {
+		const owner = body?.owner || body?.message?.owner;
+		if (owner) return [owner];
+		const chatId = body?.message?.chatid?.replace('@s.whatsapp.net', '');
+		return chatId ? [chatId] : [];
+	},
+
+	matchesInstance(config, identifier) {
+		const normalized = String(identifier).replace(/[^0-9]/g, '');
+		return !!normalized && String(config.whatsappNumber || '').replace(/[^0-9]/g, '') === normalized;
+	},
+
+	createClient: (config) => new UazapiClient(config)
+});
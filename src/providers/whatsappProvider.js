@@ -0,0 +1,206 @@
+'use strict';
+
+import axios from 'axios';
+import { instrumentHttpClient, recordMediaBytes } from '../utils/metrics.js';
+import { traceHttpClient } from '../utils/tracing.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('whatsappProvider');
+
+// Contrato dos adaptadores de provedor WhatsApp (um módulo por provedor em src/providers, registrados em index.js).
+// Entrada (webhook principal):
+// - detect(body): o payload é deste provedor
+// - parseEvent(body): { type: 'message' } | { type: 'delete', messageIds } | { type: 'ignore', reason }
+// - parseMessage(body, { desconsiderarGrupo, defaultCountry }): dados normalizados da mensagem
+// - getDedupId(body), getChatId(body), getInstanceIdentifiers(body): deduplicação, ordenação e roteamento
+// - splitPayload(body): webhooks com vários eventos viram um payload por evento (publicados separadamente)
+// - verifyWebhook(query, config): handshake GET do webhook; retorna o valor a responder ou null
+// - verifySignature({ rawBody, getHeader }, config): assinatura do POST do webhook; true/false, ou null quando
+//   o provedor não assina ou o segredo não está configurado (integração assinada não aceita o WEBHOOK_TOKEN)
+// Configuração e saída:
+// - envKeys / readConfig(getEnv): variáveis da integração (null quando o provedor não está configurado)
+// - matchesInstance(config, identifier): o identificador do payload pertence a esta integração
+// - createClient(config): instância de WhatsAppProviderClient (send, deleteMessage, downloadMedia, checkConnection)
+//   downloadMedia recebe o mediaId da mídia extraída, quando houver, ou o id da mensagem
+// - capabilities: recursos suportados pela API do provedor
+
+const DEFAULT_CAPABILITIES = {
+	reply: false,
+	delete: false,
+	mediaDownload: false,
+	groups: false
+};
+
+const REQUIRED_FUNCTIONS = ['detect', 'parseEvent', 'parseMessage', 'readConfig', 'createClient'];
+
+/**
+ * Valida o adaptador e completa os métodos opcionais
+ * @param {object} adapter
+ * @returns {object}
+ */
+function defineProvider(adapter) {
+	if (!adapter || typeof adapter.name !== 'string' || !/^[a-z0-9_-]+$/.test(adapter.name)) {
+		throw new Error('Adaptador de provedor inválido: name deve conter apenas [a-z0-9_-]');
+	}
+	const missing = REQUIRED_FUNCTIONS.filter((fn) => typeof adapter[fn] !== 'function');
+	if (missing.length > 0) {
+		throw new Error(`Adaptador de provedor ${adapter.name} incompleto: ${missing.join(', ')}`);
+	}
+
+	return Object.freeze({
+		label: adapter.name,
+		envKeys: [],
+		getDedupId: () => null,
+		getChatId: () => null,
+		getInstanceIdentifiers: () => [],
+		splitPayload: (body) => [body],
+		verifyWebhook: () => null,
+		verifySignature: () => null,
+		matchesInstance: () => false,
+		...adapter,
+		capabilities: Object.freeze({ ...DEFAULT_CAPABILITIES, ...adapter.capabilities })
+	});
+}
+
+/**
+ * Corrige base64 recebido em formato URL-safe, com espaços ou sem padding
+ */
+function normalizeBase64(value) {
+	if (!value) return value;
+	let b64 = value.replace(/\s+/g, '').replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
+	const pad = b64.length % 4;
+	if (pad) b64 += '='.repeat(4 - pad);
+	return b64;
+}
+
+/**
+ * Cliente da API de um provedor. Os adaptadores estendem esta classe e implementam o envio
+ */
+class WhatsAppProviderClient {
+	constructor(config) {
+		this.config = config;
+		this.provider = config.provider;
+		this.integrationId = config.id || null;
+	}
+
+	/**
+	 * Cliente HTTP da API do provedor com métricas de latência e erros e spans de tracing
+	 */
+	createClient(options) {
+		const labels = { service: this.provider, integrationId: this.integrationId };
+		return traceHttpClient(instrumentHttpClient(axios.create(options), labels), labels);
+	}
+
+	/**
+	 * Cliente HTTP para baixar mídias por URL (anexos do Chatwoot), com métricas e spans (service 'media')
+	 */
+	createMediaClient(options) {
+		const labels = { service: 'media', integrationId: this.integrationId };
+		return traceHttpClient(instrumentHttpClient(axios.create(options), labels), labels);
+	}
+
+	/**
+	 * Envia uma mensagem (texto ou uma mídia)
+	 * @param {string} recipient - Telefone, LID/JID ou id do grupo
+	 * @param {string} content - Texto ou legenda
+	 * @param {'text'|'image'|'audio'|'video'|'document'} messageType
+	 * @param {object|null} attachment - { url, base64, fileName, title }
+	 * @param {{lid?: string|null, jid?: string|null, replyToMessageId?: string|null}} options
+	 * @returns {Promise<{api: string, result: object}>}
+	 */
+	async send(_recipient, _content, _messageType, _attachment, _options) {
+		throw new Error(`Envio não implementado pelo provedor ${this.provider}`);
+	}
+
+	async deleteMessage(_messageId, _options) {
+		throw new Error(`Exclusão de mensagens não suportada pelo provedor ${this.provider}`);
+	}
+
+	async downloadMedia(_mediaRef, _timeoutMs) {
+		throw new Error(`Download de mídia não suportado pelo provedor ${this.provider}`);
+	}
+
+	/**
+	 * Requisição usada pelo health check ({ url, headers } relativo à baseURL) ou null quando não há
+	 */
+	getStatusRequest() {
+		return null;
+	}
+
+	/**
+	 * Verifica se a API do provedor responde e se a instância está acessível (usado pelo health check)
+	 * @returns {Promise<{reachable: boolean|null, ok: boolean, status: number|null, error: string|null}>}
+	 */
+	async checkConnection(timeoutMs = 5000) {
+		const request = this.getStatusRequest();
+		if (!request) {
+			return { reachable: null, ok: true, status: null, error: null };
+		}
+
+		try {
+			const response = await axios.get(`${this.baseURL}${request.url}`, {
+				headers: request.headers,
+				timeout: timeoutMs,
+				validateStatus: () => true
+			});
+			const ok = response.status >= 200 && response.status < 300;
+			return { reachable: true, ok, status: response.status, error: ok ? null : `HTTP ${response.status}` };
+		} catch (error) {
+			return { reachable: false, ok: false, status: null, error: error?.code || error?.message || 'erro_desconhecido' };
+		}
+	}
+
+	async urlToBase64(url, timeoutMs = 60000) {
+		const maxRetries = 5;
+		const retryDelay = 2000;
+
+		for (let attempt = 1; attempt <= maxRetries; attempt++) {
+			try {
+				logger.info(`Tentativa ${attempt}/${maxRetries} - Baixando arquivo de mídia da URL: ${url}`);
+				const resp = await this.createMediaClient({
+					responseType: 'arraybuffer',
+					timeout: timeoutMs
+				}).get(url);
+
+				// Verifica se a resposta tem dados
+				if (!resp.data || resp.data.length === 0) {
+					throw new Error('Arquivo ainda não disponível (resposta vazia)');
+				}
+
+				recordMediaBytes(this.integrationId, 'inbound', this.provider, resp.data.length);
+				const base64 = Buffer.from(resp.data).toString('base64');
+				logger.info(`Arquivo convertido para base64 com sucesso (${base64.length} caracteres)`);
+				return base64;
+			} catch (error) {
+				const is404 = error?.response?.status === 404;
+				const is503 = error?.response?.status === 503;
+				const is502 = error?.response?.status === 502;
+				const isTimeout = error?.code === 'ECONNABORTED' || error?.message?.includes('timeout');
+				const isEmptyData = error?.message?.includes('não disponível') || error?.message?.includes('vazia');
+				const isLastAttempt = attempt === maxRetries;
+
+				// Retry em caso de 404, 502, 503, timeout ou dados vazios
+				const shouldRetry = (is404 || is503 || is502 || isTimeout || isEmptyData) && !isLastAttempt;
+
+				if (shouldRetry) {
+					logger.info(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Arquivo ainda não processado. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
+					await new Promise(resolve => setTimeout(resolve, retryDelay));
+					continue;
+				}
+
+				logger.error(`Erro ao baixar arquivo da URL ${url} (tentativa ${attempt}/${maxRetries}):`, error?.message);
+
+				if (isLastAttempt) {
+					throw new Error(`Falha ao baixar arquivo da URL após ${maxRetries} tentativas: ${error?.message}`);
+				}
+			}
+		}
+	}
+}
+
+export {
+	DEFAULT_CAPABILITIES,
+	defineProvider,
+	normalizeBase64,
+	WhatsAppProviderClient
+};
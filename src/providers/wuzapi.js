@@ -0,0 +1,405 @@
+'use strict';
+
+import { defineProvider, normalizeBase64, WhatsAppProviderClient } from './whatsappProvider.js';
+import { normalizeToE164 } from '../utils/phone.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('wuzapi');
+
+// Wuzapi: apenas o evento Message (Subscribed Events: Message). As mídias chegam em base64 no payload
+
+/**
+ * Extrai dados do payload Wuzapi
+ */
+function parseWuzapiMessage(body, { desconsiderarGrupo = true, defaultCountry = 'BR' } = {}) {
+	const eventInfo = body?.event?.Info;
+	const eventMessage = body?.event?.Message;
+	
+	// Extrai o identificador do chat (pode ser LID ou JID)
+	const rawChatId = eventInfo?.Chat || '';
+	let phone, lid, jid;
+	
+	// Verifica se é LID (termina com @lid)
+	if (rawChatId.endsWith('@lid')) {
+		lid = rawChatId;
+		phone = null; // Não temos o número real
+		jid = null;
+	} else if (rawChatId.endsWith('@s.whatsapp.net')) {
+		// É JID, extrai o número
+		jid = rawChatId;
+		phone = normalizeToE164(rawChatId.replace('@s.whatsapp.net', ''), defaultCountry);
+		lid = null;
+	} else {
+		// Fallback: tenta normalizar como número
+		phone = rawChatId;
+		lid = null;
+		jid = null;
+	}
+	
+	// Extrai texto da mensagem
+	const text = eventMessage?.conversation || eventMessage?.extendedTextMessage?.text || eventMessage?.imageMessage?.caption || eventMessage?.videoMessage?.caption || eventMessage?.documentMessage?.caption || eventMessage?.audioMessage?.caption || '';
+	
+	// Verifica se é mensagem do agente
+	const fromMe = eventInfo?.IsFromMe || false;
+
+	// Extrai nome do remetente
+	let name = '';
+	if(!fromMe){
+		name = eventInfo?.PushName || eventInfo?.Sender?.replace('@s.whatsapp.net', '') || null;
+	}else{
+		name = 	rawChatId || null;
+	}
+	
+	// Verifica se é grupo
+	const isGroup = eventInfo?.IsGroup || false;
+	
+	// Extrai ID da mensagem
+	const messageId = eventInfo?.ID || null;
+	
+	// Para grupos, tenta extrair o nome do grupo
+	let groupName = null;
+	if(isGroup){
+		// Tenta obter o nome do grupo do payload (pode variar dependendo da API)
+		groupName = eventInfo?.GroupName || eventInfo?.ChatName || eventInfo?.Chat?.replace('@lid', '').replace('@g.us', '') || 'Grupo sem nome';
+		
+		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
+		if(desconsiderarGrupo){
+			logger.info(`Dados de Grupo Wuzapi ${groupName}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
+			return { ignored: true, reason: 'group_disconsidered', origin: 'wuzapi', groupName };		
+		}
+		
+		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo
+		logger.info(`Processando mensagem de grupo Wuzapi: ${groupName}`);
+		// Para grupos, usa o nome do grupo como identificador
+		// Se temos LID, mantém, senão usa o nome do grupo
+		if(!lid){
+			// Se não temos LID, usa o nome do grupo como identificador
+			phone = groupName;
+			lid = null;
+			jid = null;
+		}
+		// Atualiza o name para o nome do grupo
+		if(!fromMe){
+			name = eventInfo?.PushName || groupName;
+		}else{
+			name = groupName;
+		}
+	}
+	
+	// Extrai dados de imagem se presente
+	const image = eventMessage?.imageMessage ? {
+		imageUrl: '', // URL vazia para forçar uso do base64 no envio
+		base64: body.base64 || '',
+		thumbnailUrl: eventMessage.imageMessage.JPEGThumbnail || '',
+		caption: eventMessage.imageMessage.caption || '',
+		mimeType: eventMessage.imageMessage.mimetype || '',
+		width: eventMessage.imageMessage.width || 0,
+		height: eventMessage.imageMessage.height || 0
+	} : null;
+
+	if (image?.base64) {
+		image.base64 = normalizeBase64(image.base64);
+	}
+	
+	// Extrai dados de áudio se presente
+	const audio = eventMessage?.audioMessage ? {
+		audioUrl: '',
+		base64: body.base64 || '',
+		mimeType: eventMessage.audioMessage.mimetype || '',
+		ptt: eventMessage.audioMessage.ptt || false,
+		seconds: eventMessage.audioMessage.seconds || 0,
+		viewOnce: eventMessage.audioMessage.viewOnce || false
+	} : null;
+
+	if (audio?.base64) {
+		audio.base64 = normalizeBase64(audio.base64);
+	}
+	
+	// Extrai dados de documento se presente
+	const document = eventMessage?.documentMessage ? {
+		documentUrl: '',
+		base64: body.base64 || '',
+		mimeType: eventMessage.documentMessage.mimetype || '',
+		caption: eventMessage.documentMessage.caption || '',
+		title: eventMessage.documentMessage.title || '',
+		fileName: eventMessage.documentMessage.fileName || '',
+		pageCount: eventMessage.documentMessage.pageCount || 0
+	} : null;
+
+	if (document?.base64) {
+		document.base64 = normalizeBase64(document.base64);
+	}
+	
+	// Extrai dados de vídeo se presente
+	const video = eventMessage?.videoMessage ? {
+		videoUrl: '',
+		base64: body.base64 || '',
+		caption: eventMessage.videoMessage.caption || '',
+		mimeType: eventMessage.videoMessage.mimetype || '',
+		width: eventMessage.videoMessage.width || 0,
+		height: eventMessage.videoMessage.height || 0,
+		seconds: eventMessage.videoMessage.seconds || 0,
+		viewOnce: eventMessage.videoMessage.viewOnce || false,
+		isGif: eventMessage.videoMessage.isGif || false
+	} : null;
+
+	if (video?.base64) {
+		video.base64 = normalizeBase64(video.base64);
+	}
+	
+	// Para grupos, extrai o senderName para exibir na mensagem
+	const senderName = (isGroup && !fromMe) ? (eventInfo?.PushName || eventInfo?.Sender?.replace('@s.whatsapp.net', '')) : null;
+	return { phone, lid, jid, text, name, senderPhoto: null, image, audio, document, video, isGroup, fromMe, status: null, fromApi: false, messageId, origin: 'wuzapi', groupName, senderName };
+}
+
+class WuzapiClient extends WhatsAppProviderClient {
+	constructor(config) {
+		super(config);
+		this.baseURL = (config.baseURL || '').replace(/\/$/, '');
+		this.token = config.token;
+		this.userId = config.userId || null;
+		this.instanceName = config.instanceName || null;
+	}
+
+	async send(phone, content, messageType = 'text', attachment = null, { lid = null, jid = null, replyToMessageId = null } = {}) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'Token': `${this.token}`,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		const recipient = lid || jid || phone;
+		if (!recipient) {
+			throw new Error('Nenhum destinatário válido fornecido (phone, lid ou jid)');
+		}
+
+		let payload;
+		let endpoint;
+
+		switch (messageType) {
+		case 'audio': {
+			if (attachment) {
+				let audioBase64;
+				if (attachment.base64) {
+					audioBase64 = attachment.base64;
+				} else if (attachment.url) {
+					try {
+						audioBase64 = await this.urlToBase64(attachment.url);
+					} catch (error) {
+						logger.error('Erro ao baixar áudio para base64:', error.message);
+						throw new Error(`Falha ao processar áudio: ${error.message}`);
+					}
+				} else {
+					throw new Error('Nenhum arquivo de áudio fornecido (base64 ou url)');
+				}
+				
+				payload = {
+					Phone: recipient,
+					Audio: `data:audio/ogg;base64,${audioBase64}`
+				};
+				if (replyToMessageId) {
+					payload.ContextInfo = { 
+						StanzaId : replyToMessageId,
+						Participant : recipient
+					};
+				}
+				endpoint = '/chat/send/audio';
+			}
+			break;
+		}
+		case 'image': {
+			if (attachment) {
+				let imageBase64;
+				if (attachment.base64) {
+					imageBase64 = attachment.base64;
+				} else if (attachment.url) {
+					try {
+						imageBase64 = await this.urlToBase64(attachment.url);
+					} catch (error) {
+						logger.error('Erro ao baixar imagem para base64:', error.message);
+						throw new Error(`Falha ao processar imagem: ${error.message}`);
+					}
+				} else {
+					throw new Error('Nenhum arquivo de imagem fornecido (base64 ou url)');
+				}
+				
+				payload = {
+					Phone: recipient,
+					Image: `data:image/jpeg;base64,${imageBase64}`,
+					Caption: content || '',
+					Id: attachment.messageId || ''
+				};
+				if (replyToMessageId) {
+					payload.ContextInfo = { 
+						StanzaId : replyToMessageId,
+						Participant : recipient
+					};
+				}
+				endpoint = '/chat/send/image';
+			}
+			break;
+		}
+		case 'video': {
+			if (attachment) {
+				let videoBase64;
+				if (attachment.base64) {
+					videoBase64 = attachment.base64;
+				} else if (attachment.url) {
+					try {
+						videoBase64 = await this.urlToBase64(attachment.url);
+					} catch (error) {
+						logger.error('Erro ao baixar vídeo para base64:', error.message);
+						throw new Error(`Falha ao processar vídeo: ${error.message}`);
+					}
+				} else {
+					throw new Error('Nenhum arquivo de vídeo fornecido (base64 ou url)');
+				}
+				
+				payload = {
+					Phone: recipient,
+					Video: `data:video/mp4;base64,${videoBase64}`,
+					Caption: content || ''
+				};
+				if (replyToMessageId) {
+					payload.ContextInfo = { 
+						StanzaId : replyToMessageId,
+						Participant : recipient
+					};
+				}
+				endpoint = '/chat/send/video';
+			}
+			break;
+		}
+		case 'document': {
+			if (attachment) {
+				let documentBase64;
+				if (attachment.base64) {
+					documentBase64 = attachment.base64;
+				} else if (attachment.url) {
+					try {
+						documentBase64 = await this.urlToBase64(attachment.url);
+					} catch (error) {
+						logger.error('Erro ao baixar documento para base64:', error.message);
+						throw new Error(`Falha ao processar documento: ${error.message}`);
+					}
+				} else {
+					throw new Error('Nenhum arquivo de documento fornecido (base64 ou url)');
+				}
+				
+				payload = {
+					Phone: recipient,
+					Document: `data:application/octet-stream;base64,${documentBase64}`,
+					FileName: attachment.fileName || attachment.title || 'Documento'
+				};
+				if (replyToMessageId) {
+					payload.ContextInfo = { 
+						StanzaId : replyToMessageId,
+						Participant : recipient
+					};
+				}
+				endpoint = '/chat/send/document';
+			}
+			break;
+		}
+		default: // text
+			payload = {
+				Phone: recipient,
+				Body: content
+			};
+			if (replyToMessageId) {
+				payload.ContextInfo = { 
+					StanzaId : replyToMessageId,
+					Participant : recipient
+				};
+			}
+			endpoint = '/chat/send/text';
+			break;
+		}
+
+		const { data } = await client.post(endpoint, payload);
+		return { api: 'wuzapi', result: data };
+	}
+
+	async deleteMessage(messageId) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'Token': `${this.token}`,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		try {
+			logger.info(`Deletando mensagem Wuzapi com messageId: ${messageId}`);
+			const payload = {
+				MessageId: messageId
+			};
+
+			const { data } = await client.post('/chat/delete', payload);
+			
+			logger.debug('Mensagem deletada via Wuzapi:', data);
+			return { api: 'wuzapi', result: data };
+		} catch (error) {
+			logger.error(`Erro ao deletar mensagem Wuzapi com messageId ${messageId}:`, error?.response?.data || error?.message);
+			throw new Error(`Falha ao deletar mensagem Wuzapi: ${error?.message}`);
+		}
+	}
+
+	getStatusRequest() {
+		return { url: '/session/status', headers: { 'Token': `${this.token}` } };
+	}
+}
+
+export default defineProvider({
+	name: 'wuzapi',
+	label: 'Wuzapi',
+	capabilities: { reply: true, delete: true, groups: true },
+	envKeys: ['WUZAPI_BASE_URL', 'WUZAPI_TOKEN', 'WUZAPI_USER_ID', 'WUZAPI_INSTANCE'],
+
+	readConfig(getEnv) {
+		const baseURL = getEnv('WUZAPI_BASE_URL');
+		const token = getEnv('WUZAPI_TOKEN');
+		if (!baseURL || !token) return null;
+		return {
+			baseURL,
+			token,
+			userId: getEnv('WUZAPI_USER_ID') || null,
+			instanceName: getEnv('WUZAPI_INSTANCE') || null
+		};
+	},
+
+	// Wuzapi tem estrutura com 'event.Info', 'event.Message', 'type'
+	detect: (body) => !!(body?.event?.Info && body?.event?.Message && body?.type === 'Message'),
+
+	parseEvent: () => ({ type: 'message' }),
+
+	parseMessage: parseWuzapiMessage,
+
+	getDedupId(body) {
+		if (body?.type === 'Message' && body?.event?.Info?.ID) {
+			return `wuzapi:message:${body.event.Info.ID}`;
+		}
+		return null;
+	},
+
+	getChatId: (body) => body?.event?.Info?.Chat || null,
+
+	getInstanceIdentifiers: (body) => [
+		body?.userID || body?.userId || body?.user_id,
+		body?.instanceName || body?.instance_name || body?.instance
+	].filter(Boolean),
+
+	// O payload do Wuzapi traz o userID e o nome da instância, nunca a baseURL
+	matchesInstance(config, identifier) {
+		const normalized = String(identifier).toLowerCase();
+		return [config.userId, config.instanceName]
+			.filter(Boolean)
+			.some((value) => String(value).toLowerCase() === normalized);
+	},
+
+	createClient: (config) => new WuzapiClient(config)
+});
@@ -0,0 +1,345 @@
+'use strict';
+
+import { defineProvider, WhatsAppProviderClient } from './whatsappProvider.js';
+import { normalizeToE164 } from '../utils/phone.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('zapi');
+
+// Z-API: webhooks "Ao receber" (inclui as enviadas por mim) e notificações (ex.: REVOKE)
+
+/**
+ * Extrai dados do payload Z-API
+ */
+function parseZapiMessage(body, { desconsiderarGrupo = true, defaultCountry = 'BR' } = {}) {
+	const fromMe = body?.fromMe || false;
+	const fromApi = body?.fromApi || false;
+	let rawPhone = body?.phone;
+	const text = body?.text?.message || '';
+	const isGroup = body?.isGroup || null;
+	// Para grupos do Z-API, não salva o avatar no cadastro do contato
+	const senderPhoto = isGroup ? null : (body?.photo || body?.senderPhoto || null);
+	const status = body?.status || null;
+	const messageId = body?.messageId || null;
+	const replyId = body?.referenceMessageId;
+	// Para edições do Z-API, o messageId contém o ID da mensagem original que foi editada
+	const editedMessageId = (body?.isEdit === true && messageId) ? messageId : null;
+	// Se for uma edição, o editMessageId (se existir) contém o ID da nova mensagem editada
+	const newMessageId = (body?.isEdit === true && body?.editMessageId) ? body.editMessageId : messageId;
+	
+	let name = '';
+	let groupName = null;
+	
+	if(isGroup){
+		// Para grupos, extrai o nome do grupo para exibição
+		groupName = body?.chatName || 'Grupo sem nome';
+		if(!fromMe){
+			name = body?.senderName || groupName;		
+		}else{
+			name = groupName;
+		}
+		
+		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
+		if(desconsiderarGrupo){
+			logger.info(`Dados de Grupo ${groupName}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
+			return { ignored: true, reason: 'group_disconsidered', origin: 'zapi', groupName };
+		}
+		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo usando o phone do payload como identificador
+		logger.info(`Processando mensagem de grupo: ${groupName} (phone: ${body?.phone})`);
+		// Para grupos do Z-API, usa o phone do payload que vem no formato "*-group" (ex: "120363407124580783-group")
+		// O phone do payload já está no formato correto para ser usado como identifier
+		rawPhone = body?.phone || groupName; // Usa o phone do payload como identificador, fallback para nome do grupo
+	} else {
+		if(!fromMe){
+			name = body?.senderName || body?.chatName || rawPhone || null;		
+		}else{
+			name = 	body?.chatName || rawPhone || null;
+		}
+	}
+	// Extrai dados de imagem se presente
+	const image = body?.image ? {
+		imageUrl: body.image.imageUrl || '',
+		base64: body.image.base64 || '',
+		thumbnailUrl: body.image.thumbnailUrl,
+		caption: body.image.caption || '',
+		mimeType: body.image.mimeType,
+		width: body.image.width,
+		height: body.image.height
+	} : null;
+
+	// Extrai dados de áudio se presente
+	const audio = body?.audio ? {
+		audioUrl: body.audio.audioUrl || '',
+		base64: body.audio.base64 || '',
+		mimeType: body.audio.mimeType,
+		ptt: body.audio.ptt || false,
+		seconds: body.audio.seconds || 0,
+		viewOnce: body.audio.viewOnce || false
+	} : null;
+
+	// Extrai dados de documento se presente
+	const document = body?.document ? {
+		documentUrl: body.document.documentUrl || '',
+		base64: body.document.base64 || '',
+		mimeType: body.document.mimeType,
+		caption: body.document.caption || '',
+		title: body.document.title || '',
+		fileName: body.document.fileName || '',
+		pageCount: body.document.pageCount || 0
+	} : null;
+	// Extrai dados de vídeo se presente
+	const video = body?.video ? {
+		videoUrl: body.video.videoUrl || '',
+		base64: body.video.base64 || '',
+		caption: body.video.caption || '',
+		mimeType: body.video.mimeType,
+		width: body.video.width,
+		height: body.video.height,
+		seconds: body.video.seconds || 0,
+		viewOnce: body.video.viewOnce || false,
+		isGif: body.video.isGif || false
+	} : null;
+
+	// Para grupos, não normaliza o phone (usa o phone do payload que vem no formato "*-group")
+	// Para contatos normais, normaliza o phone para formato E.164
+	const phone = isGroup ? rawPhone : normalizeToE164(rawPhone, defaultCountry);
+	// Para grupos, extrai o senderName para exibir na mensagem
+	const senderName = (isGroup && !fromMe) ? body?.senderName : null;
+	// Se for uma edição, usa o newMessageId (ID da nova mensagem editada) para o mapeamento, senão usa o messageId normal
+	const finalMessageId = newMessageId || messageId;
+	return { phone, text, name, senderPhoto, image, audio, document, video, isGroup, fromMe, status, fromApi, messageId: finalMessageId, replyId, origin: 'zapi', groupName, senderName, editedMessageId };
+}
+
+class ZapiClient extends WhatsAppProviderClient {
+	constructor(config) {
+		super(config);
+		this.instance = config.instance;
+		this.token = config.token;
+		this.clientToken = config.clientToken;
+		this.baseURL = `https://api.z-api.io/instances/${this.instance}/token/${this.token}`;
+	}
+
+	async send(phone, content, messageType = 'text', attachment = null, { replyToMessageId = null } = {}) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'Client-Token': this.clientToken,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		let payload;
+		let endpoint;
+
+		switch (messageType) {
+		case 'audio':{
+			if(attachment && attachment.url){
+				payload = {
+					phone: phone,
+					audio: attachment.url,
+					message: content || ''
+				};
+			}else if(attachment && attachment.base64){
+				payload = {
+					phone: phone,
+					audio: `data:audio/mpeg;base64,${attachment.base64}`,
+					message: content || ''
+				};
+			}
+			if (replyToMessageId) {
+				payload.messageId = replyToMessageId;
+			}
+			endpoint = '/send-audio';
+			break;
+		}
+		case 'image': {
+			if(attachment && attachment.url){
+				payload = {
+					phone: phone,
+					image: attachment.url,
+					caption: content || ''
+				};
+			}else if(attachment && attachment.base64){
+				payload = {
+					phone: phone,
+					image: `data:image/png;base64,${attachment.base64}`,
+					caption: content || ''
+				};
+			}
+			if (replyToMessageId) {
+				payload.messageId = replyToMessageId;
+			}
+			endpoint = '/send-image';
+			break;
+		}
+		case 'video':{
+			if(attachment && attachment.url){
+				payload = {
+					phone: phone,
+					video: attachment.url,
+					caption: content || ''
+				};
+			}else if(attachment && attachment.base64){
+				payload = {
+					phone: phone,
+					video: `data:video/mp4;base64,${attachment.base64}`,
+					caption: content || ''
+				};
+			}
+			if (replyToMessageId) {
+				payload.messageId = replyToMessageId;
+			}
+			endpoint = '/send-video';
+			break;
+		}
+		case 'document': {
+			if (attachment) {
+				const documentData = attachment.url || attachment.base64 || '';
+				let extension = 'pdf';
+				
+				if (attachment.url) {
+					extension = new String(attachment.url).substring(attachment.url.lastIndexOf('.')+1);
+					payload = {
+						phone: phone,
+						document: documentData,
+						fileName: attachment.title || attachment.fileName || 'Documento',
+						message: content || ''
+					};
+				} else if(attachment.base64){
+					extension = attachment.fileName ? attachment.fileName.split('.').pop() : 'pdf';
+					payload = {
+						phone: phone,
+						document: `data:application/${extension};base64,${attachment.base64}`,
+						fileName: attachment.fileName || attachment.title || 'Documento',
+						message: content || ''
+					};
+				}
+				if (replyToMessageId) {
+					payload.messageId = replyToMessageId;
+				}
+				endpoint = `/send-document/${extension}`;
+			}
+			break;
+		}
+		default: // text
+			payload = {
+				phone: phone,
+				message: content
+			};
+			if (replyToMessageId) {
+				payload.messageId = replyToMessageId;
+			}
+			endpoint = '/send-text';
+			break;
+		}
+
+		const { data } = await client.post(endpoint, payload);
+		return { api: 'zapi', result: data };
+	}
+
+	async deleteMessage(messageId, options = {}) {
+		const client = this.createClient({
+			baseURL: this.baseURL,
+			headers: {
+				'Client-Token': this.clientToken,
+				'Content-Type': 'application/json'
+			},
+			timeout: 30000
+		});
+
+		try {
+			const recipient = options?.recipient || '';
+			const owner = options?.owner !== false; // padrão true
+
+			if (!recipient) {
+				throw new Error('Recipient (phone ou id do grupo) é obrigatório para deletar mensagem via Z-API');
+			}
+
+			let phoneParam = recipient;
+			if (recipient.endsWith('@g.us')) {
+				// Grupo do UAZAPI - mantém o formato completo
+				phoneParam = recipient;
+			} else if (recipient.endsWith('-group')) {
+				// Grupo do Z-API - mantém o formato "*-group" (ex: "120363407124580783-group")
+				phoneParam = recipient;
+			} else {
+				// Contato normal - remove caracteres não numéricos
+				const digitsOnly = recipient.replace(/\D/g, '');
+				if (!digitsOnly) {
+					throw new Error(`Recipient inválido para deleção via Z-API: ${recipient}`);
+				}
+				phoneParam = digitsOnly;
+			}
+
+			logger.info(`Deletando mensagem Z-API com messageId: ${messageId}, phone: ${phoneParam}, owner: ${owner}`);
+
+			
+			const params = {
+				messageId: messageId,
+				phone: phoneParam,
+				owner
+			};
+
+			logger.debug('Enviando payload de Mensagem deletada via Z-API:', params);
+
+			const { data } = await client.delete('/messages', { params });
+			
+			logger.debug('Mensagem deletada via Z-API:', data);
+			return { api: 'zapi', result: data };
+		} catch (error) {
+			logger.error(`Erro ao deletar mensagem Z-API com messageId ${messageId}:`, error?.response?.data || error?.message);
+			throw new Error(`Falha ao deletar mensagem Z-API: ${error?.message}`);
+		}
+	}
+
+	getStatusRequest() {
+		return { url: '/status', headers: { 'Client-Token': this.clientToken } };
+	}
+}
+
+export default defineProvider({
+	name: 'zapi',
+	label: 'Z-API',
+	capabilities: { reply: true, delete: true, groups: true },
+	envKeys: ['ZAPI_INSTANCIA', 'ZAPI_TOKEN_INSTANCIA', 'ZAPI_CLIENT_TOKEN', 'ZAPI_WEBHOOK_URL'],
+
+	readConfig(getEnv) {
+		const instance = getEnv('ZAPI_INSTANCIA');
+		const token = getEnv('ZAPI_TOKEN_INSTANCIA');
+		const clientToken = getEnv('ZAPI_CLIENT_TOKEN');
+		return instance && token && clientToken ? { instance, token, clientToken } : null;
+	},
+
+	// Z-API tem campos específicos como 'phone', 'text.message', 'senderName', 'image', 'audio', 'document', 'video'
+	detect: (body) => !!(body?.phone && body?.momment),
+
+	parseEvent(body) {
+		if (body?.notification === 'REVOKE') {
+			const messageId = body?.messageId || body?.message?.messageId || null;
+			return { type: 'delete', messageIds: messageId ? [messageId] : [] };
+		}
+		if (body?.notification) {
+			return { type: 'ignore', reason: 'zapi_notification_ignored', notification: body.notification };
+		}
+		return { type: 'message' };
+	},
+
+	parseMessage: parseZapiMessage,
+
+	// O momment diferencia eventos distintos da mesma mensagem (ex.: edição e revogação)
+	getDedupId(body) {
+		if (body?.phone && body?.momment && body?.messageId) {
+			return `zapi:${body.notification || body.type || 'message'}:${body.messageId}:${body.momment}`;
+		}
+		return null;
+	},
+
+	getChatId: (body) => body?.phone || null,
+
+	getInstanceIdentifiers: (body) => [body?.instanceId || body?.instance_id || body?.instance].filter(Boolean),
+
+	matchesInstance: (config, identifier) => config.instance === identifier,
+
+	createClient: (config) => new ZapiClient(config)
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+import { Router } from 'express';
+import { verifyAdminToken } from '../middleware/adminAuth.js';
+import { listDeadLetters, getDeadLetter, replayDeadLetter, replayDeadLetters, purgeDeadLetter, purgeDeadLetters } from '../services/deadLetterStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('admin');
+
+const router = Router();
+
+router.use(verifyAdminToken);
+
+/**
+ * Monta o filtro do DLQ a partir da query string ou do corpo da requisição
+ */
+function buildDeadLetterFilter(source = {}) {
+	const filter = {};
+	if (source.integrationId || source.integration_id) {
+		filter.integrationId = String(source.integrationId || source.integration_id);
+	}
+	if (source.subject) {
+		filter.subject = String(source.subject);
+	}
+	if (source.errorContains || source.error) {
+		filter.errorContains = String(source.errorContains || source.error);
+	}
+	if (Array.isArray(source.seqs)) {
+		filter.seqs = source.seqs;
+	}
+	return filter;
+}
+
+// Lista as entradas do DLQ com o motivo do erro
+router.get('/dlq', async (req, res) => {
+	try {
+		const limit = Math.min(Math.max(parseInt(req.query.limit || '100', 10) || 100, 1), 1000);
+		const result = await listDeadLetters(buildDeadLetterFilter(req.query), limit);
+		return res.status(200).json(result);
+	} catch (err) {
+		logger.error('Erro ao listar DLQ:', err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+// Mostra uma entrada do DLQ com o payload original
+router.get('/dlq/:seq', async (req, res) => {
+	try {
+		const entry = await getDeadLetter(req.params.seq);
+		if (!entry) {
+			return res.status(404).json({ error: 'not_found' });
+		}
+		return res.status(200).json(entry);
+	} catch (err) {
+		logger.error(`Erro ao obter entrada ${req.params.seq} do DLQ:`, err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+// Republica uma entrada do DLQ no subject original
+router.post('/dlq/:seq/replay', async (req, res) => {
+	try {
+		const result = await replayDeadLetter(req.params.seq);
+		if (!result) {
+			return res.status(404).json({ error: 'not_found' });
+		}
+		return res.status(200).json(result);
+	} catch (err) {
+		logger.error(`Erro ao republicar entrada ${req.params.seq} do DLQ:`, err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+// Republica um conjunto filtrado de entradas ou todas ({ "all": true })
+router.post('/dlq/replay', async (req, res) => {
+	try {
+		const body = req.body || {};
+		const filter = buildDeadLetterFilter(body);
+		if (Object.keys(filter).length === 0 && body.all !== true) {
+			return res.status(400).json({ error: 'filter_required', message: 'Informe um filtro (integrationId, subject, errorContains, seqs) ou "all": true' });
+		}
+		const result = await replayDeadLetters(filter);
+		return res.status(200).json(result);
+	} catch (err) {
+		logger.error('Erro ao republicar entradas do DLQ:', err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+// Remove uma entrada do DLQ (e as mídias mantidas para o replay)
+router.delete('/dlq/:seq', async (req, res) => {
+	try {
+		const result = await purgeDeadLetter(req.params.seq);
+		if (!result) {
+			return res.status(404).json({ error: 'not_found' });
+		}
+		return res.status(200).json(result);
+	} catch (err) {
+		logger.error(`Erro ao remover entrada ${req.params.seq} do DLQ:`, err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+// Remove um conjunto filtrado de entradas ou todas ({ "all": true })
+router.post('/dlq/purge', async (req, res) => {
+	try {
+		const body = req.body || {};
+		const filter = buildDeadLetterFilter(body);
+		if (Object.keys(filter).length === 0 && body.all !== true) {
+			return res.status(400).json({ error: 'filter_required', message: 'Informe um filtro (integrationId, subject, errorContains, seqs) ou "all": true' });
+		}
+		const result = await purgeDeadLetters(filter);
+		return res.status(200).json(result);
+	} catch (err) {
+		logger.error('Erro ao remover entradas do DLQ:', err?.message || err);
+		return res.status(500).json({ error: 'internal_error', message: err?.message });
+	}
+});
+
+export default router;
@@ -0,0 +1,77 @@
+'use strict';
+
+import { Router } from 'express';
+import { getAppReadiness, getConsumerHealth } from '../services/healthCheck.js';
+import { getQueueBackend, isLocalQueue } from '../services/localQueue.js';
+import { getNatsStatus } from '../nats/natsClient.js';
+import { createLogger } from '../utils/logger.js';
+import { isShuttingDown } from '../utils/shutdown.js';
+
+const logger = createLogger('health');
+
+/**
+ * Rotas de health do app HTTP (montadas em /health)
+ * - GET /health: resumo (compatível com o endpoint antigo)
+ * - GET /health/live: processo respondendo
+ * - GET /health/ready: NATS conectado, stream existente e round-trip de publicação (503 quando falha ou durante o desligamento)
+ */
+function createAppHealthRouter() {
+	const router = Router();
+
+	router.get('/', (req, res) => {
+		res.json({ status: 'ok', queue: getQueueBackend(), nats: isLocalQueue() ? null : getNatsStatus() });
+	});
+
+	router.get('/live', (req, res) => {
+		res.json({ status: 'ok' });
+	});
+
+	router.get('/ready', async (req, res) => {
+		if (isShuttingDown()) {
+			return res.status(503).json({ status: 'shutting_down' });
+		}
+		try {
+			const readiness = await getAppReadiness();
+			return res.status(readiness.ok ? 200 : 503).json({ status: readiness.ok ? 'ready' : 'not_ready', ...readiness });
+		} catch (err) {
+			logger.error('Erro ao verificar prontidão do app:', err?.message || err);
+			return res.status(503).json({ status: 'not_ready', error: err?.message });
+		}
+	});
+
+	return router;
+}
+
+/**
+ * Rotas de health do consumer (servidor HTTP próprio do consumer.js)
+ * - GET /health/live: processo respondendo
+ * - GET /health/ready e GET /health: consumers, mensagens pendentes e acesso ao Chatwoot/provedor
+ * @param {Function} getIntegrations - Retorna as integrações carregadas (vazio enquanto inicializa)
+ */
+function createConsumerHealthRouter(getIntegrations) {
+	const router = Router();
+
+	router.get('/health/live', (req, res) => {
+		res.json({ status: 'ok' });
+	});
+
+	router.get(['/health', '/health/ready'], async (req, res) => {
+		if (isShuttingDown()) {
+			return res.status(503).json({ ok: false, status: 'shutting_down' });
+		}
+		try {
+			const health = await getConsumerHealth(getIntegrations());
+			return res.status(health.ok ? 200 : 503).json(health);
+		} catch (err) {
+			logger.error('Erro ao verificar saúde do consumer:', err?.message || err);
+			return res.status(503).json({ ok: false, status: 'unhealthy', error: err?.message });
+		}
+	});
+
+	return router;
+}
+
+export {
+	createAppHealthRouter,
+	createConsumerHealthRouter
+};
@@ -1,67 +1,163 @@
 ﻿'use strict';
 
 import express, { Router } from 'express';
-import { getTicketStats } from '../utils/messageCache.js';
-import { publishWebhookPrincipal, publishWebhookCallback } from '../services/webhookPublisher.js';
+import { getEchoStats } from '../utils/echoGuard.js';
+import { publishOrSpool, getIngestSpoolStats } from '../services/ingestSpool.js';
+import { offloadPayloadMedia } from '../utils/mediaOffload.js';
+import { isNatsConnected, getNatsStatus } from '../nats/natsClient.js';
+import { isLocalQueue } from '../services/localQueue.js';
+import { detectProvider } from '../providers/index.js';
+import { recordWebhookReceived, recordWebhookQueued } from '../utils/metrics.js';
+import adminRouter from './admin.js';
+import { captureRawBody, verifyProviderWebhook, verifyProviderChallenge, verifyChatwootWebhook, getWebhookAuthStats } from '../middleware/webhookAuth.js';
+import { correlationId } from '../middleware/correlationId.js';
+import { createLogger, setLogContext } from '../utils/logger.js';
 
+const logger = createLogger('webhooks');
 const router = Router();
 
 // Configuração específica para webhooks com limite aumentado
-router.use(express.json({ limit: '500mb' }));
+router.use(express.json({ limit: '500mb', verify: captureRawBody }));
 router.use(express.urlencoded({ limit: '500mb', extended: true }));
+router.use(correlationId);
+
+/**
+ * Responde 503 quando a falha ocorreu com o NATS fora do ar, para que o provedor/Chatwoot reenvie depois
+ */
+function sendQueueError(res, err) {
+	if (!isLocalQueue() && !isNatsConnected()) {
+		const { status } = getNatsStatus();
+		res.set('Retry-After', '10');
+		return res.status(503).json({
+			error: 'queue_unavailable',
+			message: `NATS indisponível (${status}), tente novamente em instantes`
+		});
+	}
+	return res.status(500).json({ 
+		error: 'internal_error',
+		message: err?.message || 'Erro interno do servidor'
+	});
+}
+
+/**
+ * Enfileira mensagens recebidas dos provedores WhatsApp (Z-API, UAZAPI, Wuzapi...)
+ */
+async function handleWebhookPrincipal(req, res) {
+	const body = req.body?.body || req.body || {};
+	const integrationId = req.webhookIntegrationId || null;
+	const adapter = detectProvider(body);
+	const provider = adapter?.name || 'unknown';
+	setLogContext({ integrationId });
+	recordWebhookReceived('principal', provider, integrationId);
 
-// Webhook que recebe mensagens do Z-API, UAZAPI e Wuzapi
-router.post('/', async (req, res) => {
 	try {
-		const body = req.body?.body || req.body || {};
+		// Mídias em base64 (ex.: Wuzapi) vão para o Object Store: a mensagem no NATS leva só a referência
+		await offloadPayloadMedia(body);
 		
 		// Log do payload recebido para debug
-		console.log('Payload da API de whatsapp recebido:', JSON.stringify(body, null, 2));
+		logger.debug(`Payload da API de whatsapp recebido (integração: ${integrationId || 'não identificada'}):`, body);
 
-		console.log('Publicando em NATS...');
-		await publishWebhookPrincipal(body);
-		console.log('Requisição Enfileirada em NATS!');
-		return res.status(200).json({ accepted: true, queued: 'webhook.principal' });
+		logger.info('Publicando em NATS...');
+		// Webhooks com vários eventos (ex.: Cloud API) viram uma mensagem por evento (deduplicação e ordem por chat)
+		const payloads = adapter ? adapter.splitPayload(body) : [body];
+		let spooled = false;
+		for (const payload of payloads) {
+			const result = await publishOrSpool('principal', payload, { integrationId });
+			recordWebhookQueued('principal', provider, integrationId, result.spooled ? 'spooled' : (result.ack?.duplicate ? 'duplicate' : 'queued'));
+			spooled = spooled || result.spooled;
+		}
+		if (spooled) {
+			// NATS indisponível: a mensagem foi guardada em disco e será publicada quando a conexão voltar
+			return res.status(202).json({ accepted: true, spooled: true, queued: 'webhook.principal', integration_id: integrationId, correlation_id: req.correlationId });
+		}
+		logger.info('Requisição Enfileirada em NATS!');
+		return res.status(200).json({ accepted: true, queued: 'webhook.principal', integration_id: integrationId, correlation_id: req.correlationId });
 		
 	} catch (err) {
-		console.error('Erro no webhook Principal:', err?.response?.data || err?.message || err);
-		return res.status(500).json({ 
-			error: 'internal_error',
-			message: err?.message || 'Erro interno do servidor'
-		});
+		logger.error('Erro no webhook Principal:', err?.response?.data || err?.message || err);
+		recordWebhookQueued('principal', provider, integrationId, 'error');
+		return sendQueueError(res, err);
 	}
-});
+}
+
+/**
+ * Enfileira callbacks do Chatwoot para envio de mensagens no WhatsApp
+ */
+async function handleWebhookCallback(req, res) {
+	const body = req.body?.body || req.body || {};
+	const integrationId = req.webhookIntegrationId || null;
+	setLogContext({ integrationId });
+	recordWebhookReceived('callback', 'chatwoot', integrationId);
 
-// Webhook de callback do Chatwoot para enviar mensagens no WhatsApp
-router.post('/callback', async (req, res) => {
 	try {
-		const body = req.body?.body || req.body || {};
+		await offloadPayloadMedia(body);
 				
-		console.log('Callback do Chatwoot recebido:', JSON.stringify(body, null, 2));
+		logger.debug(`Callback do Chatwoot recebido (integração: ${integrationId || 'não identificada'}):`, body);
 		
-		console.log('Publicando callback em NATS...');
-		await publishWebhookCallback(body);
-		console.log('Callback Enfileirado em NATS!');
-		return res.status(200).json({ accepted: true, queued: 'webhook.callback' });
+		logger.info('Publicando callback em NATS...');
+		const { spooled, ack } = await publishOrSpool('callback', body, { integrationId });
+		recordWebhookQueued('callback', 'chatwoot', integrationId, spooled ? 'spooled' : (ack?.duplicate ? 'duplicate' : 'queued'));
+		if (spooled) {
+			return res.status(202).json({ accepted: true, spooled: true, queued: 'webhook.callback', integration_id: integrationId, correlation_id: req.correlationId });
+		}
+		logger.info('Callback Enfileirado em NATS!');
+		return res.status(200).json({ accepted: true, queued: 'webhook.callback', integration_id: integrationId, correlation_id: req.correlationId });
 		
 	} catch (err) {
-		console.error('Erro no callback do Chatwoot:', err?.response?.data || err?.message || err);
-		return res.status(500).json({ 
-			error: 'internal_error',
-			message: err?.message || 'Erro interno do servidor'
-		});
+		logger.error('Erro no callback do Chatwoot:', err?.response?.data || err?.message || err);
+		recordWebhookQueued('callback', 'chatwoot', integrationId, 'error');
+		return sendQueueError(res, err);
+	}
+}
+
+// Webhook que recebe mensagens dos provedores WhatsApp
+// URL compartilhada (legado): a integração é identificada pelo token ou pelo payload no consumer
+router.post('/', verifyProviderWebhook, handleWebhookPrincipal);
+
+// Webhook por integração: o id da integração acompanha a mensagem no NATS
+router.post('/in/:integrationId', verifyProviderWebhook, handleWebhookPrincipal);
+
+// Verificação do webhook no cadastro (GET com hub.challenge da Cloud API)
+router.get(['/', '/in/:integrationId'], verifyProviderChallenge);
+
+// Webhook de callback do Chatwoot para enviar mensagens no WhatsApp
+router.post('/callback', verifyChatwootWebhook, handleWebhookCallback);
+router.post('/callback/:integrationId', verifyChatwootWebhook, handleWebhookCallback);
+
+// Rota para verificar estatísticas da detecção de eco (mantém o caminho antigo /ticket-stats)
+router.get(['/echo-stats', '/ticket-stats'], async (req, res) => {
+	try {
+		const stats = await getEchoStats();
+		return res.status(200).json(stats);
+	} catch (err) {
+		logger.error('Erro ao obter estatísticas de detecção de eco:', err);
+		return res.status(500).json({ error: 'internal_error' });
+	}
+});
+
+// Rota para verificar o spool de ingestão (mensagens aguardando o NATS voltar)
+router.get('/spool-stats', async (req, res) => {
+	try {
+		const stats = await getIngestSpoolStats();
+		return res.status(200).json(stats);
+	} catch (err) {
+		logger.error('Erro ao obter estatísticas do spool de ingestão:', err);
+		return res.status(500).json({ error: 'internal_error' });
 	}
 });
 
-// Rota para verificar estatísticas dos tickets
-router.get('/ticket-stats', (req, res) => {
+// Rota para verificar requisições de webhook rejeitadas na autenticação
+router.get('/auth-stats', (req, res) => {
 	try {
-		const stats = getTicketStats();
+		const stats = getWebhookAuthStats();
 		return res.status(200).json(stats);
 	} catch (err) {
-		console.error('Erro ao obter estatísticas dos tickets:', err);
+		logger.error('Erro ao obter estatísticas de autenticação dos webhooks:', err);
 		return res.status(500).json({ error: 'internal_error' });
 	}
 });
 
+// Rotas administrativas (DLQ), protegidas por ADMIN_TOKEN
+router.use('/admin', adminRouter);
+
 export default router;
@@ -5,19 +5,27 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import FormData from 'form-data';
 import { storeMessageIdMapping } from '../utils/messageCache.js';
+import { getSharedState, encodeStateKey, withLock } from '../utils/sharedState.js';
+import { instrumentHttpClient, recordMediaBytes } from '../utils/metrics.js';
+import { traceHttpClient } from '../utils/tracing.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('chatwoot');
 
 export class ChatwootService {
 	constructor(config) {
 		this.baseURL = (config.baseURL || '').replace(/\/$/, '');
 		this.webhookBaseURL = (config.webhookBaseURL || '').replace(/\/$/, '');
 		this.webhookName = config.webhookName || 'wootrico';
+		this.integrationId = config.id || null;
 		this.apiToken = config.apiToken;
 		this.accountId = String(config.accountId);
 		this.inboxName = config.inboxName || 'Wootrico';
 		this.dataFilePath = config.dataFilePath || '/app/data/app-data.json';
 		this.reabrirConversa = config.reabrirConversa !== false;
 		this.inboxId = null;
-		this.downloadUazapiMediaFn = config.downloadUazapiMediaFn || null;
+		// Download da mídia pela API do provedor (webhooks que trazem só a referência, ex.: UAZAPI)
+		this.downloadMediaFn = config.downloadMediaFn || null;
 		// Throttling para evitar sobrecarga do Chatwoot com múltiplas requisições de mídia
 		this.lastMediaSendTime = 0;
 		this.mediaSendDelay = parseInt(process.env.CHATWOOT_MEDIA_DELAY_MS || '1000', 10); // Delay padrão de 1 segundo entre envios de mídia
@@ -27,11 +35,11 @@ export class ChatwootService {
 		this.conversationStatus = validStatuses.includes(statusRaw.toLowerCase()) ? statusRaw.toLowerCase() : 'open';
 	}
 
-	setDownloadUazapiMediaFn(fn) {
+	setDownloadMediaFn(fn) {
 		if (typeof fn === 'function') {
-			this.downloadUazapiMediaFn = fn;
+			this.downloadMediaFn = fn;
 		} else {
-			this.downloadUazapiMediaFn = null;
+			this.downloadMediaFn = null;
 		}
 	}
 
@@ -45,7 +53,7 @@ export class ChatwootService {
 		
 		if (timeSinceLastSend < this.mediaSendDelay) {
 			const waitTime = this.mediaSendDelay - timeSinceLastSend;
-			console.log(`[throttleMediaSend] Aguardando ${waitTime}ms antes de enviar próxima mídia ao Chatwoot`);
+			logger.info(`[throttleMediaSend] Aguardando ${waitTime}ms antes de enviar próxima mídia ao Chatwoot`);
 			await new Promise(resolve => setTimeout(resolve, waitTime));
 		}
 		
@@ -63,8 +71,8 @@ export class ChatwootService {
 	async downloadMediaWithRetry(url, timeoutMs = 30000, maxRetries = 5, retryDelay = 2000) {
 		for (let attempt = 1; attempt <= maxRetries; attempt++) {
 			try {
-				console.log(`Tentativa ${attempt}/${maxRetries} - Baixando mídia da URL: ${url}`);
-				const response = await axios.get(url, { 
+				logger.info(`Tentativa ${attempt}/${maxRetries} - Baixando mídia da URL: ${url}`);
+				const response = await this.getMediaClient().get(url, { 
 					responseType: 'arraybuffer',
 					timeout: timeoutMs
 				});
@@ -74,7 +82,7 @@ export class ChatwootService {
 					throw new Error('Arquivo ainda não disponível (resposta vazia)');
 				}
 				
-				console.log(`Mídia baixada com sucesso (${response.data.length} bytes)`);
+				logger.info(`Mídia baixada com sucesso (${response.data.length} bytes)`);
 				return response.data;
 			} catch (error) {
 				const is404 = error?.response?.status === 404;
@@ -88,12 +96,12 @@ export class ChatwootService {
 				const shouldRetry = (is404 || is503 || is502 || isTimeout || isEmptyData) && !isLastAttempt;
 				
 				if (shouldRetry) {
-					console.log(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Arquivo ainda não processado. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
+					logger.info(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Arquivo ainda não processado. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
 					await new Promise(resolve => setTimeout(resolve, retryDelay));
 					continue;
 				}
 				
-				console.error(`Erro ao baixar mídia da URL ${url} (tentativa ${attempt}/${maxRetries}):`, error?.message);
+				logger.error(`Erro ao baixar mídia da URL ${url} (tentativa ${attempt}/${maxRetries}):`, error?.message);
 				
 				if (isLastAttempt) {
 					throw new Error(`Falha ao baixar mídia da URL após ${maxRetries} tentativas: ${error?.message}`);
@@ -106,11 +114,37 @@ export class ChatwootService {
 		if (!this.baseURL || !this.apiToken || !this.accountId) {
 			throw new Error('Variáveis do Chatwoot ausentes (BASE_URL, API_TOKEN, ACCOUNT_ID)');
 		}
-		return axios.create({
+		const labels = { service: 'chatwoot', integrationId: this.integrationId };
+		return traceHttpClient(instrumentHttpClient(axios.create({
 			baseURL: this.baseURL,
 			headers: { 'api_access_token': this.apiToken },
 			timeout: 15000
-		});
+		}), labels), labels);
+	}
+
+	/**
+	 * Cliente HTTP para baixar mídias e avatares por URL, com métricas e spans (service 'media')
+	 */
+	getMediaClient() {
+		const labels = { service: 'media', integrationId: this.integrationId };
+		return traceHttpClient(instrumentHttpClient(axios.create(), labels), labels);
+	}
+
+	/**
+	 * Verifica se o Chatwoot responde e se o token acessa a inbox da integração (usado pelo health check)
+	 * @returns {Promise<{reachable: boolean, ok: boolean, status: number|null, error: string|null}>}
+	 */
+	async checkConnection(timeoutMs = 5000) {
+		try {
+			const inboxPath = this.inboxId
+				? `/api/v1/accounts/${this.accountId}/inboxes/${this.inboxId}`
+				: `/api/v1/accounts/${this.accountId}/inboxes`;
+			const response = await this.getClient().get(inboxPath, { timeout: timeoutMs, validateStatus: () => true });
+			const ok = response.status >= 200 && response.status < 300;
+			return { reachable: true, ok, status: response.status, error: ok ? null : `HTTP ${response.status}` };
+		} catch (error) {
+			return { reachable: false, ok: false, status: null, error: error?.code || error?.message || 'erro_desconhecido' };
+		}
 	}
 
 	async ensureDirectoryFor(filePath) {
@@ -118,7 +152,24 @@ export class ChatwootService {
 		await fs.mkdir(dir, { recursive: true });
 	}
 
+	/**
+	 * Chave do inbox id no estado compartilhado (mesma conta e nome de inbox = mesma inbox)
+	 */
+	getInboxStateKey() {
+		return `inbox.${encodeStateKey(`${this.accountId}/${this.inboxName || 'Wootrico'}`)}`;
+	}
+
 	async readStoredInboxId() {
+		try {
+			const state = await getSharedState();
+			const sharedId = await state.get(this.getInboxStateKey());
+			if (sharedId) {
+				return String(sharedId);
+			}
+		} catch (error) {
+			logger.warn('Chatwoot: falha ao ler inbox id do estado compartilhado:', error?.message || error);
+		}
+
 		try {
 			const content = await fs.readFile(this.dataFilePath, 'utf8');
 			const json = JSON.parse(content || '{}');
@@ -129,6 +180,13 @@ export class ChatwootService {
 	}
 
 	async writeStoredInboxId(inboxId, extra = {}) {
+		try {
+			const state = await getSharedState();
+			await state.put(this.getInboxStateKey(), String(inboxId));
+		} catch (error) {
+			logger.warn('Chatwoot: falha ao gravar inbox id no estado compartilhado:', error?.message || error);
+		}
+
 		await this.ensureDirectoryFor(this.dataFilePath);
 		const payload = {
 			inboxId: String(inboxId),
@@ -157,14 +215,31 @@ export class ChatwootService {
 			name,
 			channel: { 
 				type: 'api',
-				webhook_url : `${this.webhookBaseURL}/${this.webhookName}/callback`
+				webhook_url : this.getCallbackUrl()
 			},
 			allow_messages_after_resolved: this.reabrirConversa
 		});	
 		return data;
 	}
 
+	/**
+	 * URL de callback da inbox: por integração quando o id é conhecido, senão a URL compartilhada
+	 * @returns {string}
+	 */
+	getCallbackUrl() {
+		const callbackPath = `${this.webhookBaseURL}/${this.webhookName}/callback`;
+		return this.integrationId ? `${callbackPath}/${this.integrationId}` : callbackPath;
+	}
+
+	/**
+	 * Garante a inbox da integração. Com várias réplicas, o lock impede que mais de uma crie a inbox:
+	 * as demais aguardam e reutilizam o id gravado no estado compartilhado
+	 */
 	async ensureInbox() {
+		return await withLock(`inbox:${this.accountId}/${this.inboxName || 'Wootrico'}`, () => this.resolveInbox());
+	}
+
+	async resolveInbox() {
 		const client = this.getClient();
 		const inboxName = this.inboxName || 'Wootrico';
 
@@ -180,17 +255,17 @@ export class ChatwootService {
 					if (existing?.id) {
 						await this.writeStoredInboxId(existing.id, { inboxName });
 						this.inboxId = String(existing.id);
-						console.log(`Chatwoot: inbox '${inboxName}' encontrada. id=${existing.id}`);
+						logger.info(`Chatwoot: inbox '${inboxName}' encontrada. id=${existing.id}`);
 						return String(existing.id);
 					}
 				} else {
 					const id = inbox?.id || inbox?.data?.id || storedId;
 					this.inboxId = String(id);
-					console.log(`Chatwoot: usando inbox existente id=${id} (via arquivo de dados)`);
+					logger.info(`Chatwoot: usando inbox existente id=${id} (via arquivo de dados)`);
 					return String(id);
 				}
 			} catch (err) {
-				console.warn(`Chatwoot: inbox id=${storedId} do arquivo não encontrada. Será recriada.`, err?.response?.status || err?.message);
+				logger.warn(`Chatwoot: inbox id=${storedId} do arquivo não encontrada. Será recriada.`, err?.response?.status || err?.message);
 			}
 		}
 
@@ -201,11 +276,11 @@ export class ChatwootService {
 				if (existing?.id) {
 					await this.writeStoredInboxId(existing.id, { inboxName });
 					this.inboxId = String(existing.id);
-					console.log(`Chatwoot: inbox '${inboxName}' encontrada. id=${existing.id}`);
+					logger.info(`Chatwoot: inbox '${inboxName}' encontrada. id=${existing.id}`);
 					return String(existing.id);
 				}
 			} catch (err) {
-				console.warn('Chatwoot: falha ao buscar inbox por nome. Prosseguindo para criação.', err?.response?.status || err?.message);
+				logger.warn('Chatwoot: falha ao buscar inbox por nome. Prosseguindo para criação.', err?.response?.status || err?.message);
 			}
 		}
 
@@ -218,7 +293,7 @@ export class ChatwootService {
 		}
 		await this.writeStoredInboxId(createdId, { inboxName: nameForCreation });
 		this.inboxId = String(createdId);
-		console.log(`Chatwoot: inbox criada '${nameForCreation}' id=${createdId}`);
+		logger.info(`Chatwoot: inbox criada '${nameForCreation}' id=${createdId}`);
 		return String(createdId);
 	}
 
@@ -226,7 +301,7 @@ export class ChatwootService {
 		try {
 			// Se temos LID ou JID, busca por eles primeiro
 			if (lid) {
-				console.log(`Procurando contato pelo LID: ${lid}`);
+				logger.info(`Procurando contato pelo LID: ${lid}`);
 				const { data } = await client.get(`/api/v1/accounts/${this.accountId}/contacts/search?q=${encodeURIComponent(lid)}`);
 				const contacts = Array.isArray(data) ? data : (data?.payload || []);
 				const contact = contacts.find(c => c?.identifier === lid) || null;
@@ -234,7 +309,7 @@ export class ChatwootService {
 			}
 			
 			if (jid) {
-				console.log(`Procurando contato pelo JID: ${jid}`);
+				logger.info(`Procurando contato pelo JID: ${jid}`);
 				const { data } = await client.get(`/api/v1/accounts/${this.accountId}/contacts/search?q=${encodeURIComponent(jid)}`);
 				const contacts = Array.isArray(data) ? data : (data?.payload || []);
 				const contact = contacts.find(c => c?.identifier === jid) || null;
@@ -243,7 +318,7 @@ export class ChatwootService {
 			
 			// Se temos phone, busca por ele
 			if (phone) {
-				console.log(`Procurando contato pelo phone: ${phone}`);
+				logger.info(`Procurando contato pelo phone: ${phone}`);
 				const { data } = await client.get(`/api/v1/accounts/${this.accountId}/contacts/search?q=${encodeURIComponent(phone)}`);
 				const contacts = Array.isArray(data) ? data : (data?.payload || []);
 				// Se phone é um número válido E.164, busca por phone_number
@@ -281,7 +356,7 @@ export class ChatwootService {
 			throw new Error('Nenhum identificador válido fornecido (phone, lid ou jid)');
 		}
 		
-		console.log(`Criando Contato com nome ${contactName} identificador ${identifier} e avatar ${senderPhoto}`);
+		logger.info(`Criando Contato com nome ${contactName} identificador ${identifier} e avatar ${senderPhoto}`);
 		
 		const contactData = {
 			name: contactName,
@@ -319,7 +394,7 @@ export class ChatwootService {
 					({ data } = await client.post(`/api/v1/accounts/${this.accountId}/contacts`, contactData));
 				}
 			} catch (error) {
-				console.warn(`Falha ao baixar/enviar avatar do contato (${identifier}). Prosseguindo sem avatar.`, error?.message || error);
+				logger.warn(`Falha ao baixar/enviar avatar do contato (${identifier}). Prosseguindo sem avatar.`, error?.message || error);
 				({ data } = await client.post(`/api/v1/accounts/${this.accountId}/contacts`, contactData));
 			}
 		} else {
@@ -335,8 +410,8 @@ export class ChatwootService {
 		
 		for (let attempt = 1; attempt <= maxRetries; attempt++) {
 			try {
-				console.log(`Tentativa ${attempt}/${maxRetries} - Baixando avatar da URL: ${url}`);
-				const response = await axios.get(url, {
+				logger.info(`Tentativa ${attempt}/${maxRetries} - Baixando avatar da URL: ${url}`);
+				const response = await this.getMediaClient().get(url, {
 					responseType: 'arraybuffer',
 					timeout: 15000,
 					headers: {
@@ -363,7 +438,7 @@ export class ChatwootService {
 					// Ignora erros de URL e mantém filename padrão
 				}
 				
-				console.log(`Avatar baixado com sucesso (${response.data.length} bytes)`);
+				logger.info(`Avatar baixado com sucesso (${response.data.length} bytes)`);
 				return {
 					buffer: Buffer.from(response.data),
 					contentType,
@@ -381,15 +456,15 @@ export class ChatwootService {
 				const shouldRetry = (is404 || is503 || is502 || isTimeout || isEmptyData) && !isLastAttempt;
 				
 				if (shouldRetry) {
-					console.log(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Avatar ainda não processado. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
+					logger.info(`Erro na tentativa ${attempt} (${error?.response?.status || error?.message}) - Avatar ainda não processado. Aguardando ${retryDelay}ms antes da próxima tentativa...`);
 					await new Promise(resolve => setTimeout(resolve, retryDelay));
 					continue;
 				}
 				
-				console.warn(`Erro ao baixar avatar da URL ${url} (tentativa ${attempt}/${maxRetries}):`, error?.message);
+				logger.warn(`Erro ao baixar avatar da URL ${url} (tentativa ${attempt}/${maxRetries}):`, error?.message);
 				
 				if (isLastAttempt) {
-					console.warn('Não foi possível baixar avatar externo após todas as tentativas:', error?.message || error);
+					logger.warn('Não foi possível baixar avatar externo após todas as tentativas:', error?.message || error);
 					return null;
 				}
 			}
@@ -403,7 +478,7 @@ export class ChatwootService {
 			contact = await this.createContact(client, phone, senderPhoto, name, lid, jid);		
 		} else {
 			const identifier = lid || jid || phone;
-			console.log(`Chatwoot: contato encontrado ${identifier} (id=${contact?.id})`);
+			logger.info(`Chatwoot: contato encontrado ${identifier} (id=${contact?.id})`);
 		}
 		return contact;
 	}
@@ -412,13 +487,13 @@ export class ChatwootService {
 		try {
 			let page = 1;		
 			
-			console.log(`Busca de conversa - Contact: ${contactId}, Inbox: ${inboxId}, ReabrirConversa: ${this.reabrirConversa}`);
+			logger.info(`Busca de conversa - Contact: ${contactId}, Inbox: ${inboxId}, ReabrirConversa: ${this.reabrirConversa}`);
 			
 			if (this.reabrirConversa) {
-				console.log('Buscando conversas fechadas (resolved) primeiro...');
+				logger.info('Buscando conversas fechadas (resolved) primeiro...');
 				const resolvedConversation = await this.findResolvedConversationByContact(client, contactId, inboxId);
 				if (resolvedConversation) {
-					console.log(`Conversa fechada encontrada: ${resolvedConversation.id}, reabrindo...`);
+					logger.info(`Conversa fechada encontrada: ${resolvedConversation.id}, reabrindo...`);
 					await this.reopenConversation(client, resolvedConversation.id);
 					return resolvedConversation;
 				}
@@ -438,7 +513,7 @@ export class ChatwootService {
 				const conversations = data?.data?.payload || [];
 				
 				if (conversations.length === 0) {
-					console.log(`Página ${page} vazia, fim da busca`);
+					logger.info(`Página ${page} vazia, fim da busca`);
 					break;
 				}
 				
@@ -448,23 +523,23 @@ export class ChatwootService {
 				});
 				
 				if (conversation) {
-					console.log(`Conversa aberta encontrada na página ${page}: ${conversation.id}`);
+					logger.info(`Conversa aberta encontrada na página ${page}: ${conversation.id}`);
 					return conversation;
 				}
 				
-				console.log(`Conversa não encontrada na página ${page}, continuando busca...`);
+				logger.info(`Conversa não encontrada na página ${page}, continuando busca...`);
 				page++;
 				
 				if (page > 50) {
-					console.warn('Limite de páginas atingido (50), parando busca');
+					logger.warn('Limite de páginas atingido (50), parando busca');
 					break;
 				}
 			}
 			
-			console.log('Nenhuma conversa encontrada após percorrer todas as páginas');
+			logger.info('Nenhuma conversa encontrada após percorrer todas as páginas');
 			return null;
 		} catch (err) {
-			console.error('Erro ao buscar conversa:', err?.response?.data || err?.message);
+			logger.error('Erro ao buscar conversa:', err?.response?.data || err?.message);
 			return null;
 		}
 	}
@@ -473,7 +548,7 @@ export class ChatwootService {
 		try {
 			let page = 1;
 			
-			console.log(`Buscando conversas fechadas - Contact: ${contactId}, Inbox: ${inboxId}`);
+			logger.info(`Buscando conversas fechadas - Contact: ${contactId}, Inbox: ${inboxId}`);
 			
 			// eslint-disable-next-line no-constant-condition
 			while (true) {
@@ -488,7 +563,7 @@ export class ChatwootService {
 				const conversations = data?.data?.payload || [];
 				
 				if (conversations.length === 0) {
-					console.log(`Página ${page} de conversas fechadas vazia, fim da busca`);
+					logger.info(`Página ${page} de conversas fechadas vazia, fim da busca`);
 					break;
 				}
 				
@@ -498,36 +573,36 @@ export class ChatwootService {
 				});
 				
 				if (conversation) {
-					console.log(`Conversa fechada encontrada na página ${page}: ${conversation.id}`);
+					logger.info(`Conversa fechada encontrada na página ${page}: ${conversation.id}`);
 					return conversation;
 				}
 				
 				page++;
 				
 				if (page > 50) {
-					console.warn('Limite de páginas atingido (50) para conversas fechadas, parando busca');
+					logger.warn('Limite de páginas atingido (50) para conversas fechadas, parando busca');
 					break;
 				}
 			}
 			
-			console.log('Nenhuma conversa fechada encontrada');
+			logger.info('Nenhuma conversa fechada encontrada');
 			return null;
 		} catch (err) {
-			console.error('Erro ao buscar conversas fechadas:', err?.response?.data || err?.message);
+			logger.error('Erro ao buscar conversas fechadas:', err?.response?.data || err?.message);
 			return null;
 		}
 	}
 
 	async reopenConversation(client, conversationId) {
 		try {
-			console.log(`Reabrindo conversa: ${conversationId}`);
+			logger.info(`Reabrindo conversa: ${conversationId}`);
 			const { data } = await client.post(`/api/v1/accounts/${this.accountId}/conversations/${conversationId}/toggle_status`, {
 				status: 'open'
 			});
-			console.log(`Conversa ${conversationId} reaberta com sucesso`);
+			logger.info(`Conversa ${conversationId} reaberta com sucesso`);
 			return data;
 		} catch (err) {
-			console.error(`Erro ao reabrir conversa ${conversationId}:`, err?.response?.data || err?.message);
+			logger.error(`Erro ao reabrir conversa ${conversationId}:`, err?.response?.data || err?.message);
 			throw err;
 		}
 	}
@@ -545,9 +620,9 @@ export class ChatwootService {
 		let conversation = await this.findConversationByContact(client, contactId, inboxId);
 		if (!conversation) {
 			conversation = await this.createConversation(client, contactId, inboxId);
-			console.log(`Chatwoot: conversa criada para contato ${contactId} (id=${conversation?.id})`);
+			logger.info(`Chatwoot: conversa criada para contato ${contactId} (id=${conversation?.id})`);
 		} else {
-			console.log(`Chatwoot: conversa encontrada para contato ${contactId} (id=${conversation?.id})`);
+			logger.info(`Chatwoot: conversa encontrada para contato ${contactId} (id=${conversation?.id})`);
 		}
 		return conversation;
 	}
@@ -583,18 +658,20 @@ export class ChatwootService {
 				let imageBuffer;
 				let filename;
 				
-				console.log(`[sendMessageWithImage] Tentativa ${attempt}/${maxRetries} - ConversationId: ${conversationId}, MessageType: ${messageType}, Origin: ${origin}, MessageId: ${messageId}, ReplyId: ${replyId || 'null'}`);
+				logger.info(`[sendMessageWithImage] Tentativa ${attempt}/${maxRetries} - ConversationId: ${conversationId}, MessageType: ${messageType}, Origin: ${origin}, MessageId: ${messageId}, ReplyId: ${replyId || 'null'}`);
 				
-				if (image.imageUrl && image.imageUrl.trim() !== '') {
-					if (origin === 'uazapi' && messageId && this.downloadUazapiMediaFn) {
+				// Mídia referenciada só pelo id (ex.: Cloud API) também é baixada pela API do provedor
+				if ((image.imageUrl && image.imageUrl.trim() !== '') || image.mediaId) {
+					if ((image.mediaId || messageId) && this.downloadMediaFn) {
 						try {
-							console.log(`[sendMessageWithImage] Baixando mídia UAZAPI para messageId: ${messageId}`);
-							const base64 = await this.downloadUazapiMediaFn(messageId);
+							logger.info(`[sendMessageWithImage] Baixando mídia pela API do provedor (${origin}) para messageId: ${messageId}`);
+							const base64 = await this.downloadMediaFn(image.mediaId || messageId);
 							imageBuffer = Buffer.from(base64, 'base64');
 							filename = `image.${image.mimeType?.split('/')[1] || 'jpg'}`;
-							console.log(`[sendMessageWithImage] Mídia UAZAPI convertida para buffer - Tamanho: ${imageBuffer.length} bytes, Filename: ${filename}`);
+							logger.info(`[sendMessageWithImage] Mídia do provedor convertida para buffer - Tamanho: ${imageBuffer.length} bytes, Filename: ${filename}`);
 						} catch (error) {
-							console.warn(`[sendMessageWithImage] Falha ao baixar via UAZAPI, tentando URL direta com retry: ${error.message}`);
+							if (!image.imageUrl) throw error;
+							logger.warn(`[sendMessageWithImage] Falha ao baixar pela API do provedor, tentando URL direta com retry: ${error.message}`);
 							imageBuffer = await this.downloadMediaWithRetry(image.imageUrl, 30000, 5, 2000);
 							filename = `image.${image.mimeType?.split('/')[1] || 'jpg'}`;
 						}
@@ -605,9 +682,9 @@ export class ChatwootService {
 				} else if (image.base64 && image.base64.trim() !== '') {
 					imageBuffer = Buffer.from(image.base64, 'base64');
 					filename = `image.${image.mimeType?.split('/')[1] || 'jpg'}`;
-					console.log(`[sendMessageWithImage] Usando base64 fornecido - Tamanho: ${imageBuffer.length} bytes`);
+					logger.info(`[sendMessageWithImage] Usando base64 fornecido - Tamanho: ${imageBuffer.length} bytes`);
 				} else {
-					console.warn('[sendMessageWithImage] Nenhuma URL ou base64 de imagem fornecida, enviando apenas texto');
+					logger.warn('[sendMessageWithImage] Nenhuma URL ou base64 de imagem fornecida, enviando apenas texto');
 					return await this.sendMessage(client, conversationId, content || image.caption || 'Imagem recebida sem URL ou Base 64', messageType);
 				}
 				
@@ -618,8 +695,9 @@ export class ChatwootService {
 					filename: filename,
 					contentType: image.mimeType || 'image/jpeg'
 				});
+				recordMediaBytes(this.integrationId, 'outbound', 'chatwoot', imageBuffer.length);
 
-				console.log(`[sendMessageWithImage] Enviando imagem para Chatwoot - ConversationId: ${conversationId}, Tamanho: ${imageBuffer.length} bytes, MimeType: ${image.mimeType || 'image/jpeg'}`);
+				logger.info(`[sendMessageWithImage] Enviando imagem para Chatwoot - ConversationId: ${conversationId}, Tamanho: ${imageBuffer.length} bytes, MimeType: ${image.mimeType || 'image/jpeg'}`);
 
 				// Timeout maior para uploads de mídia (60 segundos)
 				const uploadTimeout = 60000;
@@ -658,10 +736,10 @@ export class ChatwootService {
 					// Chatwoot pode retornar id diretamente ou dentro de payload
 					const chatwootMessageId = data.id || data.payload?.id || data.payload?.message?.id;
 					if (chatwootMessageId) {
-						console.log(`[sendMessageWithImage] Resposta do Chatwoot recebida - MessageId: ${chatwootMessageId}, Status: sucesso`);
+						logger.info(`[sendMessageWithImage] Resposta do Chatwoot recebida - MessageId: ${chatwootMessageId}, Status: sucesso`);
 						return data;
 					} else {
-						console.warn('[sendMessageWithImage] Resposta do Chatwoot recebida mas sem ID de mensagem:', JSON.stringify(data, null, 2));
+						logger.warn('[sendMessageWithImage] Resposta do Chatwoot recebida mas sem ID de mensagem:', data);
 						throw new Error('Resposta do Chatwoot sem ID de mensagem');
 					}
 				} else {
@@ -680,31 +758,31 @@ export class ChatwootService {
 				if (shouldRetry) {
 					// Delay progressivo: 2s, 4s, 6s...
 					const currentRetryDelay = retryDelay * attempt;
-					console.warn(`[sendMessageWithImage] Erro na tentativa ${attempt}/${maxRetries} - ${error?.response?.status || error?.code || error?.message}. Aguardando ${currentRetryDelay}ms antes de retry...`);
+					logger.warn(`[sendMessageWithImage] Erro na tentativa ${attempt}/${maxRetries} - ${error?.response?.status || error?.code || error?.message}. Aguardando ${currentRetryDelay}ms antes de retry...`);
 					await new Promise(resolve => setTimeout(resolve, currentRetryDelay));
 					continue;
 				}
 				
 				// Se não deve fazer retry ou é última tentativa, loga erro e tenta fallback
-				console.error(`[sendMessageWithImage] Erro ao enviar imagem para Chatwoot (tentativa ${attempt}/${maxRetries}) - ConversationId: ${conversationId}, Origin: ${origin}, MessageId: ${messageId}`);
-				console.error('[sendMessageWithImage] Detalhes do erro:', {
+				logger.error(`[sendMessageWithImage] Erro ao enviar imagem para Chatwoot (tentativa ${attempt}/${maxRetries}) - ConversationId: ${conversationId}, Origin: ${origin}, MessageId: ${messageId}`);
+				logger.error('[sendMessageWithImage] Detalhes do erro:', {
 					message: error?.message,
 					code: error?.code,
 					status: error?.response?.status,
 					statusText: error?.response?.statusText,
 					data: error?.response?.data,
-					stack: process.env.LOG_LEVEL === 'debug' ? error?.stack : undefined
+					stack: logger.isLevelEnabled('debug') ? error?.stack : undefined
 				});
 				
 				// Na última tentativa, tenta fallback
 				if (isLastAttempt) {
-					console.log('[sendMessageWithImage] Última tentativa falhou, tentando enviar mensagem de texto como fallback');
+					logger.info('[sendMessageWithImage] Última tentativa falhou, tentando enviar mensagem de texto como fallback');
 					try {
 						const fallbackMessage = await this.sendMessage(client, conversationId, content || image.caption || 'Imagem recebida', messageType);
-						console.log(`[sendMessageWithImage] Fallback enviado - MessageId: ${fallbackMessage?.id || 'null'}`);
+						logger.info(`[sendMessageWithImage] Fallback enviado - MessageId: ${fallbackMessage?.id || 'null'}`);
 						return fallbackMessage;
 					} catch (fallbackError) {
-						console.error('[sendMessageWithImage] Fallback também falhou:', fallbackError?.message);
+						logger.error('[sendMessageWithImage] Fallback também falhou:', fallbackError?.message);
 						throw error; // Lança o erro original
 					}
 				}
@@ -717,14 +795,15 @@ export class ChatwootService {
 			let audioBuffer;
 			let filename;
 			
-			if (audio.audioUrl && audio.audioUrl.trim() !== '') {
-				if (origin === 'uazapi' && messageId && this.downloadUazapiMediaFn) {
+			if ((audio.audioUrl && audio.audioUrl.trim() !== '') || audio.mediaId) {
+				if ((audio.mediaId || messageId) && this.downloadMediaFn) {
 					try {
-						const base64 = await this.downloadUazapiMediaFn(messageId);
+						const base64 = await this.downloadMediaFn(audio.mediaId || messageId);
 						audioBuffer = Buffer.from(base64, 'base64');
 						filename = `audio.${audio.mimeType?.split('/')[1]?.split(';')[0] || 'ogg'}`;
 					} catch (error) {
-						console.warn('Falha ao baixar via UAZAPI, tentando URL direta com retry:', error.message);
+						if (!audio.audioUrl) throw error;
+						logger.warn(`Falha ao baixar pela API do provedor (${origin}), tentando URL direta com retry:`, error.message);
 						audioBuffer = await this.downloadMediaWithRetry(audio.audioUrl, 30000, 5, 2000);
 						filename = `audio.${audio.mimeType?.split('/')[1]?.split(';')[0] || 'ogg'}`;
 					}
@@ -736,7 +815,7 @@ export class ChatwootService {
 				audioBuffer = Buffer.from(audio.base64, 'base64');
 				filename = `audio.${audio.mimeType?.split('/')[1]?.split(';')[0] || 'ogg'}`;
 			} else {
-				console.warn('Nenhuma URL ou base64 de áudio fornecida, enviando apenas texto');
+				logger.warn('Nenhuma URL ou base64 de áudio fornecida, enviando apenas texto');
 				return await this.sendMessage(client, conversationId, content || `Áudio de ${audio.seconds}s recebido sem URL ou Base 64`, messageType);
 			}
 
@@ -747,6 +826,7 @@ export class ChatwootService {
 				filename: filename,
 				contentType: audio.mimeType || 'audio/ogg'
 			});
+			recordMediaBytes(this.integrationId, 'outbound', 'chatwoot', audioBuffer.length);
 
 			// Timeout maior para uploads de mídia (60 segundos)
 			const uploadTimeout = 60000;
@@ -783,7 +863,7 @@ export class ChatwootService {
 				return data;			
 			}
 		} catch (error) {
-			console.error('Erro ao enviar áudio:', error?.response?.data || error?.message);
+			logger.error('Erro ao enviar áudio:', error?.response?.data || error?.message);
 			return await this.sendMessage(client, conversationId, content || `Áudio de ${audio.seconds}s recebido`, messageType);
 		}
 	}
@@ -793,14 +873,15 @@ export class ChatwootService {
 			let documentBuffer;
 			let filename;
 			
-			if (document.documentUrl && document.documentUrl.trim() !== '') {
-				if (origin === 'uazapi' && messageId && this.downloadUazapiMediaFn) {
+			if ((document.documentUrl && document.documentUrl.trim() !== '') || document.mediaId) {
+				if ((document.mediaId || messageId) && this.downloadMediaFn) {
 					try {
-						const base64 = await this.downloadUazapiMediaFn(messageId);
+						const base64 = await this.downloadMediaFn(document.mediaId || messageId);
 						documentBuffer = Buffer.from(base64, 'base64');
 						filename = document.fileName || 'documento';
 					} catch (error) {
-						console.warn('Falha ao baixar via UAZAPI, tentando URL direta com retry:', error.message);
+						if (!document.documentUrl) throw error;
+						logger.warn(`Falha ao baixar pela API do provedor (${origin}), tentando URL direta com retry:`, error.message);
 						documentBuffer = await this.downloadMediaWithRetry(document.documentUrl, 30000, 5, 2000);
 						filename = document.fileName || 'documento';
 					}
@@ -812,7 +893,7 @@ export class ChatwootService {
 				documentBuffer = Buffer.from(document.base64, 'base64');
 				filename = document.fileName || 'documento';
 			} else {
-				console.warn('Nenhuma URL ou base64 de documento fornecida, enviando apenas texto');
+				logger.warn('Nenhuma URL ou base64 de documento fornecida, enviando apenas texto');
 				return await this.sendMessage(client, conversationId, content || `Documento de ${document.fileName} recebido sem URL ou Base 64`, messageType);
 			}
 
@@ -823,6 +904,7 @@ export class ChatwootService {
 				filename: filename,
 				contentType: document.mimeType || 'application/octet-stream'
 			});
+			recordMediaBytes(this.integrationId, 'outbound', 'chatwoot', documentBuffer.length);
 
 			// Timeout maior para uploads de mídia (60 segundos)
 			const uploadTimeout = 60000;
@@ -859,7 +941,7 @@ export class ChatwootService {
 				return data;
 			}
 		} catch (error) {
-			console.error('Erro ao enviar documento:', error?.response?.data || error?.message);
+			logger.error('Erro ao enviar documento:', error?.response?.data || error?.message);
 			return await this.sendMessage(client, conversationId, content || `Documento de ${document.fileName} recebido`, messageType);
 		}
 	}
@@ -868,13 +950,14 @@ export class ChatwootService {
 		try {
 			let videoBuffer;
 			
-			if (video.videoUrl && video.videoUrl.trim() !== '') {
-				if (origin === 'uazapi' && messageId && this.downloadUazapiMediaFn) {
+			if ((video.videoUrl && video.videoUrl.trim() !== '') || video.mediaId) {
+				if ((video.mediaId || messageId) && this.downloadMediaFn) {
 					try {
-						const base64 = await this.downloadUazapiMediaFn(messageId);
+						const base64 = await this.downloadMediaFn(video.mediaId || messageId);
 						videoBuffer = Buffer.from(base64, 'base64');
 					} catch (error) {
-						console.warn('Falha ao baixar via UAZAPI, tentando URL direta com retry:', error.message);
+						if (!video.videoUrl) throw error;
+						logger.warn(`Falha ao baixar pela API do provedor (${origin}), tentando URL direta com retry:`, error.message);
 						videoBuffer = await this.downloadMediaWithRetry(video.videoUrl, 60000, 5, 2000);
 					}
 				} else {
@@ -883,7 +966,7 @@ export class ChatwootService {
 			} else if (video.base64 && video.base64.trim() !== '') {
 				videoBuffer = Buffer.from(video.base64, 'base64');
 			} else {
-				console.warn('Nenhuma URL ou base64 de vídeo fornecida, enviando apenas texto');
+				logger.warn('Nenhuma URL ou base64 de vídeo fornecida, enviando apenas texto');
 				return await this.sendMessage(client, conversationId, content || `Vídeo de ${video.seconds}s recebido sem URL ou Base 64`, messageType);
 			}
 
@@ -900,6 +983,7 @@ export class ChatwootService {
 				filename,
 				contentType: video.mimeType || 'video/mp4'
 			});
+			recordMediaBytes(this.integrationId, 'outbound', 'chatwoot', videoBuffer.length);
 
 			// Timeout maior para uploads de mídia (60 segundos)
 			const uploadTimeout = 60000;
@@ -936,7 +1020,7 @@ export class ChatwootService {
 				return data;
 			}
 		} catch (error) {
-			console.error('Erro ao enviar vídeo:', error?.response?.data || error?.message);
+			logger.error('Erro ao enviar vídeo:', error?.response?.data || error?.message);
 			return await this.sendMessage(client, conversationId, content || `Vídeo de ${video.seconds}s recebido`, messageType);
 		}
 	}
@@ -1031,9 +1115,9 @@ export class ChatwootService {
 		}
 		
 		if (message?.id) {
-			console.log(`Chatwoot: Mensagem criada com ID ${message.id}`);
+			logger.info(`Chatwoot: Mensagem criada com ID ${message.id}`);
 			if (messageId) {
-				storeMessageIdMapping(message.id, messageId, conversation.id, this.inboxId, origin, this.accountId);
+				await storeMessageIdMapping(message.id, messageId, conversation.id, this.inboxId, origin, this.integrationId);
 			}
 		}
 		
@@ -1065,7 +1149,7 @@ export class ChatwootService {
 		
 		const conversation = await this.findOrCreateConversation(client, contact.id, this.inboxId);
 		
-		console.log(`[processOutgoingMessage] Processando mensagem outgoing - Phone: ${phone}, ConversationId: ${conversation.id}, HasImage: ${!!image}, HasAudio: ${!!audio}, HasDocument: ${!!document}, HasVideo: ${!!video}, Origin: ${origin}, MessageId: ${messageId}`);
+		logger.info(`[processOutgoingMessage] Processando mensagem outgoing - Phone: ${phone}, ConversationId: ${conversation.id}, HasImage: ${!!image}, HasAudio: ${!!audio}, HasDocument: ${!!document}, HasVideo: ${!!video}, Origin: ${origin}, MessageId: ${messageId}`);
 		
 		// Aplica throttle apenas para mensagens com mídia
 		const hasMedia = !!(image || audio || document || video);
@@ -1087,18 +1171,18 @@ export class ChatwootService {
 		}
 		
 		if (message?.id) {
-			console.log(`Chatwoot: Mensagem de agente criada com ID ${message.id}`);
+			logger.info(`Chatwoot: Mensagem de agente criada com ID ${message.id}`);
 			if (messageId) {
-				storeMessageIdMapping(message.id, messageId, conversation.id, this.inboxId, origin, this.accountId);
+				await storeMessageIdMapping(message.id, messageId, conversation.id, this.inboxId, origin, this.integrationId);
 			}
 		} else {
-			console.warn(`[processOutgoingMessage] ATENÇÃO: Mensagem não retornou ID do Chatwoot - Message: ${message ? 'objeto existe mas sem ID' : 'null/undefined'}, MessageId: ${messageId}, Origin: ${origin}`);
+			logger.warn(`[processOutgoingMessage] ATENÇÃO: Mensagem não retornou ID do Chatwoot - Message: ${message ? 'objeto existe mas sem ID' : 'null/undefined'}, MessageId: ${messageId}, Origin: ${origin}`);
 			if (message) {
-				console.warn('[processOutgoingMessage] Resposta do Chatwoot:', JSON.stringify(message, null, 2));
+				logger.warn('[processOutgoingMessage] Resposta do Chatwoot:', message);
 			}
 		}
 		
-		console.log('Mensagem de Outgoing recebido como resposta do Chatwoot com payload: ', JSON.stringify(message,null,2));
+		logger.debug('Mensagem de Outgoing recebido como resposta do Chatwoot com payload: ', message);
 
 		return {
 			contactId: contact.id,
@@ -1120,12 +1204,12 @@ export class ChatwootService {
 		}
 
 		try {
-			console.log(`Deletando mensagem no Chatwoot - Conversation: ${conversationId}, Message: ${messageId}`);
+			logger.info(`Deletando mensagem no Chatwoot - Conversation: ${conversationId}, Message: ${messageId}`);
 			const url = `/api/v1/accounts/${this.accountId}/conversations/${conversationId}/messages/${messageId}`;
 			const { data } = await client.delete(url);
 			return data;
 		} catch (error) {
-			console.error(`Erro ao deletar mensagem no Chatwoot (conversation=${conversationId}, message=${messageId}):`, error?.response?.data || error?.message);
+			logger.error(`Erro ao deletar mensagem no Chatwoot (conversation=${conversationId}, message=${messageId}):`, error?.response?.data || error?.message);
 			throw error;
 		}
 	}
@@ -0,0 +1,84 @@
+'use strict';
+
+// Subject que recebe as mensagens que esgotaram as tentativas de processamento
+const DLQ_SUBJECT = 'webhook.dlq';
+
+// Status HTTP de erros 4xx que ainda valem nova tentativa
+const RETRYABLE_CLIENT_STATUSES = [408, 409, 423, 425, 429];
+
+/**
+ * Lê a configuração de retentativas dos consumers
+ * @returns {{maxDeliver: number, baseDelayMs: number, maxDelayMs: number}}
+ */
+function getRetryConfig() {
+	return {
+		maxDeliver: Math.max(1, parseInt(process.env.NATS_MAX_DELIVER || '5', 10)),
+		baseDelayMs: Math.max(0, parseInt(process.env.NATS_RETRY_BASE_DELAY_MS || '5000', 10)),
+		maxDelayMs: Math.max(0, parseInt(process.env.NATS_RETRY_MAX_DELAY_MS || '300000', 10))
+	};
+}
+
+/**
+ * Calcula o atraso da próxima tentativa (exponencial: base, 2x base, 4x base... limitado ao máximo)
+ * @param {number} attempt - Número da tentativa que falhou (começa em 1)
+ * @returns {number} - Atraso em milissegundos
+ */
+function getRetryDelay(attempt) {
+	const { baseDelayMs, maxDelayMs } = getRetryConfig();
+	const delay = baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+	return Math.min(delay, maxDelayMs);
+}
+
+/**
+ * Indica se o erro não será resolvido com novas tentativas (payload inválido ou 4xx do Chatwoot/provedor)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+	if (error instanceof SyntaxError) {
+		return true;
+	}
+	const status = error?.response?.status;
+	if (status >= 400 && status < 500) {
+		return !RETRYABLE_CLIENT_STATUSES.includes(status);
+	}
+	return false;
+}
+
+/**
+ * Monta a entrada publicada no DLQ
+ * @param {object} params
+ * @param {string} params.subject - Subject original da mensagem
+ * @param {*} params.payload - Payload original (objeto ou string quando não era JSON válido)
+ * @param {Error} params.error - Último erro de processamento
+ * @param {string|null} params.integrationId - Integração da mensagem (quando conhecida)
+ * @param {string|null} params.correlationId - Id de correlação da mensagem (mantido no replay)
+ * @param {number} params.attempts - Quantidade de tentativas realizadas
+ * @param {boolean} params.permanent - Se o erro foi classificado como permanente
+ * @returns {object}
+ */
+function buildDeadLetterEntry({ subject, payload, error, integrationId = null, correlationId = null, attempts = 1, permanent = false }) {
+	return {
+		originalSubject: subject,
+		integrationId: integrationId || error?.integrationId || null,
+		correlationId,
+		attempts,
+		permanent,
+		failedAt: new Date().toISOString(),
+		error: {
+			message: error?.message || String(error),
+			code: error?.code || null,
+			status: error?.response?.status || null,
+			data: error?.response?.data || null
+		},
+		payload
+	};
+}
+
+export {
+	DLQ_SUBJECT,
+	getRetryConfig,
+	getRetryDelay,
+	isPermanentError,
+	buildDeadLetterEntry
+};
@@ -0,0 +1,287 @@
+'use strict';
+
+import { StringCodec } from 'nats';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { publishWebhookPrincipal, publishWebhookCallback, PRINCIPAL_SUBJECT, CALLBACK_SUBJECT } from './webhookPublisher.js';
+import { DLQ_SUBJECT } from './deadLetter.js';
+import { STREAM_NAME } from '../nats/ensureStream.js';
+import { isLocalQueue, getLocalQueue } from './localQueue.js';
+import { getPayloadMediaRefs, releasePayloadMedia } from '../utils/mediaOffload.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('deadLetterStore');
+
+const sc = StringCodec();
+
+// Limite de entradas lidas do DLQ por operação administrativa
+const MAX_SCAN = Math.max(1, parseInt(process.env.DLQ_ADMIN_MAX_SCAN || '5000', 10));
+
+// Funções de republicação por subject base (webhook.principal[.<integrationId>] e webhook.callback[.<integrationId>])
+const REPLAY_PUBLISHERS = {
+	[PRINCIPAL_SUBJECT]: publishWebhookPrincipal,
+	[CALLBACK_SUBJECT]: publishWebhookCallback
+};
+
+/**
+ * Subject base de um subject original (remove o sufixo da integração)
+ */
+function getBaseSubject(subject) {
+	return String(subject || '').split('.').slice(0, 2).join('.');
+}
+
+/**
+ * Converte uma mensagem do stream em entrada do DLQ
+ */
+function decodeDeadLetter(m, sc) {
+	let entry;
+	try {
+		entry = JSON.parse(sc.decode(m.data));
+	} catch {
+		entry = { payload: sc.decode(m.data), error: { message: 'entrada_dlq_invalida' } };
+	}
+	return { seq: m.seq, ...entry };
+}
+
+/**
+ * Resumo da entrada (sem o payload original) para listagens
+ */
+function summarizeDeadLetter(entry) {
+	return {
+		seq: entry.seq,
+		originalSubject: entry.originalSubject || null,
+		integrationId: entry.integrationId || null,
+		attempts: entry.attempts || null,
+		permanent: !!entry.permanent,
+		failedAt: entry.failedAt || null,
+		error: entry.error?.message || null,
+		errorStatus: entry.error?.status || null
+	};
+}
+
+/**
+ * Verifica se a entrada atende ao filtro informado
+ * @param {object} entry
+ * @param {{integrationId?: string, subject?: string, errorContains?: string, seqs?: number[]}} filter
+ */
+function matchesFilter(entry, filter = {}) {
+	if (filter.integrationId && String(entry.integrationId) !== String(filter.integrationId)) {
+		return false;
+	}
+	if (filter.subject) {
+		const subject = filter.subject.startsWith('webhook.') ? filter.subject : `webhook.${filter.subject}`;
+		// O subject base inclui os subjects por integração (webhook.principal casa com webhook.principal.<id>)
+		if (entry.originalSubject !== subject && getBaseSubject(entry.originalSubject) !== subject) {
+			return false;
+		}
+	}
+	if (filter.errorContains) {
+		const message = String(entry.error?.message || '').toLowerCase();
+		if (!message.includes(String(filter.errorContains).toLowerCase())) {
+			return false;
+		}
+	}
+	if (Array.isArray(filter.seqs) && filter.seqs.length > 0) {
+		return filter.seqs.map(Number).includes(Number(entry.seq));
+	}
+	return true;
+}
+
+/**
+ * Lê as entradas do DLQ em ordem de sequência
+ * @param {number} max - Quantidade máxima de entradas lidas
+ * @returns {Promise<Array>}
+ */
+async function readDeadLetters(max) {
+	if (isLocalQueue()) {
+		const queue = await getLocalQueue();
+		return queue.list(DLQ_SUBJECT, max).map((m) => decodeDeadLetter(m, sc));
+	}
+
+	const { nc, js } = await getNatsConnection();
+	const jsm = await nc.jetstreamManager();
+
+	const info = await jsm.streams.info(STREAM_NAME, { subjects_filter: DLQ_SUBJECT });
+	const available = info?.state?.subjects?.[DLQ_SUBJECT] || 0;
+	const toRead = Math.min(available, max);
+	if (toRead === 0) {
+		return [];
+	}
+
+	// Consumer ordenado e efêmero: apenas leitura, não interfere nos consumers duráveis
+	const consumer = await js.consumers.get(STREAM_NAME, { filterSubjects: DLQ_SUBJECT });
+	const messages = await consumer.fetch({ max_messages: toRead, expires: 5000 });
+
+	const entries = [];
+	for await (const m of messages) {
+		entries.push(decodeDeadLetter(m, sc));
+		if (entries.length >= toRead) {
+			break;
+		}
+	}
+	return entries;
+}
+
+/**
+ * Lista as entradas do DLQ (sem o payload original)
+ * @param {object} filter - Filtros de integrationId, subject e errorContains
+ * @param {number} limit - Quantidade máxima de entradas retornadas
+ */
+async function listDeadLetters(filter = {}, limit = 100) {
+	const entries = await readDeadLetters(MAX_SCAN);
+	const filtered = entries.filter((entry) => matchesFilter(entry, filter));
+	return {
+		total: filtered.length,
+		entries: filtered.slice(0, limit).map(summarizeDeadLetter)
+	};
+}
+
+/**
+ * Recupera uma entrada do DLQ completa, incluindo o payload original
+ * @param {number} seq - Sequência da mensagem no stream
+ * @returns {Promise<object|null>}
+ */
+async function getDeadLetter(seq) {
+	if (isLocalQueue()) {
+		const m = (await getLocalQueue()).get(seq);
+		return m && m.subject === DLQ_SUBJECT ? decodeDeadLetter(m, sc) : null;
+	}
+
+	const { nc } = await getNatsConnection();
+	const jsm = await nc.jetstreamManager();
+	try {
+		const m = await jsm.streams.getMessage(STREAM_NAME, { seq: Number(seq) });
+		if (m.subject !== DLQ_SUBJECT) {
+			return null;
+		}
+		return decodeDeadLetter(m, sc);
+	} catch (error) {
+		if (error?.code === '404' || error?.api_error?.code === 404) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Remove a entrada do DLQ (stream do NATS ou fila local)
+ */
+async function deleteDeadLetterMessage(seq) {
+	if (isLocalQueue()) {
+		await (await getLocalQueue()).delete(seq);
+		return;
+	}
+	const { nc } = await getNatsConnection();
+	const jsm = await nc.jetstreamManager();
+	await jsm.streams.deleteMessage(STREAM_NAME, seq);
+}
+
+/**
+ * Republica a entrada no subject original e a remove do DLQ
+ */
+async function replayEntry(entry) {
+	const publish = REPLAY_PUBLISHERS[getBaseSubject(entry.originalSubject)];
+	if (!publish) {
+		throw new Error(`Subject original não suportado para replay: ${entry.originalSubject}`);
+	}
+
+	// Sem Nats-Msg-Id: o replay não pode ser descartado como duplicata da publicação original
+	const ack = await publish(entry.payload, { integrationId: entry.integrationId, correlationId: entry.correlationId, deduplicate: false });
+
+	await deleteDeadLetterMessage(entry.seq);
+
+	logger.info(`[DLQ] Entrada ${entry.seq} republicada em ${entry.originalSubject} - nova seq: ${ack.seq}`);
+	return { seq: entry.seq, replayed: true, subject: entry.originalSubject, newSeq: ack.seq };
+}
+
+/**
+ * Republica uma única entrada do DLQ
+ * @param {number} seq
+ * @returns {Promise<object|null>} - null quando a entrada não existe
+ */
+async function replayDeadLetter(seq) {
+	const entry = await getDeadLetter(seq);
+	if (!entry) {
+		return null;
+	}
+	return await replayEntry(entry);
+}
+
+/**
+ * Republica todas as entradas do DLQ que atendem ao filtro
+ * @param {object} filter - Filtros de integrationId, subject, errorContains e seqs
+ */
+async function replayDeadLetters(filter = {}) {
+	const entries = await readDeadLetters(MAX_SCAN);
+	const results = [];
+
+	for (const entry of entries.filter((item) => matchesFilter(item, filter))) {
+		try {
+			results.push(await replayEntry(entry));
+		} catch (error) {
+			logger.error(`[DLQ] Erro ao republicar entrada ${entry.seq}:`, error?.message || error);
+			results.push({ seq: entry.seq, replayed: false, error: error?.message || 'unknown_error' });
+		}
+	}
+
+	return {
+		total: results.length,
+		replayed: results.filter((result) => result.replayed).length,
+		results
+	};
+}
+
+/**
+ * Remove a entrada do DLQ e as mídias mantidas para o replay
+ */
+async function purgeEntry(entry) {
+	await deleteDeadLetterMessage(entry.seq);
+	await releasePayloadMedia(getPayloadMediaRefs(entry.payload));
+	logger.info(`[DLQ] Entrada ${entry.seq} removida`);
+	return { seq: entry.seq, purged: true };
+}
+
+/**
+ * Remove uma única entrada do DLQ
+ * @param {number} seq
+ * @returns {Promise<object|null>} - null quando a entrada não existe
+ */
+async function purgeDeadLetter(seq) {
+	const entry = await getDeadLetter(seq);
+	if (!entry) {
+		return null;
+	}
+	return await purgeEntry(entry);
+}
+
+/**
+ * Remove todas as entradas do DLQ que atendem ao filtro
+ * @param {object} filter - Filtros de integrationId, subject, errorContains e seqs
+ */
+async function purgeDeadLetters(filter = {}) {
+	const entries = await readDeadLetters(MAX_SCAN);
+	const results = [];
+
+	for (const entry of entries.filter((item) => matchesFilter(item, filter))) {
+		try {
+			results.push(await purgeEntry(entry));
+		} catch (error) {
+			logger.error(`[DLQ] Erro ao remover entrada ${entry.seq}:`, error?.message || error);
+			results.push({ seq: entry.seq, purged: false, error: error?.message || 'unknown_error' });
+		}
+	}
+
+	return {
+		total: results.length,
+		purged: results.filter((result) => result.purged).length,
+		results
+	};
+}
+
+export {
+	listDeadLetters,
+	getDeadLetter,
+	replayDeadLetter,
+	replayDeadLetters,
+	purgeDeadLetter,
+	purgeDeadLetters
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import { Empty } from 'nats';
+import { getNatsConnection, getNatsStatus } from '../nats/natsClient.js';
+import { STREAM_NAME } from '../nats/ensureStream.js';
+import { isLocalQueue, getLocalQueue } from './localQueue.js';
+import { getIngestSpoolStats } from './ingestSpool.js';
+import { getConsumerStates } from './webhookConsumer.js';
+import { onMetricsCollect, consumerLag, consumerAckPending } from '../utils/metrics.js';
+
+// Verificações usadas por /health/ready (app) e pelo servidor de health do consumer
+
+const CHECK_TIMEOUT_MS = Math.max(100, parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000', 10) || 3000);
+// Chatwoot e provedores são APIs externas: o resultado é reaproveitado por um tempo
+const INTEGRATION_CHECK_CACHE_MS = Math.max(0, parseInt(process.env.HEALTH_INTEGRATION_CACHE_MS || '30000', 10) || 0);
+
+function withTimeout(promise, label) {
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error(`${label}: tempo esgotado (${CHECK_TIMEOUT_MS}ms)`)), CHECK_TIMEOUT_MS);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(label, fn) {
+	const startedAt = Date.now();
+	try {
+		const details = await withTimeout(fn(), label);
+		return { ok: true, latencyMs: Date.now() - startedAt, ...details };
+	} catch (error) {
+		return { ok: false, latencyMs: Date.now() - startedAt, error: error?.message || String(error) };
+	}
+}
+
+function checkNatsConnection() {
+	const status = getNatsStatus();
+	return { ok: status.status === 'connected', ...status };
+}
+
+async function checkStream() {
+	const { nc } = await getNatsConnection();
+	const jsm = await nc.jetstreamManager();
+	const info = await jsm.streams.info(STREAM_NAME);
+	return { stream: STREAM_NAME, messages: info.state.messages, subjects: info.config.subjects };
+}
+
+// Responder usado no round-trip (recriado quando a conexão é substituída)
+let echo = { nc: null, subject: null };
+
+/**
+ * Publica uma mensagem e aguarda a resposta passando pelo servidor NATS
+ */
+async function checkRoundTrip() {
+	const { nc } = await getNatsConnection();
+	if (echo.nc !== nc) {
+		const subject = `_wootrico.health.${process.pid}.${crypto.randomUUID()}`;
+		nc.subscribe(subject, { callback: (error, msg) => !error && msg.respond(msg.data) });
+		echo = { nc, subject };
+	}
+	await nc.request(echo.subject, Empty, { timeout: CHECK_TIMEOUT_MS });
+	return {};
+}
+
+/**
+ * Prontidão do app HTTP: conexão com o NATS, stream existente e round-trip de publicação
+ * @returns {Promise<{ok: boolean, checks: object}>}
+ */
+async function getAppReadiness() {
+	if (isLocalQueue()) {
+		const localQueue = await runCheck('local_queue', async () => {
+			await getLocalQueue();
+			return { backend: 'local' };
+		});
+		return { ok: localQueue.ok, checks: { localQueue } };
+	}
+
+	const checks = {
+		nats: checkNatsConnection(),
+		stream: await runCheck('stream', checkStream),
+		roundTrip: await runCheck('round_trip', checkRoundTrip),
+		spool: await getIngestSpoolStats()
+	};
+	return { ok: checks.nats.ok && checks.stream.ok && checks.roundTrip.ok, checks };
+}
+
+/**
+ * Mensagens aguardando processamento do consumer (não entregues + entregues sem ack)
+ */
+async function getConsumerPending(consumer) {
+	if (consumer.backend === 'local') {
+		return { pending: (await getLocalQueue()).countPending(consumer.subject) };
+	}
+	const { nc } = await getNatsConnection();
+	const jsm = await nc.jetstreamManager();
+	const info = await jsm.consumers.info(STREAM_NAME, consumer.durableName);
+	return { pending: info.num_pending, ackPending: info.num_ack_pending, redelivered: info.num_redelivered };
+}
+
+// Lag dos consumers deste processo (GET /metrics)
+onMetricsCollect(async () => {
+	consumerLag.reset();
+	consumerAckPending.reset();
+	await Promise.all(getConsumerStates().map(async (consumer) => {
+		const { pending, ackPending } = await getConsumerPending(consumer);
+		const labels = { consumer: consumer.name, subject: consumer.subject, integration_id: consumer.integrationId || 'unknown' };
+		consumerLag.set(labels, pending);
+		if (ackPending !== undefined) consumerAckPending.set(labels, ackPending);
+	}));
+});
+
+const integrationChecks = new Map(); // integrationId -> { checkedAt, result }
+
+async function checkIntegration(integration) {
+	const cached = integrationChecks.get(integration.id);
+	if (cached && Date.now() - cached.checkedAt < INTEGRATION_CHECK_CACHE_MS) {
+		return cached.result;
+	}
+
+	const [chatwoot, provider] = await Promise.all([
+		integration.chatwoot.checkConnection(CHECK_TIMEOUT_MS),
+		integration.whatsapp.checkConnection(CHECK_TIMEOUT_MS)
+	]);
+	const result = {
+		id: integration.id,
+		provider: integration.whatsapp.provider,
+		ok: chatwoot.ok && provider.ok,
+		chatwoot,
+		whatsapp: provider,
+		checkedAt: new Date().toISOString()
+	};
+	integrationChecks.set(integration.id, { checkedAt: Date.now(), result });
+	return result;
+}
+
+/**
+ * Saúde do processo consumer: consumers em execução, mensagens pendentes por consumer
+ * e acesso ao Chatwoot/provedor de cada integração.
+ * Falhas do Chatwoot/provedor deixam o status 'degraded' sem tirar o consumer de prontidão
+ * (reiniciar o container não resolve indisponibilidade externa)
+ * @param {Array} integrations - Integrações carregadas
+ * @returns {Promise<{ok: boolean, status: string, nats: object|null, consumers: Array, integrations: Array}>}
+ */
+async function getConsumerHealth(integrations = []) {
+	const consumers = await Promise.all(getConsumerStates().map(async (consumer) => {
+		const { ok, error, ...counts } = await runCheck('consumer_info', () => getConsumerPending(consumer));
+		delete counts.latencyMs;
+		return { ...consumer, ...(ok ? counts : { pendingError: error }), ok: consumer.status === 'running' };
+	}));
+	const integrationResults = await Promise.all(integrations.map((integration) => checkIntegration(integration)));
+
+	const nats = isLocalQueue() ? null : checkNatsConnection();
+	const ok = (!nats || nats.ok) && consumers.length > 0 && consumers.every((consumer) => consumer.ok);
+	const status = !ok ? 'unhealthy' : (integrationResults.every((result) => result.ok) ? 'ok' : 'degraded');
+
+	return { ok, status, nats, consumers, integrations: integrationResults };
+}
+
+export {
+	getAppReadiness,
+	getConsumerHealth
+};
@@ -0,0 +1,327 @@
+'use strict';
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { publishWebhookPrincipal, publishWebhookCallback } from './webhookPublisher.js';
+import { getNatsStatus, onNatsStatus } from '../nats/natsClient.js';
+import { isLocalQueue } from './localQueue.js';
+import { parseBoolean } from '../utils/env.js';
+import { createLogger, getLogContext } from '../utils/logger.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+const logger = createLogger('ingestSpool');
+
+// Spool em disco para webhooks recebidos enquanto o NATS está indisponível.
+// A rota responde 202 e as mensagens são publicadas no JetStream, na ordem de chegada,
+// assim que a conexão volta. Enquanto houver mensagens no spool, as novas também vão para
+// o spool (senão passariam na frente das antigas).
+// Só erros de conexão/tempo esgotado levam ao spool: os demais (ex.: payload acima do max_payload,
+// subject sem stream) não se resolvem com nova tentativa e voltam para a rota. No flush, uma mensagem
+// recusada pelo NATS vai para ingest-spool.rejected.jsonl em vez de travar as que vêm depois.
+
+// Publicadores por tipo de webhook
+const SPOOL_PUBLISHERS = {
+	principal: publishWebhookPrincipal,
+	callback: publishWebhookCallback
+};
+
+const UNAVAILABLE_STATUSES = ['disconnected', 'reconnecting'];
+
+// Códigos de erro (nats.js e sockets do Node) em que o NATS pode voltar a aceitar a publicação
+const TRANSIENT_ERROR_CODES = new Set([
+	'CONNECTION_CLOSED',
+	'CONNECTION_DRAINING',
+	'CONNECTION_REFUSED',
+	'CONNECTION_TIMEOUT',
+	'DISCONNECT',
+	'TIMEOUT',
+	'408',
+	'ECONNREFUSED',
+	'ECONNRESET',
+	'ETIMEDOUT',
+	'EPIPE',
+	'ENOTFOUND',
+	'EAI_AGAIN'
+]);
+
+function isTransientPublishError(error) {
+	return TRANSIENT_ERROR_CODES.has(String(error?.code));
+}
+
+function getSpoolConfig() {
+	return {
+		enabled: parseBoolean(process.env.INGEST_SPOOL, true),
+		dir: process.env.INGEST_SPOOL_DIR || '/app/data',
+		maxBytes: Math.max(0, parseInt(process.env.INGEST_SPOOL_MAX_BYTES || String(512 * 1024 * 1024), 10) || 0),
+		maxEntries: Math.max(0, parseInt(process.env.INGEST_SPOOL_MAX_ENTRIES || '100000', 10) || 0),
+		flushIntervalMs: Math.max(1000, parseInt(process.env.INGEST_SPOOL_FLUSH_INTERVAL_MS || '5000', 10) || 5000)
+	};
+}
+
+async function readLines(filePath) {
+	try {
+		const content = await fs.readFile(filePath, 'utf8');
+		return content.split('\n').filter((line) => line.trim());
+	} catch (error) {
+		if (error?.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+class IngestSpool {
+	constructor({ dir, maxBytes, maxEntries, flushIntervalMs }) {
+		// Novas mensagens vão para o spool; o flush renomeia o arquivo e publica o lote renomeado
+		this.filePath = path.join(dir, 'ingest-spool.jsonl');
+		this.flushPath = path.join(dir, 'ingest-spool.flushing.jsonl');
+		this.rejectedPath = path.join(dir, 'ingest-spool.rejected.jsonl');
+		this.maxBytes = maxBytes;
+		this.maxEntries = maxEntries;
+		this.flushIntervalMs = flushIntervalMs;
+		this.writeQueue = Promise.resolve();
+		this.flushing = null;
+		this.timer = null;
+		this.closed = false;
+		this.stats = {
+			pendingEntries: 0,
+			pendingBytes: 0,
+			spooledTotal: 0,
+			flushedTotal: 0,
+			rejectedTotal: 0,
+			failedTotal: 0,
+			lastSpooledAt: null,
+			lastFlushAt: null,
+			lastError: null
+		};
+	}
+
+	async init() {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+		for (const line of [...(await readLines(this.flushPath)), ...(await readLines(this.filePath))]) {
+			this.stats.pendingEntries++;
+			this.stats.pendingBytes += Buffer.byteLength(line) + 1;
+		}
+		if (this.stats.pendingEntries > 0) {
+			logger.info(`[IngestSpool] ${this.stats.pendingEntries} mensagem(ns) pendente(s) no spool serão publicadas no NATS`);
+		}
+
+		this.timer = setInterval(() => this.flushIfPending(), this.flushIntervalMs);
+		this.timer.unref?.();
+		onNatsStatus((status) => {
+			if (status === 'connected') this.flushIfPending();
+		});
+	}
+
+	/**
+	 * Enfileira escritas no arquivo para manter a ordem (erros são propagados para quem escreveu)
+	 */
+	enqueueWrite(fn) {
+		const write = this.writeQueue.then(fn);
+		this.writeQueue = write.catch(() => {});
+		return write;
+	}
+
+	hasPending() {
+		return this.stats.pendingEntries > 0;
+	}
+
+	/**
+	 * Grava a mensagem no spool respeitando os limites de tamanho
+	 */
+	async append(kind, payload, integrationId = null, correlationId = null) {
+		const line = JSON.stringify({ kind, integrationId, correlationId, payload, spooledAt: new Date().toISOString() });
+		const bytes = Buffer.byteLength(line) + 1;
+
+		if ((this.maxEntries && this.stats.pendingEntries >= this.maxEntries)
+			|| (this.maxBytes && this.stats.pendingBytes + bytes > this.maxBytes)) {
+			this.stats.rejectedTotal++;
+			throw new Error(`Spool de ingestão cheio (${this.stats.pendingEntries} mensagens, ${this.stats.pendingBytes} bytes)`);
+		}
+
+		await this.enqueueWrite(() => fs.appendFile(this.filePath, `${line}\n`, 'utf8'));
+		this.stats.pendingEntries++;
+		this.stats.pendingBytes += bytes;
+		this.stats.spooledTotal++;
+		this.stats.lastSpooledAt = new Date().toISOString();
+	}
+
+	flushIfPending() {
+		if (this.closed || !this.hasPending()) return;
+		this.flush().catch((error) => {
+			this.stats.lastError = error?.message || String(error);
+			logger.warn(`[IngestSpool] Flush interrompido, ${this.stats.pendingEntries} mensagem(ns) continuam no spool:`, error?.message || error);
+		});
+	}
+
+	/**
+	 * Publica o spool no NATS em ordem. Em caso de falha, as mensagens ainda não publicadas permanecem
+	 */
+	flush() {
+		if (!this.flushing) {
+			this.flushing = this.flushBatches().finally(() => {
+				this.flushing = null;
+			});
+		}
+		return this.flushing;
+	}
+
+	async flushBatches() {
+		for (;;) {
+			let lines = await readLines(this.flushPath);
+			if (lines.length === 0) {
+				// Move as mensagens acumuladas para o lote de flush (novas continuam chegando no spool)
+				const moved = await this.enqueueWrite(async () => {
+					if ((await readLines(this.filePath)).length === 0) return false;
+					await fs.rename(this.filePath, this.flushPath);
+					return true;
+				});
+				if (!moved) break;
+				lines = await readLines(this.flushPath);
+			}
+
+			logger.info(`[IngestSpool] Publicando ${lines.length} mensagem(ns) do spool no NATS...`);
+			let processed = 0;
+			try {
+				for (const line of lines) {
+					// No desligamento o restante fica no lote de flush para o próximo start
+					if (this.closed) break;
+					try {
+						await this.publishLine(line);
+						this.stats.flushedTotal++;
+					} catch (error) {
+						// NATS indisponível: interrompe o flush (a mensagem continua na frente do spool)
+						if (isTransientPublishError(error)) throw error;
+						await this.rejectLine(line, error);
+					}
+					processed++;
+					this.stats.pendingEntries--;
+					this.stats.pendingBytes = Math.max(0, this.stats.pendingBytes - Buffer.byteLength(line) - 1);
+				}
+			} finally {
+				// Mantém apenas o que ainda não foi publicado
+				const remaining = lines.slice(processed);
+				if (remaining.length > 0) {
+					await fs.writeFile(this.flushPath, `${remaining.join('\n')}\n`, 'utf8');
+				} else {
+					await fs.rm(this.flushPath, { force: true });
+				}
+			}
+			if (this.closed) return;
+		}
+
+		this.stats.lastFlushAt = new Date().toISOString();
+		this.stats.lastError = null;
+	}
+
+	async publishLine(line) {
+		let entry;
+		try {
+			entry = JSON.parse(line);
+		} catch {
+			// Linha corrompida (ex.: escrita interrompida): não há o que publicar
+			logger.warn('[IngestSpool] Linha inválida descartada do spool');
+			return;
+		}
+		const publish = SPOOL_PUBLISHERS[entry.kind];
+		if (!publish) {
+			logger.warn(`[IngestSpool] Tipo de webhook desconhecido no spool: ${entry.kind}`);
+			return;
+		}
+		await publish(entry.payload, { integrationId: entry.integrationId, correlationId: entry.correlationId || null });
+	}
+
+	/**
+	 * Move para o arquivo de rejeitadas uma mensagem que o NATS recusou (nova tentativa não resolve)
+	 */
+	async rejectLine(line, error) {
+		const entry = JSON.parse(line);
+		const reason = error?.message || String(error);
+		await fs.appendFile(this.rejectedPath, `${JSON.stringify({ ...entry, error: reason, rejectedAt: new Date().toISOString() })}\n`, 'utf8');
+		this.stats.failedTotal++;
+		this.stats.lastError = reason;
+		logger.error(`[IngestSpool] Webhook ${entry.kind} (integração: ${entry.integrationId || 'não identificada'}) recusado pelo NATS, movido para ${this.rejectedPath}:`, reason);
+	}
+
+	/**
+	 * Interrompe o flush (após a mensagem em publicação) e aguarda as escritas pendentes no arquivo
+	 */
+	async close() {
+		this.closed = true;
+		clearInterval(this.timer);
+		await this.flushing?.catch(() => {});
+		await this.writeQueue;
+	}
+
+	getStats() {
+		return { ...this.stats, flushing: !!this.flushing, maxEntries: this.maxEntries, maxBytes: this.maxBytes, rejectedFile: this.rejectedPath };
+	}
+}
+
+let spoolPromise = null;
+
+/**
+ * Retorna o spool de ingestão (carregado uma única vez) ou null quando desativado
+ * @returns {Promise<IngestSpool|null>}
+ */
+function getIngestSpool() {
+	if (!spoolPromise) {
+		const config = getSpoolConfig();
+		if (!config.enabled || isLocalQueue()) {
+			spoolPromise = Promise.resolve(null);
+		} else {
+			const spool = new IngestSpool(config);
+			spoolPromise = spool.init().then(() => {
+				onShutdown('flush', 'spool de ingestão', () => spool.close());
+				return spool;
+			});
+			spoolPromise.catch(() => {
+				spoolPromise = null;
+			});
+		}
+	}
+	return spoolPromise;
+}
+
+/**
+ * Publica o webhook no NATS ou, se o NATS estiver indisponível (conexão ou tempo esgotado), grava no spool.
+ * Demais erros de publicação são propagados
+ * @param {'principal'|'callback'} kind - Tipo do webhook
+ * @param {object} payload
+ * @param {{integrationId?: string|null}} options
+ * @returns {Promise<{spooled: boolean, ack?: object}>}
+ */
+async function publishOrSpool(kind, payload, options = {}) {
+	const publish = SPOOL_PUBLISHERS[kind];
+	const spool = await getIngestSpool();
+	if (!spool) {
+		return { spooled: false, ack: await publish(payload, options) };
+	}
+
+	if (!spool.hasPending() && !UNAVAILABLE_STATUSES.includes(getNatsStatus().status)) {
+		try {
+			return { spooled: false, ack: await publish(payload, options) };
+		} catch (error) {
+			if (!isTransientPublishError(error)) throw error;
+			spool.stats.lastError = error?.message || String(error);
+			logger.warn('[IngestSpool] Falha ao publicar no NATS, gravando no spool:', error?.message || error);
+		}
+	}
+
+	await spool.append(kind, payload, options.integrationId || null, options.correlationId || getLogContext().correlationId || null);
+	logger.info(`[IngestSpool] Webhook ${kind} gravado no spool (${spool.stats.pendingEntries} pendente(s))`);
+	return { spooled: true };
+}
+
+/**
+ * Estatísticas do spool de ingestão
+ * @returns {Promise<object>}
+ */
+async function getIngestSpoolStats() {
+	const spool = await getIngestSpool();
+	return spool ? { enabled: true, ...spool.getStats() } : { enabled: false };
+}
+
+export {
+	getIngestSpool,
+	publishOrSpool,
+	getIngestSpoolStats
+};
@@ -3,25 +3,11 @@
 import path from 'node:path';
 import { ChatwootService } from './chatwoot.js';
 import { WhatsAppService } from './whatsapp.js';
+import { getProvider, listProviders, getProviderEnvKeys } from '../providers/index.js';
+import { parseBoolean } from '../utils/env.js';
+import { createLogger } from '../utils/logger.js';
 
-function parseBoolean(value, fallback = false) {
-	if (value === undefined || value === null || value === '') return fallback;
-	if (typeof value === 'boolean') return value;
-	switch (String(value).trim().toLowerCase()) {
-	case '1':
-	case 'true':
-	case 'yes':
-	case 'on':
-		return true;
-	case '0':
-	case 'false':
-	case 'no':
-	case 'off':
-		return false;
-	default:
-		return fallback;
-	}
-}
+const logger = createLogger('integrationManager');
 
 const INTEGRATION_ENV_PREFIXES = new Set([
 	'CHATWOOT_ACCOUNT_ID',
@@ -32,19 +18,15 @@ const INTEGRATION_ENV_PREFIXES = new Set([
 	'APP_DATA_FILE',
 	'DEFAULT_COUNTRY',
 	'CONVERSATION_STATUS',
-	'UAZAPI_BASE_URL',
-	'UAZAPI_TOKEN',
-	'UAZAPI_WHATSAPP',
-	'ZAPI_INSTANCIA',
-	'ZAPI_TOKEN_INSTANCIA',
-	'ZAPI_CLIENT_TOKEN',
-	'ZAPI_WEBHOOK_URL',
-	'WUZAPI_BASE_URL',
-	'WUZAPI_TOKEN'
+	'WHATSAPP_PROVIDER',
+	'WEBHOOK_TOKEN',
+	'CHATWOOT_WEBHOOK_SECRET'
 ]);
 
 function detectIntegrationIds() {
 	const ids = new Set();
+	// Variáveis dos provedores registrados (inclusive adaptadores de terceiros) também identificam integrações
+	const prefixes = new Set([...INTEGRATION_ENV_PREFIXES, ...getProviderEnvKeys()]);
 
 	if (process.env.INTEGRATIONS) {
 		process.env.INTEGRATIONS.split(',').map((id) => id.trim()).filter(Boolean).forEach((id) => ids.add(id));
@@ -55,7 +37,7 @@ function detectIntegrationIds() {
 		if (!match) continue;
 		const base = match[1];
 		const idx = match[2];
-		if (INTEGRATION_ENV_PREFIXES.has(base)) {
+		if (prefixes.has(base)) {
 			ids.add(idx);
 		}
 	}
@@ -114,59 +96,91 @@ function buildChatwootConfig(id) {
 	};
 }
 
+/**
+ * Configuração do WhatsApp da integração: o provedor de WHATSAPP_PROVIDER ou, sem ele,
+ * o primeiro provedor registrado cujas variáveis estão completas
+ */
 function buildWhatsAppConfig(id) {
-	const uazToken = getEnvValue('UAZAPI_TOKEN', id);
-	const uazBase = getEnvValue('UAZAPI_BASE_URL', id);
-	const uazNumber = getEnvValue('UAZAPI_WHATSAPP', id);
-
-	if (uazToken && uazBase && uazNumber) {
-		return {
-			id: id || 'default',
-			provider: 'uazapi',
-			baseURL: uazBase,
-			token: uazToken,
-			whatsappNumber: String(uazNumber).replace(/[^0-9]/g, '')
-		};
+	const getEnv = (name) => getEnvValue(name, id);
+	const providerName = (getEnv('WHATSAPP_PROVIDER') || '').trim().toLowerCase();
+	const forced = providerName ? getProvider(providerName) : null;
+	if (providerName && !forced) {
+		throw new Error(`Provedor WhatsApp desconhecido para integração ${id || 'padrão'}: ${providerName}. Disponíveis: ${listProviders().map((provider) => provider.name).join(', ')}.`);
 	}
 
-	const zapiInstance = getEnvValue('ZAPI_INSTANCIA', id);
-	const zapiToken = getEnvValue('ZAPI_TOKEN_INSTANCIA', id);
-	const zapiClientToken = getEnvValue('ZAPI_CLIENT_TOKEN', id);
-
-	if (zapiInstance && zapiToken && zapiClientToken) {
-		return {
-			id: id || 'default',
-			provider: 'zapi',
-			instance: zapiInstance,
-			token: zapiToken,
-			clientToken: zapiClientToken
-		};
+	for (const provider of forced ? [forced] : listProviders()) {
+		const config = provider.readConfig(getEnv);
+		if (config) {
+			return { id: id || 'default', provider: provider.name, ...config };
+		}
 	}
 
-	const wuzBase = getEnvValue('WUZAPI_BASE_URL', id);
-	const wuzToken = getEnvValue('WUZAPI_TOKEN', id);
-	if (wuzBase && wuzToken) {
-		return {
-			id: id || 'default',
-			provider: 'wuzapi',
-			baseURL: wuzBase,
-			token: wuzToken
-		};
+	if (forced) {
+		throw new Error(`Configuração do provedor ${forced.label} incompleta para integração ${id || 'padrão'}. Verifique ${forced.envKeys.join('/')}.`);
 	}
-
 	throw new Error(`Configuração de WhatsApp não encontrada para integração ${id || 'padrão'}.`);
 }
 
-export async function loadIntegrations() {
+function buildWebhookConfig(id) {
+	const providerToken = (getEnvValue('WEBHOOK_TOKEN', id) || '').trim();
+	const chatwootSecret = (getEnvValue('CHATWOOT_WEBHOOK_SECRET', id) || '').trim();
+
+	let whatsapp = null;
+	try {
+		whatsapp = buildWhatsAppConfig(id);
+	} catch {
+		// Integração sem WhatsApp configurado: o erro é reportado pelo consumer ao carregar
+	}
+
+	return {
+		id: id || 'default',
+		provider: whatsapp?.provider || null,
+		// Configuração do provedor (ex.: verify token do handshake da Cloud API)
+		whatsapp,
+		providerToken: providerToken || null,
+		chatwootSecret: chatwootSecret || null
+	};
+}
+
+/**
+ * Carrega apenas o necessário para receber os webhooks de cada integração (id, provedor e credenciais).
+ * Não acessa o Chatwoot nem as APIs de WhatsApp, podendo ser usada pelo processo HTTP.
+ */
+export function loadWebhookConfigs() {
+	const ids = detectIntegrationIds();
+	const integrationIds = ids.length > 0 ? ids : [null];
+	return integrationIds.map((id) => buildWebhookConfig(id));
+}
+
+/**
+ * Filtra os ids detectados pela lista informada (ex.: CONSUMER_INTEGRATIONS=1,3)
+ */
+function selectIntegrationIds(ids, onlyIds) {
+	if (!onlyIds || onlyIds.length === 0) {
+		return ids;
+	}
+	const wanted = onlyIds.map((id) => String(id));
+	const unknown = wanted.filter((id) => !ids.includes(id) && !(id === 'default' && ids.includes(null)));
+	if (unknown.length > 0) {
+		logger.warn(`Integração(ões) solicitada(s) não configurada(s): ${unknown.join(', ')}`);
+	}
+	return ids.filter((id) => wanted.includes(id || 'default'));
+}
+
+/**
+ * Carrega as integrações (Chatwoot + WhatsApp) e garante a inbox de cada uma
+ * @param {Array<string>|null} onlyIds - Carrega apenas estas integrações (todas quando vazio)
+ */
+export async function loadIntegrations(onlyIds = null) {
 	try {
 		const ids = detectIntegrationIds();
-		const integrationIds = ids.length > 0 ? ids : [null];
+		const integrationIds = selectIntegrationIds(ids.length > 0 ? ids : [null], onlyIds);
 
 		if (integrationIds.length === 0) {
 			throw new Error('Nenhuma integração detectada. Configure pelo menos uma integração usando variáveis de ambiente.');
 		}
 
-		console.log(`Detectadas ${integrationIds.length} integração(ões): ${integrationIds.join(', ')}`);
+		logger.info(`Detectadas ${integrationIds.length} integração(ões): ${integrationIds.join(', ')}`);
 
 		const integrations = [];
 		const errors = [];
@@ -174,7 +188,7 @@ export async function loadIntegrations() {
 		for (const id of integrationIds) {
 			try {
 				const integrationName = id || 'default';
-				console.log(`Carregando integração: ${integrationName}...`);
+				logger.info(`Carregando integração: ${integrationName}...`);
 				
 				const chatwootConfig = buildChatwootConfig(id);
 				const whatsappConfig = buildWhatsAppConfig(id);
@@ -187,11 +201,12 @@ export async function loadIntegrations() {
 					...whatsappConfig
 				});
 
-				if (whatsappService.provider === 'uazapi' && typeof whatsappService.downloadUazapiMedia === 'function') {
-					chatwootService.setDownloadUazapiMediaFn((messageId) => whatsappService.downloadUazapiMedia(messageId));
+				// Provedores cujo webhook traz apenas a referência da mídia: o Chatwoot baixa pela API do provedor
+				if (whatsappService.capabilities.mediaDownload) {
+					chatwootService.setDownloadMediaFn((mediaRef) => whatsappService.downloadMedia(mediaRef));
 				}
 
-				console.log(`Inicializando inbox para integração ${integrationName}...`);
+				logger.info(`Inicializando inbox para integração ${integrationName}...`);
 				await chatwootService.ensureInbox();
 
 				const integration = {
@@ -204,11 +219,11 @@ export async function loadIntegrations() {
 				};
 
 				integrations.push(integration);
-				console.log(`✓ Integração ${integrationName} carregada com sucesso - Inbox ID: ${chatwootService.inboxId}, Provider: ${whatsappConfig.provider}`);
+				logger.info(`✓ Integração ${integrationName} carregada com sucesso - Inbox ID: ${chatwootService.inboxId}, Provider: ${whatsappConfig.provider}`);
 			} catch (error) {
 				const integrationName = id || 'default';
 				const errorMsg = error?.message || 'Erro desconhecido';
-				console.error(`✗ Erro ao carregar integração ${integrationName}: ${errorMsg}`);
+				logger.error(`✗ Erro ao carregar integração ${integrationName}: ${errorMsg}`);
 				errors.push({ id, error: errorMsg });
 			}
 		}
@@ -219,18 +234,18 @@ export async function loadIntegrations() {
 		}
 
 		if (errors.length > 0) {
-			console.warn(`Aviso: ${errors.length} integração(ões) falharam ao carregar, mas ${integrations.length} integração(ões) foram carregadas com sucesso.`);
+			logger.warn(`Aviso: ${errors.length} integração(ões) falharam ao carregar, mas ${integrations.length} integração(ões) foram carregadas com sucesso.`);
 		}
 
-		console.log(`\n=== Integrações Carregadas: ${integrations.length} ===`);
+		logger.info(`\n=== Integrações Carregadas: ${integrations.length} ===`);
 		integrations.forEach(integration => {
-			console.log(`  ${integration.id}: ${integration.whatsapp.provider} - Inbox: ${integration.chatwoot.inboxId || 'não inicializado'}`);
+			logger.info(`  ${integration.id}: ${integration.whatsapp.provider} - Inbox: ${integration.chatwoot.inboxId || 'não inicializado'}`);
 		});
-		console.log('=====================================\n');
+		logger.info('=====================================\n');
 
 		return integrations;
 	} catch (error) {
-		console.error('Erro fatal ao carregar integrações:', error?.message || error);
+		logger.error('Erro fatal ao carregar integrações:', error?.message || error);
 		throw error;
 	}
 }
@@ -249,19 +264,5 @@ export function findIntegrationById(integrations, id) {
 
 export function findIntegrationByWhatsAppIdentifier(integrations, provider, identifier) {
 	if (!identifier) return null;
-	return integrations.find((integration) => {
-		if (integration.whatsapp.provider !== provider) return false;
-		if (provider === 'uazapi') {
-			const normalizedIdentifier = String(identifier).replace(/[^0-9]/g, '');
-			return integration.whatsapp.normalizedNumber === normalizedIdentifier;
-		}
-		if (provider === 'zapi') {
-			return integration.whatsapp.instance === identifier;
-		}
-		if (provider === 'wuzapi') {
-			return (integration.whatsapp.baseURL || '').toLowerCase() === (identifier || '').toLowerCase();
-		}
-		return false;
-	});
+	return integrations.find((integration) => integration.whatsapp.provider === provider && integration.whatsapp.matchesInstance(identifier));
 }
-
@@ -0,0 +1,310 @@
+'use strict';
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { StringCodec } from 'nats';
+import { getPullConsumerConfig } from '../nats/ensureConsumer.js';
+import { createLogger } from '../utils/logger.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+const logger = createLogger('localQueue');
+
+// Fila em processo para instalações pequenas (QUEUE_BACKEND=local): app.js recebe os webhooks
+// e processa as mensagens no mesmo processo, sem NATS.
+// As mensagens ficam em um journal JSONL em /app/data até o ack, e são entregues aos consumers
+// com a mesma interface das mensagens do JetStream (ack, nak(delay), term, working, redeliveryCount),
+// mantendo as regras de retentativa e DLQ dos consumers NATS.
+
+const sc = StringCodec();
+
+/**
+ * Backend de fila configurado: 'nats' (padrão) ou 'local'
+ * @returns {string}
+ */
+function getQueueBackend() {
+	const backend = (process.env.QUEUE_BACKEND || 'nats').trim().toLowerCase();
+	return backend === 'local' ? 'local' : 'nats';
+}
+
+function isLocalQueue() {
+	return getQueueBackend() === 'local';
+}
+
+/**
+ * Mensagem entregue pela fila local (mesmos métodos usados de JsMsg pelos consumers)
+ */
+class LocalQueueMessage {
+	constructor(queue, record) {
+		this.queue = queue;
+		this.record = record;
+		this.seq = record.seq;
+		this.subject = record.subject;
+		this.data = sc.encode(record.data);
+		this.info = { redeliveryCount: record.deliveries };
+		this.headers = {
+			get: (name) => record.headers?.[name] || null
+		};
+	}
+
+	ack() {
+		this.queue.settle(this.record, 'ack');
+	}
+
+	term() {
+		this.queue.settle(this.record, 'term');
+	}
+
+	nak(delay = 0) {
+		this.queue.retry(this.record, delay);
+	}
+
+	working() {
+		this.queue.touch(this.record);
+	}
+}
+
+class LocalQueue {
+	constructor({ dir }) {
+		this.filePath = path.join(dir, 'queue.jsonl');
+		this.records = new Map(); // seq -> { seq, subject, data, headers, deliveries, notBefore, inFlightUntil }
+		this.lastSeq = 0;
+		this.journalLines = 0;
+		this.writeQueue = Promise.resolve();
+		this.waiters = new Set();
+	}
+
+	async init() {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+		let content = '';
+		try {
+			content = await fs.readFile(this.filePath, 'utf8');
+		} catch (error) {
+			if (error?.code !== 'ENOENT') throw error;
+		}
+
+		for (const line of content.split('\n')) {
+			if (!line.trim()) continue;
+			try {
+				const record = JSON.parse(line);
+				this.lastSeq = Math.max(this.lastSeq, record.seq || 0);
+				if (record.op === 'pub') {
+					this.records.set(record.seq, { ...record.message, seq: record.seq, inFlightUntil: 0 });
+				} else if (record.op === 'nak') {
+					const message = this.records.get(record.seq);
+					if (message) Object.assign(message, { deliveries: record.deliveries, notBefore: record.notBefore });
+				} else if (record.op === 'del') {
+					this.records.delete(record.seq);
+				}
+			} catch {
+				// Linha corrompida (ex.: escrita interrompida): ignora
+			}
+		}
+
+		await this.compact();
+		logger.info(`[LocalQueue] ${this.records.size} mensagem(ns) pendente(s) carregada(s) de ${this.filePath}`);
+	}
+
+	/**
+	 * Enfileira escritas no arquivo para manter a ordem do journal (erros são propagados para quem escreveu)
+	 */
+	enqueueWrite(fn) {
+		const write = this.writeQueue.then(fn);
+		this.writeQueue = write.catch(() => {});
+		return write;
+	}
+
+	/**
+	 * Grava o registro no journal. applied (opcional) atualiza records logo após a escrita, ainda na fila de
+	 * escritas, para que uma compactação enfileirada em seguida já inclua o registro
+	 */
+	async append(record, applied = null) {
+		await this.enqueueWrite(async () => {
+			await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, 'utf8');
+			applied?.();
+		});
+		this.journalLines++;
+
+		// Compacta quando o journal cresce muito além das mensagens pendentes
+		if (this.journalLines > 1000 && this.journalLines > this.records.size * 2) {
+			await this.compact();
+		}
+	}
+
+	appendInBackground(record) {
+		this.append(record).catch((error) => logger.error('[LocalQueue] Erro ao gravar journal:', error?.message || error));
+	}
+
+	async compact() {
+		await this.enqueueWrite(async () => {
+			const tmpPath = `${this.filePath}.tmp`;
+			const lines = Array.from(this.records.values()).map(({ seq, subject, data, headers, deliveries, notBefore, publishedAt }) => (
+				JSON.stringify({ op: 'pub', seq, message: { subject, data, headers, deliveries, notBefore, publishedAt } })
+			));
+			await fs.writeFile(tmpPath, lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+			await fs.rename(tmpPath, this.filePath);
+			this.journalLines = lines.length;
+		});
+	}
+
+	notify() {
+		const current = Array.from(this.waiters);
+		this.waiters.clear();
+		current.forEach((resolve) => resolve());
+	}
+
+	/**
+	 * Grava a mensagem no journal antes de confirmar a publicação
+	 * @returns {Promise<{stream: string, seq: number}>}
+	 */
+	async publish(subject, data, headers = {}) {
+		const seq = ++this.lastSeq;
+		const message = { subject, data, headers, deliveries: 0, notBefore: 0, publishedAt: Date.now() };
+		await this.append({ op: 'pub', seq, message }, () => this.records.set(seq, { ...message, seq, inFlightUntil: 0 }));
+		this.notify();
+		return { stream: 'local', seq };
+	}
+
+	settle(record, reason) {
+		if (!this.records.delete(record.seq)) return;
+		this.appendInBackground({ op: 'del', seq: record.seq, reason });
+		this.notify();
+	}
+
+	retry(record, delay = 0) {
+		if (!this.records.has(record.seq)) return;
+		record.inFlightUntil = 0;
+		record.notBefore = Date.now() + Math.max(0, delay);
+		this.appendInBackground({ op: 'nak', seq: record.seq, deliveries: record.deliveries, notBefore: record.notBefore });
+		this.notify();
+	}
+
+	touch(record) {
+		if (record.inFlightUntil) {
+			record.inFlightUntil = Date.now() + getPullConsumerConfig().ackWaitMs;
+		}
+	}
+
+	/**
+	 * Próxima mensagem disponível do subject (sem ack dentro do ack wait a mensagem é reentregue)
+	 */
+	takeNext(subject, maxAckPending) {
+		const now = Date.now();
+		let inFlight = 0;
+		let next = null;
+		for (const record of this.records.values()) {
+			if (record.subject !== subject) continue;
+			if (record.inFlightUntil > now) {
+				inFlight++;
+				continue;
+			}
+			if (!next && record.notBefore <= now) {
+				next = record;
+			}
+		}
+		if (!next || inFlight >= maxAckPending) return null;
+
+		next.deliveries++;
+		next.inFlightUntil = now + getPullConsumerConfig().ackWaitMs;
+		return new LocalQueueMessage(this, next);
+	}
+
+	/**
+	 * Entrega as mensagens de um subject (equivalente ao consume() de um pull consumer)
+	 * @param {string} subject
+	 * @param {{signal?: AbortSignal}} options - signal encerra a entrega (as mensagens já entregues seguem com ack/nak normal)
+	 * @returns {AsyncGenerator<LocalQueueMessage>}
+	 */
+	async *consume(subject, { signal } = {}) {
+		const { maxAckPending } = getPullConsumerConfig();
+		// O abort acorda quem está aguardando para o loop terminar
+		const wake = () => this.notify();
+		signal?.addEventListener('abort', wake, { once: true });
+		try {
+			while (!signal?.aborted) {
+				const message = this.takeNext(subject, maxAckPending);
+				if (message) {
+					yield message;
+					continue;
+				}
+				// Aguarda nova publicação/ack/nak ou o próximo horário de retentativa
+				await new Promise((resolve) => {
+					this.waiters.add(resolve);
+					setTimeout(() => {
+						this.waiters.delete(resolve);
+						resolve();
+					}, 1000);
+				});
+			}
+		} finally {
+			signal?.removeEventListener('abort', wake);
+		}
+	}
+
+	/**
+	 * Aguarda as escritas pendentes no journal (acks/naks gravados em segundo plano)
+	 */
+	async flush() {
+		await this.writeQueue;
+	}
+
+	/**
+	 * Mensagens armazenadas de um subject, em ordem de sequência (usado pelo DLQ)
+	 */
+	list(subject, max = Infinity) {
+		const result = [];
+		for (const record of this.records.values()) {
+			if (record.subject !== subject) continue;
+			result.push({ seq: record.seq, subject: record.subject, data: sc.encode(record.data) });
+			if (result.length >= max) break;
+		}
+		return result;
+	}
+
+	/**
+	 * Quantidade de mensagens ainda não confirmadas do subject
+	 */
+	countPending(subject) {
+		let count = 0;
+		for (const record of this.records.values()) {
+			if (record.subject === subject) count++;
+		}
+		return count;
+	}
+
+	get(seq) {
+		const record = this.records.get(Number(seq));
+		return record ? { seq: record.seq, subject: record.subject, data: sc.encode(record.data) } : null;
+	}
+
+	async delete(seq) {
+		if (!this.records.delete(Number(seq))) return;
+		await this.append({ op: 'del', seq: Number(seq), reason: 'delete' });
+	}
+}
+
+let queuePromise = null;
+
+/**
+ * Retorna a fila local (carregada do journal uma única vez)
+ * @returns {Promise<LocalQueue>}
+ */
+function getLocalQueue() {
+	if (!queuePromise) {
+		const queue = new LocalQueue({ dir: process.env.LOCAL_QUEUE_DIR || '/app/data' });
+		queuePromise = queue.init().then(() => {
+			onShutdown('flush', 'journal da fila local', () => queue.flush());
+			return queue;
+		});
+		queuePromise.catch(() => {
+			queuePromise = null;
+		});
+	}
+	return queuePromise;
+}
+
+export {
+	getQueueBackend,
+	isLocalQueue,
+	getLocalQueue
+};
@@ -1,8 +1,8 @@
 'use strict';
 
-import { connect, StringCodec, consumerOpts } from 'nats';
+import { StringCodec } from 'nats';
 import { normalizeToE164, detectCountryCode } from '../utils/phone.js';
-import { getMessageType, addOutgoingTicket, consumeOutgoingTicket, addOutgoingTicketChatwoot, consumeOutgoingTicketChatwoot, getApiMessageId, getChatwootMessageId, removeMessageIdMapping, getChatwootMessageMappingByApiId, getMessageMappingByChatwootId } from '../utils/messageCache.js';
+import { getMessageType, getApiMessageId, getChatwootMessageId, removeMessageIdMapping, getChatwootMessageMappingByApiId, getMessageMappingByChatwootId } from '../utils/messageCache.js';
 function extractMessageIdFromPayload(payload) {
 	if (!payload) return null;
 
@@ -42,6 +42,13 @@ function extractMessageIdFromPayload(payload) {
 	return null;
 }
 
+/**
+ * Chave do chat usada na detecção de eco: precisa ser a mesma ao registrar e ao reconhecer o eco
+ */
+function getEchoChatKey(phone, lid, jid) {
+	return phone || lid || jid || null;
+}
+
 function extractApiMessageIds(sendResult) {
 	const ids = [];
 	const addId = (value) => {
@@ -71,805 +78,283 @@ function extractApiMessageIds(sendResult) {
 	return ids;
 }
 
-function isZapiNotificationEvent(body) {
-	return body?.notification && detectPayloadOrigin(body) === 'zapi';
-}
-
-function isZapiRevokeEvent(body) {
-	return isZapiNotificationEvent(body) && body.notification === 'REVOKE';
-}
-
 import { storeMessageIdMapping } from '../utils/messageCache.js';
-import { findIntegrationByWhatsAppIdentifier, findIntegrationByInboxId } from './integrationManager.js';
+import { whatsappEchoes, chatwootEchoes } from '../utils/echoGuard.js';
+import { findIntegrationByWhatsAppIdentifier, findIntegrationByInboxId, findIntegrationById } from './integrationManager.js';
+import { detectProvider } from '../providers/index.js';
+import { INTEGRATION_ID_HEADER, CORRELATION_ID_HEADER, PRINCIPAL_SUBJECT, CALLBACK_SUBJECT, toSubjectToken, getIntegrationSubject, publishDeadLetter } from './webhookPublisher.js';
+import { getRetryConfig, getRetryDelay, isPermanentError, buildDeadLetterEntry } from './deadLetter.js';
+import { createOrderedWorkerPool } from '../utils/orderedWorkerPool.js';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { STREAM_NAME } from '../nats/ensureStream.js';
+import { resolvePayloadMedia, releasePayloadMedia, retainPayloadMedia, getPayloadMediaRefs } from '../utils/mediaOffload.js';
+import { MSG_ID_HEADER, claimMessage, markProcessed, releaseClaim, recordBusyDelivery, getBusyDeliveries } from '../utils/ingestDedup.js';
+import { ensurePullConsumer, getPullConsumerConfig } from '../nats/ensureConsumer.js';
+import { isLocalQueue, getLocalQueue } from './localQueue.js';
+import { recordMessageProcessed } from '../utils/metrics.js';
+import { createLogger, runWithLogContext, setLogContext, generateCorrelationId } from '../utils/logger.js';
+import { runWithAbortSignal } from '../utils/abortContext.js';
+import { withSpan, annotateActiveSpan, extractTraceContext, SpanKind } from '../utils/tracing.js';
+import { onShutdown } from '../utils/shutdown.js';
+
+const logger = createLogger('webhookConsumer');
 
-let nc = null;
-let js = null;
 const sc = StringCodec();
 
-/**
- * Conecta ao NATS e inicializa JetStream
- */
-async function getNatsConnection() {
-	if (!nc) {
-		try {
-			const servers = process.env.NATS_URL || 'nats://nats:4222';
-			console.log('[NATS CONSUMER] Conectando a:', servers);
-			
-			nc = await connect({ 
-				servers,
-				timeout: 10000,
-				reconnect: true,
-				maxReconnectAttempts: 5
-			});
-			
-			js = nc.jetstream();
-			
-			console.log('[NATS CONSUMER] Conectado com sucesso a', servers);
-			
-		} catch (error) {
-			console.error('[NATS CONSUMER] Erro ao conectar:', error);
-			throw error;
-		}
-	}
-	return { nc, js, sc };
+// Estado dos consumers iniciados neste processo (exposto pelo health check do consumer)
+const consumerStates = new Map();
+// Controle dos loops de consumo em andamento (usado no desligamento): nome -> { stop, done }
+const consumerControls = new Map();
+
+function setConsumerState(name, changes) {
+	const state = consumerStates.get(name) || { name };
+	Object.assign(state, changes, { updatedAt: new Date().toISOString() });
+	consumerStates.set(name, state);
+	return state;
 }
 
 /**
- * Detecta a origem do payload baseado na estrutura
+ * Função principal para extrair dados de qualquer origem (parseMessage do adaptador do provedor)
+ * @param {object} body
+ * @param {object|null} provider - Adaptador detectado (null = payload não reconhecido)
  */
-function detectPayloadOrigin(body) {
-	// Z-API tem campos específicos como 'phone', 'text.message', 'senderName', 'image', 'audio', 'document', 'video'
-	if (body?.phone && body?.momment) {
-		return 'zapi';
-	}
-	// UAZAPI tem estrutura diferente com 'message.content', 'message.sender'
-	if (body?.message?.content && body?.message?.sender) {
-		return 'uazapi';
-	}
-	// Wuzapi tem estrutura com 'event.Info', 'event.Message', 'type'
-	if (body?.event?.Info && body?.event?.Message && body?.type === 'Message') {
-		return 'wuzapi';
-	}	
-	return 'unknown';
-}
-
-function isUazapiMessagesUpdateEvent(body) {
-	return body?.EventType === 'messages_update' || body?.type === 'DeletedMessage' || body?.type === 'ReadReceipt';
-}
+function extractMessageData(body, provider, desconsiderarGrupo = true, defaultCountry = 'BR') {
+	logger.info(`Dados de API de Entrada. Usando ${provider?.name || 'unknown'}`);
 
-function isUazapiDeletedEvent(body) {
-	return (body?.type === 'DeletedMessage' || body?.Type === 'DeletedMessage') &&
-		(body?.event?.Type === 'Deleted' || body?.state === 'Deleted');
-}
+	if (provider) {
+		return provider.parseMessage(body, { desconsiderarGrupo, defaultCountry });
+	}
 
-/**
- * Extrai dados do payload Z-API
- */
-function extractZapiData(body, desconsiderarGrupo = true, defaultCountry = 'BR') {
+	// Fallback para tentar extrair dados genéricos
+	const rawPhone = body?.phone || body?.from || body?.number || body?.remoteJid;
+	const phone = normalizeToE164(rawPhone, defaultCountry);
+	const text = body?.text || body?.message || body?.body || '';
+	const name = body?.name || body?.contact?.name || null;
+	const isGroup = true; //para ser desconsiderado
 	const fromMe = body?.fromMe || false;
-	const fromApi = body?.fromApi || false;
-	let rawPhone = body?.phone;
-	const text = body?.text?.message || '';
-	const isGroup = body?.isGroup || null;
-	// Para grupos do Z-API, não salva o avatar no cadastro do contato
-	const senderPhoto = isGroup ? null : (body?.photo || body?.senderPhoto || null);
-	const status = body?.status || null;
-	const messageId = body?.messageId || null;
-	const replyId = body?.referenceMessageId;
-	// Para edições do Z-API, o messageId contém o ID da mensagem original que foi editada
-	const editedMessageId = (body?.isEdit === true && messageId) ? messageId : null;
-	// Se for uma edição, o editMessageId (se existir) contém o ID da nova mensagem editada
-	const newMessageId = (body?.isEdit === true && body?.editMessageId) ? body.editMessageId : messageId;
-	
-	let name = '';
-	let groupName = null;
-	
-	if(isGroup){
-		// Para grupos, extrai o nome do grupo para exibição
-		groupName = body?.chatName || 'Grupo sem nome';
-		if(!fromMe){
-			name = body?.senderName || groupName;		
-		}else{
-			name = groupName;
-		}
-		
-		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
-		if(desconsiderarGrupo){
-			console.log(`Dados de Grupo ${groupName}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
-			return { ignored: true, reason: 'group_disconsidered', origin: 'zapi', groupName };
-		}
-		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo usando o phone do payload como identificador
-		console.log(`Processando mensagem de grupo: ${groupName} (phone: ${body?.phone})`);
-		// Para grupos do Z-API, usa o phone do payload que vem no formato "*-group" (ex: "120363407124580783-group")
-		// O phone do payload já está no formato correto para ser usado como identifier
-		rawPhone = body?.phone || groupName; // Usa o phone do payload como identificador, fallback para nome do grupo
-	} else {
-		if(!fromMe){
-			name = body?.senderName || body?.chatName || rawPhone || null;		
-		}else{
-			name = 	body?.chatName || rawPhone || null;
-		}
-	}
-	// Extrai dados de imagem se presente
-	const image = body?.image ? {
-		imageUrl: body.image.imageUrl || '',
-		base64: body.image.base64 || '',
-		thumbnailUrl: body.image.thumbnailUrl,
-		caption: body.image.caption || '',
-		mimeType: body.image.mimeType,
-		width: body.image.width,
-		height: body.image.height
-	} : null;
-
-	// Extrai dados de áudio se presente
-	const audio = body?.audio ? {
-		audioUrl: body.audio.audioUrl || '',
-		base64: body.audio.base64 || '',
-		mimeType: body.audio.mimeType,
-		ptt: body.audio.ptt || false,
-		seconds: body.audio.seconds || 0,
-		viewOnce: body.audio.viewOnce || false
-	} : null;
-
-	// Extrai dados de documento se presente
-	const document = body?.document ? {
-		documentUrl: body.document.documentUrl || '',
-		base64: body.document.base64 || '',
-		mimeType: body.document.mimeType,
-		caption: body.document.caption || '',
-		title: body.document.title || '',
-		fileName: body.document.fileName || '',
-		pageCount: body.document.pageCount || 0
-	} : null;
-	// Extrai dados de vídeo se presente
-	const video = body?.video ? {
-		videoUrl: body.video.videoUrl || '',
-		base64: body.video.base64 || '',
-		caption: body.video.caption || '',
-		mimeType: body.video.mimeType,
-		width: body.video.width,
-		height: body.video.height,
-		seconds: body.video.seconds || 0,
-		viewOnce: body.video.viewOnce || false,
-		isGif: body.video.isGif || false
-	} : null;
-
-	// Para grupos, não normaliza o phone (usa o phone do payload que vem no formato "*-group")
-	// Para contatos normais, normaliza o phone para formato E.164
-	const phone = isGroup ? rawPhone : normalizeToE164(rawPhone, defaultCountry);
-	// Para grupos, extrai o senderName para exibir na mensagem
-	const senderName = (isGroup && !fromMe) ? body?.senderName : null;
-	// Se for uma edição, usa o newMessageId (ID da nova mensagem editada) para o mapeamento, senão usa o messageId normal
-	const finalMessageId = newMessageId || messageId;
-	return { phone, text, name, senderPhoto, image, audio, document, video, isGroup, fromMe, status, fromApi, messageId: finalMessageId, replyId, origin: 'zapi', groupName, senderName, editedMessageId };
+	const image = body?.image || null;
+	const audio = body?.audio || null;
+	const document = body?.document || null;
+	const video = body?.video || null;
+	return { phone, lid: null, jid: null, text, name, senderPhoto: null, image, audio, document, video, isGroup, fromMe, status: null, fromApi: false, messageId: null, origin: 'unknown', groupName: null, senderName: null };
 }
 
 /**
- * Extrai dados do payload UAZAPI
+ * Integração dona das mensagens apagadas no WhatsApp: URL de origem, inbox do mapeamento,
+ * instância informada no payload ou a única integração do provedor
  */
-function extractUazapiData(body, desconsiderarGrupo = true, defaultCountry = 'BR') {
-	const message = body?.message;
-	const chatData = body?.chat || {};
+function findIntegrationForDeletion(integrations, body, provider, mapping, context) {
+	let integration = context.integrationId ? findIntegrationById(integrations, context.integrationId) : null;
 
-	if (!message) {
-		console.warn('Payload UAZAPI sem dados de mensagem');
-		return null;
-	}
-	// Extrai texto da mensagem
-	let text = '';
-	if (message?.content?.text) {
-		text = message.content.text;
-	} else if (message?.text) {
-		text = message.text;
+	if (!integration && mapping?.inboxId) {
+		integration = findIntegrationByInboxId(integrations, mapping.inboxId);
 	}
-	const fromMe = message?.fromMe || false;
-	let rawPhone = message?.sender?.replace('@s.whatsapp.net', '') || message?.chatid?.replace('@s.whatsapp.net', '');
-	const chatContactName = chatData?.name 
-		|| chatData?.wa_name 
-		|| chatData?.wa_contactName 
-		|| body?.name 
-		|| null;
-	let name = '';
-	if(!fromMe){
-		name = message?.senderName || chatContactName || null;
-	}else{
-		rawPhone = message?.chatid?.replace('@s.whatsapp.net', '');
-		name = chatContactName || rawPhone || message?.senderName || null;
-	}
-	const isGroup = message?.isGroup || false;
-	const groupName = message?.groupName || body?.chat?.name || '';
-	const messageId = message?.messageid || message?.id || null;
-	const status = message?.status || null;
-	const fromApi = message?.wasSentByApi || false;
-	const replyId = body?.message?.content?.contextInfo?.stanzaID || null;
-	const editedMessageId = message?.edited || message?.editMessageId || null;
-	
-	// Verifica se é grupo
-	if (isGroup) {
-		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
-		if(desconsiderarGrupo){
-			console.log(`Dados de Grupo UAZAPI ${groupName || 'Unknown'}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
-			return { ignored: true, reason: 'group_disconsidered', origin: 'uazapi', groupName };
-		}
-		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo usando wa_chatid como identificador
-		// Para grupos, usa wa_chatid do objeto chat como identificador (ex: "120363378985956346@g.us")
-		const waChatId = body?.chat?.wa_chatid || message?.chatid || null;
-		if (!waChatId) {
-			console.warn(`Grupo UAZAPI sem wa_chatid: ${groupName}`);
-			return { phone: null, text, name: groupName || 'Grupo sem nome', senderPhoto: null, image: null, audio: null, document: null, video: null, isGroup, fromMe, status, fromApi, messageId, origin: 'uazapi', groupName, senderName: null };
-		}
-		console.log(`Processando mensagem de grupo UAZAPI: ${groupName} (wa_chatid: ${waChatId})`);
-		// Para grupos, usa o wa_chatid como identificador ao invés do phone
-		rawPhone = waChatId;
-		// Atualiza o name para o nome do grupo (usado apenas para exibição no Chatwoot)
-		if(!fromMe){
-			name = message?.senderName || groupName || 'Grupo sem nome';
-		}else{
-			name = groupName || 'Grupo sem nome';
-		}
-	}
-	
-	// Para grupos, não normaliza o phone (usa o wa_chatid diretamente)
-	// Para contatos normais, normaliza o phone
-	const phone = isGroup ? rawPhone : normalizeToE164(rawPhone, defaultCountry);
-	
-	// Para grupos, extrai o senderName para exibir na mensagem
-	// Quando fromMe=false e é grupo, senderName é quem enviou a mensagem no grupo
-	const senderName = (isGroup && !fromMe) ? message?.senderName : null;
-
-	// Foto do contato (avatar)
-	const senderPhoto = chatData?.imagePreview 
-		|| chatData?.image 
-		|| chatData?.thumbnail
-		|| body?.imagePreview
-		|| body?.image
-		|| message?.senderProfilePic 
-		|| null;
-
-	// Extrai dados de imagem se presente
-	const image = message?.mediaType === 'image' || message?.messageType === 'ImageMessage' ? {
-		imageUrl: message?.content?.URL || '',
-		base64: '', // Será baixado via endpoint /message/download
-		thumbnailUrl: message?.content?.JPEGThumbnail || '',
-		caption: text || '',
-		mimeType: message?.content?.mimetype || 'image/jpeg',
-		width: message?.content?.width || 0,
-		height: message?.content?.height || 0
-	} : null;
-
-	// Extrai dados de áudio se presente
-	const audio = message?.mediaType === 'ptt' || message?.messageType === 'AudioMessage' ? {
-		audioUrl: message?.content?.URL || '',
-		base64: '', // Será baixado via endpoint /message/download
-		mimeType: message?.content?.mimetype || 'audio/ogg',
-		ptt: message?.content?.PTT || false,
-		seconds: message?.content?.seconds || 0,
-		viewOnce: false
-	} : null;
-	// Extrai dados de documento se presente
-	const document = message?.mediaType === 'document' || message?.messageType === 'DocumentMessage' ? {
-		documentUrl: message?.content?.URL || '',
-		base64: '', // Será baixado via endpoint /message/download
-		mimeType: message?.content?.mimetype || 'application/octet-stream',
-		caption: text || '',
-		title: message?.content?.title || '',
-		fileName: message?.content?.fileName || 'Documento',
-		pageCount: message?.content?.pageCount || 0
-	} : null;
-
-	// Extrai dados de vídeo se presente
-	const video = message?.mediaType === 'video' || message?.messageType === 'VideoMessage' ? {
-		videoUrl: message?.content?.URL || '',
-		base64: '', // Será baixado via endpoint /message/download
-		caption: text || '',
-		mimeType: message?.content?.mimetype || 'video/mp4',
-		width: message?.content?.width || 0,
-		height: message?.content?.height || 0,
-		seconds: message?.content?.seconds || 0,
-		viewOnce: message?.content?.viewOnce || false,
-		isGif: false
-	} : null;
-
-	return { phone, text, name, senderPhoto, image, audio, document, video, isGroup, fromMe, status, fromApi, messageId, replyId, origin: 'uazapi', groupName, senderName, editedMessageId };
-}
 
-/**
- * Extrai dados do payload Wuzapi
- */
-function extractWuzapiData(body, desconsiderarGrupo = true, defaultCountry = 'BR') {
-	const eventInfo = body?.event?.Info;
-	const eventMessage = body?.event?.Message;
-	
-	// Extrai o identificador do chat (pode ser LID ou JID)
-	const rawChatId = eventInfo?.Chat || '';
-	let phone, lid, jid;
-	
-	// Verifica se é LID (termina com @lid)
-	if (rawChatId.endsWith('@lid')) {
-		lid = rawChatId;
-		phone = null; // Não temos o número real
-		jid = null;
-	} else if (rawChatId.endsWith('@s.whatsapp.net')) {
-		// É JID, extrai o número
-		jid = rawChatId;
-		phone = normalizeToE164(rawChatId.replace('@s.whatsapp.net', ''), defaultCountry);
-		lid = null;
-	} else {
-		// Fallback: tenta normalizar como número
-		phone = rawChatId;
-		lid = null;
-		jid = null;
-	}
-	
-	// Extrai texto da mensagem
-	const text = eventMessage?.conversation || eventMessage?.extendedTextMessage?.text || eventMessage?.imageMessage?.caption || eventMessage?.videoMessage?.caption || eventMessage?.documentMessage?.caption || eventMessage?.audioMessage?.caption || '';
-	
-	// Verifica se é mensagem do agente
-	const fromMe = eventInfo?.IsFromMe || false;
-
-	// Extrai nome do remetente
-	let name = '';
-	if(!fromMe){
-		name = eventInfo?.PushName || eventInfo?.Sender?.replace('@s.whatsapp.net', '') || null;
-	}else{
-		name = 	rawChatId || null;
-	}
-	
-	// Verifica se é grupo
-	const isGroup = eventInfo?.IsGroup || false;
-	
-	// Extrai ID da mensagem
-	const messageId = eventInfo?.ID || null;
-	
-	// Para grupos, tenta extrair o nome do grupo
-	let groupName = null;
-	if(isGroup){
-		// Tenta obter o nome do grupo do payload (pode variar dependendo da API)
-		groupName = eventInfo?.GroupName || eventInfo?.ChatName || eventInfo?.Chat?.replace('@lid', '').replace('@g.us', '') || 'Grupo sem nome';
-		
-		// Se DESCONSIDERAR_GRUPO estiver true, desconsidera o grupo
-		if(desconsiderarGrupo){
-			console.log(`Dados de Grupo Wuzapi ${groupName}... Desconsiderando (DESCONSIDERAR_GRUPO=true).`);
-			return { ignored: true, reason: 'group_disconsidered', origin: 'wuzapi', groupName };		
-		}
-		
-		// Se DESCONSIDERAR_GRUPO estiver false, processa o grupo
-		console.log(`Processando mensagem de grupo Wuzapi: ${groupName}`);
-		// Para grupos, usa o nome do grupo como identificador
-		// Se temos LID, mantém, senão usa o nome do grupo
-		if(!lid){
-			// Se não temos LID, usa o nome do grupo como identificador
-			phone = groupName;
-			lid = null;
-			jid = null;
+	if (!integration) {
+		for (const identifier of provider.getInstanceIdentifiers(body)) {
+			integration = findIntegrationByWhatsAppIdentifier(integrations, provider.name, identifier);
+			if (integration) break;
+			logger.warn(`Integração ${provider.label} não encontrada para a instância ${identifier}. Tentando fallback.`);
 		}
-		// Atualiza o name para o nome do grupo
-		if(!fromMe){
-			name = eventInfo?.PushName || groupName;
-		}else{
-			name = groupName;
-		}
-	}
-	
-	// Extrai dados de imagem se presente
-	const image = eventMessage?.imageMessage ? {
-		imageUrl: '', // URL vazia para forçar uso do base64 no envio
-		base64: body.base64 || '',
-		thumbnailUrl: eventMessage.imageMessage.JPEGThumbnail || '',
-		caption: eventMessage.imageMessage.caption || '',
-		mimeType: eventMessage.imageMessage.mimetype || '',
-		width: eventMessage.imageMessage.width || 0,
-		height: eventMessage.imageMessage.height || 0
-	} : null;
-
-	if(image?.base64){
-		let b64 = image.base64;
-		b64 = b64.replace(/\s+/g, '').replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
-		const pad = b64.length % 4;
-		if (pad) b64 += '='.repeat(4 - pad);
-		image.base64 = b64;
 	}
-	
-	// Extrai dados de áudio se presente
-	const audio = eventMessage?.audioMessage ? {
-		audioUrl: '',
-		base64: body.base64 || '',
-		mimeType: eventMessage.audioMessage.mimetype || '',
-		ptt: eventMessage.audioMessage.ptt || false,
-		seconds: eventMessage.audioMessage.seconds || 0,
-		viewOnce: eventMessage.audioMessage.viewOnce || false
-	} : null;
-
-	if(audio?.base64){
-		let b64 = audio.base64;
-		b64 = b64.replace(/\s+/g, '').replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
-		const pad = b64.length % 4;
-		if (pad) b64 += '='.repeat(4 - pad);
-		audio.base64 = b64;
-	}
-	
-	// Extrai dados de documento se presente
-	const document = eventMessage?.documentMessage ? {
-		documentUrl: '',
-		base64: body.base64 || '',
-		mimeType: eventMessage.documentMessage.mimetype || '',
-		caption: eventMessage.documentMessage.caption || '',
-		title: eventMessage.documentMessage.title || '',
-		fileName: eventMessage.documentMessage.fileName || '',
-		pageCount: eventMessage.documentMessage.pageCount || 0
-	} : null;
-
-	if(document?.base64){
-		let b64 = document.base64;
-		b64 = b64.replace(/\s+/g, '').replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
-		const pad = b64.length % 4;
-		if (pad) b64 += '='.repeat(4 - pad);
-		document.base64 = b64;
-	}
-	
-	// Extrai dados de vídeo se presente
-	const video = eventMessage?.videoMessage ? {
-		videoUrl: '',
-		base64: body.base64 || '',
-		caption: eventMessage.videoMessage.caption || '',
-		mimeType: eventMessage.videoMessage.mimetype || '',
-		width: eventMessage.videoMessage.width || 0,
-		height: eventMessage.videoMessage.height || 0,
-		seconds: eventMessage.videoMessage.seconds || 0,
-		viewOnce: eventMessage.videoMessage.viewOnce || false,
-		isGif: eventMessage.videoMessage.isGif || false
-	} : null;
-
-	if(video?.base64){
-		let b64 = video.base64;
-		b64 = b64.replace(/\s+/g, '').replace(/ /g, '+').replace(/-/g, '+').replace(/_/g, '/');
-		const pad = b64.length % 4;
-		if (pad) b64 += '='.repeat(4 - pad);
-		video.base64 = b64;
-	}
-	
-	// Para grupos, extrai o senderName para exibir na mensagem
-	const senderName = (isGroup && !fromMe) ? (eventInfo?.PushName || eventInfo?.Sender?.replace('@s.whatsapp.net', '')) : null;
-	return { phone, lid, jid, text, name, senderPhoto: null, image, audio, document, video, isGroup, fromMe, status: null, fromApi: false, messageId, origin: 'wuzapi', groupName, senderName };
+
+	return integration || integrations.find((i) => i.whatsapp.provider === provider.name) || null;
 }
 
 /**
- * Função principal para extrair dados de qualquer origem
+ * Apaga no Chatwoot as mensagens excluídas no WhatsApp (evento 'delete' do adaptador).
+ * Falhas são repassadas depois de tentar todas as mensagens: a retentativa reprocessa só as que
+ * ainda têm mapeamento
  */
-function extractMessageData(body, desconsiderarGrupo = true, defaultCountry = 'BR') {
-	const origin = detectPayloadOrigin(body);
-	console.log(`Dados de API de Entrada. Usando ${origin}`);
-	
-	switch (origin) {
-	case 'zapi':
-		return extractZapiData(body, desconsiderarGrupo, defaultCountry);
-	case 'uazapi':
-		return extractUazapiData(body, desconsiderarGrupo, defaultCountry);
-	case 'wuzapi':
-		return extractWuzapiData(body, desconsiderarGrupo, defaultCountry);
-	default:
-		// Fallback para tentar extrair dados genéricos
-		//eslint-disable-next-line no-case-declarations
-		const rawPhone = body?.phone || body?.from || body?.number || body?.remoteJid;
-		// eslint-disable-next-line no-case-declarations
-		const phone = normalizeToE164(rawPhone, defaultCountry);
-		// eslint-disable-next-line no-case-declarations
-		const text = body?.text || body?.message || body?.body || '';
-		// eslint-disable-next-line no-case-declarations
-		const name = body?.name || body?.contact?.name || null;
-		// eslint-disable-next-line no-case-declarations
-		const isGroup = true; //para ser desconsiderado
-		// eslint-disable-next-line no-case-declarations
-		const fromMe = body?.fromMe || false;
-		// eslint-disable-next-line no-case-declarations
-		const image = body?.image || null;
-		// eslint-disable-next-line no-case-declarations
-		const audio = body?.audio || null;
-		// eslint-disable-next-line no-case-declarations
-		const document = body?.document || null;
-		// eslint-disable-next-line no-case-declarations
-		const video = body?.video || null;
-		// eslint-disable-next-line no-case-declarations
-		const lid = null;
-		// eslint-disable-next-line no-case-declarations
-		const jid = null;
-		// eslint-disable-next-line no-case-declarations
-		const senderName = null;
-		return { phone, lid, jid, text, name, senderPhoto: null, image, audio, document, video, isGroup, fromMe, status: null, fromApi: false, messageId: null, origin: 'unknown', groupName: null, senderName };
-	}
-}
-
-async function processUazapiDeletedMessage(body, integrations = []) {
+async function processDeletedMessages(body, provider, messageIds, integrations = [], context = {}) {
 	try {
-		const messageIds = body?.event?.MessageIDs;
-		if (!Array.isArray(messageIds) || messageIds.length === 0) {
-			console.warn('Evento de deleção UAZAPI sem MessageIDs');
+		if (messageIds.length === 0) {
+			logger.warn(`Evento de deleção ${provider.label} sem id de mensagem`);
 			return { processed: false, reason: 'no_message_ids' };
 		}
 
 		const results = [];
+		let firstError = null;
 
 		for (const apiMessageId of messageIds) {
-			if (!apiMessageId) continue;
-
-			const mapping = getChatwootMessageMappingByApiId(apiMessageId);
+			const mapping = await getChatwootMessageMappingByApiId(apiMessageId, context.integrationId);
 			if (!mapping?.chatwootMessageId) {
-				console.warn(`Chatwoot messageId não encontrado para API messageId ${apiMessageId}`);
-				results.push({
-					apiMessageId,
-					deleted: false,
-					reason: 'chatwoot_message_not_found'
-				});
+				logger.warn(`Chatwoot messageId não encontrado para API messageId ${apiMessageId}`);
+				results.push({ apiMessageId, deleted: false, reason: 'chatwoot_message_not_found' });
 				continue;
 			}
 
-			const chatwootMessageId = mapping.chatwootMessageId;
-			const conversationId = mapping.conversationId;
-
+			const { chatwootMessageId, conversationId } = mapping;
 			if (!conversationId) {
-				console.warn(`ConversationId não encontrado para Chatwoot messageId ${chatwootMessageId}`);
-				results.push({
-					apiMessageId,
-					chatwootMessageId,
-					deleted: false,
-					reason: 'conversation_id_not_found'
-				});
+				logger.warn(`ConversationId não encontrado para Chatwoot messageId ${chatwootMessageId}`);
+				results.push({ apiMessageId, chatwootMessageId, deleted: false, reason: 'conversation_id_not_found' });
 				continue;
 			}
 
 			try {
-				// Encontra a integração usando inboxId do mapeamento (se disponível)
-				let integration = null;
-				if (mapping?.inboxId) {
-					integration = findIntegrationByInboxId(integrations, mapping.inboxId);
-				}
-				// Se não encontrou pelo inboxId, usa a primeira disponível
+				const integration = findIntegrationForDeletion(integrations, body, provider, mapping, context);
 				if (!integration) {
-					integration = integrations[0];
-					if (mapping?.inboxId) {
-						console.warn(`InboxId ${mapping.inboxId} do mapeamento não encontrado nas integrações. Usando primeira disponível.`);
-					}
+					throw new Error(`Nenhuma integração ${provider.label} disponível para processar deleção de mensagem.`);
 				}
-				if (!integration) {
-					throw new Error('Integração não encontrada para deletar mensagem');
-				}
-				
+				setLogContext({ integrationId: integration.id });
+
 				await integration.chatwoot.deleteChatwootMessage(conversationId, chatwootMessageId);
-				removeMessageIdMapping(chatwootMessageId);
-				results.push({
-					apiMessageId,
-					chatwootMessageId,
-					conversationId,
-					deleted: true
-				});
+				await removeMessageIdMapping(chatwootMessageId);
+				results.push({ apiMessageId, chatwootMessageId, conversationId, deleted: true });
 			} catch (error) {
-				console.error(`Erro ao deletar mensagem no Chatwoot (chatwootId=${chatwootMessageId}, conversationId=${conversationId}):`, error?.response?.data || error?.message || error);
-				results.push({
-					apiMessageId,
-					chatwootMessageId,
-					conversationId,
-					deleted: false,
-					error: error?.message || 'unknown_error'
-				});
+				logger.error(`Erro ao deletar mensagem no Chatwoot (chatwootId=${chatwootMessageId}, conversationId=${conversationId}):`, error?.response?.data || error?.message || error);
+				results.push({ apiMessageId, chatwootMessageId, conversationId, deleted: false, error: error?.message || 'unknown_error' });
+				firstError = firstError || error;
 			}
 		}
 
+		if (firstError) {
+			throw firstError;
+		}
+
 		return {
 			processed: true,
-			type: 'uazapi_deleted',
+			type: `${provider.name}_deleted`,
 			results
 		};
 	} catch (error) {
-		console.error('Erro ao processar evento de deleção UAZAPI:', error);
+		logger.error(`Erro ao processar evento de deleção ${provider.label}:`, error?.response?.data || error?.message || error);
 		throw error;
 	}
 }
 
-async function processZapiDeletedMessage(body, integrations = []) {
-	try {
-		const apiMessageId = body?.messageId || body?.message?.messageId || null;
-		if (!apiMessageId) {
-			console.warn('Evento de deleção Z-API sem messageId');
-			return { processed: false, reason: 'zapi_message_id_not_found' };
-		}
-
-		const mapping = getChatwootMessageMappingByApiId(apiMessageId);
-		if (!mapping?.chatwootMessageId) {
-			console.warn(`Chatwoot messageId não encontrado para API messageId ${apiMessageId}`);
-			return { processed: false, reason: 'chatwoot_message_not_found', apiMessageId };
-		}
-
-		const chatwootMessageId = mapping.chatwootMessageId;
-		const conversationId = mapping.conversationId;
-
-		if (!conversationId) {
-			console.warn(`ConversationId não encontrado para Chatwoot messageId ${chatwootMessageId}`);
-			return { processed: false, reason: 'conversation_id_not_found', chatwootMessageId, apiMessageId };
-		}
-
-		let integration = null;
-
-		if (mapping?.inboxId) {
-			integration = findIntegrationByInboxId(integrations, mapping.inboxId);
-		}
-
-		if (!integration) {
-			const instanceId = body?.instanceId || body?.instance_id || body?.instance || null;
-			if (instanceId) {
-				integration = findIntegrationByWhatsAppIdentifier(integrations, 'zapi', instanceId);
-				if (!integration) {
-					console.warn(`Integração Z-API não encontrada para instanceId ${instanceId}. Tentando fallback.`);
-				}
-			}
-		}
-
-		if (!integration) {
-			integration = integrations.find((i) => i.whatsapp.provider === 'zapi');
-		}
+/**
+ * Encontra a integração do provedor: única do provedor ou identificada pela instância no payload
+ */
+function findIntegrationByInstance(integrations, body, provider) {
+	const providerIntegrations = integrations.filter(i => i.whatsapp.provider === provider.name);
+	if (providerIntegrations.length === 0) {
+		logger.warn(`Nenhuma integração ${provider.label} encontrada para o payload. Mensagem será descartada.`);
+		return null;
+	}
 
-		if (!integration) {
-			throw new Error('Nenhuma integração Z-API disponível para processar deleção de mensagem.');
+	for (const identifier of provider.getInstanceIdentifiers(body)) {
+		const integration = findIntegrationByWhatsAppIdentifier(providerIntegrations, provider.name, identifier);
+		if (integration) {
+			logger.info(`Integração ${provider.label} encontrada pela instância ${identifier}: ${integration.id}`);
+			return integration;
 		}
+	}
 
-		await integration.chatwoot.deleteChatwootMessage(conversationId, chatwootMessageId);
-		removeMessageIdMapping(chatwootMessageId);
-
-		return {
-			processed: true,
-			type: 'zapi_deleted',
-			chatwootMessageId,
-			conversationId,
-			apiMessageId
-		};
-	} catch (error) {
-		console.error('Erro ao processar evento de deleção Z-API:', error?.response?.data || error?.message || error);
-		throw error;
+	if (providerIntegrations.length === 1) {
+		return providerIntegrations[0];
 	}
+
+	logger.warn(`Múltiplas integrações ${provider.label} encontradas e payload não permite identificar qual usar. Use a URL por integração (/in/:integrationId). Mensagem será descartada.`);
+	return null;
 }
 
 /**
- * Encontra a integração correta baseada no payload
+ * Encontra a integração correta baseada no id recebido pela URL ou, na URL compartilhada, no payload
  */
-function findIntegrationForPayload(integrations, body, origin) {
+function findIntegrationForPayload(integrations, body, provider, integrationId = null) {
 	if (!integrations || integrations.length === 0) {
 		throw new Error('Nenhuma integração configurada. Configure pelo menos uma integração usando variáveis de ambiente.');
 	}
+	const origin = provider?.name || 'unknown';
+
+	// Mensagem recebida pela URL da integração: roteamento determinístico
+	if (integrationId) {
+		const integration = findIntegrationById(integrations, integrationId);
+		if (!integration) {
+			logger.warn(`Integração ${integrationId} informada na mensagem não está carregada neste consumer. Mensagem será descartada.`);
+			return null;
+		}
+		if (integration.whatsapp.provider !== origin && origin !== 'unknown') {
+			logger.warn(`Aviso: A integração ${integration.id} usa ${integration.whatsapp.provider}, mas o payload indica origem ${origin}`);
+		}
+		return integration;
+	}
 	
 	// Se há apenas uma integração, usa ela
 	if (integrations.length === 1) {
 		const integration = integrations[0];
 		if (integration.whatsapp.provider !== origin && origin !== 'unknown') {
-			console.warn(`Aviso: A integração única (${integration.id}) usa ${integration.whatsapp.provider}, mas o payload indica origem ${origin}`);
+			logger.warn(`Aviso: A integração única (${integration.id}) usa ${integration.whatsapp.provider}, mas o payload indica origem ${origin}`);
 		}
 		return integration;
 	}
 	
-	// Tenta encontrar por identificador do WhatsApp
-	if (origin === 'uazapi') {
-		// Para UAZAPI, tenta encontrar pelo número do WhatsApp
-		// Primeiro tenta pelo owner (número conectado à instância)
-		const owner = body?.owner || body?.message?.owner;
-		if (owner) {
-			const normalized = String(owner).replace(/[^0-9]/g, '');
-			if (normalized) {
-				const integration = findIntegrationByWhatsAppIdentifier(integrations, 'uazapi', normalized);
-				if (integration) {
-					console.log(`Integração UAZAPI encontrada pelo owner ${normalized}: ${integration.id}`);
-					return integration;
-				}
-				console.warn(`Nenhuma integração UAZAPI configurada para o número conectado ${normalized}. Mensagem descartada.`);
-				return null;
-			}
-		}
-
-		// Tenta pelo número do WhatsApp no chatid ou no próprio payload
-		const chatId = body?.message?.chatid?.replace('@s.whatsapp.net', '') || '';
-		if (chatId) {
-			const normalized = String(chatId).replace(/[^0-9]/g, '');
-			if (normalized) {
-				console.log(`Vai chamar função de FIND para num ${normalized}...`);
-				const integration = findIntegrationByWhatsAppIdentifier(integrations, 'uazapi', normalized);
-				console.log(`O retorno foi ${integration}!`);
-				if (integration) {
-					console.log(`Integração UAZAPI encontrada pelo chatid ${normalized}: ${integration.id}`);
-					return integration;
-				}
-			}
-		}
-		
-		
-		console.warn('Não foi possível identificar integração UAZAPI para o payload recebido. Mensagem será descartada.');
-		return null;
-	} else if (origin === 'zapi') {
-		const zapiIntegrations = integrations.filter(i => i.whatsapp.provider === 'zapi');
-		if (zapiIntegrations.length === 1) {
-			return zapiIntegrations[0];
-		}
-		if (zapiIntegrations.length > 1) {
-			console.warn('Múltiplas integrações Z-API encontradas e payload não permite identificar qual usar. Mensagem será descartada.');
-			return null;
-		}
-		console.warn('Nenhuma integração Z-API encontrada para o payload. Mensagem será descartada.');
-		return null;
-	} else if (origin === 'wuzapi') {
-		const wuzapiIntegrations = integrations.filter(i => i.whatsapp.provider === 'wuzapi');
-		if (wuzapiIntegrations.length === 1) {
-			return wuzapiIntegrations[0];
-		}
-		if (wuzapiIntegrations.length > 1) {
-			console.warn('Múltiplas integrações Wuzapi encontradas e payload não permite identificar qual usar. Mensagem será descartada.');
-			return null;
-		}
-		console.warn('Nenhuma integração Wuzapi encontrada para o payload. Mensagem será descartada.');
-		return null;
+	// Tenta encontrar pelo identificador da instância (número conectado, instanceId, userID...)
+	if (provider) {
+		return findIntegrationByInstance(integrations, body, provider);
 	}
 	
-	console.warn(`Origem ${origin} não mapeada ou sem integração correspondente. Mensagem será descartada.`);
+	logger.warn(`Origem ${origin} não mapeada ou sem integração correspondente. Mensagem será descartada.`);
 	return null;
 }
 
+/**
+ * Anota no erro a integração que estava processando a mensagem (usada no DLQ)
+ */
+function tagErrorWithIntegration(error, integration) {
+	if (integration && error && typeof error === 'object' && !error.integrationId) {
+		error.integrationId = integration.id;
+	}
+}
+
 /**
  * Processa mensagem do webhook principal
  */
-async function processWebhookPrincipal(body, integrations = []) {
+async function processWebhookPrincipal(body, integrations = [], context = {}) {
+	let integration = null;
 	try {
 		// Log do payload recebido para debug
-		console.log('Payload da API de whatsapp retirado da Fila:', JSON.stringify(body, null, 2));
-		//console.log('Integracoes são[]:', integrations);
+		logger.debug('Payload da API de whatsapp retirado da Fila:', body);
+		//logger.info('Integracoes são[]:', integrations);
 
-		if (isUazapiDeletedEvent(body)) {
-			return await processUazapiDeletedMessage(body, integrations);
-		}
+		// Detecta o provedor primeiro para classificar o evento e encontrar a integração
+		const provider = detectProvider(body);
+		const origin = provider?.name || 'unknown';
+		const event = provider ? provider.parseEvent(body) : { type: 'message' };
 
-		if (isUazapiMessagesUpdateEvent(body)) {
-			if (body?.type === 'DeletedMessage' || body?.EventType === 'messages_update') {
-				console.log('Evento UAZAPI message_update ignorado (não é deleção). Estado:', body?.state, 'Tipo:', body?.type);
-				return { processed: false, reason: 'uazapi_messages_update_non_deleted' };
-			}
+		if (event.type === 'delete') {
+			return await processDeletedMessages(body, provider, event.messageIds || [], integrations, context);
 		}
 
-		if (isZapiRevokeEvent(body)) {
-			return await processZapiDeletedMessage(body, integrations);
+		if (event.type === 'ignore') {
+			const { reason, ...details } = event;
+			delete details.type;
+			logger.info(`Evento ${provider.label} ignorado para processamento de mensagem (${reason}).`, details);
+			return { processed: false, reason, ...details };
 		}
-
-		if (isZapiNotificationEvent(body)) {
-			console.log(`Evento de notificação Z-API (${body.notification}) ignorado para processamento de mensagem.`);
-			return { processed: false, reason: 'zapi_notification_ignored', notification: body.notification };
-		}
-
-		// Detecta a origem primeiro para encontrar a integração
-		const origin = detectPayloadOrigin(body);
 		
 		// Encontra a integração correta ANTES de extrair os dados
-		const integration = findIntegrationForPayload(integrations, body, origin);
+		integration = findIntegrationForPayload(integrations, body, provider, context.integrationId);
 		if (!integration) {
-			console.warn(`Nenhuma integração correspondente encontrada para processar o webhook (origem: ${origin}). Mensagem descartada.`);
+			logger.warn(`Nenhuma integração correspondente encontrada para processar o webhook (origem: ${origin}). Mensagem descartada.`);
 			return { processed: false, reason: 'integration_not_found' };
 		}
+		setLogContext({ integrationId: integration.id });
 		
 		// Usa as configurações da integração para extrair os dados
 		const defaultCountry = integration.defaultCountry || 'BR';
 		const desconsiderarGrupo = integration.desconsiderarGrupo !== false;
 		
-		console.log(`Integração encontrada: ${integration.id} (${integration.whatsapp.provider}) - DESCONSIDERAR_GRUPO=${desconsiderarGrupo}, DEFAULT_COUNTRY=${defaultCountry}`);
+		logger.info(`Integração encontrada: ${integration.id} (${integration.whatsapp.provider}) - DESCONSIDERAR_GRUPO=${desconsiderarGrupo}, DEFAULT_COUNTRY=${defaultCountry}`);
 
 		// Extrai dados baseado na origem detectada, usando as configurações da integração
-		const extractedData = extractMessageData(body, desconsiderarGrupo, defaultCountry);
+		const extractedData = extractMessageData(body, provider, desconsiderarGrupo, defaultCountry);
 		
 		if (!extractedData) {
-			console.log(`Extração de dados falhou ou retornou vazio para integração ${integration.id}`);
+			logger.info(`Extração de dados falhou ou retornou vazio para integração ${integration.id}`);
 			return { processed: false, reason: 'message_extraction_failed' };
 		}
 		
 		if (extractedData.ignored) {
-			console.log(`Mensagem ignorada (${extractedData.reason || 'sem motivo'}) pela configuração da integração ${integration.id}`);
+			logger.info(`Mensagem ignorada (${extractedData.reason || 'sem motivo'}) pela configuração da integração ${integration.id}`);
 			return { processed: false, reason: extractedData.reason || 'message_ignored_by_config' };
 		}
 		
 		const { phone, lid, jid, text, name, senderPhoto, image, audio, document, video, isGroup, fromMe, status, fromApi, messageId, replyId, groupName, senderName, editedMessageId } = extractedData;
 		
 		if (!phone && !lid && !jid && !text && !image && !audio && !document && !video) {
-			console.log(`Mensagem ignorada pela configuração da integração ${integration.id}`);
+			logger.info(`Mensagem ignorada pela configuração da integração ${integration.id}`);
 			return { processed: false, reason: 'message_ignored_by_config' };
 		}
 		
@@ -877,18 +362,15 @@ async function processWebhookPrincipal(body, integrations = []) {
 		const detectedCountry = detectCountryCode(phone);
 		
 		// Log para debug
-		console.log(`Webhook recebido - Integração: ${integration.id}, Origem: ${origin}, Phone: ${phone}, Country: ${detectedCountry || defaultCountry}, Text: ${text?.substring(0, 50)}..., fromMe: ${fromMe}, fromApi: ${fromApi}, status: ${status}, Tem imagem: ${!!image}, Tem áudio: ${!!audio}, Tem documento: ${!!document}, Tem vídeo: ${!!video}, É grupo (${isGroup} - ${groupName})`);
+		logger.info(`Webhook recebido - Integração: ${integration.id}, Origem: ${origin}, Phone: ${phone}, Country: ${detectedCountry || defaultCountry}, Text: ${text?.substring(0, 50)}..., fromMe: ${fromMe}, fromApi: ${fromApi}, status: ${status}, Tem imagem: ${!!image}, Tem áudio: ${!!audio}, Tem documento: ${!!document}, Tem vídeo: ${!!video}, É grupo (${isGroup} - ${groupName})`);
 		
 		if (!phone || (!text && !image && !audio && !document && !video)) {
-			console.warn(`Dados inválidos - Phone: ${phone}, Text: ${text}, Image: ${!!image}, Audio: ${!!audio}, Document: ${!!document}, Video: ${!!video}, Origin: ${origin}`);				
+			logger.warn(`Dados inválidos - Phone: ${phone}, Text: ${text}, Image: ${!!image}, Audio: ${!!audio}, Document: ${!!document}, Video: ${!!video}, Origin: ${origin}`);				
 		}
 
 		// Processa a mensagem no Chatwoot baseado no tipo (incoming ou outgoing)
 		let result;
-		if (fromMe && !fromApi) {
-			// Mensagem do agente (fromMe: true || fromApi: false) - processa como outgoing
-			console.log(`Processando envio de mensagem de agente (fromMe: ${fromMe} || fromApi: ${fromApi}) para ${phone}`);
-			
+		if (fromMe) {
 			// Determina o tipo de mensagem ANTES de processar
 			let messageType;
 			if (image) messageType = 'image';
@@ -896,65 +378,48 @@ async function processWebhookPrincipal(body, integrations = []) {
 			else if (video) messageType = 'video';
 			else if (document) messageType = 'document';
 			else messageType = 'text';
-			
-			//Adiciona ticket para nao ser processado no callback do chatwoot e dar loop			
-			addOutgoingTicket(phone, messageType);
+
+			// Eco de uma mensagem enviada pelo próprio Wootrico a partir do Chatwoot: já existe no Chatwoot
+			const echoChat = getEchoChatKey(phone, lid, jid);
+			if (await whatsappEchoes.match(integration.id, messageId, echoChat, messageType, text)) {
+				return { processed: false, reason: 'echo_from_chatwoot', messageId, messageType };
+			}
+
+			// Mensagem do agente enviada fora do Chatwoot (celular, WhatsApp Web ou outro sistema via API) - processa como outgoing
+			logger.info(`Processando envio de mensagem de agente (fromMe: ${fromMe} || fromApi: ${fromApi}) para ${phone}`);
+
+			// Registra o eco esperado para a mensagem não ser reenviada ao WhatsApp pelo callback do Chatwoot
+			const expectedEcho = await chatwootEchoes.expect(integration.id, echoChat, messageType, text);
 			try {
 				result = await integration.chatwoot.processOutgoingMessage(phone, text, senderPhoto, name, image, audio, document, video, lid, jid, origin, messageId, isGroup, groupName);
-				console.log(`Mensagem de agente enviada com sucesso para ${phone || lid || jid}:${messageType}`);
+				await chatwootEchoes.confirm(integration.id, [result?.messageId], [expectedEcho]);
+				logger.info(`Mensagem de agente enviada com sucesso para ${phone || lid || jid}:${messageType}`);
 			} catch (error) {
-				//retira ticket em caso de erro e impedir emperrar mensagens seguintes
-				consumeOutgoingTicket(phone,messageType);
-				console.log(`Erro no processamento de mensagem de agente para ${phone}:${messageType}`);
+				// Descarta o eco esperado para não bloquear mensagens seguintes
+				await chatwootEchoes.cancel([expectedEcho]);
+				logger.info(`Erro no processamento de mensagem de agente para ${phone}:${messageType}`);
 				throw error;
 			}
 							
-		} else if (fromMe && fromApi) {
-			// Mensagem do agente (fromMe: true || fromApi: true) - processa como outgoing
-			console.log(`Processando envio de mensagem de agente (fromMe: ${fromMe} || fromApi: ${fromApi}) para ${phone}`);
-			
-			// Determina o tipo de mensagem ANTES de processar
-			let messageType;
-			if (image) messageType = 'image';
-			else if (audio) messageType = 'audio';
-			else if (video) messageType = 'video';
-			else if (document) messageType = 'document';
-			else messageType = 'text';
-
-			if (consumeOutgoingTicketChatwoot(phone, messageType)) {
-				// Adiciona ticket ANTES de processar a mensagem
-				addOutgoingTicket(phone, messageType);
-				try {
-					result = await integration.chatwoot.processOutgoingMessage(phone, text, senderPhoto, name, image, audio, document, video, lid, jid, origin, messageId, isGroup, groupName);
-					console.log(`Mensagem de agente enviada com sucesso para ${phone || lid || jid}:${messageType}`);
-				} catch (error) {
-					console.log(`Erro no processamento de mensagem de agente para ${phone}:${messageType}`);
-					consumeOutgoingTicket(phone, messageType);//retira ticket adiconando anteriomente
-					throw error;
-				}
-			} else {
-				console.log(`Nenhum ticket encontrado para ${phone}:${messageType} - Processando mensagem de agente normalmente`);
-			}
-			
 		} else {
 			// Mensagem do cliente (fromMe: false) - processa como incoming
-			console.log(`Processando envio de mensagem de cliente (fromMe: false) para ${phone || lid || jid}`);
+			logger.info(`Processando envio de mensagem de cliente (fromMe: false) para ${phone || lid || jid}`);
 			let chatwootMessageId = null;
 			if(replyId){
-				chatwootMessageId = getChatwootMessageId(replyId);
+				chatwootMessageId = await getChatwootMessageId(replyId, integration.id);
 			}
 
 			let editedReplyChatwootId = null;
 			const formattedText = text;
 
 			if (editedMessageId) {
-				console.log(`Mensagem editada detectada - MessageId original (WhatsApp): ${editedMessageId}, MessageId nova mensagem: ${messageId}, Origin: ${origin}`);
-				const mapping = getChatwootMessageMappingByApiId(editedMessageId);
+				logger.info(`Mensagem editada detectada - MessageId original (WhatsApp): ${editedMessageId}, MessageId nova mensagem: ${messageId}, Origin: ${origin}`);
+				const mapping = await getChatwootMessageMappingByApiId(editedMessageId, integration.id);
 				if (mapping?.chatwootMessageId) {
 					editedReplyChatwootId = mapping.chatwootMessageId;
-					console.log(`Mapeamento encontrado - Chatwoot MessageId: ${editedReplyChatwootId} para WhatsApp MessageId original: ${editedMessageId}`);
+					logger.info(`Mapeamento encontrado - Chatwoot MessageId: ${editedReplyChatwootId} para WhatsApp MessageId original: ${editedMessageId}`);
 				} else {
-					console.warn(`Mapeamento não encontrado para MessageId original (WhatsApp): ${editedMessageId}. A mensagem será processada normalmente sem reply.`);
+					logger.warn(`Mapeamento não encontrado para MessageId original (WhatsApp): ${editedMessageId}. A mensagem será processada normalmente sem reply.`);
 				}
 			}
 
@@ -980,7 +445,7 @@ async function processWebhookPrincipal(body, integrations = []) {
 					groupName,
 					senderName
 				);
-				console.log(`Mensagem editada processada - Reply para Chatwoot ID ${editedReplyChatwootId} - Contact: ${result.contactId}, Conversation: ${result.conversationId}, Message: ${result.messageId}`);
+				logger.info(`Mensagem editada processada - Reply para Chatwoot ID ${editedReplyChatwootId} - Contact: ${result.contactId}, Conversation: ${result.conversationId}, Message: ${result.messageId}`);
 			} else {
 				result = await integration.chatwoot.processIncomingMessage(
 					phone,
@@ -1000,14 +465,15 @@ async function processWebhookPrincipal(body, integrations = []) {
 					groupName,
 					senderName
 				);
-				console.log(`Mensagem enviada - Tipo: ${fromMe ? 'AGENTE' : 'CLIENTE'} - Contact: ${result.contactId}, Conversation: ${result.conversationId}, Message: ${result.messageId}`);
+				logger.info(`Mensagem enviada - Tipo: ${fromMe ? 'AGENTE' : 'CLIENTE'} - Contact: ${result.contactId}, Conversation: ${result.conversationId}, Message: ${result.messageId}`);
 			}
 		}
 		
 		return { processed: true, result };
 		//}//else do grupo
 	} catch (error) {
-		console.error('Erro ao processar webhook principal:', error);
+		logger.error('Erro ao processar webhook principal:', error);
+		tagErrorWithIntegration(error, integration);
 		throw error;
 	}
 }
@@ -1015,9 +481,9 @@ async function processWebhookPrincipal(body, integrations = []) {
 /**
  * Processa exclusão de mensagem do webhook callback
  */
-async function processMessageDelete(body, integrations = []) {
+async function processMessageDelete(body, integrations = [], context = {}) {
 	try {
-		console.log('Processando exclusão de mensagem do Chatwoot:', JSON.stringify(body, null, 2));
+		logger.debug('Processando exclusão de mensagem do Chatwoot:', body);
 		
 		// Verifica se é uma mensagem de saída (do agente)
 		if (body.message_type !== 'outgoing') {
@@ -1031,37 +497,37 @@ async function processMessageDelete(body, integrations = []) {
 		
 		// Valida se há integrações configuradas
 		if (!integrations || integrations.length === 0) {
-			console.error('Nenhuma integração configurada para processar exclusão de mensagem');
+			logger.error('Nenhuma integração configurada para processar exclusão de mensagem');
 			return { processed: false, reason: 'no_integrations_configured' };
 		}
 		
 		// Extrai o ID da mensagem do Chatwoot
 		const chatwootMessageId = body.id;
 		if (!chatwootMessageId) {
-			console.warn('ID da mensagem do Chatwoot não encontrado no payload de exclusão');
+			logger.warn('ID da mensagem do Chatwoot não encontrado no payload de exclusão');
 			return { processed: false, reason: 'chatwoot_message_id_not_found' };
 		}
 		
 		// Recupera o ID da mensagem do WhatsApp usando o mapeamento
-		const whatsAppMessageId = getApiMessageId(chatwootMessageId);
+		const whatsAppMessageId = await getApiMessageId(chatwootMessageId);
 		if (!whatsAppMessageId) {
-			console.warn(`ID da mensagem do WhatsApp não encontrado para Chatwoot ID: ${chatwootMessageId}. A mensagem pode não ter sido enviada via API do WhatsApp.`);
+			logger.warn(`ID da mensagem do WhatsApp não encontrado para Chatwoot ID: ${chatwootMessageId}. A mensagem pode não ter sido enviada via API do WhatsApp.`);
 			return { processed: false, reason: 'whatsapp_message_id_not_found', chatwootMessageId };
 		}
 		
-		console.log(`Deletando mensagem no WhatsApp - Chatwoot ID: ${chatwootMessageId}, WhatsApp ID: ${whatsAppMessageId}`);
+		logger.info(`Deletando mensagem no WhatsApp - Chatwoot ID: ${chatwootMessageId}, WhatsApp ID: ${whatsAppMessageId}`);
 		
-		// Encontra a integração pela inboxId da conversa ou pelo mapeamento
-		let integration = null;
+		// Encontra a integração pela URL de origem, pela inboxId da conversa ou pelo mapeamento
+		let integration = context.integrationId ? findIntegrationById(integrations, context.integrationId) : null;
 		const inboxId = body.conversation?.inbox_id;
 		
-		if (inboxId) {
+		if (!integration && inboxId) {
 			integration = findIntegrationByInboxId(integrations, inboxId);
 		}
 		
 		// Se não encontrou pelo inboxId, tenta pelo mapeamento
 		if (!integration) {
-			const mapping = getMessageMappingByChatwootId(chatwootMessageId);
+			const mapping = await getMessageMappingByChatwootId(chatwootMessageId);
 			if (mapping?.inboxId) {
 				integration = findIntegrationByInboxId(integrations, mapping.inboxId);
 			}
@@ -1073,7 +539,13 @@ async function processMessageDelete(body, integrations = []) {
 			if (!integration) {
 				throw new Error('Integração não encontrada para deletar mensagem no WhatsApp');
 			}
-			console.warn(`InboxId não encontrado. Usando primeira integração disponível (${integration.id}) para deletar mensagem.`);
+			logger.warn(`InboxId não encontrado. Usando primeira integração disponível (${integration.id}) para deletar mensagem.`);
+		}
+
+		// Provedores sem exclusão na API (ex.: Cloud API): a mensagem continua no WhatsApp
+		if (!integration.whatsapp.capabilities.delete) {
+			logger.info(`Provedor ${integration.whatsapp.provider} não permite apagar mensagens. Exclusão do Chatwoot ID ${chatwootMessageId} não replicada no WhatsApp.`);
+			return { processed: false, reason: 'delete_not_supported', chatwootMessageId };
 		}
 		
 		// Determina o identificador do contato para provedores que exigem phone/grupo
@@ -1095,7 +567,7 @@ async function processMessageDelete(body, integrations = []) {
 		}
 
 		if (!recipientForDeletion) {
-			console.warn('Recipient não encontrado no payload de exclusão. Alguns provedores podem exigir este valor para deletar mensagens.');
+			logger.warn('Recipient não encontrado no payload de exclusão. Alguns provedores podem exigir este valor para deletar mensagens.');
 		}
 
 		// Deleta a mensagem no WhatsApp
@@ -1105,13 +577,13 @@ async function processMessageDelete(body, integrations = []) {
 				recipient: recipientForDeletion,
 				owner: true
 			});
-			console.log('Mensagem deletada no WhatsApp:', JSON.stringify(result, null, 2));
+			logger.debug('Mensagem deletada no WhatsApp:', result);
 			
 			// Remove o mapeamento após deletar com sucesso
-			removeMessageIdMapping(chatwootMessageId);
+			await removeMessageIdMapping(chatwootMessageId);
 			
 		} catch (error) {
-			console.error(`Erro ao deletar mensagem no WhatsApp para Chatwoot ID ${chatwootMessageId}:`, error?.response?.data || error?.message);
+			logger.error(`Erro ao deletar mensagem no WhatsApp para Chatwoot ID ${chatwootMessageId}:`, error?.response?.data || error?.message);
 			throw error;
 		}
 		
@@ -1123,7 +595,7 @@ async function processMessageDelete(body, integrations = []) {
 		};
 		
 	} catch (error) {
-		console.error('Erro ao processar exclusão de mensagem:', error);
+		logger.error('Erro ao processar exclusão de mensagem:', error);
 		throw error;
 	}
 }
@@ -1131,16 +603,17 @@ async function processMessageDelete(body, integrations = []) {
 /**
  * Processa mensagem do webhook callback
  */
-async function processWebhookCallback(body, integrations = []) {
+async function processWebhookCallback(body, integrations = [], context = {}) {
+	let integration = null;
 	try {
 		
 		if (body.event === 'message_created' || body.event === 'message_updated') {
-			console.log('Callback do Chatwoot retirado da Fila:', JSON.stringify(body, null, 2));
+			logger.debug('Callback do Chatwoot retirado da Fila:', body);
 		}
 		
 		// Verifica se é um evento de mensagem atualizada com deleted=true (exclusão de mensagem)
 		if (body.event === 'message_updated' && body.content_attributes?.deleted === true) {
-			return await processMessageDelete(body, integrations);
+			return await processMessageDelete(body, integrations, context);
 		}
 		
 		// Verifica se é um evento de mensagem criada
@@ -1160,21 +633,21 @@ async function processWebhookCallback(body, integrations = []) {
 		
 		// Valida se há integrações configuradas
 		if (!integrations || integrations.length === 0) {
-			console.error('Nenhuma integração configurada para processar callback');
+			logger.error('Nenhuma integração configurada para processar callback');
 			return { processed: false, reason: 'no_integrations_configured' };
 		}
 		
 		// Extrai dados da conversa
 		const conversation = body.conversation;
 		if (!conversation) {
-			console.warn('Conversa não encontrada no payload do callback');
+			logger.warn('Conversa não encontrada no payload do callback');
 			return { processed: false, reason: 'conversation_not_found' };
 		}
 		
 		// Extrai dados do contato da conversa
 		const contact = conversation.meta?.sender;
 		if (!contact?.identifier) {
-			console.warn('Identificador do contato não encontrado no payload do callback');
+			logger.warn('Identificador do contato não encontrado no payload do callback');
 			return { processed: false, reason: 'contact_identifier_not_found', conversationId: conversation?.id };
 		}
 		
@@ -1211,9 +684,11 @@ async function processWebhookCallback(body, integrations = []) {
 			// Para contatos normais, usa phone_number ou LID/JID
 			recipient = phone || lid || jid || identifier;
 		}
+		// Mesma chave de chat usada pelo webhook principal ao registrar/reconhecer ecos
+		const echoChat = isGroup ? identifier : (getEchoChatKey(phone, lid, jid) || identifier);
 		
 		if (!recipient) {
-			console.warn('Nenhum identificador válido encontrado');
+			logger.warn('Nenhum identificador válido encontrado');
 			return { processed: false, reason: 'no_valid_identifier_found' };
 		}
 		let content = body.content ?? '';
@@ -1224,26 +699,32 @@ async function processWebhookCallback(body, integrations = []) {
 		let apiReplyMessageId = null;
 		
 		if (replyToMessageId) {
-			console.log(`Mensagem é um reply para Chatwoot ID: ${replyToMessageId}`);
-			apiReplyMessageId = getApiMessageId(replyToMessageId);
+			logger.info(`Mensagem é um reply para Chatwoot ID: ${replyToMessageId}`);
+			apiReplyMessageId = await getApiMessageId(replyToMessageId);
 			if (apiReplyMessageId) {
-				console.log(`MessageId da API encontrado para reply: ${apiReplyMessageId}`);
+				logger.info(`MessageId da API encontrado para reply: ${apiReplyMessageId}`);
 			} else {
-				console.log(`MessageId da API não encontrado para reply do Chatwoot ID: ${replyToMessageId}`);
+				logger.info(`MessageId da API não encontrado para reply do Chatwoot ID: ${replyToMessageId}`);
 			}
 		}
 		
-		// Determina o tipo de mensagem para verificação de tickets
+		// Determina o tipo de mensagem para detecção de eco
 		const messageType = getMessageType(content, attachments);
 
-		// Encontra a integração pela inboxId
+		// Encontra a integração pela URL de origem ou pela inboxId
 		const inboxId = conversation.inbox_id;
-		let integration = null;
+
+		if (context.integrationId) {
+			integration = findIntegrationById(integrations, context.integrationId);
+			if (!integration) {
+				logger.warn(`Integração ${context.integrationId} informada na mensagem não está carregada neste consumer. Tentando pelo inboxId.`);
+			}
+		}
 		
-		if (inboxId) {
+		if (!integration && inboxId) {
 			integration = findIntegrationByInboxId(integrations, inboxId);
 			if (!integration) {
-				console.warn(`Integração não encontrada pelo inboxId ${inboxId}. Tentando usar primeira integração disponível.`);
+				logger.warn(`Integração não encontrada pelo inboxId ${inboxId}. Tentando usar primeira integração disponível.`);
 			}
 		}
 		
@@ -1254,11 +735,22 @@ async function processWebhookCallback(body, integrations = []) {
 			}
 			integration = integrations[0];
 			if (inboxId) {
-				console.warn(`Usando primeira integração disponível (${integration.id}) - inboxId ${inboxId} não encontrado nas integrações.`);
+				logger.warn(`Usando primeira integração disponível (${integration.id}) - inboxId ${inboxId} não encontrado nas integrações.`);
 			} else {
-				console.log(`Usando primeira integração disponível (${integration.id}) - inboxId não fornecido no payload.`);
+				logger.info(`Usando primeira integração disponível (${integration.id}) - inboxId não fornecido no payload.`);
 			}
 		}
+		setLogContext({ integrationId: integration.id });
+		
+		// Eco de uma mensagem do agente criada pelo próprio Wootrico a partir do WhatsApp: já foi enviada
+		if (await chatwootEchoes.match(integration.id, body.id, echoChat, messageType, content)) {
+			return { 
+				processed: false, 
+				reason: 'echo_from_whatsapp',
+				recipient,
+				messageType
+			};
+		}
 		
 		const shouldSignMessages = integration.assinarMensagem !== false;
 		
@@ -1281,17 +773,7 @@ async function processWebhookCallback(body, integrations = []) {
 				content = signature;
 			}
 		} else if (shouldSignMessages && !senderName) {
-			console.warn(`ASSINAR_MENSAGEM ativado mas nome do sender não encontrado no payload. Campos disponíveis: assignee=${!!conversation.meta?.assignee}, sender=${!!body?.sender}`);
-		}
-		
-		// Verifica se existe ticket disponível e o consome
-		if (consumeOutgoingTicket(recipient, messageType)) {
-			return { 
-				processed: false, 
-				reason: 'ticket_consumed',
-				recipient,
-				messageType
-			};
+			logger.warn(`ASSINAR_MENSAGEM ativado mas nome do sender não encontrado no payload. Campos disponíveis: assignee=${!!conversation.meta?.assignee}, sender=${!!body?.sender}`);
 		}
 		
 		// Processa todos os attachments (múltiplas mídias)
@@ -1342,14 +824,15 @@ async function processWebhookCallback(body, integrations = []) {
 				if (processedAttachment) {					
 					processedAttachments.push(processedAttachment);
 				}
-				addOutgoingTicketChatwoot(recipient, messageType);//um para cada mídia
 			}
-		} else{
-			// Adiciona ticket ANTES de enviar a mensagem no WhatsApp
-			addOutgoingTicketChatwoot(recipient, messageType);
 		}
 		
-		console.log(`Enviando mensagem para WhatsApp - Recipient: ${recipient}, Type: ${messageType}, Content: ${content?.substring(0, 50)}..., Attachments: ${processedAttachments.length}, IsGroup: ${isGroup}`);
+		// Registra os ecos esperados ANTES de enviar no WhatsApp (um para cada mídia enviada)
+		const expectedEchoes = processedAttachments.length > 0
+			? await Promise.all(processedAttachments.map((attachment) => whatsappEchoes.expect(integration.id, echoChat, attachment.type, '')))
+			: [await whatsappEchoes.expect(integration.id, echoChat, messageType, content)];
+		
+		logger.info(`Enviando mensagem para WhatsApp - Recipient: ${recipient}, Type: ${messageType}, Content: ${content?.substring(0, 50)}..., Attachments: ${processedAttachments.length}, IsGroup: ${isGroup}`);
 		
 		// Envia mensagem no WhatsApp
 		// Para grupos: recipient contém o wa_chatid (ex: "120363378985956346@g.us")
@@ -1358,19 +841,20 @@ async function processWebhookCallback(body, integrations = []) {
 		try {
 			// Usa recipient ao invés de phone para garantir que grupos usem o wa_chatid correto
 			result = await integration.whatsapp.sendMessage(recipient, content, messageType, processedAttachments, lid, jid, apiReplyMessageId);
-			console.log('Mensagem enviada no WhatsApp:', JSON.stringify(result,null,2));
+			logger.debug('Mensagem enviada no WhatsApp:', result);
 			const apiMessageIds = extractApiMessageIds(result);
+			await whatsappEchoes.confirm(integration.id, apiMessageIds, expectedEchoes);
 			if (apiMessageIds.length > 0) {
 				const messageId = apiMessageIds[0];
 				const inboxId = conversation.inbox_id;
-				storeMessageIdMapping(body.id, messageId, conversation.id, inboxId, integration.whatsapp.provider, integration.id);
+				await storeMessageIdMapping(body.id, messageId, conversation.id, inboxId, integration.whatsapp.provider, integration.id);
 			} else {
-				console.warn('Não foi possível extrair messageId da resposta do provedor para mapear o reply.');
+				logger.warn('Não foi possível extrair messageId da resposta do provedor para mapear o reply.');
 			}
 		} catch (error) {
-			// Se houver erro, remove o ticket
-			consumeOutgoingTicketChatwoot(recipient, messageType);
-			console.log(`Erro no envio - Ticket removido para ${recipient}:${messageType}`);
+			// Se houver erro, descarta os ecos esperados
+			await whatsappEchoes.cancel(expectedEchoes);
+			logger.info(`Erro no envio - Eco esperado descartado para ${recipient}:${messageType}`);
 			throw error;
 		}
 		
@@ -1393,86 +877,481 @@ async function processWebhookCallback(body, integrations = []) {
 		};
 		
 	} catch (error) {
-		console.error('Erro ao processar webhook callback:', error);
+		logger.error('Erro ao processar webhook callback:', error);
+		tagErrorWithIntegration(error, integration);
 		throw error;
 	}
 }
 
 /**
- * Inicia o consumer do webhook principal
+ * Chave de ordenação do webhook principal: o chat do WhatsApp (telefone, LID/JID ou grupo)
+ * @returns {string|null}
  */
-async function startWebhookPrincipalConsumer(integrations = []) {
-	try {
-		const { js, sc } = await getNatsConnection();
+function getPrincipalOrderingKey(body, integrationId = null) {
+	const chat = detectProvider(body)?.getChatId(body)
+		|| body?.from
+		|| body?.number
+		|| body?.remoteJid
+		|| null;
+	return chat ? `${integrationId || ''}:${String(chat).replace('@s.whatsapp.net', '')}` : null;
+}
 
-		const opts = consumerOpts();
-		opts.durable('consumer-webhook-principal');     // consumer persistente
-		opts.manualAck();                     // ack explícito
-		opts.deliverTo('webhook-principal-consumer');						
-	
-		// IMPORTANTE: o subject tem que existir no stream		
-		const sub = await js.subscribe('webhook.principal', opts);
+/**
+ * Chave de ordenação do callback do Chatwoot: a conversa
+ * @returns {string|null}
+ */
+function getCallbackOrderingKey(body, integrationId = null) {
+	const conversationId = body?.conversation?.id || body?.conversation_id || null;
+	if (!conversationId) {
+		return null;
+	}
+	const inboxId = body?.conversation?.inbox_id || body?.inbox?.id || '';
+	return `${integrationId || ''}:${inboxId}:${conversationId}`;
+}
 
-		console.log('✓ Consumer do Webhook Principal iniciado e aguardando requisições...');
+/**
+ * Distribui as mensagens do consumer no pool: chats diferentes em paralelo, mesmo chat em ordem
+ */
+async function consumeWithWorkerPool(messages, consumerName, processFn, getOrderingKey, integrations) {
+	const pool = createOrderedWorkerPool(consumerName);
+	setConsumerState(consumerName, { pool });
+	const { concurrency, maxPending } = pool.getStats();
+	const { ackWaitMs, maxProcessingMs } = getPullConsumerConfig();
+	logger.info(`[${consumerName}]: Processando com até ${concurrency} mensagem(ns) em paralelo (máximo de ${maxPending} pendente(s))`);
 
-		for await (const m of sub){
-			try {
-				const body = JSON.parse(sc.decode(m.data));
-				await processWebhookPrincipal(body, integrations);
-				m.ack(); // dá baixa no payload da fila
-			} catch (error) {
-				console.error('[startWebhookPrincipalConsumer]: Erro ao processar mensagem do webhook principal:', error?.message || error);
-				if (error?.stack && process.env.LOG_LEVEL === 'debug') {
-					console.error('Stack trace:', error.stack);
-				}
-				// Em caso de erro, ainda faz o ack para não travar a fila
+	for await (const m of messages) {
+		await pool.waitForCapacity();
+
+		let key = null;
+		try {
+			key = getOrderingKey(JSON.parse(sc.decode(m.data)), m.headers?.get(INTEGRATION_ID_HEADER) || null);
+		} catch {
+			// Payload inválido: processado sem ordenação (handleConsumerMessage envia ao DLQ)
+		}
+
+		// Heartbeat (working) enquanto a mensagem aguarda na fila do chat, processa mídias longas ou espera a nova tentativa,
+		// evitando que o ack wait expire e a mensagem seja reentregue no meio do processamento
+		const heartbeat = setInterval(() => m.working(), Math.max(500, Math.floor(ackWaitMs / 2)));
+
+		pool.submit(key, () => {
+			// Limite do processamento (CONSUMER_MAX_PROCESSING_MS): o abort cancela as requisições HTTP em andamento.
+			// A chave do chat, o heartbeat e a reivindicação seguem até o processamento terminar de fato, para que a
+			// reentrega não rode junto com ele nem as mensagens seguintes do chat passem na frente
+			const controller = new AbortController();
+			const limit = maxProcessingMs > 0
+				? setTimeout(() => {
+					logger.warn(`[${consumerName}]: Tempo máximo de processamento esgotado (${maxProcessingMs}ms) em ${m.subject} (seq ${m.seq}), cancelando as requisições em andamento`);
+					controller.abort(new Error(`tempo máximo de processamento esgotado (${maxProcessingMs}ms)`));
+				}, maxProcessingMs)
+				: null;
+			return handleConsumerMessage(m, consumerName, processFn, integrations, controller.signal)
+				.finally(() => clearTimeout(limit));
+		})
+			.catch((error) => logger.error(`[${consumerName}]: Erro inesperado no pool de processamento:`, error?.message || error))
+			.finally(() => clearInterval(heartbeat));
+	}
+
+	// Consumo encerrado: aguarda as mensagens em andamento
+	await pool.onIdle();
+}
+
+/**
+ * Processa a mensagem no contexto de log do webhook que a originou: as linhas do consumer,
+ * do Chatwoot e do provedor levam o id de correlação gerado na rota (ou um novo, se ausente).
+ * O span de processamento continua o trace da publicação (traceparent nos headers)
+ */
+function handleConsumerMessage(m, consumerName, processFn, integrations, signal = null) {
+	const context = {
+		correlationId: m.headers?.get(CORRELATION_ID_HEADER) || generateCorrelationId(),
+		integrationId: m.headers?.get(INTEGRATION_ID_HEADER) || null,
+		subject: m.subject,
+		seq: m.seq
+	};
+	const attributes = {
+		'messaging.system': isLocalQueue() ? 'local' : 'nats',
+		'messaging.destination.name': m.subject,
+		'messaging.message.id': String(m.seq),
+		'messaging.delivery_count': m.info?.redeliveryCount || 1,
+		'wootrico.correlation_id': context.correlationId,
+		'wootrico.integration_id': context.integrationId || 'unknown'
+	};
+	return withSpan(`process ${m.subject}`, { kind: SpanKind.CONSUMER, attributes, parent: extractTraceContext(m.headers) },
+		() => runWithLogContext(context, () => runWithAbortSignal(signal, () => processConsumerMessage(m, consumerName, processFn, integrations, context.correlationId, signal))));
+}
+
+/**
+ * Processa uma mensagem do JetStream: ack em caso de sucesso, nova tentativa com atraso crescente em
+ * falhas transitórias e envio ao DLQ quando o erro é permanente ou as tentativas se esgotam.
+ * As novas tentativas acontecem aqui mesmo (com heartbeat ativo) em vez de nak: a chave de ordenação
+ * do chat continua ocupada e as mensagens seguintes do mesmo chat não passam na frente desta.
+ * Quando o signal aborta (tempo máximo de processamento), as requisições HTTP do processFn são canceladas
+ * (clientes instrumentados); depois que o processFn termina, a mensagem recebe nak e volta para a fila
+ */
+async function processConsumerMessage(m, consumerName, processFn, integrations, correlationId, signal = null) {
+	const integrationId = m.headers?.get(INTEGRATION_ID_HEADER) || null;
+	const msgId = m.headers?.get(MSG_ID_HEADER) || null;
+	const { maxDeliver } = getRetryConfig();
+	const { maxProcessingMs, ackWaitMs } = getPullConsumerConfig();
+	// A reivindicação dura o tempo máximo de processamento mais um ack wait para o término do processamento abortado
+	const claimTtlMs = maxProcessingMs > 0 ? maxProcessingMs + ackWaitMs : undefined;
+	const metricsConsumer = m.subject?.split('.')[1] || 'unknown'; // principal ou callback
+	const startedAt = process.hrtime.bigint();
+	const elapsedSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+	let payload = null;
+	let claimed = false;
+
+	// Reentregas do JetStream (ex.: réplica que caiu no meio do processamento) contam como tentativas;
+	// as devolvidas porque outra cópia estava em processamento (busy) são descontadas ao obter a reivindicação
+	for (let attempt = m.info?.redeliveryCount || 1; ; attempt++) {
+		try {
+			// Reenvio do provedor/Chatwoot que chegou depois do duplicate_window do stream. A reivindicação
+			// vale para esta entrega (seq): a mesma mensagem reentregue continua com ela
+			const claim = await untilAborted(claimMessage(msgId, String(m.seq), claimTtlMs), signal);
+			if (claim === 'processed') {
+				logger.info(`[${consumerName}]: Mensagem ${msgId} já processada anteriormente, ignorando duplicata`);
 				m.ack();
+				recordMessageProcessed(metricsConsumer, integrationId, 'ignored', 'duplicate');
+				return;
+			}
+			if (claim === 'busy') {
+				const delay = getRetryDelay(attempt);
+				logger.info(`[${consumerName}]: Outra cópia da mensagem ${msgId} está em processamento, verificando de novo em ${delay}ms`);
+				await recordBusyDelivery(msgId, String(m.seq)).catch((error) => logger.warn(`[${consumerName}]: Falha ao registrar entrega busy da mensagem ${msgId}:`, error?.message || error));
+				m.nak(delay);
+				recordMessageProcessed(metricsConsumer, integrationId, 'retried', 'duplicate_in_progress');
+				return;
+			}
+			if (!claimed) {
+				claimed = true;
+				const busyDeliveries = await getBusyDeliveries(msgId, String(m.seq)).catch(() => 0);
+				attempt = Math.max(1, attempt - busyDeliveries);
+			}
+
+			payload = sc.decode(m.data);
+			const body = JSON.parse(payload);
+			// Mídias publicadas como referência (mediaOffload) são carregadas antes da extração dos dados
+			const mediaRefs = await untilAborted(resolvePayloadMedia(body), signal);
+			// Aguardado até terminar mesmo após o abort: só então a mensagem pode ser reentregue
+			const result = await processFn(body, integrations, { integrationId });
+			m.ack(); // dá baixa no payload da fila
+			const ignored = result?.ignored || result?.processed === false;
+			recordMessageProcessed(metricsConsumer, integrationId, ignored ? 'ignored' : 'processed', ignored ? result.reason : '', elapsedSeconds());
+			annotateActiveSpan({ 'wootrico.result': ignored ? 'ignored' : 'processed', 'wootrico.reason': ignored ? (result.reason || '') : '' });
+			await releasePayloadMedia(mediaRefs);
+			await markProcessed(msgId).catch((error) => logger.warn(`[${consumerName}]: Falha ao registrar mensagem ${msgId} como processada:`, error?.message || error));
+			return;
+		} catch (error) {
+			const errorIntegrationId = integrationId || error?.integrationId || null;
+			if (signal?.aborted) {
+				abortConsumerMessage(m, consumerName, attempt, signal);
+				recordMessageProcessed(metricsConsumer, errorIntegrationId, 'retried', 'processing_timeout', elapsedSeconds());
+				return;
 			}
+
+			logger.error(`[${consumerName}]: Erro ao processar mensagem de ${m.subject} (tentativa ${attempt}/${maxDeliver}):`, error?.message || error);
+			if (error?.stack) {
+				logger.debug('Stack trace:', error.stack);
+			}
+
+			const permanent = isPermanentError(error);
+			if (!permanent && attempt < maxDeliver) {
+				const delay = getRetryDelay(attempt);
+				logger.warn(`[${consumerName}]: Mensagem será reprocessada em ${delay}ms`);
+				recordMessageProcessed(metricsConsumer, errorIntegrationId, 'retried', 'transient_error', elapsedSeconds());
+				annotateActiveSpan({ 'wootrico.result': 'retried' }, error);
+				try {
+					await untilAborted(new Promise(resolve => setTimeout(resolve, delay)), signal);
+				} catch {
+					abortConsumerMessage(m, consumerName, attempt, signal);
+					recordMessageProcessed(metricsConsumer, errorIntegrationId, 'retried', 'processing_timeout', elapsedSeconds());
+					return;
+				}
+				continue;
+			}
+
+			if (await deadLetterConsumerMessage(m, consumerName, { payload, error, integrationId, correlationId, attempt, permanent, metricsConsumer, signal })) {
+				annotateActiveSpan({ 'wootrico.result': 'dead_lettered' }, error);
+				recordMessageProcessed(metricsConsumer, errorIntegrationId, 'dead_lettered', permanent ? 'permanent_error' : 'max_deliver', elapsedSeconds());
+			} else {
+				recordMessageProcessed(metricsConsumer, errorIntegrationId, 'retried', 'processing_timeout', elapsedSeconds());
+			}
+			return;
 		}
-	} catch (err) {
-		console.error('Erro no consumer do webhook principal:', err);
-		throw err;
 	}
 }
 
 /**
- * Inicia o consumer do webhook callback
+ * Publica a mensagem no DLQ e encerra as entregas (term). Se o DLQ estiver indisponível, tenta de novo
+ * com atraso crescente mantendo a mensagem (e a chave do chat) em processamento, em vez de perdê-la
+ * @returns {Promise<boolean>} - false quando o tempo máximo de processamento esgotou antes (mensagem com nak)
  */
-async function startWebhookCallbackConsumer(integrations = []) {
+async function deadLetterConsumerMessage(m, consumerName, { payload, error, integrationId, correlationId, attempt, permanent, metricsConsumer, signal = null }) {
+	let originalPayload = payload;
 	try {
-		const { js, sc } = await getNatsConnection();
-
-		const opts = consumerOpts();
-		opts.durable('consumer-webhook-callback');     // consumer persistente
-		opts.manualAck();                     // ack explícito
-		opts.deliverTo('webhook-callback-consumer');						
-	
-		// IMPORTANTE: o subject tem que existir no stream		
-		const sub = await js.subscribe('webhook.callback', opts);
-
-		console.log('✓ Consumer do Webhook Callback iniciado e aguardando requisições...');
+		originalPayload = JSON.parse(payload);
+	} catch {
+		// Mantém o payload como string quando não é JSON válido
+	}
+	// Mídias em referência vão para a área sem TTL: o replay do DLQ pode acontecer depois da expiração
+	const mediaRefs = getPayloadMediaRefs(originalPayload);
+	if (mediaRefs.length > 0) {
+		await retainPayloadMedia(originalPayload);
+	}
+	const entry = buildDeadLetterEntry({ subject: m.subject, payload: originalPayload, error, integrationId, correlationId, attempts: attempt, permanent });
 
-		for await (const m of sub){
+	for (let dlqAttempt = 1; ; dlqAttempt++) {
+		try {
+			await publishDeadLetter(entry);
+			logger.warn(`[${consumerName}]: Mensagem movida para o DLQ após ${attempt} tentativa(s)${permanent ? ' (erro permanente)' : ''}`);
+			m.term(); // não será mais reentregue
+			await releaseMessageClaim(m, consumerName);
+			const retainedRefs = getPayloadMediaRefs(originalPayload);
+			await releasePayloadMedia(mediaRefs.filter((ref) => !retainedRefs.includes(ref)));
+			return true;
+		} catch (dlqError) {
+			const delay = getRetryDelay(dlqAttempt);
+			logger.error(`[${consumerName}]: Erro ao publicar no DLQ, nova tentativa em ${delay}ms:`, dlqError?.message || dlqError);
+			recordMessageProcessed(metricsConsumer, integrationId || error?.integrationId || null, 'retried', 'dead_letter_failed');
 			try {
-				const body = JSON.parse(sc.decode(m.data));
-				await processWebhookCallback(body, integrations);
-				m.ack(); // dá baixa no payload da fila
-			} catch (error) {
-				console.error('[startWebhookCallbackConsumer]: Erro ao processar mensagem do webhook callback:', error?.message || error);
-				if (error?.stack && process.env.LOG_LEVEL === 'debug') {
-					console.error('Stack trace:', error.stack);
-				}
-				// Em caso de erro, ainda faz o ack para não travar a fila
-				m.ack();
+				await untilAborted(new Promise(resolve => setTimeout(resolve, delay)), signal);
+			} catch {
+				abortConsumerMessage(m, consumerName, attempt, signal);
+				return false;
 			}
 		}
+	}
+}
+
+/**
+ * Aguarda a promise ou rejeita assim que o signal abortar. Apenas para etapas que podem ser abandonadas
+ * sem efeito externo (reivindicação, leitura das mídias, esperas entre tentativas)
+ */
+function untilAborted(promise, signal) {
+	if (!signal) {
+		return promise;
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(signal.reason);
+		if (signal.aborted) {
+			onAbort();
+			return;
+		}
+		signal.addEventListener('abort', onAbort, { once: true });
+		promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+	});
+}
+
+/**
+ * Devolve para a fila a mensagem cujo processamento excedeu CONSUMER_MAX_PROCESSING_MS
+ */
+function abortConsumerMessage(m, consumerName, attempt, signal) {
+	const delay = getRetryDelay(attempt);
+	logger.warn(`[${consumerName}]: Processamento de ${m.subject} interrompido (${signal.reason?.message || 'abortado'}); mensagem será reentregue em ${delay}ms`);
+	annotateActiveSpan({ 'wootrico.result': 'retried', 'wootrico.reason': 'processing_timeout' });
+	m.nak(delay);
+	releaseMessageClaim(m, consumerName);
+}
+
+/**
+ * Libera a deduplicação reivindicada pela entrega que não foi processada (nak ou DLQ)
+ */
+async function releaseMessageClaim(m, consumerName) {
+	const msgId = m.headers?.get(MSG_ID_HEADER) || null;
+	await releaseClaim(msgId, String(m.seq)).catch((error) => logger.warn(`[${consumerName}]: Falha ao liberar a mensagem ${msgId} na deduplicação:`, error?.message || error));
+}
+
+/**
+ * Inicia um consumer durável no subject compartilhado ou no subject de uma integração
+ * @param {object} params
+ * @param {string} params.baseSubject - PRINCIPAL_SUBJECT ou CALLBACK_SUBJECT
+ * @param {string} params.baseName - Base do nome do durable (ex.: 'webhook-principal')
+ * @param {string} params.consumerName - Nome usado nos logs
+ * @param {string} params.label - Descrição do consumer nos logs de inicialização
+ * @param {string|null} params.integrationId - Integração atendida (null = subject compartilhado)
+ */
+async function startDurableConsumer({ baseSubject, baseName, consumerName, label, processFn, getOrderingKey, integrations, integrationId = null }) {
+	if (isLocalQueue()) {
+		return await startLocalConsumer({ baseSubject, consumerName, label, processFn, getOrderingKey, integrations, integrationId });
+	}
+
+	const { nc, js } = await getNatsConnection();
+	const suffix = integrationId ? `-${toSubjectToken(integrationId)}` : '';
+	const subject = getIntegrationSubject(baseSubject, integrationId);
+	const durableName = `consumer-${baseName}${suffix}`;
+	const logName = integrationId ? `${consumerName}:${integrationId}` : consumerName;
+
+	// IMPORTANTE: o subject tem que existir no stream		
+	const jsm = await nc.jetstreamManager();
+	await ensurePullConsumer(jsm, STREAM_NAME, durableName, subject);
+
+	const { batchSize, expiresMs } = getPullConsumerConfig();
+	const consumer = await js.consumers.get(STREAM_NAME, durableName);
+	const messages = await consumer.consume({ max_messages: batchSize, expires: expiresMs });
+
+	logger.info(`✓ Consumer do ${label}${integrationId ? ` (integração ${integrationId})` : ''} iniciado em ${subject} (pull, lote de ${batchSize}) e aguardando requisições...`);
+
+	// close() interrompe o pull; as mensagens já entregues terminam no pool antes do loop encerrar
+	const stop = () => messages.close();
+	await runConsumer({ name: logName, subject, durableName, integrationId, stop }, () => consumeWithWorkerPool(messages, logName, processFn, getOrderingKey, integrations));
+}
+
+/**
+ * Executa o loop de consumo registrando o estado do consumer (running, stopping, stopped ou failed)
+ * @param {object} params
+ * @param {Function} params.stop - Interrompe a entrega de mensagens (usado no desligamento)
+ */
+async function runConsumer({ name, subject, durableName = null, integrationId = null, stop }, consumeFn) {
+	setConsumerState(name, { subject, durableName, integrationId, backend: isLocalQueue() ? 'local' : 'nats', status: 'running', startedAt: new Date().toISOString(), error: null });
+	try {
+		const done = consumeFn();
+		consumerControls.set(name, { stop, done: done.catch(() => {}) });
+		await done;
+		setConsumerState(name, { status: 'stopped' });
+	} catch (error) {
+		setConsumerState(name, { status: 'failed', error: error?.message || String(error) });
+		throw error;
+	}
+}
+
+/**
+ * Estado dos consumers iniciados neste processo
+ * processing: mensagens em processamento; buffered: recebidas aguardando vaga no pool
+ * @returns {Array<{name: string, subject: string, durableName: string|null, integrationId: string|null, backend: string, status: string, startedAt: string, error: string|null, processing: number, buffered: number}>}
+ */
+function getConsumerStates() {
+	return Array.from(consumerStates.values()).map(({ pool, ...state }) => {
+		const stats = pool?.getStats();
+		const processing = stats?.running || 0;
+		return { ...state, processing, buffered: Math.max(0, (stats?.pending || 0) - processing) };
+	});
+}
+
+/**
+ * Consome o subject da fila local (QUEUE_BACKEND=local) com o mesmo pool e regras de retentativa
+ */
+async function startLocalConsumer({ baseSubject, consumerName, label, processFn, getOrderingKey, integrations, integrationId = null }) {
+	const subject = getIntegrationSubject(baseSubject, integrationId);
+	const logName = integrationId ? `${consumerName}:${integrationId}` : consumerName;
+	const queue = await getLocalQueue();
+	const controller = new AbortController();
+
+	logger.info(`✓ Consumer do ${label}${integrationId ? ` (integração ${integrationId})` : ''} iniciado em ${subject} (fila local) e aguardando requisições...`);
+
+	const stop = () => controller.abort();
+	await runConsumer({ name: logName, subject, integrationId, stop }, () => consumeWithWorkerPool(queue.consume(subject, { signal: controller.signal }), logName, processFn, getOrderingKey, integrations));
+}
+
+/**
+ * Para de buscar mensagens e aguarda as que estão no pool serem processadas e confirmadas.
+ * O que não terminar até o prazo fica sem ack e é reentregue (a outra réplica ou no próximo start)
+ * @param {{deadline?: number}} options - Timestamp limite para aguardar
+ */
+async function stopWebhookConsumers({ deadline = Infinity } = {}) {
+	const running = Array.from(consumerControls.entries())
+		.filter(([name]) => consumerStates.get(name)?.status === 'running')
+		.map(([name, control]) => ({ name, ...control }));
+	if (running.length === 0) return;
+
+	logger.info(`[Shutdown] Parando ${running.length} consumer(s) e aguardando as mensagens em processamento...`);
+	await Promise.all(running.map(async ({ name, stop }) => {
+		setConsumerState(name, { status: 'stopping' });
+		try {
+			await stop();
+		} catch (error) {
+			logger.warn(`[${name}]: Falha ao interromper o consumo:`, error?.message || error);
+		}
+	}));
+
+	let timer;
+	const timeout = new Promise((resolve) => {
+		timer = setTimeout(() => resolve(false), Math.max(0, Math.min(deadline - Date.now(), 2 ** 31 - 1)));
+	});
+	const drained = await Promise.race([Promise.all(running.map(({ done }) => done)).then(() => true), timeout]);
+	clearTimeout(timer);
+
+	if (!drained) {
+		const pending = getConsumerStates().filter((state) => state.processing + state.buffered > 0);
+		for (const state of pending) {
+			logger.warn(`[${state.name}]: Prazo de desligamento esgotado com ${state.processing} mensagem(ns) em processamento e ${state.buffered} aguardando; serão reentregues`);
+		}
+	}
+}
+
+onShutdown('drain', 'consumers de webhook', stopWebhookConsumers);
+
+/**
+ * Inicia o consumer do webhook principal
+ * @param {Array} integrations - Integrações carregadas
+ * @param {string|null} integrationId - Quando informado, consome apenas webhook.principal.<integrationId>
+ */
+async function startWebhookPrincipalConsumer(integrations = [], integrationId = null) {
+	try {
+		await startDurableConsumer({
+			baseSubject: PRINCIPAL_SUBJECT,
+			baseName: 'webhook-principal',
+			consumerName: 'startWebhookPrincipalConsumer',
+			label: 'Webhook Principal',
+			processFn: processWebhookPrincipal,
+			getOrderingKey: getPrincipalOrderingKey,
+			integrations,
+			integrationId
+		});
 	} catch (err) {
-		console.error('Erro no consumer do webhook callback:', err);
+		logger.error(`Erro no consumer do webhook principal${integrationId ? ` (integração ${integrationId})` : ''}:`, err);
 		throw err;
 	}
 }
 
+/**
+ * Inicia o consumer do webhook callback
+ * @param {Array} integrations - Integrações carregadas
+ * @param {string|null} integrationId - Quando informado, consome apenas webhook.callback.<integrationId>
+ */
+async function startWebhookCallbackConsumer(integrations = [], integrationId = null) {
+	try {
+		await startDurableConsumer({
+			baseSubject: CALLBACK_SUBJECT,
+			baseName: 'webhook-callback',
+			consumerName: 'startWebhookCallbackConsumer',
+			label: 'Webhook Callback',
+			processFn: processWebhookCallback,
+			getOrderingKey: getCallbackOrderingKey,
+			integrations,
+			integrationId
+		});
+	} catch (err) {
+		logger.error(`Erro no consumer do webhook callback${integrationId ? ` (integração ${integrationId})` : ''}:`, err);
+		throw err;
+	}
+}
+
+/**
+ * Inicia os consumers de todas as integrações (um por subject) e, opcionalmente, os dos subjects compartilhados
+ * @param {Array} integrations - Integrações carregadas
+ * @param {{includeShared?: boolean}} options - includeShared: consome também as mensagens sem integração identificada
+ * @returns {Promise<void>} - Resolve quando todos os consumers terminam
+ */
+async function startWebhookConsumers(integrations = [], { includeShared = true } = {}) {
+	const consumers = [];
+	for (const integration of integrations) {
+		consumers.push(startWebhookPrincipalConsumer(integrations, integration.id));
+		consumers.push(startWebhookCallbackConsumer(integrations, integration.id));
+	}
+	
+	if (includeShared) {
+		consumers.push(startWebhookPrincipalConsumer(integrations));
+		consumers.push(startWebhookCallbackConsumer(integrations));
+	} else {
+		logger.info('Consumers dos subjects compartilhados desativados neste processo (CONSUMER_SHARED_SUBJECTS)');
+	}
+	
+	await Promise.all(consumers);
+}
+
 export { 
 	startWebhookPrincipalConsumer, 
-	startWebhookCallbackConsumer 
+	startWebhookCallbackConsumer,
+	startWebhookConsumers,
+	stopWebhookConsumers,
+	getConsumerStates
 };
@@ -1,101 +1,183 @@
 'use strict';
 
-import { connect, StringCodec } from 'nats';
+import { headers } from 'nats';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { DLQ_SUBJECT } from './deadLetter.js';
+import { isLocalQueue, getLocalQueue } from './localQueue.js';
+import { MSG_ID_HEADER } from '../utils/ingestDedup.js';
+import { listProviders } from '../providers/index.js';
+import { createLogger, getLogContext } from '../utils/logger.js';
+import { withSpan, injectTraceContext, SpanKind } from '../utils/tracing.js';
 
-let nc = null;
-let js = null;
-const sc = StringCodec();
+const logger = createLogger('webhookPublisher');
+
+// Header que identifica a integração dona da mensagem (definido pela rota por integração)
+const INTEGRATION_ID_HEADER = 'Wootrico-Integration-Id';
+// Header com o id de correlação gerado na rota do webhook (repassado aos logs do consumer)
+const CORRELATION_ID_HEADER = 'Wootrico-Correlation-Id';
+
+// Subjects base: mensagens sem integração identificada usam o subject compartilhado,
+// as demais vão para <base>.<integrationId>
+const PRINCIPAL_SUBJECT = 'webhook.principal';
+const CALLBACK_SUBJECT = 'webhook.callback';
 
 /**
- * Conecta ao NATS e inicializa JetStream
+ * Converte o id da integração em um token válido de subject/durable do NATS (sem '.', '*', '>' ou espaços)
+ * @param {string} integrationId
+ * @returns {string}
  */
-async function getNatsConnection() {
-	if (!nc) {
-		try {
-			const servers = process.env.NATS_URL || 'nats://nats:4222';
-			console.log('[NATS] Conectando a:', servers);
-			
-			nc = await connect({ 
-				servers,
-				timeout: 10000,
-				reconnect: true,
-				maxReconnectAttempts: 5
-			});
-			
-			js = nc.jetstream();
-			
-			console.log('[NATS] Conectado com sucesso a', servers);
-			
-		} catch (error) {
-			console.error('[NATS] Erro ao conectar:', error);
-			throw error;
-		}
+function toSubjectToken(integrationId) {
+	return String(integrationId).trim().replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Subject de uma integração (ou o subject compartilhado quando a integração não é conhecida)
+ * @param {string} baseSubject - PRINCIPAL_SUBJECT ou CALLBACK_SUBJECT
+ * @param {string|null} integrationId
+ * @returns {string}
+ */
+function getIntegrationSubject(baseSubject, integrationId = null) {
+	return integrationId ? `${baseSubject}.${toSubjectToken(integrationId)}` : baseSubject;
+}
+
+/**
+ * Id de deduplicação do webhook do provedor: id da mensagem no provedor + tipo do evento (getDedupId do adaptador).
+ * Retorna null quando o payload não traz um id confiável (a mensagem é publicada sem deduplicação)
+ */
+function getPrincipalMessageId(payload) {
+	for (const provider of listProviders()) {
+		const messageId = provider.getDedupId(payload);
+		if (messageId) return messageId;
 	}
-	return { nc, js, sc };
+	return null;
 }
 
 /**
- * Garante que o stream existe
+ * Id de deduplicação do callback do Chatwoot: evento + id da mensagem
  */
-async function ensureStream() {
-	try {
-		const { nc } = await getNatsConnection();
-		const jsm = await nc.jetstreamManager();
-		const streamName = 'wootrico';
-		
-		try {
-			const streamInfo = await jsm.streams.info(streamName);
-			console.log(`[NATS] Stream ${streamName} já existe - subjects:`, streamInfo.config.subjects);
-		} catch (error) {
-			console.log(`[NATS] Criando stream ${streamName}...`);
-			const streamConfig = {
-				name: streamName,
-				subjects: ['webhook.principal', 'webhook.callback']
-			};
-			
-			await jsm.streams.add(streamConfig);
-			console.log(`[NATS] Stream ${streamName} criado com sucesso`);
-		}
-	} catch (error) {
-		console.error('[NATS] Erro ao garantir stream:', error);
-		console.error('[NATS] Verifique se o NATS está rodando...');
-		throw error;
+function getCallbackMessageId(payload) {
+	if (!payload?.event || !payload?.id) {
+		return null;
 	}
+	// Exclusão chega como message_updated: diferencia da atualização comum da mesma mensagem
+	const suffix = payload.event === 'message_updated' && payload.content_attributes?.deleted === true ? ':deleted' : '';
+	return `chatwoot:${payload.event}:${payload.id}${suffix}`;
+}
+
+/**
+ * Id publicado no header Nats-Msg-Id (escopo por integração e tipo de webhook)
+ */
+function buildMsgId(kind, messageId, integrationId = null) {
+	return messageId ? `${kind}:${integrationId || '_'}:${messageId}` : null;
 }
 
 /**
  * Publica mensagem no stream
+ * @param {string} subject - Subject de destino
+ * @param {object|string} data - Payload da mensagem
+ * @param {{integrationId?: string|null, msgId?: string|null, correlationId?: string|null}} options - Metadados enviados como headers.
+ *        msgId vira o header Nats-Msg-Id (reenvios dentro do duplicate_window do stream são descartados).
+ *        correlationId padrão: o do contexto de log atual
  */
-async function publishMessage(subject, data) {
+async function publishMessage(subject, data, options = {}) {
+	const attributes = {
+		'messaging.system': isLocalQueue() ? 'local' : 'nats',
+		'messaging.destination.name': subject,
+		'wootrico.integration_id': options.integrationId || 'unknown'
+	};
+	return await withSpan(`publish ${subject}`, { kind: SpanKind.PRODUCER, attributes }, async (span) => {
+		const ack = await publishToQueue(subject, data, options);
+		span.setAttribute('messaging.message.id', String(ack.seq));
+		if (ack.duplicate) span.setAttribute('wootrico.duplicate', true);
+		return ack;
+	});
+}
+
+async function publishToQueue(subject, data, options) {
 	try {
+		const details = `${options.integrationId ? ` - integração: ${options.integrationId}` : ''}${options.msgId ? ` - id: ${options.msgId}` : ''}`;
+		const messageHeaders = {};
+		if (options.integrationId) messageHeaders[INTEGRATION_ID_HEADER] = String(options.integrationId);
+		const correlationId = options.correlationId || getLogContext().correlationId || null;
+		if (correlationId) messageHeaders[CORRELATION_ID_HEADER] = String(correlationId);
+		// traceparent do span de publicação: o consumo continua o mesmo trace
+		injectTraceContext(messageHeaders);
+
+		if (isLocalQueue()) {
+			const queue = await getLocalQueue();
+			const localHeaders = { ...messageHeaders };
+			if (options.msgId) localHeaders[MSG_ID_HEADER] = options.msgId;
+			const ack = await queue.publish(subject, typeof data === 'string' ? data : JSON.stringify(data), localHeaders);
+			logger.info(`[LocalQueue] Mensagem publicada em ${subject} - seq: ${ack.seq}${details}`);
+			return ack;
+		}
+
 		const { js, sc } = await getNatsConnection();
 		const encodedData = sc.encode(typeof data === 'string' ? data : JSON.stringify(data));
-		const ack = await js.publish(subject, encodedData);
-		console.log(`[NATS] Mensagem publicada em ${subject} - seq: ${ack.seq}`);
+
+		const publishOptions = {};
+		if (Object.keys(messageHeaders).length > 0) {
+			const h = headers();
+			for (const [name, value] of Object.entries(messageHeaders)) {
+				h.set(name, value);
+			}
+			publishOptions.headers = h;
+		}
+		if (options.msgId) {
+			publishOptions.msgID = options.msgId;
+		}
+
+		const ack = await js.publish(subject, encodedData, publishOptions);
+		if (ack.duplicate) {
+			logger.info(`[NATS] Mensagem duplicada ignorada pelo stream em ${subject} - seq original: ${ack.seq}${details}`);
+			return ack;
+		}
+		logger.info(`[NATS] Mensagem publicada em ${subject} - seq: ${ack.seq}${details}`);
 		return ack;
 	} catch (error) {
-		console.error(`[NATS] Erro ao publicar em ${subject}:`, error);
+		logger.error(`[NATS] Erro ao publicar em ${subject}:`, error);
 		throw error;
 	}
 }
 
 /**
- * Publica mensagem do webhook principal
+ * Publica no DLQ uma mensagem que não pôde ser processada
+ * @param {object} entry - Entrada montada por buildDeadLetterEntry
+ */
+async function publishDeadLetter(entry) {
+	return await publishMessage(DLQ_SUBJECT, entry, { integrationId: entry?.integrationId });
+}
+
+/**
+ * Publica mensagem do webhook principal (no subject da integração, quando conhecida)
+ * @param {object} payload
+ * @param {{integrationId?: string|null, deduplicate?: boolean}} options - deduplicate=false publica sem Nats-Msg-Id (ex.: replay do DLQ)
  */
-async function publishWebhookPrincipal(payload) {
-	return await publishMessage('webhook.principal', payload);
+async function publishWebhookPrincipal(payload, options = {}) {
+	const { deduplicate = true, ...publishOptions } = options;
+	const msgId = deduplicate ? buildMsgId('principal', getPrincipalMessageId(payload), options.integrationId) : null;
+	return await publishMessage(getIntegrationSubject(PRINCIPAL_SUBJECT, options.integrationId), payload, { ...publishOptions, msgId });
 }
 
 /**
- * Publica mensagem do webhook callback
+ * Publica mensagem do webhook callback (no subject da integração, quando conhecida)
+ * @param {object} payload
+ * @param {{integrationId?: string|null, deduplicate?: boolean}} options - deduplicate=false publica sem Nats-Msg-Id (ex.: replay do DLQ)
  */
-async function publishWebhookCallback(payload) {
-	return await publishMessage('webhook.callback', payload);
+async function publishWebhookCallback(payload, options = {}) {
+	const { deduplicate = true, ...publishOptions } = options;
+	const msgId = deduplicate ? buildMsgId('callback', getCallbackMessageId(payload), options.integrationId) : null;
+	return await publishMessage(getIntegrationSubject(CALLBACK_SUBJECT, options.integrationId), payload, { ...publishOptions, msgId });
 }
 
 export { 
-	getNatsConnection, 
-	ensureStream, 
+	INTEGRATION_ID_HEADER,
+	CORRELATION_ID_HEADER,
+	PRINCIPAL_SUBJECT,
+	CALLBACK_SUBJECT,
+	toSubjectToken,
+	getIntegrationSubject,
 	publishWebhookPrincipal, 
-	publishWebhookCallback 
+	publishWebhookCallback,
+	publishDeadLetter
 };
@@ -0,0 +1,31 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Cancelamento do processamento de uma mensagem (CONSUMER_MAX_PROCESSING_MS): o AbortSignal do consumer
+// é propagado com AsyncLocalStorage até os clientes HTTP instrumentados (metrics.js), que abortam as
+// requisições do Chatwoot e dos provedores em andamento e as seguintes
+
+const signalStorage = new AsyncLocalStorage();
+
+/**
+ * Executa fn com o signal de cancelamento (herdado por todo código assíncrono disparado por ela)
+ * @param {AbortSignal|null} signal
+ * @param {Function} fn
+ */
+function runWithAbortSignal(signal, fn) {
+	return signal ? signalStorage.run(signal, fn) : fn();
+}
+
+/**
+ * Signal de cancelamento do processamento atual (null fora do consumer)
+ * @returns {AbortSignal|null}
+ */
+function getAbortSignal() {
+	return signalStorage.getStore() || null;
+}
+
+export {
+	runWithAbortSignal,
+	getAbortSignal
+};
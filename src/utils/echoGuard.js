@@ -0,0 +1,235 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import { getSharedState, encodeStateKey } from './sharedState.js';
+import { onMetricsCollect, echoPending } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('echoGuard');
+
+// Detecção de eco entre WhatsApp e Chatwoot (evita loop de mensagens)
+//
+// Cada mensagem que o Wootrico cria de um lado gera um evento de volta do outro lado:
+// - Mensagem enviada ao WhatsApp pelo callback do Chatwoot volta no webhook do provedor (fromMe)
+// - Mensagem do agente criada no Chatwoot pelo webhook do provedor volta no callback do Chatwoot
+//
+// O eco é identificado pelo ID da mensagem criada. Como o evento de volta pode chegar antes
+// da resposta da API com o ID, uma impressão digital do conteúdo (chat + tipo + hash do texto)
+// fica registrada por uma janela curta até o ID ser confirmado.
+// IDs e impressões digitais ficam no estado compartilhado (utils/sharedState.js).
+
+const ECHO_ID_TTL_MS = Math.max(1, Number(process.env.ECHO_ID_TTL_MINUTES || 60)) * 60 * 1000;
+const ECHO_FINGERPRINT_WINDOW_MS = Math.max(1, Number(process.env.ECHO_FINGERPRINT_WINDOW_SECONDS || 30)) * 1000;
+
+/**
+ * Normaliza o identificador do chat (telefone, LID, JID ou ID de grupo)
+ */
+function normalizeChatKey(chat) {
+	return String(chat || '').trim().replace(/^\+/, '').toLowerCase();
+}
+
+/**
+ * Impressão digital do conteúdo. Para mídias só o tipo é considerado,
+ * pois nem todo provedor devolve a legenda no eco (ex.: áudio)
+ */
+function buildFingerprint(integrationId, chat, messageType, text) {
+	const type = messageType || 'text';
+	const content = type === 'text' ? String(text || '').trim() : '';
+	return crypto.createHash('sha1')
+		.update(`${integrationId || ''}|${normalizeChatKey(chat)}|${type}|${content}`)
+		.digest('hex');
+}
+
+/**
+ * Contador de pendências por segundo de registro: entradas mais antigas que o TTL saem da contagem
+ * sem varrer o estado compartilhado. Quando outra réplica consome a entrada, o segundo fica negativo
+ * nesta réplica e positivo na que registrou: a soma entre réplicas continua correta
+ */
+function createPendingCounter(ttlMs) {
+	const buckets = new Map();
+	const bucketOf = (timestamp) => Math.floor(Number(timestamp) / 1000);
+	const isLive = (bucket) => (bucket + 1) * 1000 > Date.now() - ttlMs;
+
+	const change = (timestamp, delta) => {
+		const bucket = bucketOf(timestamp);
+		if (!Number.isFinite(bucket) || !isLive(bucket)) return;
+		const count = (buckets.get(bucket) || 0) + delta;
+		if (count === 0) buckets.delete(bucket);
+		else buckets.set(bucket, count);
+	};
+
+	return {
+		add: (timestamp) => change(timestamp, 1),
+		remove: (timestamp) => change(timestamp, -1),
+		count() {
+			let total = 0;
+			for (const [bucket, count] of buckets.entries()) {
+				if (isLive(bucket)) total += count;
+				else buckets.delete(bucket);
+			}
+			return total;
+		}
+	};
+}
+
+/**
+ * Registros ainda dentro da janela da impressão digital (instantes de cada expect)
+ */
+function liveRegistrations(value) {
+	const limit = Date.now() - ECHO_FINGERPRINT_WINDOW_MS;
+	return Array.isArray(value) ? value.filter((registeredAt) => registeredAt > limit) : [];
+}
+
+/**
+ * Cria um registro de ecos esperados para uma direção, guardado no estado compartilhado
+ * para que qualquer réplica do consumer reconheça o eco
+ * @param {string} name - Nome usado nos logs e estatísticas
+ */
+function createEchoRegistry(name) {
+	const prefix = `echo.${name.toLowerCase()}`;
+	const stats = { expected: 0, matchedById: 0, matchedByFingerprint: 0, cancelled: 0 };
+	const pendingIds = createPendingCounter(ECHO_ID_TTL_MS);
+	const pendingFingerprints = createPendingCounter(ECHO_FINGERPRINT_WINDOW_MS);
+
+	const idKey = (integrationId, messageId) => `${prefix}.id.${encodeStateKey(`${integrationId || ''}|${messageId}`)}`;
+	// Uma chave por impressão digital com a lista de registros (vários envios iguais em sequência)
+	const fingerprintKey = (fingerprint) => `${prefix}.fp.${fingerprint}`;
+
+	/**
+	 * Remove da impressão digital o registro indicado (ou o mais antigo) com escrita condicionada à revisão
+	 * @returns {Promise<number|null>} - Instante do registro removido
+	 */
+	async function releaseFingerprint(key, registeredAt = null) {
+		const state = await getSharedState();
+		let released = null;
+		await state.update(key, (current) => {
+			const registrations = liveRegistrations(current);
+			const index = registeredAt === null ? 0 : registrations.indexOf(registeredAt);
+			released = registrations[index] ?? null;
+			if (released === null) {
+				return registrations.length > 0 ? current : null;
+			}
+			registrations.splice(index, 1);
+			return registrations.length > 0 ? registrations : null;
+		}, ECHO_FINGERPRINT_WINDOW_MS);
+		if (released !== null) {
+			pendingFingerprints.remove(released);
+		}
+		return released;
+	}
+
+	return {
+		/**
+		 * Registra que uma mensagem está sendo criada e seu eco deve ser ignorado
+		 * @returns {Promise<{key: string, registeredAt: number}>} - Expectativa registrada (usada em confirm/cancel)
+		 */
+		async expect(integrationId, chat, messageType, text) {
+			const state = await getSharedState();
+			const key = fingerprintKey(buildFingerprint(integrationId, chat, messageType, text));
+			let registeredAt;
+			await state.update(key, (current) => {
+				// Instante único dentro da chave: identifica este registro no confirm/cancel
+				const registrations = liveRegistrations(current);
+				registeredAt = Math.max(Date.now(), ...registrations.map((value) => value + 1));
+				return [...registrations, registeredAt];
+			}, ECHO_FINGERPRINT_WINDOW_MS);
+			pendingFingerprints.add(registeredAt);
+			stats.expected++;
+			return { key, registeredAt };
+		},
+
+		/**
+		 * Confirma os IDs criados: o eco passa a ser reconhecido pelo ID e a impressão digital é liberada
+		 * @param {string} integrationId
+		 * @param {Array<string|number>} messageIds
+		 * @param {Array<object>} expectations - Expectativas retornadas por expect()
+		 */
+		async confirm(integrationId, messageIds = [], expectations = []) {
+			const state = await getSharedState();
+			const validIds = messageIds.filter(Boolean);
+			for (const messageId of validIds) {
+				const registeredAt = Date.now();
+				await state.put(idKey(integrationId, messageId), registeredAt, ECHO_ID_TTL_MS);
+				pendingIds.add(registeredAt);
+			}
+			// Sem ID não há como reconhecer o eco com precisão: mantém a impressão digital até expirar
+			if (validIds.length > 0) {
+				for (const { key, registeredAt } of expectations) {
+					await releaseFingerprint(key, registeredAt);
+				}
+			}
+		},
+
+		/**
+		 * Descarta as expectativas de uma criação que falhou
+		 */
+		async cancel(expectations = []) {
+			for (const { key, registeredAt } of expectations) {
+				if ((await releaseFingerprint(key, registeredAt)) !== null) stats.cancelled++;
+			}
+		},
+
+		/**
+		 * Verifica (e consome) se o evento é eco de uma mensagem criada pelo Wootrico
+		 * @returns {Promise<boolean>}
+		 */
+		async match(integrationId, messageId, chat, messageType, text) {
+			const state = await getSharedState();
+			if (messageId) {
+				const registeredAt = await state.take(idKey(integrationId, messageId));
+				if (registeredAt !== null) {
+					pendingIds.remove(registeredAt);
+					stats.matchedById++;
+					logger.info(`[EchoGuard] Eco ${name} reconhecido pelo ID ${messageId}`);
+					return true;
+				}
+			}
+			if ((await releaseFingerprint(fingerprintKey(buildFingerprint(integrationId, chat, messageType, text)))) !== null) {
+				stats.matchedByFingerprint++;
+				logger.info(`[EchoGuard] Eco ${name} reconhecido pelo conteúdo - Chat: ${chat}, Tipo: ${messageType}`);
+				return true;
+			}
+			return false;
+		},
+
+		async getStats() {
+			return {
+				...stats,
+				pendingIds: pendingIds.count(),
+				pendingFingerprints: pendingFingerprints.count()
+			};
+		}
+	};
+}
+
+// Mensagens enviadas ao WhatsApp a partir do Chatwoot (eco chega no webhook principal)
+const whatsappEchoes = createEchoRegistry('WhatsApp');
+
+// Mensagens criadas no Chatwoot a partir do WhatsApp (eco chega no callback do Chatwoot)
+const chatwootEchoes = createEchoRegistry('Chatwoot');
+
+/**
+ * Obtém estatísticas da detecção de eco
+ * @returns {Promise<object>}
+ */
+async function getEchoStats() {
+	return {
+		whatsapp: await whatsappEchoes.getStats(),
+		chatwoot: await chatwootEchoes.getStats()
+	};
+}
+
+// Ecos aguardando confirmação (GET /metrics)
+onMetricsCollect(async () => {
+	const stats = await getEchoStats();
+	for (const [direction, { pendingIds, pendingFingerprints }] of Object.entries(stats)) {
+		echoPending.set({ direction, kind: 'id' }, pendingIds);
+		echoPending.set({ direction, kind: 'fingerprint' }, pendingFingerprints);
+	}
+});
+
+export {
+	whatsappEchoes,
+	chatwootEchoes,
+	getEchoStats
+};
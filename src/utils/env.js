@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Converte valores de variáveis de ambiente em boolean
+ * @param {*} value - Valor lido do ambiente
+ * @param {boolean} fallback - Valor padrão quando vazio ou inválido
+ * @returns {boolean}
+ */
+function parseBoolean(value, fallback = false) {
+	if (value === undefined || value === null || value === '') return fallback;
+	if (typeof value === 'boolean') return value;
+	switch (String(value).trim().toLowerCase()) {
+	case '1':
+	case 'true':
+	case 'yes':
+	case 'on':
+		return true;
+	case '0':
+	case 'false':
+	case 'no':
+	case 'off':
+		return false;
+	default:
+		return fallback;
+	}
+}
+
+export {
+	parseBoolean
+};
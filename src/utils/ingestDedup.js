@@ -0,0 +1,116 @@
+'use strict';
+
+import { getSharedState, encodeStateKey } from './sharedState.js';
+import { isLocalQueue } from '../services/localQueue.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ingestDedup');
+
+// Deduplicação no consumer para reenvios que chegam depois da janela de duplicatas do stream
+// (duplicate_window). A chave é o Nats-Msg-Id definido pelo publisher: a primeira entrega reivindica
+// a chave com create() (operação condicional, vale entre réplicas) e só a marca como processada
+// após o sucesso. Mensagens que falharam liberam a chave e continuam sendo reprocessadas.
+// Com QUEUE_BACKEND=nats o registro fica sempre no KV do NATS (mesmo com SHARED_STATE=memory),
+// pois réplicas diferentes do consumer podem receber as cópias da mesma mensagem.
+
+const MSG_ID_HEADER = 'Nats-Msg-Id';
+const DEDUP_TTL_MS = Math.max(1, Number(process.env.INGEST_DEDUP_TTL_HOURS || 24)) * 60 * 60 * 1000;
+
+const dedupKey = (msgId) => `dedup.${encodeStateKey(msgId)}`;
+const busyKey = (msgId, owner) => `dedup.busy.${encodeStateKey(msgId)}.${encodeStateKey(owner)}`;
+
+let backendLogged = false;
+
+async function getDedupState() {
+	const state = await getSharedState(isLocalQueue() ? {} : { backend: 'nats' });
+	if (!backendLogged) {
+		backendLogged = true;
+		if (!isLocalQueue() && state.name !== 'nats') {
+			logger.warn('[IngestDedup] KV do NATS indisponível: deduplicação restrita a este processo (réplicas podem processar a mesma mensagem)');
+		}
+	}
+	return state;
+}
+
+/**
+ * Reivindica o processamento da mensagem com este id
+ * @param {string|null} msgId
+ * @param {string} owner - Identificador da entrega (a mesma mensagem reentregue mantém a reivindicação)
+ * @param {number} ttlMs - Validade da reivindicação caso o processo morra sem concluir
+ * @returns {Promise<'claimed'|'processed'|'busy'>} - busy: outra cópia da mensagem está em processamento
+ */
+async function claimMessage(msgId, owner, ttlMs = DEDUP_TTL_MS) {
+	if (!msgId) return 'claimed';
+	const state = await getDedupState();
+	const key = dedupKey(msgId);
+
+	if (await state.create(key, { status: 'processing', owner }, ttlMs)) {
+		return 'claimed';
+	}
+
+	const current = await state.get(key);
+	if (current === null) {
+		// Expirou entre o create e a leitura
+		return (await state.create(key, { status: 'processing', owner }, ttlMs)) ? 'claimed' : 'busy';
+	}
+	// Registros sem status (gravados apenas com o horário) são de mensagens já processadas
+	if (current?.status !== 'processing') {
+		return 'processed';
+	}
+	return current.owner === owner ? 'claimed' : 'busy';
+}
+
+/**
+ * Registra a mensagem como processada
+ * @param {string|null} msgId
+ */
+async function markProcessed(msgId) {
+	if (!msgId) return;
+	const state = await getDedupState();
+	await state.put(dedupKey(msgId), { status: 'processed', processedAt: Date.now() }, DEDUP_TTL_MS);
+}
+
+/**
+ * Libera a reivindicação de uma mensagem que não foi processada (nak ou DLQ)
+ * @param {string|null} msgId
+ * @param {string} owner
+ */
+async function releaseClaim(msgId, owner) {
+	if (!msgId) return;
+	const state = await getDedupState();
+	await state.update(dedupKey(msgId), (current) => (current?.status === 'processing' && current.owner === owner ? null : current));
+}
+
+/**
+ * Conta a entrega devolvida porque outra cópia da mensagem estava em processamento (busy): ela não
+ * chegou a processar e não deve contar como tentativa
+ * @param {string|null} msgId
+ * @param {string} owner - Identificador da entrega (o mesmo do claimMessage)
+ * @returns {Promise<number>} - Entregas devolvidas como busy até agora
+ */
+async function recordBusyDelivery(msgId, owner) {
+	if (!msgId) return 0;
+	const state = await getDedupState();
+	return await state.update(busyKey(msgId, owner), (current) => (Number(current) || 0) + 1, DEDUP_TTL_MS);
+}
+
+/**
+ * Entregas da mensagem devolvidas como busy (descontadas das tentativas quando a reivindicação é obtida)
+ * @param {string|null} msgId
+ * @param {string} owner
+ * @returns {Promise<number>}
+ */
+async function getBusyDeliveries(msgId, owner) {
+	if (!msgId) return 0;
+	const state = await getDedupState();
+	return Number(await state.get(busyKey(msgId, owner))) || 0;
+}
+
+export {
+	MSG_ID_HEADER,
+	claimMessage,
+	markProcessed,
+	releaseClaim,
+	recordBusyDelivery,
+	getBusyDeliveries
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import crypto from 'node:crypto';
+import { trace, isSpanContextValid } from '@opentelemetry/api';
+
+// Logger estruturado: uma linha JSON por evento em stdout (debug/info) ou stderr (warn/error).
+// O contexto da requisição (correlationId, integrationId, subject...) é propagado com
+// AsyncLocalStorage da rota do webhook até o processamento no consumer e entra em toda linha.
+// Tokens, mídias em base64 e telefones são mascarados antes da escrita.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ? String(process.env.LOG_LEVEL).toLowerCase() : 'info';
+const REDACT_PHONES = !['false', '0', 'no', 'off'].includes(String(process.env.LOG_REDACT_PHONES || '').toLowerCase());
+
+const contextStorage = new AsyncLocalStorage();
+
+// Campos com credenciais (headers, configs e payloads)
+const SENSITIVE_KEY = /(token|secret|password|passwd|authorization|api[_-]?key|cookie|signature|credential)/i;
+// Campos que transportam mídia em base64
+const BASE64_KEY = /base64/i;
+// Textos longos só com caracteres de base64 (opcionalmente com prefixo data URI)
+const BASE64_VALUE = /^(data:[\w.+/-]+;base64,)?[A-Za-z0-9+/_=\r\n-]{256,}$/;
+// Campos que identificam o chat (telefone, JID/LID): sequências de 10 a 15 dígitos no valor são mascaradas
+const PHONE_KEY = /^(phone|phone_?number|number|from|recipient(_id)?|wa_id|(wa_)?chat_?id|remote_?jid|jid|lid|sender_?pn)$/i;
+const PHONE_DIGITS = /(?<![\w.-])\+?(\d{10,15})(?![\w-])/g;
+// Em textos livres (mensagens, URLs, ids e timestamps) só o que tem forma de telefone:
+// JIDs/LIDs (<dígitos>@s.whatsapp.net, @c.us, @lid) e números E.164 com '+'
+const JID_VALUE = /(?<![\w.-])(\d{10,15})(?=@(?:s\.whatsapp\.net|c\.us|lid)\b)/g;
+const E164_VALUE = /(?<![\w.-])\+(\d{10,15})(?![\w-])/g;
+// Credenciais em URLs (ex.: Z-API /token/<token>, ?token=)
+const URL_TOKEN = /(\/token\/|[?&](?:token|api_key|apikey|access_token)=)[^/&?\s"']+/gi;
+const MAX_DEPTH = 8;
+
+function maskPhone(match, digits) {
+	return `${match.startsWith('+') ? '+' : ''}${digits.slice(0, 4)}${'*'.repeat(digits.length - 6)}${digits.slice(-2)}`;
+}
+
+function redactString(value) {
+	if (BASE64_VALUE.test(value)) {
+		return `[base64 ${value.length} caracteres]`;
+	}
+	let result = value.replace(URL_TOKEN, '$1[REDACTED]');
+	if (REDACT_PHONES) {
+		result = result.replace(JID_VALUE, maskPhone).replace(E164_VALUE, maskPhone);
+	}
+	return result;
+}
+
+function redactPhoneField(value) {
+	const masked = redactString(String(value)).replace(PHONE_DIGITS, maskPhone);
+	// Números que não têm forma de telefone continuam numéricos
+	return typeof value === 'number' && masked === String(value) ? value : masked;
+}
+
+/**
+ * Cópia do valor com credenciais, mídias em base64 e telefones mascarados
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+	if (typeof value === 'string') return redactString(value);
+	if (!value || typeof value !== 'object') return value;
+	if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[binário ${value.byteLength} bytes]`;
+	if (value instanceof Error) return serializeError(value);
+	if (value instanceof Date) return value.toISOString();
+	if (seen.has(value)) return '[circular]';
+	if (depth >= MAX_DEPTH) return '[...]';
+	seen.add(value);
+
+	if (Array.isArray(value)) {
+		return value.map((item) => redact(item, depth + 1, seen));
+	}
+
+	const result = {};
+	for (const [key, item] of Object.entries(value)) {
+		if (SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== '') {
+			result[key] = '[REDACTED]';
+		} else if (BASE64_KEY.test(key) && typeof item === 'string' && item.length > 0) {
+			result[key] = `[base64 ${item.length} caracteres]`;
+		} else if (REDACT_PHONES && PHONE_KEY.test(key) && (typeof item === 'string' || typeof item === 'number')) {
+			result[key] = redactPhoneField(item);
+		} else {
+			result[key] = redact(item, depth + 1, seen);
+		}
+	}
+	return result;
+}
+
+function serializeError(error) {
+	const serialized = { name: error.name, message: redactString(String(error.message || '')) };
+	if (error.code) serialized.code = error.code;
+	if (error.response?.status) {
+		serialized.status = error.response.status;
+		serialized.response = redact(error.response.data);
+	}
+	if (error.stack) serialized.stack = redactString(error.stack);
+	return serialized;
+}
+
+function isLevelEnabled(level) {
+	return LEVELS[level] >= LEVELS[LOG_LEVEL];
+}
+
+/**
+ * Monta a linha no formato dos argumentos do console: textos formam a mensagem,
+ * objetos vão para "data" e erros para "error"
+ */
+function buildEntry(level, component, args) {
+	const texts = [];
+	const data = [];
+	let error = null;
+
+	for (const arg of args) {
+		if (arg instanceof Error && !error) {
+			error = serializeError(arg);
+		} else if (arg !== null && typeof arg === 'object') {
+			data.push(redact(arg));
+		} else if (arg !== undefined) {
+			texts.push(redactString(String(arg)));
+		}
+	}
+
+	const entry = {
+		time: new Date().toISOString(),
+		level,
+		component,
+		...redact(Object.fromEntries(Object.entries(getLogContext()).filter(([, value]) => value !== null && value !== undefined))),
+		msg: texts.join(' ')
+	};
+	// Com o tracing ativo (utils/tracing.js), a linha aponta para o span em andamento
+	const spanContext = trace.getActiveSpan()?.spanContext();
+	if (spanContext && isSpanContextValid(spanContext)) {
+		entry.traceId = spanContext.traceId;
+		entry.spanId = spanContext.spanId;
+	}
+	if (data.length > 0) entry.data = data.length === 1 ? data[0] : data;
+	if (error) entry.error = error;
+	return entry;
+}
+
+function write(level, component, args) {
+	if (!isLevelEnabled(level)) return;
+	let line;
+	try {
+		line = JSON.stringify(buildEntry(level, component, args));
+	} catch (error) {
+		line = JSON.stringify({ time: new Date().toISOString(), level, component, msg: `Falha ao serializar log: ${error?.message}` });
+	}
+	(LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Cria o logger de um módulo. Aceita os mesmos argumentos do console (mensagem, objetos, erros)
+ * @param {string} component - Nome do módulo (campo "component" das linhas)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, isLevelEnabled: Function}}
+ */
+function createLogger(component) {
+	return {
+		debug: (...args) => write('debug', component, args),
+		info: (...args) => write('info', component, args),
+		warn: (...args) => write('warn', component, args),
+		error: (...args) => write('error', component, args),
+		isLevelEnabled
+	};
+}
+
+/**
+ * Executa fn com o contexto de log informado (herdado por todo código assíncrono disparado por ela)
+ * @param {{correlationId?: string, integrationId?: string|null}} context
+ * @param {Function} fn
+ */
+function runWithLogContext(context, fn) {
+	return contextStorage.run({ ...(contextStorage.getStore() || {}), ...context }, fn);
+}
+
+/**
+ * Acrescenta campos ao contexto de log atual (ex.: integração identificada depois da autenticação)
+ */
+function setLogContext(fields) {
+	const store = contextStorage.getStore();
+	if (store) Object.assign(store, fields);
+}
+
+/**
+ * Contexto de log atual (vazio fora de uma requisição/mensagem)
+ * @returns {object}
+ */
+function getLogContext() {
+	return contextStorage.getStore() || {};
+}
+
+function generateCorrelationId() {
+	return crypto.randomUUID();
+}
+
+export {
+	createLogger,
+	runWithLogContext,
+	setLogContext,
+	getLogContext,
+	generateCorrelationId,
+	redact,
+	isLevelEnabled
+};
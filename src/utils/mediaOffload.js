@@ -0,0 +1,363 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { StringCodec, nanos } from 'nats';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('mediaOffload');
+
+// Retira mídias em base64 embutidas nos webhooks antes de publicá-los no NATS
+// O payload publicado leva apenas uma referência (wootrico-media://<backend>/<chave>),
+// resolvida pelo consumer antes da extração dos dados e removida após o processamento
+// Backends: 'nats' (JetStream Object Store), 'file' (diretório compartilhado entre app e consumer) e 'off'
+// Com QUEUE_BACKEND=local o padrão é 'file' (app e processamento no mesmo processo)
+// Mídias de mensagens enviadas ao DLQ vão para uma área sem TTL (chaves 'dlq/...'), para que o replay
+// continue funcionando depois do MEDIA_OFFLOAD_TTL_HOURS; são removidas no processamento do replay ou no purge
+const MEDIA_REF_PREFIX = 'wootrico-media://';
+const MEDIA_FIELDS = ['base64'];
+const RETAINED_KEY_PREFIX = 'dlq/';
+// Chaves geradas pelo offload (<timestamp>-<uuid>, com dlq/ na área do DLQ): referências com outras chaves
+// (ex.: '../') não são tratadas como mídia
+const MEDIA_KEY_PATTERN = /^(dlq\/)?\d+-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function getOffloadConfig() {
+	const ttlHours = Number(process.env.MEDIA_OFFLOAD_TTL_HOURS || 24);
+	return {
+		backend: (process.env.MEDIA_OFFLOAD || (process.env.QUEUE_BACKEND === 'local' ? 'file' : 'nats')).trim().toLowerCase(),
+		bucket: process.env.MEDIA_OFFLOAD_BUCKET || 'wootrico_media',
+		dir: process.env.MEDIA_OFFLOAD_DIR || '/app/data/media',
+		minBytes: Math.max(0, parseInt(process.env.MEDIA_OFFLOAD_MIN_BYTES || String(256 * 1024), 10) || 0),
+		ttlMs: (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 24) * 60 * 60 * 1000
+	};
+}
+
+/**
+ * Backend NATS Object Store: o TTL do bucket remove blobs que não foram liberados.
+ * As mídias do DLQ ficam no bucket <bucket>_dlq, sem TTL
+ */
+class NatsObjectMediaStore {
+	constructor({ bucket, ttlMs }) {
+		this.name = 'nats';
+		this.bucket = bucket;
+		this.ttlMs = ttlMs;
+		this.os = null;
+		this.retainedOs = null;
+		this.sc = StringCodec();
+	}
+
+	async init() {
+		const { js } = await getNatsConnection();
+		this.os = await js.views.os(this.bucket, { ttl: nanos(this.ttlMs) });
+		this.retainedOs = await js.views.os(`${this.bucket}_dlq`);
+		logger.info(`[MediaOffload] Usando Object Store ${this.bucket}`);
+	}
+
+	bucketFor(key) {
+		return key.startsWith(RETAINED_KEY_PREFIX) ? this.retainedOs : this.os;
+	}
+
+	async put(key, data) {
+		await this.bucketFor(key).putBlob({ name: key }, this.sc.encode(data));
+	}
+
+	async get(key) {
+		const blob = await this.bucketFor(key).getBlob(key);
+		return blob ? this.sc.decode(blob) : null;
+	}
+
+	async delete(key) {
+		await this.bucketFor(key).delete(key);
+	}
+}
+
+/**
+ * Backend em diretório: o app e o consumer precisam compartilhar o mesmo volume.
+ * As mídias do DLQ ficam no subdiretório dlq/, fora da limpeza por TTL
+ */
+class FileMediaStore {
+	constructor({ dir, ttlMs }) {
+		this.name = 'file';
+		this.dir = dir;
+		this.ttlMs = ttlMs;
+		this.cleanupInterval = null;
+	}
+
+	async init() {
+		await fs.mkdir(path.join(this.dir, RETAINED_KEY_PREFIX), { recursive: true });
+		await this.cleanupExpired();
+		this.cleanupInterval = setInterval(() => {
+			this.cleanupExpired().catch((error) => logger.warn('[MediaOffload] Erro ao limpar mídias expiradas:', error?.message || error));
+		}, 60 * 60 * 1000);
+		this.cleanupInterval.unref?.();
+		logger.info(`[MediaOffload] Usando diretório ${this.dir}`);
+	}
+
+	filePath(key) {
+		return path.join(this.dir, `${key}.b64`);
+	}
+
+	// Remove blobs que não foram liberados dentro do TTL
+	async cleanupExpired() {
+		const limit = Date.now() - this.ttlMs;
+		let removed = 0;
+		for (const file of await fs.readdir(this.dir)) {
+			const filePath = path.join(this.dir, file);
+			const stats = await fs.stat(filePath).catch(() => null);
+			if (stats?.isFile() && stats.mtimeMs < limit) {
+				await fs.rm(filePath, { force: true });
+				removed++;
+			}
+		}
+		if (removed > 0) {
+			logger.info(`[MediaOffload] ${removed} mídia(s) expirada(s) removida(s)`);
+		}
+	}
+
+	async put(key, data) {
+		await fs.writeFile(this.filePath(key), data, 'utf8');
+	}
+
+	async get(key) {
+		try {
+			return await fs.readFile(this.filePath(key), 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return null;
+			throw error;
+		}
+	}
+
+	async delete(key) {
+		await fs.rm(this.filePath(key), { force: true });
+	}
+}
+
+let storePromise = null;
+
+async function createMediaStore() {
+	const config = getOffloadConfig();
+	let store;
+
+	switch (config.backend) {
+	case 'off':
+	case 'none':
+	case 'false':
+		logger.info('[MediaOffload] Desativado: mídias em base64 seguem dentro das mensagens');
+		return null;
+	case 'nats':
+	case 'os':
+		store = new NatsObjectMediaStore(config);
+		break;
+	case 'file':
+		store = new FileMediaStore(config);
+		break;
+	default:
+		logger.warn(`[MediaOffload] MEDIA_OFFLOAD=${config.backend} não suportado. Usando 'nats'.`);
+		store = new NatsObjectMediaStore(config);
+		break;
+	}
+
+	try {
+		await store.init();
+	} catch (error) {
+		// Sem backend as mídias continuam sendo publicadas dentro das mensagens (nova tentativa na próxima mídia)
+		logger.error(`[MediaOffload] Falha ao inicializar backend '${store.name}'. Mídias seguirão dentro das mensagens:`, error?.message || error);
+		storePromise = null;
+		return null;
+	}
+
+	return store;
+}
+
+/**
+ * Retorna o backend configurado (inicializado uma única vez) ou null quando desativado
+ * @returns {Promise<NatsObjectMediaStore|FileMediaStore|null>}
+ */
+function getMediaStore() {
+	if (!storePromise) {
+		storePromise = createMediaStore();
+	}
+	return storePromise;
+}
+
+function parseMediaRef(ref) {
+	const [backend, ...rest] = ref.slice(MEDIA_REF_PREFIX.length).split('/');
+	return { backend, key: rest.join('/') };
+}
+
+function isMediaRef(value) {
+	return typeof value === 'string' && value.startsWith(MEDIA_REF_PREFIX) && MEDIA_KEY_PATTERN.test(parseMediaRef(value).key);
+}
+
+/**
+ * Percorre o payload chamando visit(container, field) para cada campo de mídia (MEDIA_FIELDS) em string.
+ * Referências só existem nesses campos: textos e legendas com 'wootrico-media://' não são mídias
+ */
+function walkMediaFields(value, visit) {
+	if (Array.isArray(value)) {
+		value.forEach((item) => walkMediaFields(item, visit));
+		return;
+	}
+	if (!value || typeof value !== 'object') return;
+
+	for (const [field, fieldValue] of Object.entries(value)) {
+		if (typeof fieldValue === 'string') {
+			if (MEDIA_FIELDS.includes(field)) visit(value, field);
+		} else {
+			walkMediaFields(fieldValue, visit);
+		}
+	}
+}
+
+/**
+ * Move para o backend as mídias em base64 acima de MEDIA_OFFLOAD_MIN_BYTES, trocando-as por referências.
+ * O payload é alterado no lugar
+ * @param {object} payload - Payload recebido no webhook
+ * @returns {Promise<Array<string>>} - Referências criadas
+ */
+async function offloadPayloadMedia(payload) {
+	const fields = [];
+	const { minBytes } = getOffloadConfig();
+	walkMediaFields(payload, (container, field) => {
+		const value = container[field];
+		if (value && !isMediaRef(value) && value.length >= minBytes) fields.push({ container, field });
+	});
+	if (fields.length === 0) return [];
+
+	const store = await getMediaStore();
+	if (!store) return [];
+
+	const refs = [];
+	for (const { container, field } of fields) {
+		const key = `${Date.now()}-${crypto.randomUUID()}`;
+		try {
+			await store.put(key, container[field]);
+		} catch (error) {
+			// Backend indisponível (ex.: NATS fora do ar): a mídia segue dentro da mensagem/spool
+			logger.warn('[MediaOffload] Falha ao armazenar mídia, mantendo-a na mensagem:', error?.message || error);
+			continue;
+		}
+		const ref = `${MEDIA_REF_PREFIX}${store.name}/${key}`;
+		logger.info(`[MediaOffload] Mídia de ${container[field].length} caracteres armazenada fora da mensagem: ${ref}`);
+		container[field] = ref;
+		refs.push(ref);
+	}
+	return refs;
+}
+
+/**
+ * Substitui as referências do payload pelo conteúdo armazenado. O payload é alterado no lugar
+ * @param {object} payload - Payload consumido do NATS
+ * @returns {Promise<Array<string>>} - Referências resolvidas (liberadas depois com releasePayloadMedia)
+ */
+async function resolvePayloadMedia(payload) {
+	const fields = [];
+	walkMediaFields(payload, (container, field) => {
+		if (isMediaRef(container[field])) fields.push({ container, field });
+	});
+	if (fields.length === 0) return [];
+
+	const store = await getMediaStore();
+	const refs = [];
+	for (const { container, field } of fields) {
+		const ref = container[field];
+		const { backend, key } = parseMediaRef(ref);
+		if (!store || store.name !== backend) {
+			throw new Error(`Mídia ${ref} referencia o backend '${backend}', mas MEDIA_OFFLOAD deste processo é '${store?.name || 'off'}'`);
+		}
+		const data = await store.get(key);
+		if (data === null) {
+			throw new Error(`Mídia ${ref} não encontrada (expirada ou removida)`);
+		}
+		container[field] = data;
+		refs.push(ref);
+	}
+	return refs;
+}
+
+/**
+ * Lista as referências de mídia presentes no payload
+ * @param {object} payload
+ * @returns {Array<string>}
+ */
+function getPayloadMediaRefs(payload) {
+	const refs = [];
+	walkMediaFields(payload, (container, field) => {
+		if (isMediaRef(container[field])) refs.push(container[field]);
+	});
+	return refs;
+}
+
+/**
+ * Copia as mídias referenciadas pelo payload para a área sem TTL antes da mensagem ir para o DLQ,
+ * trocando as referências. O payload é alterado no lugar; as mídias originais continuam até o
+ * consumer liberá-las, depois que a entrada foi publicada no DLQ
+ * @param {object} payload - Payload original da mensagem (com as referências)
+ * @returns {Promise<Array<string>>} - Referências mantidas na área do DLQ
+ */
+async function retainPayloadMedia(payload) {
+	const fields = [];
+	walkMediaFields(payload, (container, field) => {
+		if (isMediaRef(container[field])) fields.push({ container, field });
+	});
+	if (fields.length === 0) return [];
+
+	const store = await getMediaStore();
+	const refs = [];
+	for (const { container, field } of fields) {
+		const ref = container[field];
+		const { backend, key } = parseMediaRef(ref);
+		if (key.startsWith(RETAINED_KEY_PREFIX)) {
+			// Replay que falhou de novo: a mídia já está na área do DLQ
+			refs.push(ref);
+			continue;
+		}
+		if (!store || store.name !== backend) {
+			logger.warn(`[MediaOffload] Mídia ${ref} não pode ser mantida para o DLQ: backend deste processo é '${store?.name || 'off'}'`);
+			continue;
+		}
+		try {
+			const data = await store.get(key);
+			if (data === null) {
+				logger.warn(`[MediaOffload] Mídia ${ref} não encontrada ao mover para o DLQ (expirada ou removida)`);
+				continue;
+			}
+			const retainedKey = `${RETAINED_KEY_PREFIX}${key}`;
+			await store.put(retainedKey, data);
+			container[field] = `${MEDIA_REF_PREFIX}${store.name}/${retainedKey}`;
+			refs.push(container[field]);
+		} catch (error) {
+			logger.warn(`[MediaOffload] Falha ao mover mídia ${ref} para o DLQ:`, error?.message || error);
+		}
+	}
+	return refs;
+}
+
+/**
+ * Remove as mídias de uma mensagem já processada
+ * @param {Array<string>} refs - Referências retornadas por resolvePayloadMedia
+ */
+async function releasePayloadMedia(refs = []) {
+	if (refs.length === 0) return;
+	const store = await getMediaStore();
+	if (!store) return;
+
+	for (const ref of refs) {
+		try {
+			await store.delete(parseMediaRef(ref).key);
+		} catch (error) {
+			// O TTL do backend remove o blob mais tarde
+			logger.warn(`[MediaOffload] Falha ao remover mídia ${ref}:`, error?.message || error);
+		}
+	}
+}
+
+export {
+	offloadPayloadMedia,
+	resolvePayloadMedia,
+	releasePayloadMedia,
+	retainPayloadMedia,
+	getPayloadMediaRefs
+};
@@ -1,14 +1,23 @@
 'use strict';
 
-// Sistema de crédito/ticket para controlar mensagens outgoing
-// Estrutura: { phone: { messageType: ticketCount } }
-const messageTickets = new Map();
-const messageTicketsChatwoot = new Map();
+import { getMessageStore } from './messageStore.js';
+import { onMetricsCollect, messageMapEntries } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('messageCache');
 
 // Sistema de cache para associar messageId da API com ID/conversa do Chatwoot
-// Estrutura: { chatwootMessageId: { apiMessageId, conversationId } }
+// Estrutura: { chatwootMessageId: { entry: { apiMessageId, conversationId, ... }, expiresAt } }
+// A ordem de inserção do Map é usada como LRU: cada acesso move a chave para o final
 const messageIdCache = new Map();
 
+// Índice reverso por ID do provedor, escopado pela integração (IDs de provedores diferentes podem colidir)
+// Estrutura: { apiMessageId: { integrationId: chatwootMessageId } }
+const apiMessageIdIndex = new Map();
+
+const MESSAGE_CACHE_MAX_ENTRIES = Math.max(1, parseInt(process.env.MESSAGE_CACHE_MAX_ENTRIES || '10000', 10));
+const MESSAGE_CACHE_TTL_MS = Math.max(1, Number(process.env.MESSAGE_CACHE_TTL_HOURS || 5)) * 60 * 60 * 1000;
+
 /**
  * Tipos de mensagem suportados
  */
@@ -45,117 +54,105 @@ function getMessageType(content, attachments = []) {
 	return MESSAGE_TYPES.TEXT;
 }
 
-/**
- * Adiciona um ticket para uma mensagem outgoing (incrementa o contador)
- * @param {string} phone - Número do telefone
- * @param {string} messageType - Tipo da mensagem
- */
-function addOutgoingTicket(phone, messageType) {
-	if (!messageTickets.has(phone)) {
-		messageTickets.set(phone, {});
+function indexMapping(chatwootMessageId, entry) {
+	if (!entry?.apiMessageId) return;
+	if (!apiMessageIdIndex.has(entry.apiMessageId)) {
+		apiMessageIdIndex.set(entry.apiMessageId, new Map());
+	}
+	apiMessageIdIndex.get(entry.apiMessageId).set(entry.integrationId || '', chatwootMessageId);
+}
+
+function unindexMapping(chatwootMessageId, entry) {
+	const byIntegration = entry?.apiMessageId ? apiMessageIdIndex.get(entry.apiMessageId) : null;
+	if (!byIntegration) return;
+	const scope = entry.integrationId || '';
+	if (byIntegration.get(scope) === chatwootMessageId) {
+		byIntegration.delete(scope);
+	}
+	if (byIntegration.size === 0) {
+		apiMessageIdIndex.delete(entry.apiMessageId);
 	}
-	
-	const phoneTickets = messageTickets.get(phone);
-	phoneTickets[messageType] = (phoneTickets[messageType] || 0) + 1;
-	
-	//console.log(`Ticket adicionado para ${phone}:${messageType} - Total: ${phoneTickets[messageType]}`);
 }
 
 /**
- * Verifica se existe ticket disponível e o consome (decrementa)
- * @param {string} phone - Número do telefone
- * @param {string} messageType - Tipo da mensagem
- * @returns {boolean} - true se havia ticket disponível e foi consumido
+ * Resolve o ID do Chatwoot pelo índice reverso
+ * Sem integração informada, só retorna quando o ID do provedor pertence a uma única integração
  */
-function consumeOutgoingTicket(phone, messageType) {
-	if (!messageTickets.has(phone)) {
-		//console.log('consumeTicket: retornando false pois nao encontrou chave',phone);
-		return false;
+function lookupApiIndex(apiMessageId, integrationId = null) {
+	const byIntegration = apiMessageIdIndex.get(apiMessageId);
+	if (!byIntegration) return null;
+	if (integrationId) {
+		return byIntegration.get(String(integrationId)) || null;
 	}
-	
-	const phoneTickets = messageTickets.get(phone);
-	const currentTickets = phoneTickets[messageType] || 0;
-	
-	if (currentTickets > 0) {
-		phoneTickets[messageType] = currentTickets - 1;
-		//console.log(`Ticket consumido para ${phone}:${messageType} - Restante: ${phoneTickets[messageType]}`);
-		
-		// Remove o phone se não há mais tickets de nenhum tipo
-		const hasAnyTickets = Object.values(phoneTickets).some(count => count > 0);
-		if (!hasAnyTickets) {
-			messageTickets.delete(phone);
-			//console.log(`Phone ${phone} removido do sistema de tickets`);
-		}
-		
-		return true;
+	if (byIntegration.size > 1) {
+		logger.warn(`API ID ${apiMessageId} mapeado em mais de uma integração. Informe a integração para desambiguar.`);
+		return null;
 	}
-	//console.log(`Retornando false para ${phone}:${messageType} pois zerou os tickets`);	
-	return false;
+	return byIntegration.values().next().value || null;
 }
 
+/**
+ * Remove um mapeamento do cache em memória e do índice reverso
+ * @returns {boolean} - true se o mapeamento existia
+ */
+function deleteCachedMapping(chatwootMessageId) {
+	const cached = messageIdCache.get(chatwootMessageId);
+	if (!cached) return false;
+	messageIdCache.delete(chatwootMessageId);
+	unindexMapping(chatwootMessageId, cached.entry);
+	return true;
+}
 
 /**
- * Adiciona um ticket para uma mensagem outgoing (incrementa o contador)
- * @param {string} phone - Número do telefone
- * @param {string} messageType - Tipo da mensagem
+ * Adiciona um mapeamento ao cache em memória, descartando os menos usados acima do limite
  */
-function addOutgoingTicketChatwoot(phone, messageType) {
-	if (!messageTicketsChatwoot.has(phone)) {
-		messageTicketsChatwoot.set(phone, {});
+function setCachedMapping(chatwootMessageId, entry) {
+	deleteCachedMapping(chatwootMessageId);
+	messageIdCache.set(chatwootMessageId, { entry, expiresAt: Date.now() + MESSAGE_CACHE_TTL_MS });
+	indexMapping(chatwootMessageId, entry);
+
+	while (messageIdCache.size > MESSAGE_CACHE_MAX_ENTRIES) {
+		const oldestKey = messageIdCache.keys().next().value;
+		deleteCachedMapping(oldestKey);
 	}
-	
-	const phoneTickets = messageTicketsChatwoot.get(phone);
-	phoneTickets[messageType] = (phoneTickets[messageType] || 0) + 1;
-	
-	console.log(`Ticket adicionado de CALLBACK para ${phone}:${messageType} - Total: ${phoneTickets[messageType]}`);
 }
 
 /**
- * Verifica se existe ticket disponível e o consome (decrementa)
- * @param {string} phone - Número do telefone
- * @param {string} messageType - Tipo da mensagem
- * @returns {boolean} - true se havia ticket disponível e foi consumido
+ * Lê um mapeamento do cache em memória (expirados são descartados e o acesso renova a posição no LRU)
  */
-function consumeOutgoingTicketChatwoot(phone, messageType) {
-	if (!messageTicketsChatwoot.has(phone)) {
-		console.log('consumeTicketChatwoot: retornando true pois nao encontrou chave',phone);
-		return true;
+function getCachedMapping(chatwootMessageId) {
+	const cached = messageIdCache.get(chatwootMessageId);
+	if (!cached) return null;
+	if (cached.expiresAt <= Date.now()) {
+		deleteCachedMapping(chatwootMessageId);
+		return null;
 	}
-	
-	const phoneTickets = messageTicketsChatwoot.get(phone);
-	const currentTickets = phoneTickets[messageType] || 0;
-	
-	if (currentTickets > 0) {
-		phoneTickets[messageType] = currentTickets - 1;
-		console.log(`consumeTicketChatwoot: Ticket consumido para ${phone}:${messageType} - Restante: ${phoneTickets[messageType]}`);
-		
-		// Remove o phone se não há mais tickets de nenhum tipo
-		const hasAnyTickets = Object.values(phoneTickets).some(count => count > 0);
-		if (!hasAnyTickets) {
-			messageTicketsChatwoot.delete(phone);
-			console.log(`Phone ${phone} removido do sistema de tickets`);
+	messageIdCache.delete(chatwootMessageId);
+	messageIdCache.set(chatwootMessageId, cached);
+	return cached.entry;
+}
+
+/**
+ * Remove do cache em memória os mapeamentos expirados
+ * @returns {number} - Quantidade de mapeamentos removidos
+ */
+function removeExpiredMappings() {
+	const now = Date.now();
+	let removed = 0;
+	for (const [chatwootMessageId, cached] of messageIdCache.entries()) {
+		if (cached.expiresAt <= now) {
+			deleteCachedMapping(chatwootMessageId);
+			removed++;
 		}
-		
-		return false;
 	}
-	console.log(`Retornando true para ${phone}:${messageType} pois zerou os tickets`);	
-	return true;
+	return removed;
 }
+
 /**
- * Obtém estatísticas do sistema de tickets
- * @returns {object} - Estatísticas dos tickets
+ * Inicializa o armazenamento durável dos mapeamentos
  */
-function getTicketStats() {
-	const stats = {
-		totalPhones: messageTickets.size,
-		phones: {}
-	};
-	
-	for (const [phone, phoneTickets] of messageTickets.entries()) {
-		stats.phones[phone] = { ...phoneTickets };
-	}
-	
-	return stats;
+async function initMessageStore() {
+	return getMessageStore();
 }
 
 /**
@@ -165,7 +162,7 @@ function getTicketStats() {
  * @param {string|number} conversationId - ID da conversa no Chatwoot
  * @param {string|number} inboxId - ID da inbox no Chatwoot (opcional, para melhor rastreamento)
  */
-function storeMessageIdMapping(chatwootMessageId, apiMessageId, conversationId = null, inboxId = null, provider = null, integrationId = null) {
+async function storeMessageIdMapping(chatwootMessageId, apiMessageId, conversationId = null, inboxId = null, provider = null, integrationId = null) {
 	const entry = {
 		apiMessageId,
 		conversationId: conversationId ? String(conversationId) : null,
@@ -174,34 +171,105 @@ function storeMessageIdMapping(chatwootMessageId, apiMessageId, conversationId =
 		integrationId: integrationId ? String(integrationId) : null
 	};
 
-	messageIdCache.set(String(chatwootMessageId), entry);
-	console.log(`Mapeamento armazenado: Chatwoot ID ${chatwootMessageId} -> API ID ${apiMessageId}, Conversation ID ${conversationId}${inboxId ? `, Inbox ID ${inboxId}` : ''}${provider ? `, Provider ${provider}` : ''}${integrationId ? `, Integration ${integrationId}` : ''}`);
+	setCachedMapping(String(chatwootMessageId), entry);
+	logger.info(`Mapeamento armazenado: Chatwoot ID ${chatwootMessageId} -> API ID ${apiMessageId}, Conversation ID ${conversationId}${inboxId ? `, Inbox ID ${inboxId}` : ''}${provider ? `, Provider ${provider}` : ''}${integrationId ? `, Integration ${integrationId}` : ''}`);
+
+	// Falha na persistência não interrompe o fluxo: o mapeamento continua disponível em memória
+	try {
+		const store = await getMessageStore();
+		await store.set(String(chatwootMessageId), entry);
+	} catch (error) {
+		logger.error(`Erro ao persistir mapeamento do Chatwoot ID ${chatwootMessageId}:`, error?.message || error);
+	}
+}
+
+/**
+ * Busca o mapeamento em memória e, se não encontrado, no armazenamento durável
+ * @param {string|number} chatwootMessageId
+ * @returns {Promise<object|null>}
+ */
+async function findMapping(chatwootMessageId) {
+	const key = String(chatwootMessageId);
+	const cached = getCachedMapping(key);
+	if (cached) {
+		return cached;
+	}
+
+	try {
+		const store = await getMessageStore();
+		const entry = await store.get(key);
+		if (entry) {
+			setCachedMapping(key, entry);
+		}
+		return entry || null;
+	} catch (error) {
+		logger.error(`Erro ao consultar mapeamento do Chatwoot ID ${chatwootMessageId}:`, error?.message || error);
+		return null;
+	}
+}
+
+/**
+ * Busca o mapeamento pelo ID da API em memória e, se não encontrado, no armazenamento durável
+ * @param {string} apiMessageId
+ * @param {string|null} integrationId - Integração dona da mensagem
+ * @returns {Promise<object|null>} - Mapeamento com chatwootMessageId
+ */
+async function findMappingByApiId(apiMessageId, integrationId = null) {
+	const store = await getMessageStore();
+
+	// Sem integração informada o cache pode conhecer só parte das integrações do ID:
+	// nesse caso a desambiguação fica com o armazenamento durável
+	const useCacheFirst = !!integrationId || store.name === 'memory';
+	const indexedKey = useCacheFirst ? lookupApiIndex(apiMessageId, integrationId) : null;
+	if (indexedKey) {
+		const cached = getCachedMapping(indexedKey);
+		if (cached) {
+			return { chatwootMessageId: indexedKey, ...cached };
+		}
+	}
+
+	try {
+		const found = await store.getByApiId(apiMessageId, integrationId);
+		if (found) {
+			const { chatwootMessageId, ...entry } = found;
+			setCachedMapping(String(chatwootMessageId), entry);
+			return { ...entry, chatwootMessageId: String(chatwootMessageId) };
+		}
+	} catch (error) {
+		logger.error(`Erro ao consultar mapeamento da API ID ${apiMessageId}:`, error?.message || error);
+	}
+	return null;
 }
 
 /**
  * Recupera o messageId da API baseado no ID da mensagem do Chatwoot
  * @param {string|number} chatwootMessageId - ID da mensagem no Chatwoot
- * @returns {string|null} - messageId da API ou null se não encontrado
+ * @returns {Promise<string|null>} - messageId da API ou null se não encontrado
  */
-function getApiMessageId(chatwootMessageId) {
-	const entry = messageIdCache.get(String(chatwootMessageId));
+async function getApiMessageId(chatwootMessageId) {
+	const entry = await findMapping(chatwootMessageId);
 	const apiMessageId = entry?.apiMessageId;
 	if (apiMessageId) {
-		console.log(`Mapeamento encontrado: Chatwoot ID ${chatwootMessageId} -> API ID ${apiMessageId}`);
+		logger.info(`Mapeamento encontrado: Chatwoot ID ${chatwootMessageId} -> API ID ${apiMessageId}`);
 	} else {
-		console.log(`Mapeamento não encontrado para Chatwoot ID ${chatwootMessageId}`);
+		logger.info(`Mapeamento não encontrado para Chatwoot ID ${chatwootMessageId}`);
 	}
 	return apiMessageId || null;
 }
 
-function getChatwootMessageId(apiMessageId) {
-	for (const [key, value] of messageIdCache.entries()) {
-		if (value?.apiMessageId === apiMessageId) {
-			console.log(`Encontrado messageID de Chatwoot encontrado: Chatwoot ID ${key} -> API ID ${apiMessageId}`);
-			return key; // retorna a chave correspondente
-		}
+/**
+ * Recupera o ID da mensagem do Chatwoot baseado no messageId da API
+ * @param {string} apiMessageId - messageId do provedor WhatsApp
+ * @param {string|null} integrationId - Integração dona da mensagem
+ * @returns {Promise<string|null>}
+ */
+async function getChatwootMessageId(apiMessageId, integrationId = null) {
+	const mapping = await findMappingByApiId(apiMessageId, integrationId);
+	if (mapping) {
+		logger.info(`Encontrado messageID de Chatwoot encontrado: Chatwoot ID ${mapping.chatwootMessageId} -> API ID ${apiMessageId}`);
+		return mapping.chatwootMessageId;
 	}
-	console.log(`Não Encontrado messageID de Chatwoot encontrado: -> API ID ${apiMessageId}`);
+	logger.info(`Não Encontrado messageID de Chatwoot encontrado: -> API ID ${apiMessageId}`);
 	return null; // não encontrado
 }
 
@@ -209,67 +277,78 @@ function getChatwootMessageId(apiMessageId) {
  * Remove mapeamento de ID de mensagem
  * @param {string|number} chatwootMessageId - ID da mensagem no Chatwoot
  */
-function removeMessageIdMapping(chatwootMessageId) {
-	const removed = messageIdCache.delete(String(chatwootMessageId));
+async function removeMessageIdMapping(chatwootMessageId) {
+	const removed = deleteCachedMapping(String(chatwootMessageId));
+	try {
+		const store = await getMessageStore();
+		await store.delete(String(chatwootMessageId));
+	} catch (error) {
+		logger.error(`Erro ao remover mapeamento persistido do Chatwoot ID ${chatwootMessageId}:`, error?.message || error);
+	}
 	if (removed) {
-		console.log(`Mapeamento removido para Chatwoot ID ${chatwootMessageId}`);
+		logger.info(`Mapeamento removido para Chatwoot ID ${chatwootMessageId}`);
 	}
 }
 
 /**
  * Recupera o mapeamento completo (API ID e conversationId) baseado no Chatwoot ID
  * @param {string|number} chatwootMessageId
- * @returns {{apiMessageId: string|null, conversationId: string|null}|null}
+ * @returns {Promise<{apiMessageId: string|null, conversationId: string|null}|null>}
  */
-function getMessageMappingByChatwootId(chatwootMessageId) {
-	return messageIdCache.get(String(chatwootMessageId)) || null;
+async function getMessageMappingByChatwootId(chatwootMessageId) {
+	return await findMapping(chatwootMessageId);
 }
 
 /**
  * Recupera o mapeamento completo baseado no ID da API (WhatsApp)
  * @param {string} apiMessageId
- * @returns {{chatwootMessageId: string|null, conversationId: string|null, inboxId: string|null}|null}
+ * @param {string|null} integrationId - Integração dona da mensagem
+ * @returns {Promise<{chatwootMessageId: string|null, conversationId: string|null, inboxId: string|null}|null>}
  */
-function getChatwootMessageMappingByApiId(apiMessageId) {
-	for (const [key, value] of messageIdCache.entries()) {
-		if (value?.apiMessageId === apiMessageId) {
-			return {
-				chatwootMessageId: key,
-				conversationId: value?.conversationId || null,
-				inboxId: value?.inboxId || null
-			};
-		}
+async function getChatwootMessageMappingByApiId(apiMessageId, integrationId = null) {
+	const mapping = await findMappingByApiId(apiMessageId, integrationId);
+	if (!mapping) {
+		return null;
 	}
-	return null;
+	return {
+		chatwootMessageId: mapping.chatwootMessageId,
+		conversationId: mapping.conversationId || null,
+		inboxId: mapping.inboxId || null
+	};
 }
 
 
 
 /**
- * Limpa tickets antigos (mais de 1 hora) para evitar vazamento de memória
+ * Remove periodicamente os mapeamentos de IDs expirados do cache em memória
  */
-function cleanupOldTickets() {
-	// Por simplicidade, vamos limpar todos os tickets a cada hora
-	// Em uma implementação mais robusta, poderíamos rastrear timestamps
+function cleanupExpiredMappings() {
 	setTimeout(() => {
-		messageTickets.clear();
-		//messageTicketsChatwoot.clear();
-		messageIdCache.clear(); // Limpa também o cache de IDs
-		console.log('Tickets antigos e cache de IDs limpos');
-		cleanupOldTickets(); // Agenda próxima limpeza
-	}, 60 * 60 * 5000); // 5 hora
+		const removedMappings = removeExpiredMappings();
+		logger.info(`${removedMappings} mapeamento(s) de IDs expirado(s) removido(s) do cache`);
+		cleanupExpiredMappings(); // Agenda próxima limpeza
+	}, 60 * 60 * 1000); // 1 hora
 }
 
 // Inicia o processo de limpeza
-cleanupOldTickets();
+cleanupExpiredMappings();
+
+// Tamanho do cache em memória por integração (GET /metrics)
+onMetricsCollect(() => {
+	const counts = new Map();
+	for (const { entry } of messageIdCache.values()) {
+		const integrationId = entry?.integrationId || 'unknown';
+		counts.set(integrationId, (counts.get(integrationId) || 0) + 1);
+	}
+	messageMapEntries.reset();
+	for (const [integrationId, count] of counts) {
+		messageMapEntries.set({ integration_id: integrationId }, count);
+	}
+});
 
 export { 
 	getMessageType,
-	addOutgoingTicket, 
-	consumeOutgoingTicket,
-	addOutgoingTicketChatwoot, 
-	consumeOutgoingTicketChatwoot,
-	getTicketStats,
+	initMessageStore,
 	storeMessageIdMapping,
 	getApiMessageId,
 	removeMessageIdMapping,
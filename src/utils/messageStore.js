@@ -0,0 +1,329 @@
+'use strict';
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { StringCodec } from 'nats';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { createLogger } from './logger.js';
+import { onShutdown } from './shutdown.js';
+
+const logger = createLogger('messageStore');
+
+// Armazenamento durável do mapeamento Chatwoot ↔ WhatsApp
+// Backends: 'memory' (sem persistência), 'file' (JSONL em /app/data) e 'nats' (JetStream KV)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getStoreConfig() {
+	const ttlDays = Number(process.env.MESSAGE_MAPPING_TTL_DAYS || 30);
+	return {
+		// Com estado compartilhado em NATS (várias réplicas), o padrão também passa a ser o KV
+		backend: (process.env.MESSAGE_STORE || (process.env.SHARED_STATE === 'nats' ? 'nats' : 'file')).trim().toLowerCase(),
+		dir: process.env.MESSAGE_STORE_DIR || '/app/data',
+		bucket: process.env.MESSAGE_STORE_BUCKET || 'wootrico_message_map',
+		ttlMs: (Number.isFinite(ttlDays) && ttlDays > 0 ? ttlDays : 30) * DAY_MS
+	};
+}
+
+function isExpired(entry) {
+	return !!entry?.expiresAt && entry.expiresAt <= Date.now();
+}
+
+/**
+ * Backend sem persistência: os mapeamentos ficam apenas no cache do processo (messageCache)
+ */
+class MemoryMessageStore {
+	constructor() {
+		this.name = 'memory';
+	}
+
+	async init() {}
+
+	async set() {}
+
+	async get() {
+		return null;
+	}
+
+	async getByApiId() {
+		return null;
+	}
+
+	async delete() {}
+}
+
+/**
+ * Backend em arquivo: journal JSONL (append-only) recarregado e compactado na inicialização
+ */
+class FileMessageStore {
+	constructor({ dir, ttlMs }) {
+		this.name = 'file';
+		this.filePath = path.join(dir, 'message-id-map.jsonl');
+		this.ttlMs = ttlMs;
+		this.entries = new Map(); // chatwootMessageId -> entry
+		this.apiIndex = new Map(); // apiMessageId -> { integrationId: chatwootMessageId }
+		this.journalLines = 0;
+		this.writeQueue = Promise.resolve();
+	}
+
+	async init() {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+		let content = '';
+		try {
+			content = await fs.readFile(this.filePath, 'utf8');
+		} catch (error) {
+			if (error?.code !== 'ENOENT') throw error;
+		}
+
+		for (const line of content.split('\n')) {
+			if (!line.trim()) continue;
+			try {
+				const record = JSON.parse(line);
+				if (record.op === 'set') {
+					this.applySet(record.key, record.entry);
+				} else if (record.op === 'del') {
+					this.applyDelete(record.key);
+				}
+			} catch {
+				// Linha corrompida (ex.: escrita interrompida): ignora
+			}
+		}
+
+		this.removeExpired();
+		await this.compact();
+		logger.info(`[MessageStore] ${this.entries.size} mapeamento(s) carregado(s) de ${this.filePath}`);
+	}
+
+	applySet(key, entry) {
+		this.applyDelete(key);
+		this.entries.set(key, entry);
+		if (entry?.apiMessageId) {
+			if (!this.apiIndex.has(entry.apiMessageId)) {
+				this.apiIndex.set(entry.apiMessageId, new Map());
+			}
+			this.apiIndex.get(entry.apiMessageId).set(entry.integrationId || '', key);
+		}
+	}
+
+	applyDelete(key) {
+		const previous = this.entries.get(key);
+		const byIntegration = previous?.apiMessageId ? this.apiIndex.get(previous.apiMessageId) : null;
+		if (byIntegration?.get(previous.integrationId || '') === key) {
+			byIntegration.delete(previous.integrationId || '');
+			if (byIntegration.size === 0) {
+				this.apiIndex.delete(previous.apiMessageId);
+			}
+		}
+		this.entries.delete(key);
+	}
+
+	removeExpired() {
+		for (const [key, entry] of this.entries.entries()) {
+			if (isExpired(entry)) {
+				this.applyDelete(key);
+			}
+		}
+	}
+
+	/**
+	 * Enfileira escritas no arquivo para manter a ordem do journal
+	 */
+	enqueueWrite(fn) {
+		this.writeQueue = this.writeQueue.then(fn).catch((error) => {
+			logger.error('[MessageStore] Erro ao gravar journal:', error?.message || error);
+		});
+		return this.writeQueue;
+	}
+
+	async append(record) {
+		await this.enqueueWrite(() => fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`, 'utf8'));
+		this.journalLines++;
+
+		// Compacta quando o journal cresce muito além dos registros válidos
+		if (this.journalLines > 1000 && this.journalLines > this.entries.size * 2) {
+			this.removeExpired();
+			await this.compact();
+		}
+	}
+
+	async compact() {
+		await this.enqueueWrite(async () => {
+			const tmpPath = `${this.filePath}.tmp`;
+			const lines = Array.from(this.entries.entries()).map(([key, entry]) => JSON.stringify({ op: 'set', key, entry }));
+			await fs.writeFile(tmpPath, lines.length ? `${lines.join('\n')}\n` : '', 'utf8');
+			await fs.rename(tmpPath, this.filePath);
+			this.journalLines = lines.length;
+		});
+	}
+
+	async set(chatwootMessageId, entry) {
+		const stored = { ...entry, expiresAt: Date.now() + this.ttlMs };
+		this.applySet(chatwootMessageId, stored);
+		await this.append({ op: 'set', key: chatwootMessageId, entry: stored });
+	}
+
+	async get(chatwootMessageId) {
+		const entry = this.entries.get(chatwootMessageId);
+		if (!entry) return null;
+		if (isExpired(entry)) {
+			await this.delete(chatwootMessageId);
+			return null;
+		}
+		return entry;
+	}
+
+	async getByApiId(apiMessageId, integrationId = null) {
+		const byIntegration = this.apiIndex.get(apiMessageId);
+		if (!byIntegration) return null;
+		// Sem integração informada, só resolve quando o ID pertence a uma única integração
+		const chatwootMessageId = integrationId
+			? byIntegration.get(String(integrationId))
+			: (byIntegration.size === 1 ? byIntegration.values().next().value : null);
+		if (!chatwootMessageId) return null;
+		const entry = await this.get(chatwootMessageId);
+		return entry ? { chatwootMessageId, ...entry } : null;
+	}
+
+	async delete(chatwootMessageId) {
+		if (!this.entries.has(chatwootMessageId)) return;
+		this.applyDelete(chatwootMessageId);
+		await this.append({ op: 'del', key: chatwootMessageId });
+	}
+
+	/**
+	 * Aguarda as escritas pendentes no journal
+	 */
+	async flush() {
+		await this.writeQueue;
+	}
+}
+
+/**
+ * Backend NATS JetStream KV: compartilhado entre processos, com TTL aplicado pelo bucket
+ */
+class NatsKvMessageStore {
+	constructor({ bucket, ttlMs }) {
+		this.name = 'nats';
+		this.bucket = bucket;
+		this.ttlMs = ttlMs;
+		this.kv = null;
+		this.sc = StringCodec();
+	}
+
+	async init() {
+		const { js } = await getNatsConnection();
+		this.kv = await js.views.kv(this.bucket, { ttl: this.ttlMs, history: 1 });
+		logger.info(`[MessageStore] Usando bucket KV ${this.bucket} (TTL ${Math.round(this.ttlMs / DAY_MS)} dia(s))`);
+	}
+
+	// Chaves do KV aceitam apenas [-/_=.a-zA-Z0-9]
+	encodeKey(prefix, id) {
+		return `${prefix}.${Buffer.from(String(id)).toString('base64url')}`;
+	}
+
+	// Índice reverso: api.<apiMessageId>.<integrationId> ('_' quando a integração é desconhecida)
+	encodeApiKey(apiMessageId, integrationId = null) {
+		return `${this.encodeKey('api', apiMessageId)}.${integrationId ? Buffer.from(String(integrationId)).toString('base64url') : '_'}`;
+	}
+
+	async readJson(key) {
+		const item = await this.kv.get(key);
+		if (!item || item.operation !== 'PUT' || !item.value?.length) {
+			return null;
+		}
+		return JSON.parse(this.sc.decode(item.value));
+	}
+
+	async set(chatwootMessageId, entry) {
+		const stored = { ...entry, expiresAt: Date.now() + this.ttlMs };
+		await this.kv.put(this.encodeKey('cw', chatwootMessageId), this.sc.encode(JSON.stringify(stored)));
+		if (entry?.apiMessageId) {
+			await this.kv.put(this.encodeApiKey(entry.apiMessageId, entry.integrationId), this.sc.encode(JSON.stringify({ chatwootMessageId })));
+		}
+	}
+
+	async get(chatwootMessageId) {
+		const entry = await this.readJson(this.encodeKey('cw', chatwootMessageId));
+		return entry && !isExpired(entry) ? entry : null;
+	}
+
+	async getByApiId(apiMessageId, integrationId = null) {
+		let apiKey = this.encodeApiKey(apiMessageId, integrationId);
+		if (!integrationId) {
+			// Sem integração informada, só resolve quando o ID pertence a uma única integração
+			const keys = [];
+			for await (const key of await this.kv.keys(`${this.encodeKey('api', apiMessageId)}.*`)) {
+				keys.push(key);
+			}
+			if (keys.length !== 1) return null;
+			apiKey = keys[0];
+		}
+
+		const reference = await this.readJson(apiKey);
+		if (!reference?.chatwootMessageId) return null;
+		const entry = await this.get(reference.chatwootMessageId);
+		return entry ? { chatwootMessageId: reference.chatwootMessageId, ...entry } : null;
+	}
+
+	async delete(chatwootMessageId) {
+		const entry = await this.readJson(this.encodeKey('cw', chatwootMessageId));
+		await this.kv.delete(this.encodeKey('cw', chatwootMessageId));
+		if (entry?.apiMessageId) {
+			await this.kv.delete(this.encodeApiKey(entry.apiMessageId, entry.integrationId));
+		}
+	}
+}
+
+let storePromise = null;
+
+async function createMessageStore() {
+	const config = getStoreConfig();
+	let store;
+
+	switch (config.backend) {
+	case 'memory':
+		store = new MemoryMessageStore();
+		break;
+	case 'nats':
+	case 'kv':
+		store = new NatsKvMessageStore(config);
+		break;
+	case 'file':
+		store = new FileMessageStore(config);
+		break;
+	default:
+		logger.warn(`[MessageStore] MESSAGE_STORE=${config.backend} não suportado. Usando 'file'.`);
+		store = new FileMessageStore(config);
+		break;
+	}
+
+	try {
+		await store.init();
+	} catch (error) {
+		// Sem backend durável os mapeamentos continuam funcionando em memória até o restart
+		logger.error(`[MessageStore] Falha ao inicializar backend '${store.name}'. Usando apenas memória:`, error?.message || error);
+		store = new MemoryMessageStore();
+	}
+
+	if (store.flush) {
+		onShutdown('flush', 'journal de mapeamentos', () => store.flush());
+	}
+
+	logger.info(`[MessageStore] Backend de mapeamento de mensagens: ${store.name}`);
+	return store;
+}
+
+/**
+ * Retorna o backend configurado (inicializado uma única vez)
+ * @returns {Promise<MemoryMessageStore|FileMessageStore|NatsKvMessageStore>}
+ */
+function getMessageStore() {
+	if (!storePromise) {
+		storePromise = createMessageStore();
+	}
+	return storePromise;
+}
+
+export {
+	getMessageStore
+};
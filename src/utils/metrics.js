@@ -0,0 +1,222 @@
+'use strict';
+
+import client from 'prom-client';
+import { createLogger } from './logger.js';
+import { getAbortSignal } from './abortContext.js';
+
+const logger = createLogger('metrics');
+
+// Métricas Prometheus do app e do consumer (GET /metrics)
+// Todas as séries de negócio levam integration_id ('unknown' quando a integração não é identificada)
+
+const register = client.register;
+
+const UNKNOWN = 'unknown';
+
+const webhooksReceived = new client.Counter({
+	name: 'wootrico_webhooks_received_total',
+	help: 'Webhooks recebidos pelo app por rota e provedor',
+	labelNames: ['route', 'provider', 'integration_id']
+});
+
+const webhooksQueued = new client.Counter({
+	name: 'wootrico_webhooks_queued_total',
+	help: 'Resultado do enfileiramento dos webhooks (queued, spooled, duplicate ou error)',
+	labelNames: ['route', 'provider', 'integration_id', 'result']
+});
+
+const messagesProcessed = new client.Counter({
+	name: 'wootrico_messages_processed_total',
+	help: 'Mensagens consumidas por resultado (processed, ignored, retried, dead_lettered) e motivo',
+	labelNames: ['consumer', 'integration_id', 'result', 'reason']
+});
+
+const messageProcessingDuration = new client.Histogram({
+	name: 'wootrico_message_processing_seconds',
+	help: 'Tempo de processamento de uma mensagem no consumer',
+	labelNames: ['consumer', 'integration_id'],
+	buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+
+const apiRequestDuration = new client.Histogram({
+	name: 'wootrico_api_request_duration_seconds',
+	help: 'Latência das chamadas às APIs do Chatwoot e dos provedores de WhatsApp',
+	labelNames: ['service', 'integration_id', 'method', 'status'],
+	buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+
+const apiRequestErrors = new client.Counter({
+	name: 'wootrico_api_request_errors_total',
+	help: 'Falhas nas chamadas às APIs do Chatwoot e dos provedores por código (status HTTP ou erro de rede)',
+	labelNames: ['service', 'integration_id', 'code']
+});
+
+const mediaBytes = new client.Counter({
+	name: 'wootrico_media_bytes_total',
+	help: 'Bytes de mídia transferidos: inbound = baixados pelo Wootrico (APIs dos provedores), outbound = enviados (upload para o Chatwoot)',
+	labelNames: ['integration_id', 'direction', 'service']
+});
+
+const messageMapEntries = new client.Gauge({
+	name: 'wootrico_message_map_entries',
+	help: 'Mapeamentos Chatwoot ↔ WhatsApp no cache em memória',
+	labelNames: ['integration_id']
+});
+
+const echoPending = new client.Gauge({
+	name: 'wootrico_echo_pending',
+	help: 'Ecos aguardando confirmação por direção e tipo (id ou fingerprint)',
+	labelNames: ['direction', 'kind']
+});
+
+const consumerLag = new client.Gauge({
+	name: 'wootrico_consumer_lag_messages',
+	help: 'Mensagens ainda não entregues ao consumer (num_pending do JetStream ou fila local)',
+	labelNames: ['consumer', 'subject', 'integration_id']
+});
+
+const consumerAckPending = new client.Gauge({
+	name: 'wootrico_consumer_ack_pending_messages',
+	help: 'Mensagens entregues ao consumer aguardando ack',
+	labelNames: ['consumer', 'subject', 'integration_id']
+});
+
+// Funções executadas antes de cada coleta para atualizar os gauges (tamanho de mapas, lag etc.)
+const collectHooks = new Set();
+// Uma função lenta (ex.: NATS fora do ar) não pode travar o scrape
+const COLLECT_TIMEOUT_MS = Math.max(100, parseInt(process.env.METRICS_COLLECT_TIMEOUT_MS || '2000', 10) || 2000);
+
+/**
+ * Identifica o processo nas métricas e ativa as métricas padrão do Node.js
+ * @param {'app'|'consumer'} role
+ */
+function initMetrics(role) {
+	register.setDefaultLabels({ process: role });
+	client.collectDefaultMetrics({ prefix: 'wootrico_' });
+}
+
+function integrationLabel(integrationId) {
+	return integrationId ? String(integrationId) : UNKNOWN;
+}
+
+/**
+ * Registra uma função chamada antes de cada coleta (/metrics)
+ * @param {Function} hook - Função (síncrona ou assíncrona) que atualiza gauges
+ */
+function onMetricsCollect(hook) {
+	collectHooks.add(hook);
+}
+
+/**
+ * Adiciona interceptors de latência e erros a um cliente axios. As requisições feitas durante o processamento
+ * de uma mensagem usam o signal de cancelamento do consumer (abortContext.js)
+ * @param {import('axios').AxiosInstance} httpClient
+ * @param {{service: string, integrationId?: string|null}} labels
+ * @returns {import('axios').AxiosInstance}
+ */
+function instrumentHttpClient(httpClient, { service, integrationId = null }) {
+	const integration = integrationLabel(integrationId);
+
+	httpClient.interceptors.request.use((config) => {
+		config.metricsStartedAt = process.hrtime.bigint();
+		// Processamento da mensagem cancelado (CONSUMER_MAX_PROCESSING_MS): a requisição é abortada junto
+		const signal = getAbortSignal();
+		if (signal && !config.signal) {
+			config.signal = signal;
+		}
+		return config;
+	});
+
+	const observe = (config, status) => {
+		if (!config?.metricsStartedAt) return;
+		const seconds = Number(process.hrtime.bigint() - config.metricsStartedAt) / 1e9;
+		apiRequestDuration.observe({ service, integration_id: integration, method: String(config.method || 'get').toUpperCase(), status: String(status) }, seconds);
+	};
+
+	httpClient.interceptors.response.use((response) => {
+		observe(response.config, response.status);
+		if (response.status >= 400) {
+			apiRequestErrors.inc({ service, integration_id: integration, code: String(response.status) });
+		}
+		return response;
+	}, (error) => {
+		const code = error?.response?.status || error?.code || 'error';
+		observe(error?.config, error?.response?.status || 'error');
+		apiRequestErrors.inc({ service, integration_id: integration, code: String(code) });
+		return Promise.reject(error);
+	});
+
+	return httpClient;
+}
+
+function recordWebhookReceived(route, provider, integrationId) {
+	webhooksReceived.inc({ route, provider: provider || UNKNOWN, integration_id: integrationLabel(integrationId) });
+}
+
+function recordWebhookQueued(route, provider, integrationId, result) {
+	webhooksQueued.inc({ route, provider: provider || UNKNOWN, integration_id: integrationLabel(integrationId), result });
+}
+
+/**
+ * Registra o resultado do processamento de uma mensagem
+ * @param {string} consumer - 'principal' ou 'callback'
+ * @param {string|null} integrationId
+ * @param {string} result - processed, ignored, retried ou dead_lettered
+ * @param {string} reason - Motivo retornado pelo processamento (ou do erro)
+ * @param {number|null} seconds - Duração do processamento
+ */
+function recordMessageProcessed(consumer, integrationId, result, reason = '', seconds = null) {
+	const integration = integrationLabel(integrationId);
+	messagesProcessed.inc({ consumer, integration_id: integration, result, reason: reason || '' });
+	if (seconds !== null) {
+		messageProcessingDuration.observe({ consumer, integration_id: integration }, seconds);
+	}
+}
+
+function recordMediaBytes(integrationId, direction, service, bytes) {
+	if (!bytes) return;
+	mediaBytes.inc({ integration_id: integrationLabel(integrationId), direction, service }, bytes);
+}
+
+async function runCollectHook(hook) {
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error(`tempo esgotado (${COLLECT_TIMEOUT_MS}ms)`)), COLLECT_TIMEOUT_MS);
+	});
+	try {
+		await Promise.race([Promise.resolve().then(hook), timeout]);
+	} catch (error) {
+		logger.warn('[Metrics] Falha ao atualizar métricas:', error?.message || error);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+/**
+ * Handler Express de GET /metrics
+ */
+async function metricsHandler(req, res) {
+	try {
+		await Promise.all(Array.from(collectHooks, (hook) => runCollectHook(hook)));
+		res.set('Content-Type', register.contentType);
+		res.end(await register.metrics());
+	} catch (err) {
+		logger.error('Erro ao gerar métricas:', err?.message || err);
+		res.status(500).end();
+	}
+}
+
+export {
+	initMetrics,
+	onMetricsCollect,
+	instrumentHttpClient,
+	recordWebhookReceived,
+	recordWebhookQueued,
+	recordMessageProcessed,
+	recordMediaBytes,
+	metricsHandler,
+	messageMapEntries,
+	echoPending,
+	consumerLag,
+	consumerAckPending
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Lê a configuração do pool de processamento dos consumers
+ * @returns {{concurrency: number, maxPending: number}}
+ */
+function getWorkerPoolConfig() {
+	const concurrency = Math.max(1, parseInt(process.env.CONSUMER_CONCURRENCY || '4', 10) || 1);
+	const maxPending = Math.max(concurrency, parseInt(process.env.CONSUMER_MAX_PENDING || String(concurrency * 10), 10) || concurrency);
+	return { concurrency, maxPending };
+}
+
+/**
+ * Cria um pool que processa chaves diferentes em paralelo e tarefas da mesma chave em ordem
+ * @param {string} name - Nome do pool (usado nos logs)
+ * @param {{concurrency?: number, maxPending?: number}} options
+ * @returns {{submit: Function, waitForCapacity: Function, onIdle: Function, getStats: Function}}
+ */
+function createOrderedWorkerPool(name, options = {}) {
+	const { concurrency, maxPending } = { ...getWorkerPoolConfig(), ...options };
+
+	// Filas por chave: { key: [task, ...] }. Uma chave presente no Map está em execução ou aguardando vaga
+	const queues = new Map();
+	// Chaves com tarefas prontas aguardando uma vaga de execução
+	const readyKeys = [];
+	let running = 0;
+	let pending = 0;
+	let waiters = [];
+
+	function notifyWaiters() {
+		const current = waiters;
+		waiters = [];
+		current.forEach((resolve) => resolve());
+	}
+
+	function runNext() {
+		while (running < concurrency && readyKeys.length > 0) {
+			const key = readyKeys.shift();
+			const task = queues.get(key)[0];
+			running++;
+
+			Promise.resolve()
+				.then(task.fn)
+				.then(task.resolve, task.reject)
+				.finally(() => {
+					running--;
+					pending--;
+					const queue = queues.get(key);
+					queue.shift();
+					if (queue.length > 0) {
+						// Próxima tarefa da mesma chave só começa depois que a anterior terminou
+						readyKeys.push(key);
+					} else {
+						queues.delete(key);
+					}
+					notifyWaiters();
+					runNext();
+				});
+		}
+	}
+
+	return {
+		/**
+		 * Agenda uma tarefa. Tarefas com a mesma chave executam na ordem em que foram agendadas
+		 * @param {string|null} key - Chave de ordenação (sem chave a tarefa não depende de nenhuma outra)
+		 * @param {Function} fn - Função assíncrona a executar
+		 * @returns {Promise<*>} - Resultado da tarefa
+		 */
+		submit(key, fn) {
+			const queueKey = key ? String(key) : Symbol(name);
+			return new Promise((resolve, reject) => {
+				pending++;
+				const queue = queues.get(queueKey);
+				if (queue) {
+					queue.push({ fn, resolve, reject });
+					return;
+				}
+				queues.set(queueKey, [{ fn, resolve, reject }]);
+				readyKeys.push(queueKey);
+				runNext();
+			});
+		},
+
+		/**
+		 * Aguarda até haver espaço no pool (limita quantas mensagens ficam em memória aguardando)
+		 */
+		async waitForCapacity() {
+			while (pending >= maxPending) {
+				await new Promise((resolve) => waiters.push(resolve));
+			}
+		},
+
+		/**
+		 * Aguarda o término de todas as tarefas agendadas
+		 */
+		async onIdle() {
+			while (pending > 0) {
+				await new Promise((resolve) => waiters.push(resolve));
+			}
+		},
+
+		getStats() {
+			return { name, concurrency, maxPending, running, pending, keys: queues.size };
+		}
+	};
+}
+
+export {
+	getWorkerPoolConfig,
+	createOrderedWorkerPool
+};
@@ -1,5 +1,9 @@
 'use strict';
 
+import { createLogger } from './logger.js';
+
+const logger = createLogger('phone');
+
 // Códigos de país comuns (pode ser expandido)
 const COUNTRY_CODES = {
 	'BR': '55', // Brasil
@@ -107,7 +111,7 @@ function normalizeToE164(phone, defaultCountry = 'BR') {
 	}
 	
 	// Se não conseguiu identificar, retorna como está com +
-	console.warn(`Código de país não reconhecido para: ${phone}, usando formato genérico`);
+	logger.warn(`Código de país não reconhecido para: ${phone}, usando formato genérico`);
 	return `+${cleanPhone}`;
 }
 
@@ -0,0 +1,313 @@
+'use strict';
+
+import crypto from 'node:crypto';
+import { StringCodec } from 'nats';
+import { getNatsConnection } from '../nats/natsClient.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('sharedState');
+
+// Estado compartilhado entre réplicas do consumer (ecos esperados, inbox ids e locks)
+// Backends: 'memory' (processo único) e 'nats' (JetStream KV, permite várias réplicas)
+// Os valores carregam expiresAt: o TTL do bucket é apenas o limite máximo de retenção
+
+function getSharedStateConfig() {
+	const ttlHours = Number(process.env.SHARED_STATE_TTL_HOURS || 24);
+	return {
+		backend: (process.env.SHARED_STATE || 'memory').trim().toLowerCase(),
+		bucket: process.env.SHARED_STATE_BUCKET || 'wootrico_state',
+		ttlMs: (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 24) * 60 * 60 * 1000,
+		lockWaitMs: Math.max(0, parseInt(process.env.SHARED_STATE_LOCK_WAIT_MS || '120000', 10))
+	};
+}
+
+// Tentativas de update() quando outra réplica altera a mesma chave entre a leitura e a escrita
+const UPDATE_MAX_ATTEMPTS = 10;
+
+function isExpired(record) {
+	return !!record?.expiresAt && record.expiresAt <= Date.now();
+}
+
+function buildRecord(value, ttlMs = null) {
+	return { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+}
+
+/**
+ * Backend em memória: estado restrito ao processo atual
+ */
+class MemorySharedState {
+	constructor() {
+		this.name = 'memory';
+		this.records = new Map();
+		this.writes = 0;
+	}
+
+	async init() {}
+
+	readRecord(key) {
+		const record = this.records.get(key);
+		if (record && isExpired(record)) {
+			this.records.delete(key);
+			return null;
+		}
+		return record || null;
+	}
+
+	async get(key) {
+		return this.readRecord(key)?.value ?? null;
+	}
+
+	// Remove periodicamente entradas expiradas que nunca foram lidas
+	trackWrite() {
+		if (++this.writes % 500 !== 0) return;
+		for (const [key, record] of this.records.entries()) {
+			if (isExpired(record)) this.records.delete(key);
+		}
+	}
+
+	async put(key, value, ttlMs = null) {
+		this.records.set(key, buildRecord(value, ttlMs));
+		this.trackWrite();
+	}
+
+	async create(key, value, ttlMs = null) {
+		if (this.readRecord(key)) {
+			return false;
+		}
+		this.records.set(key, buildRecord(value, ttlMs));
+		return true;
+	}
+
+	async take(key) {
+		const record = this.readRecord(key);
+		if (!record) return null;
+		this.records.delete(key);
+		return record.value;
+	}
+
+	// Grava o resultado de updater(valorAtual); null remove a chave e o mesmo valor não gera escrita
+	async update(key, updater, ttlMs = null) {
+		const current = this.readRecord(key)?.value ?? null;
+		const next = updater(current) ?? null;
+		if (next === current) {
+			return current;
+		}
+		if (next === null) {
+			this.records.delete(key);
+		} else {
+			this.records.set(key, buildRecord(next, ttlMs));
+			this.trackWrite();
+		}
+		return next;
+	}
+
+	async delete(key) {
+		this.records.delete(key);
+	}
+}
+
+/**
+ * Backend NATS JetStream KV: operações condicionais (create/update/delete por revisão)
+ * garantem que apenas uma réplica consuma cada entrada ou obtenha cada lock
+ */
+class NatsKvSharedState {
+	constructor({ bucket, ttlMs }) {
+		this.name = 'nats';
+		this.bucket = bucket;
+		this.ttlMs = ttlMs;
+		this.kv = null;
+		this.sc = StringCodec();
+	}
+
+	async init() {
+		const { js } = await getNatsConnection();
+		this.kv = await js.views.kv(this.bucket, { ttl: this.ttlMs, history: 1 });
+		logger.info(`[SharedState] Usando bucket KV ${this.bucket}`);
+	}
+
+	async readEntry(key) {
+		const entry = await this.kv.get(key);
+		if (!entry || entry.operation !== 'PUT' || !entry.value?.length) {
+			return null;
+		}
+		try {
+			return { record: JSON.parse(this.sc.decode(entry.value)), revision: entry.revision };
+		} catch {
+			return null;
+		}
+	}
+
+	encode(value, ttlMs) {
+		return this.sc.encode(JSON.stringify(buildRecord(value, ttlMs)));
+	}
+
+	async get(key) {
+		const entry = await this.readEntry(key);
+		return entry && !isExpired(entry.record) ? entry.record.value : null;
+	}
+
+	async put(key, value, ttlMs = null) {
+		await this.kv.put(key, this.encode(value, ttlMs));
+	}
+
+	async create(key, value, ttlMs = null) {
+		try {
+			await this.kv.create(key, this.encode(value, ttlMs));
+			return true;
+		} catch {
+			// Chave já existe: assume a entrada somente se ela estiver expirada (e ninguém a alterou antes)
+			const entry = await this.readEntry(key);
+			if (entry && !isExpired(entry.record)) {
+				return false;
+			}
+			try {
+				if (entry) {
+					await this.kv.update(key, this.encode(value, ttlMs), entry.revision);
+				} else {
+					await this.kv.create(key, this.encode(value, ttlMs));
+				}
+				return true;
+			} catch {
+				return false;
+			}
+		}
+	}
+
+	async take(key) {
+		const entry = await this.readEntry(key);
+		if (!entry) return null;
+		try {
+			// Remoção condicionada à revisão lida: se outra réplica consumiu antes, falha
+			await this.kv.delete(key, { previousSeq: entry.revision });
+		} catch {
+			return null;
+		}
+		return isExpired(entry.record) ? null : entry.record.value;
+	}
+
+	async update(key, updater, ttlMs = null) {
+		for (let attempt = 1; attempt <= UPDATE_MAX_ATTEMPTS; attempt++) {
+			const entry = await this.readEntry(key);
+			const current = entry && !isExpired(entry.record) ? entry.record.value : null;
+			const next = updater(current) ?? null;
+			if (next === current) {
+				return current;
+			}
+			try {
+				// Escrita condicionada à revisão lida: se outra réplica alterou a chave antes, lê de novo
+				if (next === null) {
+					await this.kv.delete(key, { previousSeq: entry.revision });
+				} else if (entry) {
+					await this.kv.update(key, this.encode(next, ttlMs), entry.revision);
+				} else {
+					await this.kv.create(key, this.encode(next, ttlMs));
+				}
+				return next;
+			} catch (error) {
+				if (attempt === UPDATE_MAX_ATTEMPTS) {
+					throw error;
+				}
+			}
+		}
+		return null;
+	}
+
+	async delete(key) {
+		await this.kv.delete(key);
+	}
+}
+
+// Backends inicializados, por nome (o configurado em SHARED_STATE e os pedidos explicitamente)
+const statePromises = new Map();
+
+async function createSharedState(config) {
+	let state;
+
+	switch (config.backend) {
+	case 'nats':
+	case 'kv':
+		state = new NatsKvSharedState(config);
+		break;
+	case 'memory':
+		state = new MemorySharedState();
+		break;
+	default:
+		logger.warn(`[SharedState] SHARED_STATE=${config.backend} não suportado. Usando 'memory'.`);
+		state = new MemorySharedState();
+		break;
+	}
+
+	try {
+		await state.init();
+	} catch (error) {
+		logger.error(`[SharedState] Falha ao inicializar backend '${state.name}'. Usando apenas memória (réplicas não compartilharão estado):`, error?.message || error);
+		state = new MemorySharedState();
+	}
+
+	logger.info(`[SharedState] Backend de estado compartilhado: ${state.name}`);
+	return state;
+}
+
+/**
+ * Retorna o backend de estado compartilhado (inicializado uma única vez)
+ * @param {{backend?: string}} options - backend: força um backend em vez do SHARED_STATE (ex.: 'nats')
+ * @returns {Promise<MemorySharedState|NatsKvSharedState>}
+ */
+function getSharedState({ backend = null } = {}) {
+	const config = getSharedStateConfig();
+	if (backend) {
+		config.backend = backend;
+	}
+	if (!statePromises.has(config.backend)) {
+		statePromises.set(config.backend, createSharedState(config));
+	}
+	return statePromises.get(config.backend);
+}
+
+/**
+ * Codifica um identificador livre para uso em chaves (KV aceita apenas [-/_=.a-zA-Z0-9])
+ * @param {string|number} value
+ * @returns {string}
+ */
+function encodeStateKey(value) {
+	return Buffer.from(String(value)).toString('base64url');
+}
+
+/**
+ * Executa a função com um lock exclusivo entre réplicas
+ * @param {string} name - Nome do lock
+ * @param {Function} fn - Função executada enquanto o lock é mantido
+ * @param {{ttlMs?: number}} options - ttlMs: validade do lock caso a réplica morra sem liberá-lo
+ */
+async function withLock(name, fn, { ttlMs = 60000 } = {}) {
+	const state = await getSharedState();
+	const { lockWaitMs } = getSharedStateConfig();
+	const key = `lock.${encodeStateKey(name)}`;
+	const owner = `${process.pid}-${crypto.randomUUID()}`;
+	const deadline = Date.now() + lockWaitMs;
+
+	while (!(await state.create(key, owner, ttlMs))) {
+		if (Date.now() >= deadline) {
+			throw new Error(`Tempo esgotado aguardando o lock '${name}'`);
+		}
+		await new Promise(resolve => setTimeout(resolve, 1000));
+	}
+
+	try {
+		return await fn();
+	} finally {
+		try {
+			if ((await state.get(key)) === owner) {
+				await state.delete(key);
+			}
+		} catch (error) {
+			logger.warn(`[SharedState] Falha ao liberar lock '${name}':`, error?.message || error);
+		}
+	}
+}
+
+export {
+	getSharedState,
+	encodeStateKey,
+	withLock
+};
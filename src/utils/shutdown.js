@@ -0,0 +1,119 @@
+'use strict';
+
+import { createLogger } from './logger.js';
+
+// Desligamento ordenado (SIGTERM/SIGINT). Cada módulo registra o que precisa encerrar em uma fase:
+// - intake: para de aceitar trabalho novo (servidor HTTP, busca de mensagens)
+// - drain: conclui e confirma (ack) as mensagens em processamento
+// - flush: grava o estado persistido (journals, spool)
+// - close: encerra conexões (NATS, exportador de tracing, servidor de health)
+// As fases rodam em sequência; os hooks de uma mesma fase rodam em paralelo.
+// Tudo precisa terminar dentro de SHUTDOWN_GRACE_MS, senão o processo sai mesmo assim; a parte final
+// do prazo fica reservada para flush/close mesmo que o drain esgote o tempo dele.
+
+const logger = createLogger('shutdown');
+
+const PHASES = ['intake', 'drain', 'flush', 'close'];
+const FINAL_PHASES = ['flush', 'close'];
+const hooks = new Map(PHASES.map((phase) => [phase, []]));
+
+let shutdownPromise = null;
+
+function getShutdownGraceMs() {
+	return Math.max(1000, parseInt(process.env.SHUTDOWN_GRACE_MS || '25000', 10) || 25000);
+}
+
+/**
+ * Registra uma etapa do desligamento
+ * @param {'intake'|'drain'|'flush'|'close'} phase
+ * @param {string} name - Nome usado nos logs
+ * @param {Function} fn - Recebe { deadline } (timestamp limite) e pode retornar uma Promise
+ */
+function onShutdown(phase, name, fn) {
+	if (!hooks.has(phase)) {
+		throw new Error(`Fase de desligamento desconhecida: ${phase}`);
+	}
+	hooks.get(phase).push({ name, fn });
+}
+
+function isShuttingDown() {
+	return shutdownPromise !== null;
+}
+
+async function runHook({ name, fn }, deadline) {
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error('tempo de desligamento esgotado')), Math.max(0, deadline - Date.now()));
+	});
+	try {
+		await Promise.race([Promise.resolve().then(() => fn({ deadline })), timeout]);
+		return true;
+	} catch (error) {
+		logger.error(`[Shutdown] Falha ao encerrar ${name}:`, error?.message || error);
+		return false;
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+/**
+ * Executa o desligamento ordenado e finaliza o processo
+ * @param {string} reason - Sinal ou motivo (logs)
+ * @param {number} exitCode
+ */
+function shutdown(reason, exitCode = 0) {
+	if (shutdownPromise) return shutdownPromise;
+
+	const graceMs = getShutdownGraceMs();
+	const deadline = Date.now() + graceMs;
+	const drainDeadline = deadline - Math.min(5000, Math.floor(graceMs / 5));
+	logger.info(`[Shutdown] ${reason}: encerrando (prazo de ${graceMs}ms)...`);
+
+	shutdownPromise = (async () => {
+		let clean = true;
+		for (const phase of PHASES) {
+			const phaseDeadline = FINAL_PHASES.includes(phase) ? deadline : drainDeadline;
+			const results = await Promise.all(hooks.get(phase).map((hook) => runHook(hook, phaseDeadline)));
+			clean = clean && results.every(Boolean);
+		}
+		logger.info(`[Shutdown] Encerramento ${clean ? 'concluído' : 'concluído com falhas'}`);
+		process.exit(clean ? exitCode : Math.max(exitCode, 1));
+	})();
+	return shutdownPromise;
+}
+
+/**
+ * Para de aceitar conexões no servidor HTTP e aguarda as requisições em andamento
+ * (conexões keep-alive ociosas são fechadas na hora)
+ * @param {import('node:http').Server} server
+ */
+function closeHttpServer(server) {
+	return new Promise((resolve, reject) => {
+		server.close((error) => (error && error.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(error) : resolve()));
+		server.closeIdleConnections?.();
+	});
+}
+
+/**
+ * Trata SIGTERM/SIGINT com desligamento ordenado. Um segundo sinal encerra imediatamente
+ */
+function installShutdownHandlers() {
+	for (const signal of ['SIGTERM', 'SIGINT']) {
+		process.on(signal, () => {
+			if (isShuttingDown()) {
+				logger.warn(`[Shutdown] ${signal} recebido novamente, encerrando imediatamente`);
+				process.exit(1);
+			}
+			shutdown(`Recebido ${signal}`);
+		});
+	}
+}
+
+export {
+	onShutdown,
+	isShuttingDown,
+	shutdown,
+	installShutdownHandlers,
+	closeHttpServer,
+	getShutdownGraceMs
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+import { trace, context, propagation, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { NodeTracerProvider, BatchSpanProcessor } from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { ATTR_SERVICE_NAME, ATTR_HTTP_REQUEST_METHOD, ATTR_HTTP_RESPONSE_STATUS_CODE, ATTR_HTTP_ROUTE, ATTR_URL_FULL } from '@opentelemetry/semantic-conventions';
+import { parseBoolean } from './env.js';
+import { createLogger, redact } from './logger.js';
+import { onShutdown } from './shutdown.js';
+
+// Tracing OpenTelemetry (TRACING_ENABLED=true): rotas HTTP, publicação/consumo no NATS e chamadas
+// às APIs do Chatwoot e dos provedores. Os spans são exportados via OTLP/HTTP para o coletor
+// em OTEL_EXPORTER_OTLP_ENDPOINT (padrão http://localhost:4318).
+// Desativado, a API do OpenTelemetry funciona como no-op e nada é exportado.
+
+const logger = createLogger('tracing');
+const tracer = trace.getTracer('wootrico');
+
+let provider = null;
+
+/**
+ * Inicializa o envio de spans (uma vez por processo)
+ * @param {'app'|'consumer'} role - Usado no service.name padrão (wootrico-app / wootrico-consumer)
+ */
+function initTracing(role) {
+	if (provider || !parseBoolean(process.env.TRACING_ENABLED, false)) {
+		return;
+	}
+
+	const serviceName = process.env.OTEL_SERVICE_NAME || `wootrico-${role}`;
+	// Sem url explícita o exportador usa OTEL_EXPORTER_OTLP_TRACES_ENDPOINT / OTEL_EXPORTER_OTLP_ENDPOINT
+	const exporter = new OTLPTraceExporter();
+	provider = new NodeTracerProvider({
+		resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: serviceName }),
+		spanProcessors: [new BatchSpanProcessor(exporter)]
+	});
+	provider.register();
+	onShutdown('close', 'exportador de tracing', shutdownTracing);
+
+	logger.info(`[Tracing] OpenTelemetry ativo (service.name: ${serviceName}, coletor: ${process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318'})`);
+}
+
+/**
+ * Envia os spans pendentes e encerra o exportador
+ */
+async function shutdownTracing() {
+	if (!provider) return;
+	try {
+		await provider.shutdown();
+	} catch (error) {
+		logger.warn('[Tracing] Falha ao enviar os spans pendentes:', error?.message || error);
+	}
+	provider = null;
+}
+
+function recordSpanError(span, error) {
+	span.recordException(error);
+	span.setStatus({ code: SpanStatusCode.ERROR, message: error?.message || String(error) });
+}
+
+/**
+ * Executa fn dentro de um span ativo (filho do span atual). Erros marcam o span e são propagados
+ * @param {string} name
+ * @param {{kind?: number, attributes?: object, parent?: object}} options - parent: contexto extraído de headers
+ * @param {Function} fn - Recebe o span
+ */
+function withSpan(name, { kind = SpanKind.INTERNAL, attributes = {}, parent = context.active() } = {}, fn) {
+	return tracer.startActiveSpan(name, { kind, attributes }, parent, async (span) => {
+		try {
+			return await fn(span);
+		} catch (error) {
+			recordSpanError(span, error);
+			throw error;
+		} finally {
+			span.end();
+		}
+	});
+}
+
+/**
+ * Acrescenta atributos (e o erro, quando houver) ao span em andamento
+ * @param {object} attributes
+ * @param {Error|null} error
+ */
+function annotateActiveSpan(attributes, error = null) {
+	const span = trace.getActiveSpan();
+	if (!span) return;
+	span.setAttributes(attributes);
+	if (error) recordSpanError(span, error);
+}
+
+/**
+ * Grava o contexto de trace atual (traceparent) nos headers da mensagem
+ * @param {object} carrier - Objeto de headers (nome -> valor)
+ */
+function injectTraceContext(carrier) {
+	propagation.inject(context.active(), carrier);
+	return carrier;
+}
+
+/**
+ * Contexto de trace publicado junto com a mensagem (headers do NATS ou da fila local)
+ * @param {{get: Function}|null} headers
+ */
+function extractTraceContext(headers) {
+	if (!headers) return context.active();
+	return propagation.extract(context.active(), headers, {
+		get: (carrier, key) => carrier.get(key) || undefined,
+		keys: () => []
+	});
+}
+
+/**
+ * Middleware Express: um span SERVER por requisição, filho do traceparent recebido (quando houver)
+ */
+function tracingMiddleware(req, res, next) {
+	if (!provider) return next();
+
+	const parent = propagation.extract(context.active(), req.headers);
+	const span = tracer.startSpan(`${req.method} ${req.path}`, {
+		kind: SpanKind.SERVER,
+		attributes: { [ATTR_HTTP_REQUEST_METHOD]: req.method, [ATTR_URL_FULL]: redact(req.originalUrl) }
+	}, parent);
+
+	res.on('finish', () => {
+		// A rota só é conhecida depois do roteamento (evita um nome de span por id na URL)
+		const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : null;
+		if (route) {
+			span.updateName(`${req.method} ${route}`);
+			span.setAttribute(ATTR_HTTP_ROUTE, route);
+		}
+		span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+		if (res.statusCode >= 500) {
+			span.setStatus({ code: SpanStatusCode.ERROR });
+		}
+		span.end();
+	});
+
+	context.with(trace.setSpan(parent, span), next);
+}
+
+/**
+ * Adiciona um span CLIENT a cada chamada feita pelo cliente axios
+ * @param {import('axios').AxiosInstance} httpClient
+ * @param {{service: string, integrationId?: string|null}} labels
+ * @returns {import('axios').AxiosInstance}
+ */
+function traceHttpClient(httpClient, { service, integrationId = null }) {
+	httpClient.interceptors.request.use((config) => {
+		if (!provider) return config;
+		const method = String(config.method || 'get').toUpperCase();
+		const span = tracer.startSpan(`${service} ${method}`, {
+			kind: SpanKind.CLIENT,
+			attributes: {
+				[ATTR_HTTP_REQUEST_METHOD]: method,
+				[ATTR_URL_FULL]: redact(`${config.baseURL || ''}${config.url || ''}`),
+				'wootrico.service': service,
+				'wootrico.integration_id': integrationId || 'unknown'
+			}
+		});
+		config.traceSpan = span;
+		return config;
+	});
+
+	httpClient.interceptors.response.use((response) => {
+		const span = response.config?.traceSpan;
+		if (span) {
+			span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, response.status);
+			if (response.status >= 400) span.setStatus({ code: SpanStatusCode.ERROR });
+			span.end();
+		}
+		return response;
+	}, (error) => {
+		const span = error?.config?.traceSpan;
+		if (span) {
+			if (error.response?.status) span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, error.response.status);
+			recordSpanError(span, error);
+			span.end();
+		}
+		return Promise.reject(error);
+	});
+
+	return httpClient;
+}
+
+export {
+	SpanKind,
+	initTracing,
+	shutdownTracing,
+	withSpan,
+	annotateActiveSpan,
+	injectTraceContext,
+	extractTraceContext,
+	tracingMiddleware,
+	traceHttpClient
+};
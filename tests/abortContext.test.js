@@ -0,0 +1,28 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import axios from 'axios';
+import { instrumentHttpClient } from '../src/utils/metrics.js';
+import { runWithAbortSignal } from '../src/utils/abortContext.js';
+
+const server = http.createServer((req, res) => setTimeout(() => res.end('ok'), 300));
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const client = instrumentHttpClient(axios.create({ baseURL: `http://127.0.0.1:${server.address().port}` }), { service: 'teste' });
+
+test.after(() => server.close());
+
+test('requisições dos clientes instrumentados são abortadas pelo signal do processamento', async () => {
+	const controller = new AbortController();
+	setTimeout(() => controller.abort(new Error('tempo máximo de processamento esgotado')), 50);
+	await assert.rejects(runWithAbortSignal(controller.signal, () => client.get('/')), { code: 'ERR_CANCELED' });
+
+	// Depois do abort as requisições seguintes do mesmo processamento falham sem sair
+	await assert.rejects(runWithAbortSignal(controller.signal, () => client.get('/')), { code: 'ERR_CANCELED' });
+});
+
+test('fora do processamento (ou sem abort) as requisições seguem normalmente', async () => {
+	assert.equal((await client.get('/')).data, 'ok');
+	assert.equal((await runWithAbortSignal(new AbortController().signal, () => client.get('/'))).data, 'ok');
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Fila local: a deduplicação usa o estado compartilhado em memória
+process.env.QUEUE_BACKEND = 'local';
+
+const { claimMessage, markProcessed, releaseClaim, recordBusyDelivery, getBusyDeliveries } = await import('../src/utils/ingestDedup.js');
+
+test('reivindicação: a mesma entrega mantém, outra cópia fica busy até a liberação', async () => {
+	assert.equal(await claimMessage('principal:1:a', '10'), 'claimed');
+	assert.equal(await claimMessage('principal:1:a', '10'), 'claimed');
+	assert.equal(await claimMessage('principal:1:a', '11'), 'busy');
+
+	await releaseClaim('principal:1:a', '10');
+	assert.equal(await claimMessage('principal:1:a', '11'), 'claimed');
+
+	await markProcessed('principal:1:a');
+	assert.equal(await claimMessage('principal:1:a', '12'), 'processed');
+});
+
+test('entregas busy são contadas por entrega e não existem sem id de deduplicação', async () => {
+	assert.equal(await getBusyDeliveries('principal:1:b', '20'), 0);
+	assert.equal(await recordBusyDelivery('principal:1:b', '20'), 1);
+	assert.equal(await recordBusyDelivery('principal:1:b', '20'), 2);
+	assert.equal(await getBusyDeliveries('principal:1:b', '20'), 2);
+	assert.equal(await getBusyDeliveries('principal:1:b', '21'), 0);
+
+	assert.equal(await recordBusyDelivery(null, '20'), 0);
+	assert.equal(await getBusyDeliveries(null, '20'), 0);
+});
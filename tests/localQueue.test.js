@@ -0,0 +1,38 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-queue-'));
+process.env.LOCAL_QUEUE_DIR = dir;
+
+const { getLocalQueue } = await import('../src/services/localQueue.js');
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function readJournal() {
+	const content = await fs.readFile(path.join(dir, 'queue.jsonl'), 'utf8');
+	return content.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+test('compactação disparada pela publicação mantém a mensagem recém-gravada no journal', async () => {
+	const queue = await getLocalQueue();
+
+	// pub + del por mensagem: o journal passa de 1000 linhas sem mensagens pendentes
+	for (let i = 0; i < 500; i++) {
+		const { seq } = await queue.publish('webhooks.teste', `{"i":${i}}`);
+		queue.settle({ seq }, 'ack');
+	}
+	await queue.flush();
+
+	const { seq } = await queue.publish('webhooks.teste', '{"i":"ultima"}');
+	await queue.flush();
+
+	const journal = await readJournal();
+	assert.ok(journal.length < 10, `journal não foi compactado (${journal.length} linhas)`);
+	assert.deepEqual(journal.filter((record) => record.op === 'pub').map((record) => record.seq), [seq]);
+	assert.equal(queue.list('webhooks.teste').length, 1);
+});
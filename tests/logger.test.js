@@ -0,0 +1,71 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { redact } from '../src/utils/logger.js';
+
+test('mascara credenciais pelo nome do campo e em URLs', () => {
+	const result = redact({
+		headers: { Authorization: 'Bearer abc', 'Client-Token': 'xyz' },
+		url: 'https://api.z-api.io/instances/ABC/token/SEGREDO/send-text?api_key=123',
+		token: ''
+	});
+	assert.equal(result.headers.Authorization, '[REDACTED]');
+	assert.equal(result.headers['Client-Token'], '[REDACTED]');
+	assert.equal(result.url, 'https://api.z-api.io/instances/ABC/token/[REDACTED]/send-text?api_key=[REDACTED]');
+	assert.equal(result.token, '');
+});
+
+test('substitui mídias em base64 pelo tamanho', () => {
+	const media = 'A'.repeat(300);
+	const result = redact({ base64: 'abc', file: media, nested: [{ imageBase64: media }] });
+	assert.equal(result.base64, '[base64 3 caracteres]');
+	assert.equal(result.file, '[base64 300 caracteres]');
+	assert.equal(result.nested[0].imageBase64, '[base64 300 caracteres]');
+});
+
+test('mascara telefones nos campos de chat', () => {
+	const result = redact({
+		phone: '5511987654321',
+		chatid: '5511987654321@s.whatsapp.net',
+		remoteJid: '123456789012345@lid',
+		number: 5511987654321,
+		contact: { phone_number: '+5511987654321' }
+	});
+	assert.equal(result.phone, '5511*******21');
+	assert.equal(result.chatid, '5511*******21@s.whatsapp.net');
+	assert.equal(result.remoteJid, '1234*********45@lid');
+	assert.equal(result.number, '5511*******21');
+	assert.equal(result.contact.phone_number, '+5511*******21');
+});
+
+test('mascara JIDs e números E.164 em textos livres', () => {
+	assert.equal(redact('Mensagem para 5511987654321@s.whatsapp.net'), 'Mensagem para 5511*******21@s.whatsapp.net');
+	assert.equal(redact('Contato +5511987654321 criado'), 'Contato +5511*******21 criado');
+});
+
+test('mantém timestamps e ids numéricos fora dos campos de telefone', () => {
+	const result = redact({
+		momment: 1792397552330,
+		timestamp: '1792397552330',
+		messageId: '3EB0C767D71D6A1B2C3D',
+		conversationId: 12345678901,
+		number: 3,
+		msg: 'Mensagem 1792397552330 processada'
+	});
+	assert.equal(result.momment, 1792397552330);
+	assert.equal(result.timestamp, '1792397552330');
+	assert.equal(result.messageId, '3EB0C767D71D6A1B2C3D');
+	assert.equal(result.conversationId, 12345678901);
+	assert.equal(result.number, 3);
+	assert.equal(result.msg, 'Mensagem 1792397552330 processada');
+});
+
+test('trata referências circulares e erros', () => {
+	const value = { name: 'x' };
+	value.self = value;
+	assert.equal(redact(value).self, '[circular]');
+
+	const error = new Error('falha para 5511987654321@s.whatsapp.net');
+	assert.equal(redact({ error }).error.message, 'falha para 5511*******21@s.whatsapp.net');
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-offload-'));
+process.env.MEDIA_OFFLOAD = 'file';
+process.env.MEDIA_OFFLOAD_DIR = dir;
+process.env.MEDIA_OFFLOAD_MIN_BYTES = '10';
+
+const { offloadPayloadMedia, resolvePayloadMedia, releasePayloadMedia, getPayloadMediaRefs } = await import('../src/utils/mediaOffload.js');
+
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+test('resolve e libera apenas as referências criadas pelo offload nos campos de mídia', async () => {
+	const media = 'A'.repeat(64);
+	const payload = {
+		text: { message: 'wootrico-media://file/1760011200000-texto-do-cliente' },
+		image: { base64: media, caption: 'wootrico-media://file/qualquer' }
+	};
+
+	const refs = await offloadPayloadMedia(payload);
+	assert.equal(refs.length, 1);
+	assert.equal(payload.image.base64, refs[0]);
+	assert.deepEqual(getPayloadMediaRefs(payload), refs);
+
+	const resolved = await resolvePayloadMedia(payload);
+	assert.deepEqual(resolved, refs);
+	assert.equal(payload.image.base64, media);
+	assert.equal(payload.text.message, 'wootrico-media://file/1760011200000-texto-do-cliente');
+	assert.equal(payload.image.caption, 'wootrico-media://file/qualquer');
+
+	await releasePayloadMedia(resolved);
+	assert.deepEqual((await fs.readdir(dir)).filter((file) => file.endsWith('.b64')), []);
+});
+
+test('ignora referências com chaves fora do formato gerado (ex.: ../)', async () => {
+	const outside = path.join(dir, '..', `${path.basename(dir)}-fora.b64`);
+	await fs.writeFile(outside, 'segredo', 'utf8');
+	try {
+		const payload = { document: { base64: `wootrico-media://file/../${path.basename(dir)}-fora` } };
+		assert.deepEqual(getPayloadMediaRefs(payload), []);
+		assert.deepEqual(await resolvePayloadMedia(payload), []);
+		assert.equal(await fs.readFile(outside, 'utf8'), 'segredo');
+	} finally {
+		await fs.rm(outside, { force: true });
+	}
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createOrderedWorkerPool } from '../src/utils/orderedWorkerPool.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('tarefas da mesma chave executam em ordem, uma de cada vez', async () => {
+	const pool = createOrderedWorkerPool('teste', { concurrency: 4, maxPending: 10 });
+	const events = [];
+
+	const task = (name, ms) => async () => {
+		events.push(`inicio ${name}`);
+		await sleep(ms);
+		events.push(`fim ${name}`);
+	};
+
+	await Promise.all([
+		pool.submit('chat-1', task('a', 20)),
+		pool.submit('chat-1', task('b', 1)),
+		pool.submit('chat-1', task('c', 5))
+	]);
+
+	assert.deepEqual(events, ['inicio a', 'fim a', 'inicio b', 'fim b', 'inicio c', 'fim c']);
+});
+
+test('chaves diferentes executam em paralelo respeitando a concorrência', async () => {
+	const pool = createOrderedWorkerPool('teste', { concurrency: 2, maxPending: 10 });
+	let running = 0;
+	let maxRunning = 0;
+
+	const task = async () => {
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		await sleep(10);
+		running--;
+	};
+
+	await Promise.all(['chat-1', 'chat-2', 'chat-3', 'chat-4'].map((key) => pool.submit(key, task)));
+	assert.equal(maxRunning, 2);
+	assert.equal(pool.getStats().pending, 0);
+	assert.equal(pool.getStats().keys, 0);
+});
+
+test('mensagem em nova tentativa mantém a chave: as seguintes do mesmo chat esperam', async () => {
+	const pool = createOrderedWorkerPool('teste', { concurrency: 4, maxPending: 10 });
+	const delivered = [];
+	let failures = 2;
+
+	// Falha transitória repetida dentro da própria tarefa (como o consumer faz antes do ack)
+	const first = pool.submit('chat-1', async () => {
+		while (failures > 0) {
+			failures--;
+			await sleep(5);
+		}
+		delivered.push(1);
+	});
+	const second = pool.submit('chat-1', async () => delivered.push(2));
+	const other = pool.submit('chat-2', async () => delivered.push('outro chat'));
+
+	await Promise.all([first, second, other]);
+	assert.deepEqual(delivered, ['outro chat', 1, 2]);
+});
+
+test('falha de uma tarefa libera a chave para a próxima', async () => {
+	const pool = createOrderedWorkerPool('teste', { concurrency: 1, maxPending: 10 });
+	const failed = pool.submit('chat-1', async () => {
+		throw new Error('falhou');
+	});
+	const next = pool.submit('chat-1', async () => 'ok');
+
+	await assert.rejects(failed, /falhou/);
+	assert.equal(await next, 'ok');
+	await pool.onIdle();
+});
+
+test('waitForCapacity aguarda enquanto o máximo de pendentes foi atingido', async () => {
+	const pool = createOrderedWorkerPool('teste', { concurrency: 1, maxPending: 2 });
+	pool.submit('chat-1', () => sleep(10));
+	pool.submit('chat-1', () => sleep(10));
+
+	let released = false;
+	const waiting = pool.waitForCapacity().then(() => {
+		released = true;
+	});
+	assert.equal(released, false);
+	await waiting;
+	assert.ok(pool.getStats().pending < 2);
+	await pool.onIdle();
+});
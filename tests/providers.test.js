@@ -0,0 +1,98 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { detectProvider, getProvider, listProviders } from '../src/providers/index.js';
+
+// Payloads gravados de cada provedor (tests/fixtures/<provedor>.json): mensagem de texto recebida de um contato
+function loadFixture(name) {
+	return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+const PARSE_OPTIONS = { desconsiderarGrupo: true, defaultCountry: 'BR' };
+
+const EXPECTED = {
+	uazapi: { messageId: '3EB0A1B2C3D4E5F6A7B8', dedupId: 'uazapi:message:3EB0A1B2C3D4E5F6A7B8', chatId: '5511988887777@s.whatsapp.net', instance: ['5511900001111'] },
+	zapi: { messageId: '3EB0F1E2D3C4B5A69788', dedupId: 'zapi:ReceivedCallback:3EB0F1E2D3C4B5A69788:1760011200000', chatId: '5511988887777', instance: ['3C0FFEE0D15EA5E0000000000000'] },
+	wuzapi: { messageId: '3EB0AABBCCDDEEFF0011', dedupId: 'wuzapi:message:3EB0AABBCCDDEEFF0011', chatId: '5511988887777@s.whatsapp.net', instance: ['1', 'atendimento'] },
+	evolution: { messageId: '3EB01122334455667788', dedupId: 'evolution:message:3EB01122334455667788', chatId: '5511988887777@s.whatsapp.net', instance: ['atendimento'] },
+	cloudapi: { messageId: 'wamid.HBgNNTUxMTk4ODg4Nzc3NxUCABIYFDNFQjAxMTIyMzM0NDU1NjY3Nzg4AA==', dedupId: 'cloudapi:message:wamid.HBgNNTUxMTk4ODg4Nzc3NxUCABIYFDNFQjAxMTIyMzM0NDU1NjY3Nzg4AA==', chatId: '5511988887777', instance: ['106540352242922'] }
+};
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+	test(`${name}: detecta, separa e normaliza o payload gravado`, () => {
+		const body = loadFixture(name);
+		const provider = getProvider(name);
+
+		assert.equal(detectProvider(body)?.name, name);
+		assert.deepEqual(listProviders().filter((item) => item.detect(body)).map((item) => item.name), [name]);
+
+		const [payload] = provider.splitPayload(body);
+		assert.deepEqual(provider.parseEvent(payload), { type: 'message' });
+		assert.equal(provider.getDedupId(payload), expected.dedupId);
+		assert.equal(provider.getChatId(payload), expected.chatId);
+		assert.deepEqual(provider.getInstanceIdentifiers(payload), expected.instance);
+
+		const message = provider.parseMessage(payload, PARSE_OPTIONS);
+		assert.equal(message.origin, name);
+		assert.equal(message.phone, '+5511988887777');
+		assert.equal(message.text, 'Olá, tudo bem?');
+		assert.equal(message.name, 'Maria Silva');
+		assert.equal(message.messageId, expected.messageId);
+		assert.equal(message.fromMe, false);
+		assert.ok(!message.isGroup);
+		assert.equal(message.image, null);
+	});
+}
+
+test('provedores sem handshake nem assinatura de webhook não respondem à verificação', () => {
+	for (const name of ['uazapi', 'zapi', 'wuzapi', 'evolution']) {
+		const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'abc', 'hub.challenge': '123' };
+		assert.equal(getProvider(name).verifyWebhook(query, { verifyToken: 'abc' }), null);
+		assert.equal(getProvider(name).verifySignature({ rawBody: Buffer.from('{}'), getHeader: () => 'sha256=abc' }, {}), null);
+	}
+});
+
+test('cloudapi: splitPayload publica um payload por mensagem e por status', () => {
+	const provider = getProvider('cloudapi');
+	const payloads = provider.splitPayload(loadFixture('cloudapi'));
+	assert.equal(payloads.length, 3);
+
+	for (const payload of payloads) {
+		assert.ok(provider.detect(payload));
+		assert.equal(provider.getInstanceIdentifiers(payload)[0], '106540352242922');
+	}
+
+	const image = provider.parseMessage(payloads[1], PARSE_OPTIONS);
+	assert.equal(image.text, 'Comprovante');
+	assert.equal(image.image.mediaId, '1479537139650973');
+	assert.equal(image.image.mimeType, 'image/jpeg');
+
+	assert.deepEqual(provider.parseEvent(payloads[2]), {
+		type: 'ignore',
+		reason: 'cloudapi_status',
+		status: 'delivered',
+		messageId: 'wamid.HBgNNTUxMTk4ODg4Nzc3NxUCABEYEjQ1NkI3OEM5MEQxRTJGM0E0AA==',
+		errors: null
+	});
+	assert.equal(provider.getDedupId(payloads[2]), null);
+});
+
+test('cloudapi: verifyWebhook responde o challenge apenas com o verify token configurado', () => {
+	const provider = getProvider('cloudapi');
+	const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'verificar', 'hub.challenge': '1158201444' };
+	assert.equal(provider.verifyWebhook(query, { verifyToken: 'verificar' }), '1158201444');
+	assert.equal(provider.verifyWebhook(query, { verifyToken: 'outro' }), null);
+	assert.equal(provider.verifyWebhook(query, { verifyToken: null }), null);
+	assert.equal(provider.verifyWebhook({ ...query, 'hub.mode': 'unsubscribe' }, { verifyToken: 'verificar' }), null);
+});
+
+test('eventos de exclusão viram { type: delete } com os ids das mensagens', () => {
+	const zapi = { ...loadFixture('zapi'), notification: 'REVOKE' };
+	assert.deepEqual(getProvider('zapi').parseEvent(zapi), { type: 'delete', messageIds: ['3EB0F1E2D3C4B5A69788'] });
+
+	const evolution = loadFixture('evolution');
+	const revoke = { ...evolution, data: { ...evolution.data, message: { protocolMessage: { type: 'REVOKE', key: { id: '3EB0DEADBEEF00000000' } } } } };
+	assert.deepEqual(getProvider('evolution').parseEvent(revoke), { type: 'delete', messageIds: ['3EB0DEADBEEF00000000'] });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+
+// Integração 1 com credenciais; integração 2 sem nenhuma (deve ser rejeitada: há credencial configurada)
+process.env.WEBHOOK_TOKEN_1 = 'token-1';
+process.env.CHATWOOT_WEBHOOK_SECRET_1 = 'segredo-1';
+process.env.CHATWOOT_INBOX_NAME_2 = 'inbox-2';
+// Integração 3 na Cloud API com app secret: autenticada pela assinatura X-Hub-Signature-256, não pelo token
+process.env.CLOUDAPI_PHONE_NUMBER_ID_3 = '106540352242922';
+process.env.CLOUDAPI_TOKEN_3 = 'graph-token-3';
+process.env.CLOUDAPI_APP_SECRET_3 = 'app-secret-3';
+process.env.WEBHOOK_TOKEN_3 = 'token-3';
+
+const { verifyChatwootWebhook, verifyProviderWebhook } = await import('../src/middleware/webhookAuth.js');
+
+function sign(secret, timestamp, rawBody) {
+	return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex')}`;
+}
+
+function signMeta(secret, rawBody) {
+	return `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+function createRequest({ integrationId, headers = {}, query = {}, body = {} } = {}) {
+	const rawBody = Buffer.from(JSON.stringify(body));
+	const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+	return {
+		ip: '127.0.0.1',
+		params: integrationId ? { integrationId } : {},
+		query,
+		body,
+		rawBody,
+		get: (name) => lowerHeaders[name.toLowerCase()]
+	};
+}
+
+function run(middleware, req) {
+	const result = { status: null, body: null, next: false };
+	const res = {
+		status(code) {
+			result.status = code;
+			return this;
+		},
+		json(payload) {
+			result.body = payload;
+			return this;
+		}
+	};
+	middleware(req, res, () => {
+		result.next = true;
+	});
+	return result;
+}
+
+function signedRequest(secret, { timestamp = Math.floor(Date.now() / 1000), integrationId } = {}) {
+	const body = { event: 'message_created', id: 1 };
+	return createRequest({
+		integrationId,
+		body,
+		headers: {
+			'X-Chatwoot-Timestamp': String(timestamp),
+			'X-Chatwoot-Signature': sign(secret, timestamp, Buffer.from(JSON.stringify(body)))
+		}
+	});
+}
+
+test('aceita callback com assinatura HMAC válida e identifica a integração', () => {
+	const req = signedRequest('segredo-1');
+	const result = run(verifyChatwootWebhook, req);
+	assert.equal(result.next, true);
+	assert.equal(req.webhookIntegrationId, '1');
+});
+
+test('rejeita callback assinado com outro segredo', () => {
+	const result = run(verifyChatwootWebhook, signedRequest('outro-segredo'));
+	assert.equal(result.next, false);
+	assert.equal(result.status, 401);
+	assert.equal(result.body.reason, 'invalid_signature');
+});
+
+test('rejeita callback com corpo alterado depois de assinado', () => {
+	const req = signedRequest('segredo-1');
+	req.rawBody = Buffer.from(JSON.stringify({ event: 'message_created', id: 2 }));
+	assert.equal(run(verifyChatwootWebhook, req).body.reason, 'invalid_signature');
+});
+
+test('rejeita callback sem assinatura ou com timestamp fora da tolerância', () => {
+	assert.equal(run(verifyChatwootWebhook, createRequest()).body.reason, 'missing_signature');
+
+	const expired = signedRequest('segredo-1', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+	assert.equal(run(verifyChatwootWebhook, expired).body.reason, 'expired_signature');
+});
+
+test('rejeita integração sem credencial quando outra integração tem credencial', () => {
+	const callback = run(verifyChatwootWebhook, createRequest({ integrationId: '2' }));
+	assert.equal(callback.status, 401);
+	assert.equal(callback.body.reason, 'auth_not_configured');
+
+	const principal = run(verifyProviderWebhook, createRequest({ integrationId: '2', query: { token: 'token-1' } }));
+	assert.equal(principal.status, 401);
+	assert.equal(principal.body.reason, 'auth_not_configured');
+});
+
+test('valida o token do provedor', () => {
+	const valid = run(verifyProviderWebhook, createRequest({ headers: { Authorization: 'Bearer token-1' } }));
+	assert.equal(valid.next, true);
+
+	const invalid = run(verifyProviderWebhook, createRequest({ query: { token: 'token-2' } }));
+	assert.equal(invalid.body.reason, 'invalid_token');
+});
+
+function metaRequest(secret, { integrationId, query } = {}) {
+	const body = { object: 'whatsapp_business_account', entry: [{ id: '102290129340398', changes: [] }] };
+	return createRequest({
+		integrationId,
+		query,
+		body,
+		headers: { 'X-Hub-Signature-256': signMeta(secret, Buffer.from(JSON.stringify(body))) }
+	});
+}
+
+test('aceita POST da Cloud API assinado com o app secret e identifica a integração', () => {
+	const shared = metaRequest('app-secret-3');
+	assert.equal(run(verifyProviderWebhook, shared).next, true);
+	assert.equal(shared.webhookIntegrationId, '3');
+
+	const byUrl = metaRequest('app-secret-3', { integrationId: '3' });
+	assert.equal(run(verifyProviderWebhook, byUrl).next, true);
+	assert.equal(byUrl.webhookIntegrationId, '3');
+});
+
+test('rejeita POST da Cloud API com assinatura inválida, corpo alterado ou apenas o token', () => {
+	const invalid = run(verifyProviderWebhook, metaRequest('outro-secret', { integrationId: '3' }));
+	assert.equal(invalid.status, 401);
+	assert.equal(invalid.body.reason, 'invalid_signature');
+
+	const altered = metaRequest('app-secret-3', { integrationId: '3' });
+	altered.rawBody = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+	assert.equal(run(verifyProviderWebhook, altered).body.reason, 'invalid_signature');
+
+	const tokenOnly = run(verifyProviderWebhook, createRequest({ integrationId: '3', query: { token: 'token-3' } }));
+	assert.equal(tokenOnly.body.reason, 'invalid_signature');
+});
+